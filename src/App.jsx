@@ -7,26 +7,60 @@
 
 import React, { useState, useEffect, useCallback, useMemo } from 'react'
 import MapContainer from './components/MapContainer'
+import CompareView from './components/CompareView'
 import Controls from './components/Controls'
 import StatsPanel from './components/StatsPanel'
+import StatusBanner from './components/StatusBanner'
+import Notices from './components/Notices'
+import RadiusSearchLayer from './components/RadiusSearchLayer'
+import RadiusSearchPanel from './components/RadiusSearchPanel'
+import CoverageReportLayer from './components/CoverageReportLayer'
+import CoverageReportPanel from './components/CoverageReportPanel'
+import OverlayLayer from './components/OverlayLayer'
+import OverlayPanel from './components/OverlayPanel'
+import HeatmapPanel from './components/HeatmapPanel'
+import ChoroplethLayer from './components/ChoroplethLayer'
+import ChoroplethPanel from './components/ChoroplethPanel'
+import AntenaDrawer from './components/AntenaDrawer'
 import { loadMapData } from './services/api'
+import { withoutOperators } from './services/features'
+import useViewportData from './hooks/useViewportData'
+import useUrlState from './hooks/useUrlState'
+import useRadiusSearch from './hooks/useRadiusSearch'
+import useCoverageReport, { TOP_UP_RADIUS } from './hooks/useCoverageReport'
+import useOverlays from './hooks/useOverlays'
+import useChoropleth from './hooks/useChoropleth'
+import useScopedStats from './hooks/useScopedStats'
+import useAntenaDetail from './hooks/useAntenaDetail'
+import useTheme from './hooks/useTheme'
+import useBasemap from './hooks/useBasemap'
+import { readUrlState } from './services/urlState'
+import { matchesFilters, hasActiveFilters, toggleFilterValue, EMPTY_FILTERS } from './services/filters'
+import { inBbox } from './services/tiles'
+import { DEFAULT_HEATMAP_OPTIONS, weightValues } from './services/heatmap'
+import { registerServiceWorker } from './services/serviceWorker'
+import config, { configErrors } from './config'
 
 /**
- * CONFIGURACIÓN DE LA API
+ * RADIO INICIAL DE LA BÚSQUEDA POR RADIO (metros)
  * 
- * Usa variable de entorno en producción, fallback para desarrollo
- * Esto permite diferentes entornos sin cambiar código
+ * Nunca supera VITE_MAX_SEARCH_RADIUS
  */
-const API_BASE = import.meta.env.VITE_API_URL || 'https://your-api.railway.app'
+const DEFAULT_SEARCH_RADIUS = Math.min(1000, config.maxSearchRadius)
+
+/**
+ * ZOOM MÍNIMO AL CENTRAR EL MAPA EN UNA ANTENA DE LA FICHA
+ */
+const ANTENA_FOCUS_ZOOM = 15
 
 function App() {
   // ESTADO GLOBAL DE LA APLICACIÓN
-  
+
   /**
-   * antenas: Array de antenas a mostrar en el mapa
-   * Formato GeoJSON FeatureCollection para compatibilidad con Leaflet
+   * urlState: Estado leído de la URL al abrir la página
+   * Permite restaurar un enlace compartido (ver services/urlState.js)
    */
-  const [antenas, setAntenas] = useState([])
+  const [urlState] = useState(() => readUrlState())
   
   /**
    * stats: Estadísticas globales (operadores, tecnologías, etc.)
@@ -41,69 +75,358 @@ function App() {
   const [loading, setLoading] = useState(true)
   
   /**
-   * error: Manejo de errores de la aplicación
-   * Muestra mensajes amigables al usuario en caso de fallos
+   * notices: Avisos descartables (errores no bloqueantes)
+   * Cada aviso: { id, message, action? }
+   */
+  const [notices, setNotices] = useState([])
+
+  /**
+   * AÑADIR AVISO
+   * 
+   * Un mismo mensaje no se apila dos veces
+   */
+  const addNotice = useCallback((message, action) => {
+    setNotices(prev => prev.some(notice => notice.message === message)
+      ? prev
+      : [...prev, { id: Date.now() + Math.random(), message, action }])
+  }, [])
+
+  const dismissNotice = useCallback((id) => {
+    setNotices(prev => prev.filter(notice => notice.id !== id))
+  }, [])
+
+  /**
+   * APLICACIÓN INSTALABLE Y SIN CONEXIÓN (solo en producción)
+   * 
+   * Una versión nueva desplegada se ofrece como aviso con botón
+   * de actualizar, sin recargar por sorpresa (ver services/serviceWorker.js)
+   */
+  useEffect(() => {
+    registerServiceWorker({
+      onUpdateReady: (applyUpdate) => addNotice(
+        '🆕 Hay una versión nueva del mapa disponible',
+        { label: 'Actualizar', onClick: applyUpdate }
+      )
+    })
+  }, [addNotice])
+
+  /**
+   * CONFIGURACIÓN NO VÁLIDA
+   * 
+   * config.js ya ha aplicado los valores de respaldo; un único
+   * aviso (además del log) indica cuáles se han ignorado
    */
-  const [error, setError] = useState(null)
+  useEffect(() => {
+    if (configErrors.length === 0) return
+    addNotice(`⚙️ Configuración no válida: ${configErrors.join(' ')}`)
+  }, [addNotice])
+
+  /**
+   * TEMA (claro, oscuro o el del sistema) Y PALETA DE LOS OPERADORES
+   * 
+   * Se guardan en localStorage (ver hooks/useTheme.js)
+   */
+  const { mode: themeMode, theme, palette, getColor, setMode: setThemeMode, setPalette } = useTheme()
+
+  /**
+   * MAPA BASE (calles, claro, oscuro, satélite, relieve o propio)
+   * 
+   * Hasta que se elige uno, el que corresponde al tema (ver hooks/useBasemap.js)
+   */
+  const { basemap, setBasemap } = useBasemap(theme)
   
   /**
-   * filters: Filtros activos aplicados a los datos
-   * - operador: Filtro por compañía (Movistar, Vodafone, etc.)
-   * - tecnologia: Filtro por tecnología (4G, 5G, etc.)
+   * filters: Filtros activos aplicados a los datos (varios valores por filtro)
+   * - operador: Compañías (Movistar, Vodafone, etc.)
+   * - tecnologia: Tecnologías (4G, 5G, etc.)
+   * - provincia: Provincias
    * - viewport: Bounding box actual del mapa para lazy loading
    */
   const [filters, setFilters] = useState({
-    operador: '',
-    tecnologia: '',
+    ...urlState.filters,
     viewport: null
   })
 
-  // EFECTO: CARGA INICIAL DE DATOS
-  useEffect(() => {
-    /**
-     * Función asíncrona que carga los datos iniciales
-     * Se ejecuta una vez al montar el componente
-     */
-    const initializeData = async () => {
-      try {
-        setLoading(true)
-        setError(null)
-        
-        /**
-         * CARGAR DATOS EN PARALELO
-         * 
-         * Promise.all() permite cargar múltiples endpoints simultáneamente
-         * Esto reduce el tiempo de carga inicial
-         */
-        const [statsData, initialAntenas] = await Promise.all([
-          // Estadísticas globales
-          loadMapData(`${API_BASE}/map/stats`),
-          // Datos iniciales para el mapa (limitados para mejor rendimiento)
-          loadMapData(`${API_BASE}/map/antenas?limit=200`)
-        ])
-        
-        // ACTUALIZAR ESTADO CON DATOS OBTENIDOS
-        setStats(statsData)
-        setAntenas(initialAntenas.features || [])
-        
-      } catch (err) {
-        /**
-         * MANEJO DE ERRORES
-         * 
-         * Captura errores de red, API no disponible, etc.
-         * Proporciona feedback al usuario
-         */
-        console.error('❌ Error loading initial data:', err)
-        setError('No se pudieron cargar los datos de antenas. Verifica tu conexión.')
-      } finally {
-        // FINALIZAR ESTADO DE CARGA INDEPENDIENTEMENTE DEL RESULTADO
-        setLoading(false)
-      }
+  /**
+   * mapView: Centro y zoom actuales del mapa (se reflejan en la URL)
+   * viewTarget: Vista a la que mover el mapa (historial o buscador de lugares)
+   * selectedId: Antena seleccionada (ficha abierta)
+   */
+  const [mapView, setMapView] = useState(null)
+  const [viewTarget, setViewTarget] = useState(null)
+  const [selectedId, setSelectedId] = useState(urlState.antena)
+
+  /**
+   * antenas: Array de antenas a mostrar en el mapa
+   * clusters: Agregados del servidor en zoom bajo (/map/clusters)
+   * Formato GeoJSON FeatureCollection para compatibilidad con Leaflet
+   * 
+   * useViewportData las recarga al mover el mapa o cambiar filtros,
+   * cancelando peticiones obsoletas (ver hooks/useViewportData.js)
+   */
+  const {
+    antenas,
+    clusters,
+    viewportLoading,
+    handleViewportChange
+  } = useViewportData(filters, {
+    onError: (err) => addNotice(`No se pudieron cargar las antenas de esta zona. ${err.message}`)
+  })
+
+  /**
+   * CAMBIO DE VISTA DEL MAPA
+   * 
+   * Guarda centro y zoom para la URL (y el bbox para el informe
+   * de cobertura) y delega la carga de datos
+   */
+  const handleMapViewportChange = useCallback((viewport) => {
+    setMapView({ center: viewport.center, zoom: viewport.zoom, bbox: viewport.bbox })
+    handleViewportChange(viewport)
+  }, [handleViewportChange])
+
+  /**
+   * LUGAR ELEGIDO EN EL BUSCADOR
+   * 
+   * El mapa vuela al encuadre del lugar; el moveend final
+   * carga el viewport y actualiza la URL como cualquier movimiento
+   */
+  const handlePlaceSelect = useCallback((place) => {
+    setViewTarget({ bounds: place.bounds })
+  }, [])
+
+  /**
+   * MODO COMPARAR: DOS MAPAS SINCRONIZADOS (ver components/CompareView.jsx)
+   * 
+   * Sustituye al mapa principal. Al cambiar de modo se monta un mapa
+   * nuevo con la vista actual; viewTarget se olvida para que no vuelva
+   * a volar al último lugar buscado
+   */
+  const [compareMode, setCompareMode] = useState(false)
+
+  const currentView = {
+    center: mapView?.center ?? urlState.center ?? config.mapCenter,
+    zoom: mapView?.zoom ?? urlState.zoom ?? config.mapZoom
+  }
+
+  const leaveCompareMode = useCallback(() => {
+    setCompareMode(false)
+    setViewTarget(null)
+  }, [])
+
+  /**
+   * HERRAMIENTAS SOBRE UN PUNTO DEL MAPA
+   * 
+   * activeTool: null, 'radius' (búsqueda por radio) o 'coverage'
+   * (informe de cobertura); solo una a la vez, ambas usan el click
+   * radiusSearch: Centro (null hasta el primer click) y radio de la búsqueda
+   * coveragePoint: Punto del informe de cobertura
+   * hoveredId: Antena de la lista resaltada en el mapa
+   */
+  const [activeTool, setActiveTool] = useState(null)
+  const [radiusSearch, setRadiusSearch] = useState({ center: null, radius: DEFAULT_SEARCH_RADIUS })
+  const [coveragePoint, setCoveragePoint] = useState(null)
+  const [hoveredId, setHoveredId] = useState(null)
+
+  const radiusResults = useRadiusSearch(
+    activeTool === 'radius' ? radiusSearch.center : null,
+    radiusSearch.radius,
+    filters
+  )
+  const coverage = useCoverageReport(
+    activeTool === 'coverage' ? coveragePoint : null,
+    antenas,
+    filters,
+    mapView
+  )
+
+  const highlightedAntena = useMemo(() => (
+    hoveredId
+      ? radiusResults.results.find(result => result.antena.properties?.id === hoveredId)?.antena ?? null
+      : null
+  ), [radiusResults.results, hoveredId])
+
+  // Activar una herramienta desactiva la otra; al salir se olvida el punto
+  const toggleTool = useCallback((tool) => {
+    leaveCompareMode()
+    setHoveredId(null)
+    setRadiusSearch(prev => ({ ...prev, center: null }))
+    setCoveragePoint(null)
+    setActiveTool(prev => prev === tool ? null : tool)
+  }, [leaveCompareMode])
+
+  const handleRadiusPick = useCallback((center) => {
+    setRadiusSearch(prev => ({ ...prev, center }))
+  }, [])
+
+  const handleRadiusChange = useCallback((radius) => {
+    setRadiusSearch(prev => ({ ...prev, radius }))
+  }, [])
+
+  /**
+   * ANTENA SELECCIONADA Y SU FICHA
+   * 
+   * selectedFeature: La feature elegida, cuando quien selecciona la
+   * conoce (marcador, antena cercana de la ficha); si no, se busca
+   * entre las cargadas y los resultados de la búsqueda por radio
+   */
+  const [selectedFeature, setSelectedFeature] = useState(null)
+
+  const selectAntena = useCallback((id, antena = null) => {
+    setSelectedId(id)
+    setSelectedFeature(antena)
+  }, [])
+
+  const selectedAntena = useMemo(() => {
+    if (!selectedId) return null
+    if (selectedFeature?.properties?.id === selectedId) return selectedFeature
+    return antenas.find(antena => antena.properties?.id === selectedId) ??
+      radiusResults.results.find(result => result.antena.properties?.id === selectedId)?.antena ??
+      null
+  }, [selectedId, selectedFeature, antenas, radiusResults.results])
+
+  const antenaDetail = useAntenaDetail(selectedId, selectedAntena)
+
+  const centerOnAntena = useCallback((antena) => {
+    const [lon, lat] = antena.geometry.coordinates
+    setViewTarget({ center: [lat, lon], zoom: Math.max(mapView?.zoom ?? 0, ANTENA_FOCUS_ZOOM) })
+  }, [mapView?.zoom])
+
+  /**
+   * REPRESENTACIÓN DE LAS ANTENAS
+   * 
+   * displayMode: 'markers', 'clusters' (por defecto) o 'heatmap'
+   * heatmapOptions: Radio, intensidad y ponderación del mapa de calor
+   */
+  const [displayMode, setDisplayMode] = useState('clusters')
+  const [heatmapOptions, setHeatmapOptions] = useState(DEFAULT_HEATMAP_OPTIONS)
+
+  const updateHeatmapOptions = useCallback((changes) => {
+    setHeatmapOptions(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  /**
+   * MAPA DE COROPLETAS POR PROVINCIA
+   * 
+   * choroplethOptions: Métrica ('count', 'share' o 'density') y,
+   * para la cuota, el operador o tecnología (dimension + value)
+   */
+  const [showChoropleth, setShowChoropleth] = useState(false)
+  const [choroplethOptions, setChoroplethOptions] = useState({
+    metric: 'count',
+    dimension: 'operador',
+    value: null
+  })
+  const choropleth = useChoropleth(showChoropleth, choroplethOptions, stats)
+
+  const updateChoroplethOptions = useCallback((changes) => {
+    setChoroplethOptions(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  /**
+   * CLICK EN UNA PROVINCIA: FILTRAR POR ELLA Y ENCUADRARLA
+   */
+  const handleProvinceClick = useCallback((provincia, bounds) => {
+    setFilters(prev => ({ ...prev, provincia: [provincia] }))
+    setViewTarget({ bounds })
+  }, [])
+
+  /**
+   * ENTRAR O SALIR DEL MODO COMPARAR
+   * 
+   * Las herramientas de punto y el mapa de provincias
+   * necesitan el mapa principal: se cierran al entrar
+   */
+  const toggleCompareMode = useCallback(() => {
+    setActiveTool(null)
+    setShowChoropleth(false)
+    setViewTarget(null)
+    setCompareMode(prev => !prev)
+  }, [])
+
+  const toggleChoropleth = useCallback(() => {
+    leaveCompareMode()
+    setShowChoropleth(prev => !prev)
+  }, [leaveCompareMode])
+
+  // Los mapas de la comparación solo actualizan la vista (URL y estadísticas)
+  const handleCompareViewChange = useCallback((viewport) => {
+    setMapView({ center: viewport.center, zoom: viewport.zoom, bbox: viewport.bbox })
+  }, [])
+
+  /**
+   * CAPAS IMPORTADAS (GeoJSON, CSV, KML propios)
+   * 
+   * Se guardan en localStorage (ver hooks/useOverlays.js)
+   */
+  const {
+    overlays,
+    importFiles,
+    importReports,
+    clearImportReports,
+    toggleOverlay,
+    removeOverlay
+  } = useOverlays({ onError: addNotice })
+
+  /**
+   * SINCRONIZACIÓN CON LA URL
+   * 
+   * Atrás/adelante restaura filtros, vista y selección
+   */
+  useUrlState({
+    filters,
+    center: mapView?.center ?? null,
+    zoom: mapView?.zoom ?? null,
+    antena: selectedId
+  }, (restored) => {
+    const view = {
+      center: restored.center ?? config.mapCenter,
+      zoom: restored.zoom ?? config.mapZoom
     }
+    setFilters(prev => ({ ...prev, ...restored.filters }))
+    setSelectedId(restored.antena)
+    setMapView(view)
+    setViewTarget(view)
+  })
 
-    // EJECUTAR CARGA INICIAL
+  /**
+   * CARGA INICIAL DE DATOS
+   * 
+   * Solo las estadísticas globales: las antenas del mapa las carga
+   * useViewportData con la primera vista (una carga inicial aparte
+   * podría pisar a la del viewport si llegara después)
+   * 
+   * Los reintentos ante un arranque en frío ocurren dentro de
+   * loadMapData; si aun así falla, la interfaz se muestra igualmente
+   * con un aviso que permite reintentar sin recargar la página
+   */
+  const initializeData = useCallback(async () => {
+    try {
+      // Estadísticas globales (se actualizan si el cache estaba caducado)
+      const statsData = await loadMapData('/map/stats', { onUpdate: setStats })
+      setStats(statsData)
+      
+    } catch (err) {
+      /**
+       * MANEJO DE ERRORES
+       * 
+       * Captura errores de red, API no disponible, etc.
+       * Proporciona feedback al usuario
+       */
+      console.error('❌ Error loading initial data:', err)
+      addNotice(
+        `No se pudieron cargar las estadísticas de antenas. ${err.message}`,
+        { label: 'Reintentar', onClick: initializeData }
+      )
+    } finally {
+      // FINALIZAR ESTADO DE CARGA INDEPENDIENTEMENTE DEL RESULTADO
+      setLoading(false)
+    }
+  }, [addNotice])
+
+  // EFECTO: EJECUTAR CARGA INICIAL AL MONTAR
+  useEffect(() => {
     initializeData()
-  }, []) // Array de dependencias vacío = solo al montar
+  }, [initializeData])
 
   /**
    * ACTUALIZACIÓN DE FILTROS
@@ -119,64 +442,112 @@ function App() {
    * DATOS FILTRADOS MEMORIZADOS
    * 
    * useMemo evita recalcular los datos filtrados en cada render
-   * Solo se recalcula cuando cambian antenas o los filtros
+   * Solo se recalcula cuando cambian antenas o la selección de filtros
+   * (O dentro de cada filtro, Y entre filtros: ver services/filters.js)
    */
   const filteredAntenas = useMemo(() => {
-    return antenas.filter(antena => {
-      const props = antena.properties || {}
-      
-      // FILTRO POR OPERADOR
-      if (filters.operador && props.operador !== filters.operador) {
-        return false
-      }
-      
-      // FILTRO POR TECNOLOGÍA
-      if (filters.tecnologia && props.tecnologia !== filters.tecnologia) {
-        return false
-      }
-      
-      // SI PASA TODOS LOS FILTROS, INCLUIR EN RESULTADOS
-      return true
-    })
-  }, [antenas, filters.operador, filters.tecnologia])
+    return antenas.filter(antena => matchesFilters(antena.properties, filters))
+  }, [antenas, filters])
 
   /**
-   * MANEJO DE CAMBIO DE VIEWPORT
+   * EXPLORACIÓN DESDE EL PANEL DE ESTADÍSTICAS
    * 
-   * Carga datos específicos para el área visible en el mapa
-   * Implementa lazy loading para mejor rendimiento
+   * highlightMode: Las barras resaltan (highlight) en vez de filtrar
+   * hiddenOperators: Operadores ocultos desde la leyenda (solo en el mapa)
    */
-  const handleViewportChange = useCallback(async (viewport) => {
-    if (!viewport) return
-    
-    try {
-      const { bbox, zoom } = viewport
-      
-      /**
-       * ESTRATEGIA DE CARGA INTELIGENTE
-       * 
-       * - Zoom bajo (<=10): Usa clusters para áreas amplias
-       * - Zoom alto (>10): Muestra antenas individuales
-       */
-      const endpoint = zoom <= 10 ? '/map/clusters' : '/map/antenas'
-      const params = new URLSearchParams({
-        bbox: bbox.join(','),
-        zoom: zoom.toString()
-      })
-      
-      // AÑADIR FILTROS ACTIVOS A LA CONSULTA
-      if (filters.operador) params.append('operador', filters.operador)
-      if (filters.tecnologia) params.append('tecnologia', filters.tecnologia)
-      
-      // CARGAR DATOS ESPECÍFICOS DEL VIEWPORT
-      const data = await loadMapData(`${API_BASE}${endpoint}?${params}`)
-      setAntenas(data.features || [])
-      
-    } catch (err) {
-      console.error('❌ Error updating viewport data:', err)
-      // No mostramos error al usuario para no interrumpir experiencia
+  const [highlightMode, setHighlightMode] = useState(false)
+  const [highlight, setHighlight] = useState(EMPTY_FILTERS)
+  const [hiddenOperators, setHiddenOperators] = useState([])
+
+  const handleStatsValueClick = useCallback((key, value, additive) => {
+    if (highlightMode) {
+      setHighlight(prev => ({ ...prev, [key]: toggleFilterValue(prev[key], value, additive) }))
+    } else {
+      setFilters(prev => ({ ...prev, [key]: toggleFilterValue(prev[key], value, additive) }))
     }
-  }, [filters.operador, filters.tecnologia])
+  }, [highlightMode])
+
+  // Cambiar de modo empieza con el resaltado vacío
+  const handleHighlightModeChange = useCallback((enabled) => {
+    setHighlightMode(enabled)
+    setHighlight(EMPTY_FILTERS)
+  }, [])
+
+  const toggleOperatorVisibility = useCallback((operador) => {
+    setHiddenOperators(prev => prev.includes(operador)
+      ? prev.filter(item => item !== operador)
+      : [...prev, operador])
+  }, [])
+
+  /**
+   * ANTENAS Y CLUSTERS QUE SE PINTAN (sin los operadores ocultos)
+   */
+  const mapAntenas = useMemo(() => (
+    hiddenOperators.length > 0
+      ? filteredAntenas.filter(antena => !hiddenOperators.includes(antena.properties?.operador))
+      : filteredAntenas
+  ), [filteredAntenas, hiddenOperators])
+
+  const mapClusters = useMemo(() => (
+    hiddenOperators.length > 0
+      ? clusters.map(cluster => withoutOperators(cluster, hiddenOperators)).filter(Boolean)
+      : clusters
+  ), [clusters, hiddenOperators])
+
+  const mapHighlight = highlightMode && hasActiveFilters(highlight) ? highlight : null
+
+  /**
+   * ANTENAS REPRESENTADAS EN EL MAPA
+   * 
+   * Los clusters del servidor ya vienen filtrados: cuentan sus antenas
+   */
+  const visibleCount = useMemo(() => (
+    mapClusters.reduce((total, cluster) => total + cluster.properties.count, mapAntenas.length)
+  ), [mapClusters, mapAntenas])
+
+  /**
+   * ANTENAS FILTRADAS DENTRO DEL VIEWPORT (para exportar la vista)
+   * 
+   * Las teselas cargadas cubren algo más que la vista: se recortan al bbox
+   */
+  const viewportAntenas = useMemo(() => {
+    const bbox = mapView?.bbox
+    if (!bbox) return filteredAntenas
+    return filteredAntenas.filter(antena => inBbox(antena.geometry.coordinates, bbox))
+  }, [filteredAntenas, mapView])
+
+  /**
+   * ANTENAS DE LA VISTA QUE SE EXPORTAN (sin los operadores ocultos)
+   */
+  const exportAntenas = useMemo(() => (
+    hiddenOperators.length > 0
+      ? viewportAntenas.filter(antena => !hiddenOperators.includes(antena.properties?.operador))
+      : viewportAntenas
+  ), [viewportAntenas, hiddenOperators])
+
+  /**
+   * VALORES PONDERABLES EN EL MAPA DE CALOR (operadores o tecnologías)
+   */
+  const heatmapWeightValues = useMemo(() => (
+    displayMode === 'heatmap' && heatmapOptions.weightBy !== 'none'
+      ? weightValues(filteredAntenas.concat(clusters), heatmapOptions.weightBy)
+      : []
+  ), [displayMode, heatmapOptions.weightBy, filteredAntenas, clusters])
+
+  /**
+   * ESTADÍSTICAS DEL PANEL LATERAL
+   * 
+   * statsScope: 'global' (toda España) o 'viewport' (vista actual),
+   * en ambos casos con los filtros activos
+   */
+  const [statsScope, setStatsScope] = useState('global')
+  const scopedStats = useScopedStats(statsScope, {
+    globalStats: stats,
+    filters,
+    bbox: mapView?.bbox ?? null,
+    viewportAntenas,
+    clusters
+  })
 
   // ESTADOS DE LA INTERFAZ DE USUARIO
 
@@ -189,22 +560,8 @@ function App() {
       <div className="loading-screen">
         <div className="spinner"></div>
         <p>Cargando mapa de antenas móviles...</p>
-      </div>
-    )
-  }
-
-  /**
-   * ESTADO DE ERROR
-   * Muestra mensaje amigable y opción para reintentar
-   */
-  if (error) {
-    return (
-      <div className="error-screen">
-        <h2>⚠️ Error al cargar el dashboard</h2>
-        <p>{error}</p>
-        <button onClick={() => window.location.reload()}>
-          Reintentar
-        </button>
+        {/* Progreso de reintentos si el servidor está dormido */}
+        <StatusBanner />
       </div>
     )
   }
@@ -222,18 +579,179 @@ function App() {
         stats={stats}
         filters={filters}
         onFilterChange={updateFilters}
-        antenasCount={filteredAntenas.length}
+        antenasCount={visibleCount}
+        updating={viewportLoading}
+        onPlaceSelect={handlePlaceSelect}
+        activeTool={activeTool}
+        onToolToggle={toggleTool}
+        displayMode={displayMode}
+        onDisplayModeChange={setDisplayMode}
+        showChoropleth={showChoropleth}
+        onChoroplethToggle={toggleChoropleth}
+        compareMode={compareMode}
+        onCompareToggle={toggleCompareMode}
+        visibleAntenas={exportAntenas}
+        hiddenOperators={hiddenOperators}
+        onExportError={addNotice}
+        themeMode={themeMode}
+        onThemeModeChange={setThemeMode}
+        palette={palette}
+        onPaletteChange={setPalette}
+        getColor={getColor}
       />
       
-      {/* COMPONENTE DEL MAPA - Ocupa la mayor parte de la pantalla */}
-      <MapContainer 
-        antenas={filteredAntenas}
-        onViewportChange={handleViewportChange}
-        filters={filters}
-      />
+      {/**
+       * COMPONENTE DEL MAPA - Ocupa la mayor parte de la pantalla
+       * 
+       * En el modo comparar, dos mapas sincronizados en su lugar
+       */}
+      {compareMode ? (
+          <CompareView
+            stats={stats}
+            provincia={filters.provincia}
+            initialView={currentView}
+            viewTarget={viewTarget}
+            displayMode={displayMode}
+            heatmapOptions={heatmapOptions}
+            onViewChange={handleCompareViewChange}
+            onError={addNotice}
+            getColor={getColor}
+            basemap={basemap}
+            onBasemapChange={setBasemap}
+          />
+      ) : (
+          <MapContainer 
+            antenas={mapAntenas}
+            clusters={mapClusters}
+            onViewportChange={handleMapViewportChange}
+            filters={filters}
+            initialView={currentView}
+            viewTarget={viewTarget}
+            selectedId={selectedId}
+            selectedAntena={antenaDetail.antena}
+            onSelect={selectAntena}
+            displayMode={displayMode}
+            heatmapOptions={heatmapOptions}
+            onFileDrop={importFiles}
+            highlight={mapHighlight}
+            getColor={getColor}
+            basemap={basemap}
+            onBasemapChange={setBasemap}
+          >
+            {showChoropleth && choropleth.boundaries && choropleth.figures && (
+              <ChoroplethLayer
+                boundaries={choropleth.boundaries}
+                figures={choropleth.figures}
+                breaks={choropleth.breaks}
+                metric={choroplethOptions.metric}
+                shareLabel={choroplethOptions.value}
+                interactive={activeTool === null}
+                onProvinceClick={handleProvinceClick}
+              />
+            )}
+            <OverlayLayer overlays={overlays} antenas={antenas} filters={filters} />
+            {activeTool === 'radius' && (
+              <RadiusSearchLayer
+                center={radiusSearch.center}
+                radius={radiusSearch.radius}
+                highlighted={highlightedAntena}
+                onPick={handleRadiusPick}
+              />
+            )}
+            {activeTool === 'coverage' && (
+              <CoverageReportLayer center={coveragePoint} onPick={setCoveragePoint} />
+            )}
+          </MapContainer>
+      )}
+
+      {/* LEYENDAS: MAPA DE CALOR Y PROVINCIAS (ABAJO A LA DERECHA) */}
+      {(displayMode === 'heatmap' || showChoropleth) && (
+        <div className="map-legends">
+          {showChoropleth && (
+            <ChoroplethPanel
+              options={choroplethOptions}
+              onChange={updateChoroplethOptions}
+              stats={stats}
+              breaks={choropleth.breaks}
+              loading={choropleth.loading}
+              error={choropleth.error}
+              onClose={() => setShowChoropleth(false)}
+            />
+          )}
+          {displayMode === 'heatmap' && (
+            <HeatmapPanel
+              options={heatmapOptions}
+              onChange={updateHeatmapOptions}
+              weightValues={heatmapWeightValues}
+            />
+          )}
+        </div>
+      )}
+
+      {/* CAPAS IMPORTADAS (ABAJO A LA IZQUIERDA DEL MAPA) */}
+      {!compareMode && (
+        <OverlayPanel
+          overlays={overlays}
+          importReports={importReports}
+          onImport={importFiles}
+          onToggle={toggleOverlay}
+          onRemove={removeOverlay}
+          onDismissReports={clearImportReports}
+        />
+      )}
+
+      {/* PANELES DE LAS HERRAMIENTAS (SOBRE EL MAPA) */}
+      {activeTool === 'radius' && (
+        <RadiusSearchPanel
+          center={radiusSearch.center}
+          radius={radiusSearch.radius}
+          onRadiusChange={handleRadiusChange}
+          {...radiusResults}
+          hoveredId={hoveredId}
+          onHover={setHoveredId}
+          onSelect={selectAntena}
+          onClose={() => toggleTool('radius')}
+        />
+      )}
+      {activeTool === 'coverage' && (
+        <CoverageReportPanel
+          center={coveragePoint}
+          {...coverage}
+          searchRadius={TOP_UP_RADIUS}
+          filters={filters}
+          onClose={() => toggleTool('coverage')}
+        />
+      )}
       
+      {/* FICHA DE LA ANTENA SELECCIONADA (IZQUIERDA DEL MAPA) */}
+      {selectedId && !compareMode && (
+        <AntenaDrawer
+          {...antenaDetail}
+          onSelect={(antena) => selectAntena(antena.properties?.id ?? null, antena)}
+          onCenter={centerOnAntena}
+          onClose={() => selectAntena(null)}
+        />
+      )}
+
       {/* PANEL LATERAL DE ESTADÍSTICAS */}
-      <StatsPanel stats={stats} />
+      <StatsPanel
+        {...scopedStats}
+        globalStats={stats}
+        scope={statsScope}
+        onScopeChange={setStatsScope}
+        filters={filters}
+        selection={highlightMode ? highlight : filters}
+        onValueClick={handleStatsValueClick}
+        highlightMode={highlightMode}
+        onHighlightModeChange={handleHighlightModeChange}
+        hiddenOperators={hiddenOperators}
+        onOperatorToggle={toggleOperatorVisibility}
+        getColor={getColor}
+      />
+
+      {/* AVISOS NO BLOQUEANTES SOBRE EL MAPA */}
+      <StatusBanner />
+      <Notices notices={notices} onDismiss={dismissNotice} />
     </div>
   )
 }
@@ -0,0 +1,220 @@
+/**
+ * FICHA LATERAL DE LA ANTENA SELECCIONADA
+ *
+ * Se abre al hacer click en una antena (sustituye al popup):
+ * - Todas las propiedades que devuelve la API, con etiquetas legibles;
+ *   las desconocidas se muestran igualmente con su nombre
+ * - Coordenadas en decimal y en grados, minutos y segundos, copiables
+ * - Emplazamiento más cercano de cada uno de los demás operadores
+ *
+ * Los datos llegan de hooks/useAntenaDetail.js
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { formatDistance, formatDMS, compassPoint } from '../services/geo'
+import { copyText } from '../services/clipboard'
+import config from '../config'
+
+/**
+ * TIEMPO QUE SE MUESTRA LA CONFIRMACIÓN DE COPIA (ms)
+ */
+const COPY_FEEDBACK_DURATION = 2000
+
+/**
+ * PROPIEDADES CONOCIDAS: ETIQUETA Y UNIDAD, EN EL ORDEN EN QUE SE MUESTRAN
+ */
+const KNOWN_PROPERTIES = {
+  operador: { label: 'Operador' },
+  tecnologia: { label: 'Tecnología' },
+  provincia: { label: 'Provincia' },
+  municipio: { label: 'Municipio' },
+  direccion: { label: 'Dirección' },
+  emplazamiento: { label: 'Emplazamiento' },
+  tipo_emplazamiento: { label: 'Tipo de emplazamiento' },
+  frecuencia_mhz: { label: 'Frecuencia', unit: 'MHz' },
+  potencia_w: { label: 'Potencia', unit: 'W' },
+  altura_m: { label: 'Altura', unit: 'm' },
+  azimuts_grados: { label: 'Azimuts', unit: '°' },
+  compartida: { label: 'Compartida con otros operadores' },
+  fecha_alta: { label: 'Fecha de alta' }
+}
+
+/**
+ * PROPIEDADES QUE NO SE LISTAN (internas o ya mostradas aparte)
+ */
+const HIDDEN_PROPERTIES = new Set(['id', 'cluster'])
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.antena - Feature con la ficha completa (null mientras se busca)
+ * @param {boolean} props.detailLoading - Pidiendo la ficha completa
+ * @param {Error|null} props.detailError
+ * @param {Array} props.nearby - Más cercana de cada otro operador (ver nearestByOperator)
+ * @param {boolean} props.nearbyLoading
+ * @param {Error|null} props.nearbyError
+ * @param {Function} props.onSelect - Recibe la antena cercana elegida
+ * @param {Function} props.onCenter - Centra el mapa en la antena
+ * @param {Function} props.onClose - Quita la selección
+ */
+export default function AntenaDrawer({
+  antena,
+  detailLoading,
+  detailError,
+  nearby,
+  nearbyLoading,
+  nearbyError,
+  onSelect,
+  onCenter,
+  onClose
+}) {
+  const [copyStatus, setCopyStatus] = useState(null)
+  const timerRef = useRef(null)
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  // Otra antena: sin la confirmación de la anterior
+  const id = antena?.properties?.id
+  useEffect(() => setCopyStatus(null), [id])
+
+  const props = antena?.properties || {}
+  const [lon, lat] = antena?.geometry?.coordinates ?? []
+  const decimal = lat !== undefined ? `${lat.toFixed(6)}, ${lon.toFixed(6)}` : null
+  const dms = lat !== undefined ? formatDMS(lat, lon) : null
+
+  /**
+   * COPIAR LAS COORDENADAS (decimal y DMS)
+   */
+  const handleCopy = async () => {
+    const copied = await copyText(`${decimal}\n${dms}`)
+    setCopyStatus(copied ? 'copied' : 'failed')
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(() => setCopyStatus(null), COPY_FEEDBACK_DURATION)
+  }
+
+  return (
+    <aside className="antena-drawer" aria-label="Ficha de la antena">
+      <div className="map-panel-header">
+        <h3>📡 {antena ? `Antena ${props.operador || ''}` : 'Antena'}</h3>
+        <button className="map-panel-close" onClick={onClose} aria-label="Cerrar la ficha de la antena">
+          ×
+        </button>
+      </div>
+
+      {!antena && (
+        <p className="map-panel-hint" aria-live="polite">
+          {detailLoading ? 'Cargando la ficha…' : 'La antena no está cargada en la vista actual'}
+        </p>
+      )}
+
+      {antena && (
+        <>
+          {/* PROPIEDADES */}
+          <dl className="antena-properties">
+            {propertyEntries(props).map(({ key, label, value }) => (
+              <div key={key}>
+                <dt>{label}</dt>
+                <dd>{value}</dd>
+              </div>
+            ))}
+          </dl>
+          {detailLoading && <p className="map-panel-hint" aria-live="polite">Cargando la ficha completa…</p>}
+          {detailError && (
+            <p className="map-panel-error">No se pudo cargar la ficha completa. {detailError.message}</p>
+          )}
+
+          {/* COORDENADAS */}
+          <div className="antena-coordinates">
+            <h4>Coordenadas</h4>
+            <p><code>{decimal}</code></p>
+            <p><code>{dms}</code></p>
+            <div className="antena-actions">
+              <button className="copy-report" onClick={handleCopy}>
+                {copyStatus === 'copied' ? '✅ Copiado' : copyStatus === 'failed' ? '❌ No se pudo copiar' : '📋 Copiar'}
+              </button>
+              <button className="tool-toggle" onClick={() => onCenter(antena)}>
+                🎯 Centrar en el mapa
+              </button>
+            </div>
+          </div>
+
+          {/* EMPLAZAMIENTOS CERCANOS DE OTROS OPERADORES */}
+          <div className="antena-nearby">
+            <h4>Otros operadores cerca</h4>
+            {nearbyLoading && <p className="map-panel-hint" aria-live="polite">Buscando…</p>}
+            {nearbyError && (
+              <p className="map-panel-error">No se pudieron buscar antenas cercanas. {nearbyError.message}</p>
+            )}
+            {!nearbyLoading && !nearbyError && nearby.length === 0 && (
+              <p className="map-panel-hint">
+                Ningún otro operador a menos de {formatDistance(config.maxSearchRadius)}
+              </p>
+            )}
+            <ol className="radius-results">
+              {nearby.map(({ operador, antena: site, distance, bearing }) => (
+                <li key={operador}>
+                  <button onClick={() => onSelect(site)}>
+                    <span className="radius-result-distance">{formatDistance(distance)} {compassPoint(bearing)}</span>
+                    <span className="radius-result-operator">{operador}</span>
+                    <span className="radius-result-technology">{site.properties?.tecnologia || 'N/A'}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </>
+      )}
+    </aside>
+  )
+}
+
+/**
+ * PROPIEDADES EN ORDEN: CONOCIDAS PRIMERO, LUEGO EL RESTO POR NOMBRE
+ */
+function propertyEntries(properties) {
+  const known = Object.keys(KNOWN_PROPERTIES).filter(key => key in properties)
+  const others = Object.keys(properties)
+    .filter(key => !(key in KNOWN_PROPERTIES) && !HIDDEN_PROPERTIES.has(key))
+    .sort((a, b) => a.localeCompare(b, 'es'))
+
+  return known.concat(others)
+    .filter(key => properties[key] !== null && properties[key] !== undefined && properties[key] !== '')
+    .map(key => ({
+      key,
+      label: KNOWN_PROPERTIES[key]?.label ?? humanize(key),
+      value: formatValue(properties[key], KNOWN_PROPERTIES[key]?.unit)
+    }))
+}
+
+/**
+ * "fecha_ultima_revision" → "Fecha ultima revision"
+ */
+function humanize(key) {
+  const text = key.replace(/[_-]+/g, ' ').trim()
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+/**
+ * VALOR LEGIBLE
+ *
+ * - Booleanos: Sí / No
+ * - Números: separador de miles y unidad
+ * - Fechas ISO: formato español
+ * - Listas: separadas por comas
+ * - Objetos: JSON compacto
+ */
+function formatValue(value, unit) {
+  const withUnit = (text) => unit ? `${text}${unit === '°' ? '' : ' '}${unit}` : text
+
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No'
+  if (typeof value === 'number') return withUnit(value.toLocaleString('es-ES'))
+  if (Array.isArray(value)) return value.map(item => formatValue(item, unit)).join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(value)) {
+    const date = new Date(value.length === 10 ? `${value}T00:00:00` : value)
+    if (!Number.isNaN(date.getTime())) {
+      return date.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' })
+    }
+  }
+  return withUnit(String(value))
+}
@@ -0,0 +1,60 @@
+/**
+ * SELECTOR DE MAPA BASE
+ *
+ * Control de capas de Leaflet con los mapas base de services/basemaps.js
+ * Controlado desde fuera: la elección vive en hooks/useBasemap.js, así
+ * los dos mapas del modo comparar cambian a la vez
+ */
+
+import React, { useRef } from 'react'
+import { LayersControl, TileLayer, WMSTileLayer, useMapEvents } from 'react-leaflet'
+import { BASEMAPS } from '../services/basemaps'
+
+/**
+ * ZOOM MÁXIMO DEL MAPA (por encima del de cada capa se amplían sus teselas)
+ */
+const MAX_ZOOM = 19
+
+/**
+ * @param {Object} props
+ * @param {string} props.basemap - Clave del mapa base activo
+ * @param {Function} props.onChange - Recibe la clave elegida en el control
+ */
+export default function BasemapControl({ basemap, onChange }) {
+  // Leaflet también avisa cuando la capa cambia por props (p. ej. con el
+  // tema): solo es una elección si difiere del mapa base ya renderizado
+  const basemapRef = useRef(basemap)
+  basemapRef.current = basemap
+
+  useMapEvents({
+    baselayerchange: (event) => {
+      const chosen = BASEMAPS.find(item => item.name === event.name)
+      if (chosen && chosen.key !== basemapRef.current) onChange(chosen.key)
+    }
+  })
+
+  return (
+    <LayersControl position="topleft">
+      {BASEMAPS.map(item => (
+        <LayersControl.BaseLayer key={item.key} name={item.name} checked={item.key === basemap}>
+          {item.type === 'wms' ? (
+            <WMSTileLayer
+              url={item.url}
+              params={{ layers: item.layers, format: 'image/png', transparent: false }}
+              attribution={item.attribution}
+              maxZoom={MAX_ZOOM}
+              maxNativeZoom={item.maxNativeZoom}
+            />
+          ) : (
+            <TileLayer
+              url={item.url}
+              attribution={item.attribution}
+              maxZoom={MAX_ZOOM}
+              maxNativeZoom={item.maxNativeZoom}
+            />
+          )}
+        </LayersControl.BaseLayer>
+      ))}
+    </LayersControl>
+  )
+}
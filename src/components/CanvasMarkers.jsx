@@ -0,0 +1,99 @@
+/**
+ * CAPA DE ANTENAS SOBRE CANVAS
+ *
+ * Modo de alto volumen: todas las antenas se dibujan en un único
+ * <canvas> (L.canvas) en lugar de un elemento DOM por marcador
+ *
+ * - El renderer de Leaflet resuelve el hit-testing, así que los
+ *   clicks siguen llegando a la antena concreta
+ * - Las capas se crean de forma imperativa: React no reconcilia
+ *   miles de nodos en cada cambio de vista
+ */
+
+import { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+
+/**
+ * ESTILO DEL PUNTO
+ *
+ * Equivale al icono DOM: círculo de 12px con borde blanco de 2px
+ */
+const MARKER_STYLE = {
+  radius: 6,
+  color: '#ffffff',
+  weight: 2,
+  fillOpacity: 1
+}
+
+/**
+ * ESTILO DE LOS PUNTOS ATENUADOS (modo resaltar)
+ */
+const DIMMED_STYLE = {
+  opacity: 0.25,
+  fillOpacity: 0.25
+}
+
+/**
+ * @param {Object} props
+ * @param {Array} props.antenas - Antenas individuales (sin clusters)
+ * @param {Function} props.getColor - Operador → color de relleno
+ * @param {Function} [props.isDimmed] - Antena → se dibuja atenuada
+ * @param {Function} props.onSelect - Recibe la antena pulsada
+ */
+export default function CanvasMarkers({ antenas, getColor, isDimmed = () => false, onSelect }) {
+  const map = useMap()
+  const groupRef = useRef(null)
+  const rendererRef = useRef(null)
+
+  // Por referencia: cambiar el callback no redibuja el canvas
+  const onSelectRef = useRef(onSelect)
+  onSelectRef.current = onSelect
+
+  /**
+   * CREAR RENDERER Y GRUPO UNA SOLA VEZ
+   *
+   * tolerance amplía el área de click alrededor de cada punto
+   */
+  useEffect(() => {
+    const renderer = L.canvas({ padding: 0.5, tolerance: 4 })
+    const group = L.featureGroup().addTo(map)
+
+    group.on('click', (event) => {
+      onSelectRef.current?.(event.layer.feature)
+    })
+
+    rendererRef.current = renderer
+    groupRef.current = group
+
+    return () => {
+      group.off()
+      group.remove()
+      renderer.remove()
+    }
+  }, [map])
+
+  /**
+   * REDIBUJAR CUANDO CAMBIAN LAS ANTENAS
+   */
+  useEffect(() => {
+    const group = groupRef.current
+    if (!group) return
+
+    group.clearLayers()
+    antenas.forEach(antena => {
+      const [lon, lat] = antena.geometry.coordinates
+      const marker = L.circleMarker([lat, lon], {
+        ...MARKER_STYLE,
+        ...(isDimmed(antena) ? DIMMED_STYLE : {}),
+        renderer: rendererRef.current,
+        fillColor: getColor(antena.properties?.operador)
+      })
+      marker.feature = antena
+      group.addLayer(marker)
+    })
+  }, [antenas, getColor, isDimmed])
+
+  // Capa imperativa: no renderiza nada en React
+  return null
+}
@@ -0,0 +1,114 @@
+/**
+ * CAPA DE COROPLETAS POR PROVINCIA
+ *
+ * Colorea cada provincia según la métrica elegida (ver hooks/useChoropleth.js)
+ * - Al pasar el ratón: resalta el contorno y muestra sus cifras
+ * - Click: filtra por esa provincia y encuadra el mapa en ella
+ *
+ * Con una herramienta de punto activa la capa no es interactiva:
+ * el click tiene que llegar al mapa
+ */
+
+import React, { useRef, useCallback, useMemo } from 'react'
+import { GeoJSON } from 'react-leaflet'
+import L from 'leaflet'
+import { metricValue, choroplethColor, formatMetric } from '../services/provinces'
+
+/**
+ * ESTILOS DE LOS CONTORNOS
+ *
+ * El color del resaltado lo pone styles.css (HOVER_CLASS) con la
+ * variable del tema: un color fijo no se vería en el tema oscuro
+ */
+const BASE_STYLE = { weight: 1, color: '#ffffff', opacity: 1, fillOpacity: 0.65 }
+const HOVER_STYLE = { weight: 3 }
+const HOVER_CLASS = 'choropleth-hover'
+
+/**
+ * @param {Object} props
+ * @param {Object} props.boundaries - FeatureCollection de límites provinciales
+ * @param {Map} props.figures - Cifras por provincia (ver provinceFigures)
+ * @param {number[]} props.breaks - Cortes de color
+ * @param {string} props.metric - 'count', 'share' o 'density'
+ * @param {string} [props.shareLabel] - Operador o tecnología de la cuota
+ * @param {boolean} props.interactive - Hover y click activos
+ * @param {Function} props.onProvinceClick - Recibe (nombre de la API, [[sur, oeste], [norte, este]])
+ */
+export default function ChoroplethLayer({
+  boundaries,
+  figures,
+  breaks,
+  metric,
+  shareLabel,
+  interactive,
+  onProvinceClick
+}) {
+  const style = useCallback((feature) => ({
+    ...BASE_STYLE,
+    fillColor: choroplethColor(metricValue(figures.get(feature.properties.nombre), metric), breaks)
+  }), [figures, breaks, metric])
+
+  // Los manejadores de Leaflet se crean una vez: leen lo último por referencia
+  const latestRef = useRef({})
+  latestRef.current = { style, figures, metric, shareLabel, onProvinceClick }
+
+  const onEachFeature = useCallback((feature, layer) => {
+    layer.bindTooltip(() => {
+      const { figures, metric, shareLabel } = latestRef.current
+      return tooltipHtml(figures.get(feature.properties.nombre), metric, shareLabel)
+    }, { sticky: true, className: 'choropleth-tooltip' })
+  }, [])
+
+  const eventHandlers = useMemo(() => ({
+    mouseover: (event) => {
+      event.layer.setStyle(HOVER_STYLE)
+      L.DomUtil.addClass(event.layer.getElement(), HOVER_CLASS)
+      event.layer.bringToFront()
+    },
+    mouseout: (event) => {
+      event.layer.setStyle(latestRef.current.style(event.layer.feature))
+      L.DomUtil.removeClass(event.layer.getElement(), HOVER_CLASS)
+    },
+    click: (event) => {
+      const { figures, onProvinceClick } = latestRef.current
+      const figure = figures.get(event.layer.feature.properties.nombre)
+      const bounds = event.layer.getBounds()
+      onProvinceClick(figure?.apiName ?? event.layer.feature.properties.nombre, [
+        [bounds.getSouth(), bounds.getWest()],
+        [bounds.getNorth(), bounds.getEast()]
+      ])
+    }
+  }), [])
+
+  return (
+    <GeoJSON
+      key={interactive ? 'interactive' : 'static'}
+      data={boundaries}
+      style={style}
+      interactive={interactive}
+      bubblingMouseEvents={false}
+      attribution='Límites: &copy; <a href="https://www.ign.es">Instituto Geográfico Nacional</a>'
+      onEachFeature={interactive ? onEachFeature : undefined}
+      eventHandlers={interactive ? eventHandlers : undefined}
+    />
+  )
+}
+
+/**
+ * CONTENIDO DEL TOOLTIP DE UNA PROVINCIA
+ *
+ * Los nombres vienen de los límites empaquetados, no de la API
+ */
+function tooltipHtml(figure, metric, shareLabel) {
+  if (!figure) return ''
+
+  const lines = [
+    `<strong>${figure.nombre}</strong>`,
+    `${formatMetric(figure.total, 'count')} antenas`,
+    `${formatMetric(figure.total > 0 ? figure.density : null, 'density')} · ${figure.km2.toLocaleString('es-ES')} km²`
+  ]
+  if (metric === 'share' && shareLabel) {
+    lines.push(`${shareLabel}: ${formatMetric(figure.subset, 'count')} (${formatMetric(figure.share, 'share')})`)
+  }
+  return lines.join('<br>')
+}
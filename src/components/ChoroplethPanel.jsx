@@ -0,0 +1,120 @@
+/**
+ * CONTROLES Y LEYENDA DEL MAPA DE COROPLETAS
+ *
+ * - Métrica: número de antenas, cuota de un operador o tecnología,
+ *   o antenas por km²
+ * - Leyenda con los rangos de cada color (cuantiles)
+ *
+ * Las cifras son las de /map/stats: no dependen de los filtros activos
+ */
+
+import React from 'react'
+import {
+  CHOROPLETH_METRICS,
+  CHOROPLETH_COLORS,
+  NO_DATA_COLOR,
+  formatMetric
+} from '../services/provinces'
+
+/**
+ * DIMENSIONES PARA LA CUOTA
+ */
+const SHARE_DIMENSIONS = [
+  { value: 'operador', label: 'Operador', statsKey: 'por_operador' },
+  { value: 'tecnologia', label: 'Tecnología', statsKey: 'por_tecnologia' }
+]
+
+/**
+ * @param {Object} props
+ * @param {{metric: string, dimension: string, value: string|null}} props.options
+ * @param {Function} props.onChange - Recibe los campos de options que cambian
+ * @param {Object|null} props.stats - /map/stats global (valores disponibles para la cuota)
+ * @param {number[]} props.breaks - Cortes de color
+ * @param {boolean} props.loading - Cargando límites o cuota
+ * @param {Error|null} props.error
+ * @param {Function} props.onClose - Oculta la capa
+ */
+export default function ChoroplethPanel({ options, onChange, stats, breaks, loading, error, onClose }) {
+  const { metric, dimension, value } = options
+  const dimensionInfo = SHARE_DIMENSIONS.find(item => item.value === dimension)
+  const values = Object.keys(stats?.[dimensionInfo.statsKey] || {})
+    .sort((a, b) => a.localeCompare(b, 'es', { numeric: true }))
+
+  /**
+   * RANGOS DE LA LEYENDA: "< a", "a – b", …, "≥ z"
+   */
+  const ranges = CHOROPLETH_COLORS.slice(0, breaks.length + 1).map((color, index) => {
+    const from = breaks[index - 1]
+    const to = breaks[index]
+    const label = index === 0
+      ? `< ${formatMetric(to, metric)}`
+      : index === breaks.length
+        ? `≥ ${formatMetric(from, metric)}`
+        : `${formatMetric(from, metric)} – ${formatMetric(to, metric)}`
+    return { color, label: breaks.length === 0 ? 'Todas' : label }
+  })
+
+  return (
+    <aside className="legend-panel choropleth-panel" aria-label="Mapa de provincias">
+      <div className="map-panel-header">
+        <h3>🗺️ Provincias</h3>
+        <button className="map-panel-close" onClick={onClose} aria-label="Ocultar el mapa de provincias">
+          ×
+        </button>
+      </div>
+
+      <label className="legend-control">
+        <span>Colorear por</span>
+        <select value={metric} onChange={(event) => onChange({ metric: event.target.value })}>
+          {Object.entries(CHOROPLETH_METRICS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* OPERADOR O TECNOLOGÍA DE LA CUOTA */}
+      {metric === 'share' && (
+        <div className="choropleth-share">
+          <select
+            value={dimension}
+            onChange={(event) => onChange({ dimension: event.target.value, value: null })}
+            aria-label="Cuota de"
+          >
+            {SHARE_DIMENSIONS.map(item => (
+              <option key={item.value} value={item.value}>{item.label}</option>
+            ))}
+          </select>
+          <select
+            value={value ?? ''}
+            onChange={(event) => onChange({ value: event.target.value || null })}
+            aria-label={dimensionInfo.label}
+          >
+            <option value="">Elige…</option>
+            {values.map(item => <option key={item} value={item}>{item}</option>)}
+          </select>
+        </div>
+      )}
+
+      {loading && <p className="map-panel-hint" aria-live="polite">Cargando…</p>}
+      {error && <p className="map-panel-error">{error.message}</p>}
+
+      {/* LEYENDA */}
+      <ul className="choropleth-legend">
+        {ranges.map(range => (
+          <li key={range.color}>
+            <span className="choropleth-swatch" style={{ background: range.color }} />
+            {range.label}
+          </li>
+        ))}
+        <li>
+          <span className="choropleth-swatch" style={{ background: NO_DATA_COLOR }} />
+          Sin datos
+        </li>
+      </ul>
+
+      <p className="map-panel-hint">
+        Totales nacionales, sin los filtros activos. Click en una provincia para filtrar por ella
+      </p>
+    </aside>
+  )
+}
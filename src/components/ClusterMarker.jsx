@@ -0,0 +1,166 @@
+/**
+ * MARCADOR DE CLUSTER
+ *
+ * Representa un grupo de antenas, tanto los agregados del servidor
+ * (/map/clusters) como los del agrupamiento en el navegador:
+ * - Burbuja con el recuento, de tamaño logarítmico
+ * - Opcionalmente, donut con el reparto por operador (VITE_CLUSTER_STYLE)
+ * - Click: acerca el mapa a la extensión del cluster
+ * - Al pasar el ratón: popup con el desglose por operador y tecnología
+ */
+
+import React, { useMemo } from 'react'
+import { Marker, Popup, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import config from '../config'
+
+/**
+ * MARGEN AL ENCUADRAR LA EXTENSIÓN DEL CLUSTER (px)
+ */
+const FIT_PADDING = [40, 40]
+
+/**
+ * @param {Object} props
+ * @param {Object} props.cluster - Feature de cluster normalizada (ver services/features.js)
+ * @param {Function} props.getColor - Operador → color
+ * @param {boolean} [props.dimmed] - Atenuado: no contiene antenas resaltadas
+ */
+export default function ClusterMarker({ cluster, getColor, dimmed = false }) {
+  const map = useMap()
+  const props = cluster.properties
+  const [lon, lat] = cluster.geometry.coordinates
+
+  const icon = useMemo(
+    () => createClusterIcon(props.count, props.por_operador, getColor, dimmed),
+    [props.count, props.por_operador, getColor, dimmed]
+  )
+
+  /**
+   * ACERCAR A LA EXTENSIÓN DEL CLUSTER
+   *
+   * Siempre al menos un nivel más de zoom; si la extensión
+   * es un único punto se acerca dos niveles sobre él
+   */
+  const zoomToExtent = () => {
+    const [west, south, east, north] = props.bbox
+    const bounds = L.latLngBounds([south, west], [north, east])
+    const current = map.getZoom()
+    const maxZoom = map.getMaxZoom()
+
+    const target = west === east && south === north
+      ? current + 2
+      : Math.max(current + 1, map.getBoundsZoom(bounds, false, L.point(FIT_PADDING)))
+
+    map.setView(bounds.getCenter(), Math.min(target, maxZoom))
+  }
+
+  return (
+    <Marker
+      position={[lat, lon]}
+      icon={icon}
+      eventHandlers={{
+        // El popup se abre al pasar el ratón: el click está reservado al zoom
+        click: (event) => {
+          event.target.closePopup()
+          zoomToExtent()
+        },
+        mouseover: (event) => event.target.openPopup(),
+        mouseout: (event) => event.target.closePopup()
+      }}
+    >
+      <Popup closeButton={false} autoPan={false}>
+        <div className="popup-content">
+          <h3>{props.count.toLocaleString()} antenas en esta zona</h3>
+          <Breakdown title="Operadores" counts={props.por_operador} />
+          <Breakdown title="Tecnologías" counts={props.por_tecnologia} />
+          <p className="cluster-hint">Haz click para acercar</p>
+        </div>
+      </Popup>
+    </Marker>
+  )
+}
+
+/**
+ * ICONO DE CLUSTER
+ *
+ * - bubble: Borde del color del operador mayoritario
+ * - donut: Anillo con un sector por operador (conic-gradient)
+ * - dimmed: Semitransparente (modo resaltar)
+ */
+function createClusterIcon(count, porOperador, getColor, dimmed) {
+  const size = Math.round(28 + Math.min(24, Math.log10(Math.max(1, count)) * 8))
+  const ring = config.clusterStyle === 'donut'
+    ? `background: ${donutGradient(porOperador, getColor)}; border: none;`
+    : `border-color: ${getColor(dominantKey(porOperador))};`
+
+  return L.divIcon({
+    className: dimmed ? 'cluster-marker cluster-dimmed' : 'cluster-marker',
+    html: `
+      <div class="cluster-bubble cluster-${config.clusterStyle}" style="
+        width: ${size}px;
+        height: ${size}px;
+        ${ring}
+      "><span>${formatCount(count)}</span></div>
+    `,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  })
+}
+
+/**
+ * SECTORES DEL DONUT EN PORCENTAJE ACUMULADO
+ */
+function donutGradient(porOperador, getColor) {
+  const entries = Object.entries(porOperador || {}).sort((a, b) => b[1] - a[1])
+  const total = entries.reduce((sum, [, count]) => sum + count, 0)
+  if (!total) return getColor(null)
+
+  let start = 0
+  const stops = entries.map(([operador, count]) => {
+    const end = start + count / total * 100
+    const stop = `${getColor(operador)} ${start.toFixed(2)}% ${end.toFixed(2)}%`
+    start = end
+    return stop
+  })
+  return `conic-gradient(${stops.join(', ')})`
+}
+
+/**
+ * DESGLOSE DE UN CLUSTER
+ *
+ * Lista ordenada de mayor a menor recuento
+ */
+function Breakdown({ title, counts }) {
+  const entries = Object.entries(counts || {}).sort((a, b) => b[1] - a[1])
+  if (!entries.length) return null
+
+  return (
+    <div className="cluster-breakdown">
+      <strong>{title}:</strong>
+      <ul>
+        {entries.map(([name, count]) => (
+          <li key={name}>{name}: {count.toLocaleString()}</li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+/**
+ * CLAVE CON MAYOR RECUENTO
+ */
+function dominantKey(counts) {
+  let best = null
+  for (const key in counts || {}) {
+    if (best === null || counts[key] > counts[best]) best = key
+  }
+  return best
+}
+
+/**
+ * RECUENTO COMPACTO PARA LA BURBUJA (1.2k, 15k)
+ */
+function formatCount(count) {
+  if (count < 1000) return String(count)
+  return count < 10000 ? `${(count / 1000).toFixed(1)}k` : `${Math.round(count / 1000)}k`
+}
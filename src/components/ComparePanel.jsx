@@ -0,0 +1,103 @@
+/**
+ * PANEL DE DIFERENCIAS DEL MODO COMPARAR
+ *
+ * Cifras de cada lado dentro de la vista compartida y la diferencia B − A:
+ * - Antenas
+ * - Cuota de 5G sobre las antenas del lado
+ * - Densidad (antenas por km² de la vista)
+ */
+
+import React from 'react'
+import { formatMetric } from '../services/provinces'
+
+/**
+ * TECNOLOGÍA CUYA CUOTA SE COMPARA
+ */
+const SHARE_TECHNOLOGY = '5G'
+
+/**
+ * @param {Object} props
+ * @param {Array<{label: string, stats: Object|null, loading: boolean, approximate: boolean}>} props.sides - Lados A y B (ver hooks/useScopedStats.js)
+ * @param {number|null} props.areaKm2 - Superficie de la vista compartida
+ */
+export default function ComparePanel({ sides, areaKm2 }) {
+  const figures = sides.map(side => sideFigures(side.stats, areaKm2))
+  const [a, b] = figures
+
+  const rows = [
+    { key: 'count', label: 'Antenas', metric: 'count' },
+    { key: 'share', label: `Cuota ${SHARE_TECHNOLOGY}`, metric: 'share' },
+    { key: 'density', label: 'Densidad', metric: 'density' }
+  ]
+
+  const approximate = sides.some(side => side.approximate)
+  const loading = sides.some(side => side.loading)
+
+  return (
+    <aside className="compare-panel" aria-label="Diferencias entre los dos lados">
+      <table>
+        <thead>
+          <tr>
+            <td />
+            {sides.map(side => <th key={side.label} scope="col">{side.label}</th>)}
+            <th scope="col">B − A</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key}>
+              <th scope="row">{row.label}</th>
+              {figures.map((figure, index) => (
+                <td key={sides[index].label}>{formatMetric(figure?.[row.key] ?? null, row.metric)}</td>
+              ))}
+              <td className={deltaClass(a?.[row.key], b?.[row.key])}>
+                {formatDelta(a?.[row.key], b?.[row.key], row.metric)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {(loading || approximate) && (
+        <p className="map-panel-hint" aria-live="polite">
+          {loading ? 'Actualizando…' : '≈ Cifras calculadas con las antenas cargadas en el mapa'}
+        </p>
+      )}
+    </aside>
+  )
+}
+
+/**
+ * CIFRAS DE UN LADO (null mientras no hay estadísticas)
+ */
+function sideFigures(stats, areaKm2) {
+  if (!stats) return null
+  const total = stats.total_antenas || 0
+  return {
+    count: total,
+    share: total > 0 ? (stats.por_tecnologia?.[SHARE_TECHNOLOGY] || 0) / total : null,
+    density: areaKm2 > 0 ? total / areaKm2 : null
+  }
+}
+
+/**
+ * DIFERENCIA CON SIGNO: "+120", "−3,5 pp", "+0,42 /km²"
+ *
+ * La cuota se compara en puntos porcentuales
+ */
+function formatDelta(a, b, metric) {
+  if (a === null || a === undefined || b === null || b === undefined) return '–'
+  const delta = b - a
+  const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±'
+  const value = Math.abs(delta)
+
+  if (metric === 'share') {
+    return `${sign}${(value * 100).toLocaleString('es-ES', { maximumFractionDigits: 1 })} pp`
+  }
+  return `${sign}${formatMetric(value, metric)}`
+}
+
+function deltaClass(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined || a === b) return 'compare-delta'
+  return b > a ? 'compare-delta compare-delta-up' : 'compare-delta compare-delta-down'
+}
@@ -0,0 +1,167 @@
+/**
+ * MODO COMPARAR: DOS MAPAS SINCRONIZADOS
+ *
+ * Sustituye al mapa principal por dos mapas lado a lado
+ * que se mueven a la vez (ver MapSync.jsx):
+ * - Cada lado tiene su propio filtro de operador y tecnología;
+ *   el de provincia es el del filtro general
+ * - Cada lado carga sus datos con la misma tubería que el mapa
+ *   principal (ver hooks/useCompareSide.js)
+ * - Un panel muestra las diferencias dentro de la vista compartida
+ */
+
+import React, { useState, useRef, useMemo, useCallback } from 'react'
+import MapContainer from './MapContainer'
+import MultiSelectFilter from './MultiSelectFilter'
+import MapSync, { createSyncGroup } from './MapSync'
+import ComparePanel from './ComparePanel'
+import useCompareSide from '../hooks/useCompareSide'
+import { filterOptions } from '../services/filters'
+import { bboxAreaKm2 } from '../services/geo'
+
+/**
+ * FILTROS PROPIOS DE CADA LADO
+ */
+const SIDE_FILTERS = [
+  { key: 'operador', label: 'Operador', allLabel: 'Todos los operadores', statsKey: 'por_operador', sort: 'count' },
+  { key: 'tecnologia', label: 'Tecnología', allLabel: 'Todas las tecnologías', statsKey: 'por_tecnologia', sort: 'name' }
+]
+
+/**
+ * SELECCIÓN INICIAL: LOS DOS OPERADORES CON MÁS ANTENAS
+ */
+function initialSelection(stats) {
+  const [first, second] = Object.entries(stats?.por_operador || {})
+    .sort(([, a], [, b]) => b - a)
+    .map(([operador]) => operador)
+
+  return [
+    { operador: first ? [first] : [], tecnologia: [] },
+    { operador: second ? [second] : [], tecnologia: [] }
+  ]
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.stats - /map/stats global (opciones de los filtros)
+ * @param {string[]} props.provincia - Filtro general de provincia, común a ambos lados
+ * @param {{center: number[], zoom: number}} props.initialView - Vista al entrar en el modo
+ * @param {Object|null} props.viewTarget - Vista a la que mover los mapas (buscador, historial)
+ * @param {'markers'|'clusters'|'heatmap'} props.displayMode - Representación de las antenas
+ * @param {Object} props.heatmapOptions - Opciones del mapa de calor
+ * @param {Function} props.onViewChange - Recibe { bbox, center, zoom } de la vista compartida
+ * @param {Function} props.onError - Recibe los errores de carga
+ * @param {Function} props.getColor - Operador → color (ver services/palette.js)
+ * @param {string} props.basemap - Mapa base de ambos lados
+ * @param {Function} props.onBasemapChange - Recibe el mapa base elegido en cualquiera de los dos
+ */
+export default function CompareView({
+  stats,
+  provincia,
+  initialView,
+  viewTarget,
+  displayMode,
+  heatmapOptions,
+  onViewChange,
+  onError,
+  getColor,
+  basemap,
+  onBasemapChange
+}) {
+  const syncGroupRef = useRef(null)
+  if (!syncGroupRef.current) syncGroupRef.current = createSyncGroup()
+
+  const [selection, setSelection] = useState(() => initialSelection(stats))
+  const [bbox, setBbox] = useState(null)
+
+  const handleError = useCallback((err) => {
+    onError(`No se pudieron cargar las antenas de esta zona. ${err.message}`)
+  }, [onError])
+
+  /**
+   * FILTROS COMPLETOS DE CADA LADO
+   */
+  const filtersA = useMemo(() => ({ ...selection[0], provincia }), [selection, provincia])
+  const filtersB = useMemo(() => ({ ...selection[1], provincia }), [selection, provincia])
+
+  const sideA = useCompareSide(filtersA, { bbox, globalStats: stats, onError: handleError })
+  const sideB = useCompareSide(filtersB, { bbox, globalStats: stats, onError: handleError })
+
+  /**
+   * CAMBIO DE VISTA
+   *
+   * Los mapas están sincronizados: basta con que el lado A
+   * informe de la vista compartida
+   */
+  const { handleViewportChange: loadA } = sideA
+  const { handleViewportChange: loadB } = sideB
+
+  const handleViewportA = useCallback((viewport) => {
+    loadA(viewport)
+    setBbox(viewport.bbox)
+    onViewChange(viewport)
+  }, [loadA, onViewChange])
+
+  const updateSide = (index, key, values) => {
+    setSelection(prev => prev.map((side, i) => i === index ? { ...side, [key]: values } : side))
+  }
+
+  // Solo el lado A obedece a viewTarget: el B lo sigue por la sincronización
+  const sides = [
+    { label: 'A', side: sideA, filters: filtersA, onViewportChange: handleViewportA, target: viewTarget },
+    { label: 'B', side: sideB, filters: filtersB, onViewportChange: loadB, target: null }
+  ]
+
+  return (
+    <div className="compare-view">
+      {sides.map(({ label, side, filters, onViewportChange, target }, index) => (
+        <section key={label} className="compare-side" aria-label={`Lado ${label}`}>
+          {/* FILTROS DEL LADO */}
+          <div className="compare-side-header">
+            <strong className="compare-side-label">{label}</strong>
+            {SIDE_FILTERS.map(filter => (
+              <MultiSelectFilter
+                key={filter.key}
+                id={`compare-${label}-${filter.key}`}
+                label={filter.label}
+                allLabel={filter.allLabel}
+                options={filterOptions(stats?.[filter.statsKey], filter.sort, filters[filter.key])}
+                selected={filters[filter.key]}
+                onChange={(values) => updateSide(index, filter.key, values)}
+              />
+            ))}
+            {side.viewportLoading && (
+              <span className="updating-indicator" aria-live="polite">actualizando…</span>
+            )}
+          </div>
+
+          <MapContainer
+            antenas={side.antenas}
+            clusters={side.clusters}
+            onViewportChange={onViewportChange}
+            filters={filters}
+            initialView={initialView}
+            viewTarget={target}
+            displayMode={displayMode}
+            heatmapOptions={heatmapOptions}
+            getColor={getColor}
+            basemap={basemap}
+            onBasemapChange={onBasemapChange}
+          >
+            <MapSync group={syncGroupRef.current} />
+          </MapContainer>
+        </section>
+      ))}
+
+      <ComparePanel
+        sides={sides.map(({ label, side }) => ({
+          label,
+          stats: side.stats,
+          loading: side.statsLoading,
+          approximate: side.approximate
+        }))}
+        areaKm2={bbox ? bboxAreaKm2(bbox) : null}
+      />
+    </div>
+  )
+}
@@ -1,56 +1,188 @@
 /**
  * COMPONENTE DE CONTROLES Y FILTROS
- * 
+ *
  * Panel superior con filtros interactivos y información del estado
- * Permite filtrar antenas por operador y tecnología
+ * Permite filtrar antenas por operador, tecnología y provincia,
+ * con varios valores en cada filtro (ver services/filters.js)
  */
 
 import React from 'react'
+import MultiSelectFilter from './MultiSelectFilter'
+import PlaceSearch from './PlaceSearch'
+import ExportMenu from './ExportMenu'
+import { EMPTY_FILTERS, hasActiveFilters, filterOptions } from '../services/filters'
+import { PALETTE_OPTIONS } from '../services/palette'
+
+/**
+ * DEFINICIÓN DE LOS FILTROS
+ *
+ * - key: Clave en filters y en properties de la antena
+ * - statsKey: Desglose de /map/stats que aporta las opciones
+ * - sort: Orden de las opciones
+ */
+const FILTERS = [
+  { key: 'operador', label: 'Operador', allLabel: 'Todos los operadores', statsKey: 'por_operador', sort: 'count' },
+  { key: 'tecnologia', label: 'Tecnología', allLabel: 'Todas las tecnologías', statsKey: 'por_tecnologia', sort: 'name' },
+  { key: 'provincia', label: 'Provincia', allLabel: 'Todas las provincias', statsKey: 'por_provincia', sort: 'name' }
+]
+
+/**
+ * HERRAMIENTAS QUE TRABAJAN SOBRE UN PUNTO DEL MAPA
+ */
+const TOOLS = [
+  { key: 'radius', label: '📍 Buscar en radio', title: 'Listar las antenas alrededor de un punto del mapa' },
+  { key: 'coverage', label: '📊 Informe de cobertura', title: 'Antena más cercana de cada operador y tecnología en un punto' }
+]
+
+/**
+ * REPRESENTACIONES DE LAS ANTENAS EN EL MAPA
+ */
+const DISPLAY_MODES = [
+  { key: 'markers', label: 'Marcadores', title: 'Cada antena por separado, sin agrupar' },
+  { key: 'clusters', label: 'Agrupadas', title: 'Agrupar las antenas cercanas según el zoom' },
+  { key: 'heatmap', label: 'Mapa de calor', title: 'Densidad de antenas como mapa de calor' }
+]
+
+/**
+ * TEMAS DE LA INTERFAZ Y DEL MAPA BASE (ver hooks/useTheme.js)
+ */
+const THEME_MODES = [
+  { key: 'system', label: 'Sistema' },
+  { key: 'light', label: 'Claro' },
+  { key: 'dark', label: 'Oscuro' }
+]
 
 /**
  * COMPONENTE PRINCIPAL DE CONTROLES
- * 
+ *
  * @param {Object} props - Propiedades del componente
  * @param {Object} props.stats - Estadísticas para poblar los filtros
  * @param {Object} props.filters - Filtros actualmente activos
  * @param {Function} props.onFilterChange - Callback para cambiar filtros
  * @param {number} props.antenasCount - Número de antenas mostradas
+ * @param {boolean} props.updating - Hay una carga de viewport en curso
+ * @param {Function} props.onPlaceSelect - Recibe el lugar elegido en el buscador
+ * @param {string|null} props.activeTool - Herramienta activa: 'radius', 'coverage' o null
+ * @param {Function} props.onToolToggle - Recibe la herramienta a activar o desactivar
+ * @param {'markers'|'clusters'|'heatmap'} props.displayMode - Representación de las antenas
+ * @param {Function} props.onDisplayModeChange - Recibe la nueva representación
+ * @param {boolean} props.showChoropleth - Mapa de provincias visible
+ * @param {Function} props.onChoroplethToggle - Muestra u oculta el mapa de provincias
+ * @param {boolean} props.compareMode - Modo comparar (dos mapas) activo
+ * @param {Function} props.onCompareToggle - Entra o sale del modo comparar
+ * @param {Array} props.visibleAntenas - Antenas filtradas del viewport (exportación)
+ * @param {string[]} props.hiddenOperators - Operadores ocultos en la leyenda (fuera de la exportación)
+ * @param {Function} props.onExportError - Recibe el mensaje si falla una exportación
+ * @param {'system'|'light'|'dark'} props.themeMode - Tema elegido
+ * @param {Function} props.onThemeModeChange - Recibe el nuevo tema
+ * @param {string} props.palette - Paleta de los operadores (ver services/palette.js)
+ * @param {Function} props.onPaletteChange - Recibe la nueva paleta
+ * @param {Function} props.getColor - Operador → color de la paleta elegida
  */
-export default function Controls({ stats, filters, onFilterChange, antenasCount }) {
-  /**
-   * DATOS PARA LOS FILTROS
-   * 
-   * Extrae operadores y tecnologías de las estadísticas
-   * Usa valores por defecto si stats no está disponible
-   */
-  const operadores = stats?.por_operador ? Object.keys(stats.por_operador) : []
-  const tecnologias = stats?.por_tecnologia ? Object.keys(stats.por_tecnologia) : []
-
+export default function Controls({
+  stats,
+  filters,
+  onFilterChange,
+  antenasCount,
+  updating,
+  onPlaceSelect,
+  activeTool,
+  onToolToggle,
+  displayMode,
+  onDisplayModeChange,
+  showChoropleth,
+  onChoroplethToggle,
+  compareMode,
+  onCompareToggle,
+  visibleAntenas,
+  hiddenOperators,
+  onExportError,
+  themeMode,
+  onThemeModeChange,
+  palette,
+  onPaletteChange,
+  getColor
+}) {
   /**
    * MANEJADOR DE CAMBIO DE FILTROS
-   * 
+   *
    * Se ejecuta cuando el usuario cambia un filtro
    * Actualiza el estado en el componente padre (App)
    */
-  const handleFilterChange = (filterType, value) => {
-    onFilterChange({ [filterType]: value })
+  const handleFilterChange = (filterType, values) => {
+    onFilterChange({ [filterType]: values })
   }
 
   /**
    * MANEJADOR DE LIMPIAR FILTROS
-   * 
+   *
    * Restablece todos los filtros a sus valores por defecto
    */
   const handleClearFilters = () => {
-    onFilterChange({ operador: '', tecnologia: '' })
+    onFilterChange({ ...EMPTY_FILTERS })
   }
 
+  const active = hasActiveFilters(filters)
+
   return (
     <div className="controls-panel">
       {/* ENCABEZADO DEL PANEL */}
       <div className="controls-header">
         <h2>📡 Mapa de Antenas Móviles - España</h2>
-        
+
+        {/* BUSCADOR DE LUGARES (NOMENCLÁTOR OFFLINE) */}
+        <PlaceSearch onSelect={onPlaceSelect} />
+
+        {/* HERRAMIENTAS SOBRE UN PUNTO: EL SIGUIENTE CLICK EN EL MAPA LO FIJA */}
+        <div className="tool-toggles" role="group" aria-label="Herramientas del mapa">
+          {TOOLS.map(tool => (
+            <button
+              key={tool.key}
+              className="tool-toggle"
+              onClick={() => onToolToggle(tool.key)}
+              aria-pressed={activeTool === tool.key}
+              title={tool.title}
+            >
+              {tool.label}
+            </button>
+          ))}
+        </div>
+
+        {/* REPRESENTACIÓN: MARCADORES, AGRUPADAS O MAPA DE CALOR */}
+        <div className="tool-toggles display-modes" role="group" aria-label="Representación de las antenas">
+          {DISPLAY_MODES.map(mode => (
+            <button
+              key={mode.key}
+              className="tool-toggle"
+              onClick={() => onDisplayModeChange(mode.key)}
+              aria-pressed={displayMode === mode.key}
+              title={mode.title}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        {/* CAPA DE PROVINCIAS (COMPATIBLE CON CUALQUIER REPRESENTACIÓN) */}
+        <button
+          className="tool-toggle"
+          onClick={onChoroplethToggle}
+          aria-pressed={showChoropleth}
+          title="Colorear las provincias por número de antenas, cuota o densidad"
+        >
+          🗺️ Provincias
+        </button>
+
+        {/* MODO COMPARAR: DOS MAPAS SINCRONIZADOS CON FILTROS PROPIOS */}
+        <button
+          className="tool-toggle"
+          onClick={onCompareToggle}
+          aria-pressed={compareMode}
+          title="Comparar dos operadores o tecnologías en dos mapas sincronizados"
+        >
+          ⚖️ Comparar
+        </button>
+
         {/* CONTADOR DE ANTENAS VISIBLES */}
         <div className="antena-count">
           {antenasCount} antenas mostradas
@@ -59,87 +191,87 @@ export default function Controls({ stats, filters, onFilterChange, antenasCount
               {" "}de {stats.total_antenas} totales
             </span>
           )}
+          {updating && (
+            <span className="updating-indicator" aria-live="polite">
+              {" "}· actualizando…
+            </span>
+          )}
         </div>
       </div>
-      
+
       {/* SECCIÓN DE FILTROS */}
       <div className="filters">
-        
-        {/* FILTRO POR OPERADOR */}
-        <div className="filter-group">
-          <label htmlFor="operador-filter">Operador:</label>
-          <select 
-            id="operador-filter"
-            value={filters.operador} 
-            onChange={(e) => handleFilterChange('operador', e.target.value)}
-            aria-label="Filtrar por operador"
-          >
-            <option value="">Todos los operadores</option>
-            {operadores.map(op => (
-              <option key={op} value={op}>
-                {op} ({stats.por_operador[op]})
-              </option>
-            ))}
-          </select>
-        </div>
-        
-        {/* FILTRO POR TECNOLOGÍA */}
-        <div className="filter-group">
-          <label htmlFor="tecnologia-filter">Tecnología:</label>
-          <select 
-            id="tecnologia-filter"
-            value={filters.tecnologia} 
-            onChange={(e) => handleFilterChange('tecnologia', e.target.value)}
-            aria-label="Filtrar por tecnología"
-          >
-            <option value="">Todas las tecnologías</option>
-            {tecnologias.map(tech => (
-              <option key={tech} value={tech}>
-                {tech} ({stats.por_tecnologia[tech]})
-              </option>
-            ))}
-          </select>
-        </div>
-        
+        {FILTERS.map(filter => (
+          <MultiSelectFilter
+            key={filter.key}
+            id={`${filter.key}-filter`}
+            label={filter.label}
+            allLabel={filter.allLabel}
+            options={filterOptions(stats?.[filter.statsKey], filter.sort, filters[filter.key])}
+            selected={filters[filter.key]}
+            onChange={(values) => handleFilterChange(filter.key, values)}
+          />
+        ))}
+
         {/* BOTÓN PARA LIMPIAR FILTROS */}
-        <button 
+        <button
           className="clear-filters"
           onClick={handleClearFilters}
-          disabled={!filters.operador && !filters.tecnologia}
+          disabled={!active}
           aria-label="Limpiar todos los filtros"
         >
           🗑️ Limpiar filtros
         </button>
+
+        {/* EXPORTACIÓN (GEOJSON, CSV, KML) */}
+        <ExportMenu
+          visibleAntenas={visibleAntenas}
+          hiddenOperators={hiddenOperators}
+          filters={filters}
+          onError={onExportError}
+          getColor={getColor}
+        />
+
+        {/* APARIENCIA: TEMA Y COLORES DE LOS OPERADORES */}
+        <div className="appearance-settings">
+          <div className="filter-group">
+            <label htmlFor="theme-mode">Tema</label>
+            <select id="theme-mode" value={themeMode} onChange={(e) => onThemeModeChange(e.target.value)}>
+              {THEME_MODES.map(mode => (
+                <option key={mode.key} value={mode.key}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="operator-palette">Colores</label>
+            <select id="operator-palette" value={palette} onChange={(e) => onPaletteChange(e.target.value)}>
+              {PALETTE_OPTIONS.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
       </div>
 
-      {/* INDICADORES VISUALES DE FILTROS ACTIVOS */}
-      {(filters.operador || filters.tecnologia) && (
+      {/* INDICADORES VISUALES DE FILTROS ACTIVOS: UN CHIP POR VALOR */}
+      {active && (
         <div className="active-filters">
           <span className="filters-label">Filtros activos:</span>
-          
-          {filters.operador && (
-            <span className="filter-tag">
-              Operador: {filters.operador}
-              <button 
-                onClick={() => handleFilterChange('operador', '')}
-                aria-label={`Quitar filtro de operador ${filters.operador}`}
-              >
-                ×
-              </button>
-            </span>
-          )}
-          
-          {filters.tecnologia && (
-            <span className="filter-tag">
-              Tecnología: {filters.tecnologia}
-              <button 
-                onClick={() => handleFilterChange('tecnologia', '')}
-                aria-label={`Quitar filtro de tecnología ${filters.tecnologia}`}
+
+          {FILTERS.flatMap(filter => filters[filter.key].map(value => (
+            <span key={`${filter.key}-${value}`} className="filter-tag">
+              {filter.label}: {value}
+              <button
+                onClick={() => handleFilterChange(
+                  filter.key,
+                  filters[filter.key].filter(item => item !== value)
+                )}
+                aria-label={`Quitar filtro de ${filter.label.toLowerCase()} ${value}`}
               >
                 ×
               </button>
             </span>
-          )}
+          )))}
         </div>
       )}
     </div>
@@ -0,0 +1,37 @@
+/**
+ * CAPA DEL INFORME DE COBERTURA
+ *
+ * - Click en el mapa: elige el punto del informe (ver PointPicker)
+ * - Anillos discontinuos a 1, 5 y 10 km (los radios de recuento)
+ */
+
+import React from 'react'
+import { Circle, CircleMarker } from 'react-leaflet'
+import PointPicker from './PointPicker'
+import { COUNT_RADII } from '../services/coverage'
+
+/**
+ * ESTILOS DE LA CAPA
+ */
+const RING_STYLE = { color: '#8e44ad', weight: 1.5, dashArray: '6 6', fill: false }
+const POINT_STYLE = { color: '#ffffff', weight: 2, fillColor: '#8e44ad', fillOpacity: 1 }
+
+/**
+ * @param {Object} props
+ * @param {number[]|null} props.center - [lat, lon] del punto, null hasta el primer click
+ * @param {Function} props.onPick - Recibe [lat, lon] al hacer click en el mapa
+ */
+export default function CoverageReportLayer({ center, onPick }) {
+  return (
+    <>
+      <PointPicker onPick={onPick} />
+
+      {center && COUNT_RADII.map(radius => (
+        <Circle key={radius} center={center} radius={radius} pathOptions={RING_STYLE} interactive={false} />
+      ))}
+      {center && (
+        <CircleMarker center={center} radius={6} pathOptions={POINT_STYLE} interactive={false} />
+      )}
+    </>
+  )
+}
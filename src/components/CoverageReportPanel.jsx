@@ -0,0 +1,160 @@
+/**
+ * PANEL DEL INFORME DE COBERTURA
+ *
+ * Tabla por operador con la antena más cercana de cada tecnología
+ * (distancia y rumbo) y los emplazamientos a 1, 5 y 10 km
+ * El botón de copiar genera el mismo informe en texto plano
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import {
+  REPORT_TECHNOLOGIES,
+  COUNT_RADII,
+  formatNearest,
+  formatCoverageReport
+} from '../services/coverage'
+import { describeFilters } from '../services/filters'
+import { formatDistance } from '../services/geo'
+import { copyText } from '../services/clipboard'
+
+/**
+ * TIEMPO QUE SE MUESTRA LA CONFIRMACIÓN DE COPIA (ms)
+ */
+const COPY_FEEDBACK_DURATION = 2000
+
+/**
+ * @param {Object} props
+ * @param {number[]|null} props.center - [lat, lon]; null hasta el primer click
+ * @param {Object|null} props.report - Resultado de buildCoverageReport
+ * @param {boolean} props.loading - Pidiendo antenas alrededor del punto
+ * @param {Error|null} props.error - Error de esa petición
+ * @param {boolean} props.truncated - La zona tiene más antenas de las que se descargan
+ * @param {number} props.searchRadius - Radio consultado alrededor del punto (metros)
+ * @param {Object} props.filters - Filtros activos
+ * @param {Function} props.onClose - Sale del modo informe
+ */
+export default function CoverageReportPanel({
+  center,
+  report,
+  loading,
+  error,
+  truncated,
+  searchRadius,
+  filters,
+  onClose
+}) {
+  const [copyStatus, setCopyStatus] = useState(null)
+  const timerRef = useRef(null)
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  const filtersText = describeFilters(filters)
+
+  /**
+   * COPIAR EL INFORME COMO TEXTO
+   */
+  const handleCopy = async () => {
+    const text = formatCoverageReport(report, { filtersText, searchRadius })
+    const copied = await copyText(text)
+    setCopyStatus(copied ? 'copied' : 'failed')
+    clearTimeout(timerRef.current)
+    timerRef.current = setTimeout(() => setCopyStatus(null), COPY_FEEDBACK_DURATION)
+  }
+
+  return (
+    <aside className="map-panel coverage-panel" aria-label="Informe de cobertura">
+      <div className="map-panel-header">
+        <h3>📊 Informe de cobertura</h3>
+        <button className="map-panel-close" onClick={onClose} aria-label="Cerrar informe de cobertura">
+          ×
+        </button>
+      </div>
+
+      {!center && (
+        <p className="map-panel-hint">Haz click en el mapa para generar el informe de ese punto</p>
+      )}
+
+      {center && report && (
+        <>
+          <p className="map-panel-summary" aria-live="polite">
+            {center[0].toFixed(5)}, {center[1].toFixed(5)}
+            {filtersText && <> · {filtersText}</>}
+            {loading && ' · completando datos…'}
+          </p>
+
+          {error && (
+            <p className="map-panel-error">
+              No se pudieron pedir más antenas de la zona: el informe usa solo las ya cargadas. {error.message}
+            </p>
+          )}
+
+          {truncated && !loading && (
+            <p className="map-panel-warning">
+              ⚠️ Zona con muchas antenas: los recuentos pueden quedarse cortos. Añade filtros para afinarlos
+            </p>
+          )}
+
+          <div className="coverage-tables">
+            {/* ANTENA MÁS CERCANA POR OPERADOR Y TECNOLOGÍA */}
+            <table className="coverage-table">
+              <caption>Antena más cercana (distancia y rumbo)</caption>
+              <thead>
+                <tr>
+                  <th scope="col">Operador</th>
+                  {REPORT_TECHNOLOGIES.map(tech => <th key={tech} scope="col">{tech}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {report.operadores.map(entry => (
+                  <tr key={entry.operador}>
+                    <th scope="row">{entry.operador}</th>
+                    {REPORT_TECHNOLOGIES.map(tech => (
+                      <td key={tech}>{formatNearest(entry.nearest[tech])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {/* EMPLAZAMIENTOS POR RADIO */}
+            <table className="coverage-table">
+              <caption>Emplazamientos cercanos</caption>
+              <thead>
+                <tr>
+                  <th scope="col">Operador</th>
+                  {COUNT_RADII.map(radius => <th key={radius} scope="col">≤ {formatDistance(radius)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {report.operadores.map(entry => (
+                  <tr key={entry.operador}>
+                    <th scope="row">{entry.operador}</th>
+                    {COUNT_RADII.map(radius => <td key={radius}>{entry.counts[radius]}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th scope="row">Total</th>
+                  {COUNT_RADII.map(radius => <td key={radius}>{report.totals[radius]}</td>)}
+                </tr>
+              </tfoot>
+            </table>
+
+            {report.operadores.length === 0 && !loading && (
+              <p className="map-panel-hint">Sin antenas en la zona consultada</p>
+            )}
+          </div>
+
+          <p className="map-panel-hint">
+            "—": sin antenas de esa tecnología a menos de {formatDistance(searchRadius)}
+          </p>
+
+          <button className="copy-report" onClick={handleCopy} disabled={loading}>
+            {copyStatus === 'copied' ? '✅ Copiado' : copyStatus === 'failed' ? '❌ No se pudo copiar' : '📋 Copiar como texto'}
+          </button>
+        </>
+      )}
+    </aside>
+  )
+}
@@ -0,0 +1,142 @@
+/**
+ * MENÚ DE EXPORTACIÓN
+ *
+ * Descarga las antenas en GeoJSON, CSV o KML (ver services/export.js):
+ * - Vista actual: las antenas filtradas del viewport, al instante
+ * - Conjunto completo: todas las que cumplen los filtros, paginando la API
+ *
+ * Ninguna de las dos incluye los operadores ocultos en la leyenda
+ *
+ * La descarga completa se puede cancelar y muestra su progreso
+ */
+
+import React, { useState, useRef, useEffect } from 'react'
+import {
+  EXPORT_FORMATS,
+  fetchAllAntenas,
+  toGeoJSON,
+  toCSV,
+  toKML,
+  exportFileName,
+  downloadFile
+} from '../services/export'
+import { isAbortError } from '../services/api'
+import { operatorColor } from '../services/palette'
+
+/**
+ * @param {Object} props
+ * @param {Array} props.visibleAntenas - Antenas filtradas dentro del viewport (ya sin los ocultos)
+ * @param {string[]} [props.hiddenOperators] - Operadores ocultos en la leyenda
+ * @param {Object} props.filters - Filtros activos
+ * @param {Function} [props.onError] - Recibe el mensaje si la descarga completa falla
+ * @param {Function} [props.getColor] - Operador → color de los iconos KML (ver services/palette.js)
+ */
+export default function ExportMenu({ visibleAntenas, hiddenOperators = [], filters, onError, getColor = operatorColor }) {
+  const [scope, setScope] = useState('viewport')
+  const [progress, setProgress] = useState(null) // null = sin descarga en curso
+  const controllerRef = useRef(null)
+  const detailsRef = useRef(null)
+
+  /**
+   * CERRAR AL HACER CLICK FUERA Y CANCELAR AL DESMONTAR
+   */
+  useEffect(() => {
+    const handleClick = (event) => {
+      const details = detailsRef.current
+      if (details?.open && !details.contains(event.target)) details.open = false
+    }
+    document.addEventListener('click', handleClick)
+    return () => {
+      document.removeEventListener('click', handleClick)
+      controllerRef.current?.abort()
+    }
+  }, [])
+
+  /**
+   * GENERAR Y DESCARGAR EL FICHERO
+   */
+  const handleExport = async (format) => {
+    let features = visibleAntenas
+
+    if (scope === 'all') {
+      const controller = new AbortController()
+      controllerRef.current = controller
+      setProgress(0)
+      try {
+        const all = await fetchAllAntenas(filters, {
+          signal: controller.signal,
+          onProgress: setProgress
+        })
+        features = all.filter(antena => !hiddenOperators.includes(antena.properties?.operador))
+      } catch (err) {
+        if (!isAbortError(err)) {
+          console.error('❌ Error en la exportación completa:', err)
+          onError?.(`No se pudo descargar el conjunto completo. ${err.message}`)
+        }
+        return
+      } finally {
+        controllerRef.current = null
+        setProgress(null)
+      }
+    }
+
+    const content = format === 'csv'
+      ? toCSV(features)
+      : format === 'kml' ? toKML(features, getColor) : toGeoJSON(features)
+
+    downloadFile(content, exportFileName(filters, scope, format), EXPORT_FORMATS[format].mime)
+  }
+
+  const busy = progress !== null
+
+  return (
+    <details className="export-menu" ref={detailsRef}>
+      <summary>⬇️ Exportar</summary>
+
+      <div className="export-menu-body">
+        <fieldset disabled={busy}>
+          <legend>Antenas</legend>
+          <label>
+            <input
+              type="radio"
+              name="export-scope"
+              value="viewport"
+              checked={scope === 'viewport'}
+              onChange={() => setScope('viewport')}
+            />
+            Vista actual ({visibleAntenas.length.toLocaleString()})
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="export-scope"
+              value="all"
+              checked={scope === 'all'}
+              onChange={() => setScope('all')}
+            />
+            Todas las que cumplen los filtros
+          </label>
+        </fieldset>
+
+        <div className="export-formats">
+          {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+            <button
+              key={key}
+              onClick={() => handleExport(key)}
+              disabled={busy || (scope === 'viewport' && visibleAntenas.length === 0)}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+
+        {busy && (
+          <p className="export-progress" aria-live="polite">
+            Descargando… {progress.toLocaleString()} antenas
+            <button onClick={() => controllerRef.current?.abort()}>Cancelar</button>
+          </p>
+        )}
+      </div>
+    </details>
+  )
+}
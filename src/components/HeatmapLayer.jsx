@@ -0,0 +1,160 @@
+/**
+ * CAPA DE MAPA DE CALOR SOBRE CANVAS
+ *
+ * Dibuja la densidad de antenas en un <canvas> del tamaño del mapa:
+ * 1. Cada punto estampa un degradado radial en escala de opacidad
+ *    (los solapes se acumulan)
+ * 2. La opacidad acumulada de cada píxel se traduce al color del
+ *    degradado (ver HEATMAP_GRADIENT en services/heatmap.js)
+ *
+ * Se redibuja al terminar cada movimiento; durante la animación
+ * de zoom se oculta (leaflet-zoom-hide), como hace Leaflet con el canvas
+ */
+
+import { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { HEATMAP_GRADIENT } from '../services/heatmap'
+
+/**
+ * CAPA LEAFLET IMPERATIVA
+ */
+const HeatCanvasLayer = L.Layer.extend({
+  initialize(options) {
+    this._points = []
+    this._radius = options.radius
+    this._intensity = options.intensity
+    this._palette = createPalette()
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide')
+    map.getPanes().overlayPane.appendChild(this._canvas)
+    map.on('moveend resize', this._reset, this)
+    this._reset()
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this._reset, this)
+    L.DomUtil.remove(this._canvas)
+  },
+
+  setData(points, radius, intensity) {
+    this._points = points
+    this._radius = radius
+    this._intensity = intensity
+    if (this._map) this._draw()
+  },
+
+  /**
+   * ALINEAR EL CANVAS CON LA ESQUINA DE LA VISTA Y REDIBUJAR
+   */
+  _reset() {
+    const size = this._map.getSize()
+    L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]))
+    this._canvas.width = size.x
+    this._canvas.height = size.y
+    this._draw()
+  },
+
+  _draw() {
+    const canvas = this._canvas
+    const context = canvas.getContext('2d', { willReadFrequently: true })
+    const radius = this._radius
+    if (this._stampRadius !== radius) {
+      this._stamp = createStamp(radius)
+      this._stampRadius = radius
+    }
+    const stamp = this._stamp
+
+    context.clearRect(0, 0, canvas.width, canvas.height)
+
+    // 1. OPACIDAD ACUMULADA (solo los puntos que caen cerca de la vista)
+    this._points.forEach(point => {
+      const { x, y } = this._map.latLngToContainerPoint([point.lat, point.lon])
+      if (x < -radius || y < -radius || x > canvas.width + radius || y > canvas.height + radius) return
+      context.globalAlpha = Math.min(1, point.alpha * this._intensity)
+      context.drawImage(stamp, x - radius, y - radius)
+    })
+    context.globalAlpha = 1
+
+    if (canvas.width === 0 || canvas.height === 0) return
+
+    // 2. COLOREAR SEGÚN LA OPACIDAD
+    const image = context.getImageData(0, 0, canvas.width, canvas.height)
+    const pixels = image.data
+    for (let i = 3; i < pixels.length; i += 4) {
+      const alpha = pixels[i]
+      if (alpha === 0) continue
+      const offset = alpha * 4
+      pixels[i - 3] = this._palette[offset]
+      pixels[i - 2] = this._palette[offset + 1]
+      pixels[i - 1] = this._palette[offset + 2]
+    }
+    context.putImageData(image, 0, 0)
+  }
+})
+
+/**
+ * @param {Object} props
+ * @param {Array<{lat: number, lon: number, alpha: number}>} props.points - Ver buildHeatPoints
+ * @param {number} props.radius - Radio de cada punto (px)
+ * @param {number} props.intensity - Multiplicador de opacidad
+ */
+export default function HeatmapLayer({ points, radius, intensity }) {
+  const map = useMap()
+  const layerRef = useRef(null)
+
+  /**
+   * CREAR LA CAPA UNA SOLA VEZ
+   */
+  useEffect(() => {
+    const layer = new HeatCanvasLayer({ radius, intensity }).addTo(map)
+    layerRef.current = layer
+    return () => {
+      layer.remove()
+      layerRef.current = null
+    }
+    // radius e intensity iniciales; los cambios llegan por setData
+  }, [map])
+
+  /**
+   * REDIBUJAR CUANDO CAMBIAN LOS DATOS O LOS CONTROLES
+   */
+  useEffect(() => {
+    layerRef.current?.setData(points, radius, intensity)
+  }, [points, radius, intensity])
+
+  // Capa imperativa: no renderiza nada en React
+  return null
+}
+
+/**
+ * DEGRADADO RADIAL DE UN PUNTO (opaco en el centro, transparente en el borde)
+ */
+function createStamp(radius) {
+  const stamp = document.createElement('canvas')
+  stamp.width = stamp.height = radius * 2
+  const context = stamp.getContext('2d')
+  const gradient = context.createRadialGradient(radius, radius, 0, radius, radius, radius)
+  gradient.addColorStop(0, 'rgba(0, 0, 0, 1)')
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0)')
+  context.fillStyle = gradient
+  context.fillRect(0, 0, radius * 2, radius * 2)
+  return stamp
+}
+
+/**
+ * TABLA DE 256 COLORES RGBA: opacidad → color del degradado
+ */
+function createPalette() {
+  const canvas = document.createElement('canvas')
+  canvas.width = 256
+  canvas.height = 1
+  const context = canvas.getContext('2d')
+  const gradient = context.createLinearGradient(0, 0, 256, 0)
+  HEATMAP_GRADIENT.forEach(([position, color]) => gradient.addColorStop(position, color))
+  context.fillStyle = gradient
+  context.fillRect(0, 0, 256, 1)
+  return context.getImageData(0, 0, 256, 1).data
+}
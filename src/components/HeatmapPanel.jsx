@@ -0,0 +1,120 @@
+/**
+ * CONTROLES Y LEYENDA DEL MAPA DE CALOR
+ *
+ * Abajo a la derecha del mapa (.map-legends), solo en el modo mapa de calor:
+ * - Radio e intensidad de cada punto
+ * - Ponderación: todas igual, por operador o por tecnología,
+ *   con el peso de cada valor editable
+ * - Leyenda del degradado (densidad relativa a la vista)
+ */
+
+import React from 'react'
+import {
+  HEATMAP_RADIUS,
+  HEATMAP_INTENSITY,
+  gradientCss
+} from '../services/heatmap'
+
+/**
+ * OPCIONES DE PONDERACIÓN
+ */
+const WEIGHT_MODES = [
+  { value: 'none', label: 'Todas igual' },
+  { value: 'operador', label: 'Por operador' },
+  { value: 'tecnologia', label: 'Por tecnología' }
+]
+
+/**
+ * PESO MÁXIMO EDITABLE POR VALOR
+ */
+const MAX_WEIGHT = 3
+
+/**
+ * @param {Object} props
+ * @param {Object} props.options - { radius, intensity, weightBy, weights } (ver services/heatmap.js)
+ * @param {Function} props.onChange - Recibe los campos de options que cambian
+ * @param {string[]} props.weightValues - Operadores o tecnologías presentes en los datos
+ */
+export default function HeatmapPanel({ options, onChange, weightValues }) {
+  const { radius, intensity, weightBy, weights } = options
+  const currentWeights = weights[weightBy] || {}
+
+  const handleWeightChange = (value, weight) => {
+    onChange({ weights: { ...weights, [weightBy]: { ...currentWeights, [value]: weight } } })
+  }
+
+  return (
+    <aside className="legend-panel heatmap-panel" aria-label="Mapa de calor">
+      <h3>🔥 Mapa de calor</h3>
+
+      <label className="legend-control">
+        <span>Radio: {radius} px</span>
+        <input
+          type="range"
+          min={HEATMAP_RADIUS.min}
+          max={HEATMAP_RADIUS.max}
+          step={HEATMAP_RADIUS.step}
+          value={radius}
+          onChange={(event) => onChange({ radius: Number(event.target.value) })}
+        />
+      </label>
+
+      <label className="legend-control">
+        <span>Intensidad: ×{intensity.toFixed(1)}</span>
+        <input
+          type="range"
+          min={HEATMAP_INTENSITY.min}
+          max={HEATMAP_INTENSITY.max}
+          step={HEATMAP_INTENSITY.step}
+          value={intensity}
+          onChange={(event) => onChange({ intensity: Number(event.target.value) })}
+        />
+      </label>
+
+      <label className="legend-control">
+        <span>Ponderación</span>
+        <select value={weightBy} onChange={(event) => onChange({ weightBy: event.target.value })}>
+          {WEIGHT_MODES.map(mode => (
+            <option key={mode.value} value={mode.value}>{mode.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {/* PESO DE CADA OPERADOR O TECNOLOGÍA (0 = no cuenta) */}
+      {weightBy !== 'none' && weightValues.length > 0 && (
+        <div className="heatmap-weights">
+          {weightValues.map(value => (
+            <label key={value}>
+              <span>{value}</span>
+              <input
+                type="number"
+                min="0"
+                max={MAX_WEIGHT}
+                step="0.25"
+                value={currentWeights[value] ?? 1}
+                onChange={(event) => {
+                  const weight = Number(event.target.value)
+                  if (Number.isFinite(weight)) handleWeightChange(value, Math.min(MAX_WEIGHT, Math.max(0, weight)))
+                }}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {/* LEYENDA */}
+      <div className="heatmap-legend">
+        <div className="heatmap-legend-bar" style={{ background: gradientCss() }} />
+        <div className="heatmap-legend-labels">
+          <span>Menos antenas</span>
+          <span>Más antenas</span>
+        </div>
+        <p className="map-panel-hint">
+          {weightBy === 'none'
+            ? 'Densidad de antenas cargadas en la vista'
+            : `Densidad ponderada ${weightBy === 'operador' ? 'por operador' : 'por tecnología'}`}
+        </p>
+      </div>
+    </aside>
+  )
+}
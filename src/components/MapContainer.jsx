@@ -5,9 +5,19 @@
  * Implementa optimizaciones para rendimiento con muchos puntos
  */
 
-import React, { useMemo, useCallback } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, useMapEvents } from 'react-leaflet'
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { MapContainer, Marker, CircleMarker, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
+import config from '../config'
+import { debugLog } from '../services/logger'
+import { operatorColor } from '../services/palette'
+import useClusters from '../hooks/useClusters'
+import CanvasMarkers from './CanvasMarkers'
+import ClusterMarker from './ClusterMarker'
+import BasemapControl from './BasemapControl'
+import HeatmapLayer from './HeatmapLayer'
+import { buildHeatPoints, DEFAULT_HEATMAP_OPTIONS } from '../services/heatmap'
+import { matchesFilters, clusterMatchesFilters } from '../services/filters'
 
 /**
  * FIX PARA ICONOS DE LEAFLET EN ENTORNOS MODERNOS
@@ -23,26 +33,74 @@ L.Icon.Default.mergeOptions({
 })
 
 /**
- * PALETA DE COLORES POR OPERADOR
+ * ANILLO DE LA ANTENA SELECCIONADA
  * 
- * Colores distintivos para cada compañía
- * Mejora la experiencia visual y la identificación rápida
+ * No interactivo: el click sigue llegando al marcador de debajo
+ * El color lo pone styles.css con la variable del tema (--text)
  */
-const OPERATOR_COLORS = {
-  'Movistar': '#00a8ff',    // Azul corporativo
-  'Vodafone': '#e84118',    // Rojo corporativo
-  'Orange': '#ff9f1a',      // Naranja corporativo
-  'Yoigo': '#44bd32',       // Verde corporativo
-  'Default': '#718093'      // Gris para operadores desconocidos
+const SELECTED_RING_STYLE = {
+  radius: 13,
+  weight: 3,
+  fill: false,
+  interactive: false,
+  className: 'selected-antena-ring'
+}
+
+/**
+ * OPACIDAD DE LAS ANTENAS ATENUADAS (modo resaltar)
+ */
+const DIMMED_OPACITY = 0.25
+
+/**
+ * ICONOS DOM YA CREADOS, UNO POR COLOR Y ESTADO
+ * 
+ * Reutilizar el mismo L.divIcon evita que Leaflet
+ * regenere el HTML de cada marcador en cada render
+ */
+const ICON_CACHE = new Map()
+
+/**
+ * ZOOM MÁXIMO AL VOLAR A UN LUGAR DEL BUSCADOR
+ *
+ * Un municipio pequeño o unas coordenadas no acercan
+ * más allá del nivel de calle
+ */
+const FLY_MAX_ZOOM = 15
+
+/**
+ * LEER EL VIEWPORT ACTUAL DEL MAPA
+ * 
+ * - bbox: Bounding box [min_lon, min_lat, max_lon, max_lat]
+ * - center: Coordenadas del centro [lat, lon]
+ * - zoom: Nivel de zoom actual
+ */
+function readViewport(map) {
+  const bounds = map.getBounds()
+  const center = map.getCenter()
+
+  return {
+    bbox: [
+      bounds.getWest(),  // Longitud oeste
+      bounds.getSouth(), // Latitud sur
+      bounds.getEast(),  // Longitud este  
+      bounds.getNorth()  // Latitud norte
+    ],
+    center: [center.lat, center.lng],
+    zoom: map.getZoom()
+  }
 }
 
 /**
  * COMPONENTE DE EVENTOS DEL MAPA
  * 
- * Se encarga de detectar cambios en la vista del mapa
- * y notificar al componente padre para lazy loading
+ * Se encarga de detectar cambios en la vista del mapa:
+ * - onViewportChange: Notifica al componente padre para lazy loading
+ * - onViewChange: Vista local para el agrupamiento
+ * 
+ * Ambos se invocan también al montar, para cargar la vista
+ * inicial (que puede venir de un enlace compartido)
  */
-function MapEvents({ onViewportChange }) {
+function MapEvents({ onViewportChange, onViewChange }) {
   const map = useMapEvents({
     /**
      * EVENTO: MOVIMIENTO DEL MAPA FINALIZADO
@@ -51,46 +109,99 @@ function MapEvents({ onViewportChange }) {
      * Es más eficiente que escuchar cada frame de movimiento
      */
     moveend: () => {
-      const bounds = map.getBounds()
-      const center = map.getCenter()
-      const zoom = map.getZoom()
-      
-      /**
-       * INFORMACIÓN DEL VIEWPORT ACTUAL
-       * 
-       * - bbox: Bounding box [min_lon, min_lat, max_lon, max_lat]
-       * - center: Coordenadas del centro [lat, lon]
-       * - zoom: Nivel de zoom actual
-       */
-      onViewportChange({
-        bbox: [
-          bounds.getWest(),  // Longitud oeste
-          bounds.getSouth(), // Latitud sur
-          bounds.getEast(),  // Longitud este  
-          bounds.getNorth()  // Latitud norte
-        ],
-        center: [center.lat, center.lng],
-        zoom
-      })
+      const viewport = readViewport(map)
+      onViewChange(viewport)
+      onViewportChange(viewport)
     }
   })
+
+  // VISTA INICIAL: CARGAR Y AGRUPAR ANTES DEL PRIMER MOVIMIENTO
+  useEffect(() => {
+    const viewport = readViewport(map)
+    onViewChange(viewport)
+    onViewportChange(viewport)
+  }, [map, onViewChange, onViewportChange])
   
   // Componente no renderiza nada visible
   return null
 }
 
+/**
+ * MOVER EL MAPA A UNA VISTA PEDIDA DESDE FUERA
+ * 
+ * - { center, zoom }: navegación por el historial (atrás/adelante)
+ *   Sin animación: el moveend llega de inmediato con la vista final
+ * - { bounds }: lugar elegido en el buscador, con vuelo animado
+ *   El moveend final dispara la carga normal del viewport
+ */
+function ViewController({ target }) {
+  const map = useMap()
+
+  useEffect(() => {
+    if (!target) return
+    if (target.bounds) {
+      map.flyToBounds(target.bounds, { maxZoom: FLY_MAX_ZOOM, duration: 1.2 })
+    } else {
+      map.setView(target.center, target.zoom, { animate: false })
+    }
+  }, [map, target])
+
+  return null
+}
+
 /**
  * COMPONENTE PRINCIPAL DEL MAPA
+ * 
+ * @param {Object} props
+ * @param {Array} props.antenas - Antenas individuales ya filtradas
+ * @param {Array} [props.clusters] - Clusters del servidor
+ * @param {Function} props.onViewportChange - Recibe { bbox, center, zoom } tras cada movimiento
+ * @param {{center: number[], zoom: number}} [props.initialView] - Vista inicial (p. ej. desde la URL)
+ * @param {{center: number[], zoom: number}|{bounds: number[][]}} [props.viewTarget] - Vista a la que mover el mapa
+ * @param {string|null} [props.selectedId] - id de la antena seleccionada
+ * @param {Object|null} [props.selectedAntena] - Su feature, para marcarla en el mapa
+ * @param {Function} [props.onSelect] - Recibe el id seleccionado (o null al deseleccionar) y la antena
+ * @param {'markers'|'clusters'|'heatmap'} [props.displayMode] - Representación de las antenas
+ * @param {Object} [props.heatmapOptions] - Radio, intensidad y ponderación del mapa de calor
+ * @param {Function} [props.onFileDrop] - Recibe los ficheros soltados sobre el mapa (capas importadas)
+ * @param {Object|null} [props.highlight] - Selección a resaltar; el resto se atenúa en vez de ocultarse
+ * @param {Function} [props.getColor] - Operador → color (ver services/palette.js)
+ * @param {string} [props.basemap] - Mapa base activo (ver services/basemaps.js)
+ * @param {Function} [props.onBasemapChange] - Recibe el mapa base elegido en el selector
+ * @param {React.ReactNode} [props.children] - Capas adicionales dentro del mapa (p. ej. búsqueda por radio)
  */
-export default function MapComponent({ antenas, onViewportChange, filters }) {
+export default function MapComponent({
+  antenas,
+  clusters: serverClusters = [],
+  onViewportChange,
+  filters,
+  initialView,
+  viewTarget,
+  selectedId = null,
+  selectedAntena = null,
+  onSelect = () => {},
+  displayMode = 'clusters',
+  heatmapOptions = DEFAULT_HEATMAP_OPTIONS,
+  onFileDrop,
+  highlight = null,
+  getColor = operatorColor,
+  basemap = 'streets',
+  onBasemapChange = () => {},
+  children
+}) {
+  const [view, setView] = useState(null)
+  const [dragging, setDragging] = useState(false)
+
   /**
    * CONFIGURACIÓN INICIAL DEL MAPA
    * 
-   * useMemo evita recrear estos valores en cada render
-   * Centro en Madrid por defecto como vista inicial de España
+   * Centro, zoom y límites desde VITE_MAP_* (ver src/config.js)
+   * Por defecto: Madrid a zoom 6, que muestra toda España
+   * Un enlace compartido puede fijar otro centro y zoom
    */
-  const center = useMemo(() => [40.4168, -3.7038], []) // Madrid
-  const zoom = 6 // Zoom que muestra toda España
+  const { mapMaxBounds: maxBounds } = config
+  const center = initialView?.center ?? config.mapCenter
+  const zoom = initialView?.zoom ?? config.mapZoom
 
   /**
    * FUNCIÓN PARA CREAR ICONOS PERSONALIZADOS
@@ -98,8 +209,10 @@ export default function MapComponent({ antenas, onViewportChange, filters }) {
    * useCallback memoiza la función para evitar recreaciones
    * que causarían rerenders innecesarios de los marcadores
    */
-  const createIcon = useCallback((operador) => {
-    const color = OPERATOR_COLORS[operador] || OPERATOR_COLORS.Default
+  const createIcon = useCallback((operador, dimmed = false) => {
+    const color = getColor(operador)
+    const cacheKey = dimmed ? `${color}-dimmed` : color
+    if (ICON_CACHE.has(cacheKey)) return ICON_CACHE.get(cacheKey)
     
     /**
      * ICONO DIV PERSONALIZADO
@@ -107,7 +220,7 @@ export default function MapComponent({ antenas, onViewportChange, filters }) {
      * Más eficiente que imágenes para muchos marcadores
      * Círculos de colores con borde blanco para mejor contraste
      */
-    return L.divIcon({
+    const icon = L.divIcon({
       className: 'custom-marker',
       html: `
         <div style="
@@ -117,99 +230,166 @@ export default function MapComponent({ antenas, onViewportChange, filters }) {
           border-radius: 50%; 
           border: 2px solid white; 
           box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+          opacity: ${dimmed ? DIMMED_OPACITY : 1};
         "></div>
       `,
       iconSize: [16, 16],    // Tamaño total del icono
       iconAnchor: [8, 8]     // Punto de anclaje (centro)
     })
-  }, [])
+    ICON_CACHE.set(cacheKey, icon)
+    return icon
+  }, [getColor])
 
   /**
-   * AGRUPAMIENTO DE ANTENAS CERCANAS
+   * AGRUPAMIENTO JERÁRQUICO POR ZOOM
    * 
-   * Evita superposición de marcadores en zoom bajo
-   * Mejora rendimiento y legibilidad del mapa
+   * Se calcula en un Web Worker sobre un índice espacial
+   * (ver hooks/useClusters.js y services/clustering.js)
+   * Solo en el modo agrupado: sin vista el worker no consulta
    */
-  const groupedAntenas = useMemo(() => {
-    if (!antenas.length) return []
-    
-    const groups = []
-    const groupDistance = 0.01 // ~1km en grados decimales
-    
-    antenas.forEach(antena => {
-      const coords = antena.geometry.coordinates // [lon, lat]
-      let addedToGroup = false
-      
-      // BUSCAR GRUPO EXISTENTE CERCANO
-      for (const group of groups) {
-        const groupCoords = group.geometry.coordinates
-        
-        // DISTANCIA EUCLIDIANA SIMPLIFICADA
-        // Suficientemente precisa para agrupamiento visual
-        const distance = Math.sqrt(
-          Math.pow(coords[0] - groupCoords[0], 2) + 
-          Math.pow(coords[1] - groupCoords[1], 2)
-        )
-        
-        // SI ESTÁ DENTRO DEL RADIO, AGRUPAR
-        if (distance < groupDistance) {
-          group.properties.count = (group.properties.count || 1) + 1
-          addedToGroup = true
-          break
-        }
-      }
-      
-      // SI NO SE AGRUPÓ, CREAR NUEVO GRUPO
-      if (!addedToGroup) {
-        groups.push({
-          ...antena,
-          properties: {
-            ...antena.properties,
-            count: 1 // Iniciar contador
-          }
-        })
-      }
+  const groupedAntenas = useClusters(antenas, displayMode === 'clusters' ? view : null)
+
+  /**
+   * SEPARAR CLUSTERS Y ANTENAS SUELTAS
+   * 
+   * - Clusters: los del servidor (zoom bajo) más los del agrupamiento local
+   * - Modo marcadores: todas las antenas sueltas, sin agrupar
+   *   (a zoom bajo el servidor sigue enviando solo agregados)
+   * - Modo mapa de calor: ni clusters ni marcadores
+   * - Por encima de VITE_CANVAS_THRESHOLD antenas sueltas se pasa
+   *   al modo canvas (un solo <canvas> en lugar de un nodo DOM por antena)
+   */
+  const { clusters, points } = useMemo(() => {
+    if (displayMode === 'heatmap') return { clusters: [], points: [] }
+    if (displayMode === 'markers') return { clusters: serverClusters, points: antenas }
+
+    const clusters = [...serverClusters]
+    const points = []
+    groupedAntenas.forEach(feature => {
+      (feature.properties?.cluster ? clusters : points).push(feature)
     })
-    
-    console.log(`📍 [MAP] ${antenas.length} antenas → ${groups.length} grupos`)
-    return groups
-  }, [antenas])
+    return { clusters, points }
+  }, [displayMode, serverClusters, antenas, groupedAntenas])
+
+  /**
+   * PUNTOS DEL MAPA DE CALOR
+   * 
+   * Antenas sueltas y clusters del servidor, ponderados por su recuento
+   */
+  const heatPoints = useMemo(() => (
+    displayMode === 'heatmap'
+      ? buildHeatPoints(antenas.concat(serverClusters), heatmapOptions)
+      : []
+  ), [displayMode, antenas, serverClusters, heatmapOptions])
+
+  const canvasMode = points.length > config.canvasThreshold
+
+  /**
+   * MODO RESALTAR
+   * 
+   * Lo que no cumple la selección se atenúa; los clusters
+   * solo se atenúan si no contienen ninguna antena seleccionada
+   */
+  const isDimmed = useCallback((antena) => (
+    highlight !== null && !matchesFilters(antena.properties, highlight)
+  ), [highlight])
+
+  useEffect(() => {
+    debugLog(`📍 [MAP] ${points.length} antenas sueltas → modo ${canvasMode ? 'canvas' : 'DOM'}`)
+  }, [points.length, canvasMode])
+
+  /**
+   * POSICIÓN DE LA ANTENA SELECCIONADA
+   * 
+   * Se marca aunque esté dentro de un cluster; la ficha
+   * se muestra fuera del mapa (ver AntenaDrawer.jsx)
+   */
+  const [selectedLon, selectedLat] = selectedAntena?.geometry?.coordinates ?? []
+
+  const selectedPosition = useMemo(() => (
+    selectedLat !== undefined ? [selectedLat, selectedLon] : null
+  ), [selectedLat, selectedLon])
+
+  // Click en la antena ya seleccionada: cierra (deselecciona)
+  const handleMarkerClick = useCallback((antena) => {
+    const id = antena?.properties?.id ?? null
+    onSelect(id === selectedId ? null : id, id === selectedId ? null : antena)
+  }, [onSelect, selectedId])
+
+  /**
+   * SOLTAR FICHEROS SOBRE EL MAPA
+   * 
+   * dragenter/dragleave llegan también al pasar sobre cada hijo:
+   * un contador evita que el aviso parpadee
+   */
+  const dragDepthRef = useRef(0)
+
+  const dropHandlers = useMemo(() => {
+    if (!onFileDrop) return {}
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types ?? []).includes('Files')
+
+    return {
+      onDragEnter: (event) => {
+        if (!hasFiles(event)) return
+        event.preventDefault()
+        dragDepthRef.current += 1
+        setDragging(true)
+      },
+      onDragOver: (event) => {
+        if (!hasFiles(event)) return
+        event.preventDefault()
+        event.dataTransfer.dropEffect = 'copy'
+      },
+      onDragLeave: (event) => {
+        if (!hasFiles(event)) return
+        dragDepthRef.current = Math.max(0, dragDepthRef.current - 1)
+        if (dragDepthRef.current === 0) setDragging(false)
+      },
+      onDrop: (event) => {
+        if (!hasFiles(event)) return
+        event.preventDefault()
+        dragDepthRef.current = 0
+        setDragging(false)
+        onFileDrop(event.dataTransfer.files)
+      }
+    }
+  }, [onFileDrop])
 
   /**
    * RENDERIZADO DEL COMPONENTE
    */
   return (
-    <div className="map-container">
+    <div className="map-container" {...dropHandlers}>
+      {dragging && (
+        <div className="map-drop-hint">
+          Suelta el fichero para importarlo (GeoJSON, CSV, KML)
+        </div>
+      )}
+
       {/**
        * CONTENEDOR PRINCIPAL DE LEAFLET
        * 
        * Configuración optimizada:
        * - zoomControl: true (controles de zoom visibles)
-       * - maxBounds: Limita el mapa a España
+       * - maxBounds: Limita el mapa a España (VITE_MAP_MAX_BOUNDS)
        */}
       <MapContainer
         center={center}
         zoom={zoom}
         style={{ height: '100%', width: '100%' }}
         zoomControl={true}
-        maxBounds={[[27.5, -18.5], [44.0, 4.5]]} // España bounds
+        maxBounds={maxBounds}
       >
         {/**
-         * CAPA DE TILES (BASE DEL MAPA)
-         * 
-         * OpenStreetMap es gratuito y no requiere API key
-         * Alternativas: Mapbox, Google Maps (requieren API key)
+         * MAPA BASE Y SU SELECTOR (ver BasemapControl.jsx)
          */}
-        <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-        />
+        <BasemapControl basemap={basemap} onChange={onBasemapChange} />
         
         {/**
          * COMPONENTE DE EVENTOS
          * Detecta cambios en la vista para lazy loading
          */}
-        <MapEvents onViewportChange={onViewportChange} />
+        <MapEvents onViewportChange={onViewportChange} onViewChange={setView} />
         
         {/**
          * RENDERIZADO DE MARCADORES
@@ -217,36 +397,71 @@ export default function MapComponent({ antenas, onViewportChange, filters }) {
          * Usa grupos para evitar superposición
          * Key única para cada marcador para optimización de React
          */}
-        {groupedAntenas.map((antena, index) => (
-          <Marker
-            key={antena.properties?.id || `antena-${index}`}
-            position={[
-              antena.geometry.coordinates[1], // lat
-              antena.geometry.coordinates[0]  // lon
-            ]}
-            icon={createIcon(antena.properties?.operador)}
-          >
-            {/**
-             * POPUP INFORMATIVO
-             * Se muestra al hacer click en el marcador
-             */}
-            <Popup>
-              <div className="popup-content">
-                <h3>Antena {antena.properties?.operador}</h3>
-                <p><strong>Tecnología:</strong> {antena.properties?.tecnologia || 'N/A'}</p>
-                <p><strong>Provincia:</strong> {antena.properties?.provincia || 'N/A'}</p>
-                
-                {/**
-                 * INDICADOR DE AGRUPAMIENTO
-                 * Muestra cuántas antenas hay en este grupo
-                 */}
-                {antena.properties?.count > 1 && (
-                  <p><em>{antena.properties.count} antenas en esta zona</em></p>
-                )}
-              </div>
-            </Popup>
-          </Marker>
+        {clusters.map((cluster, index) => (
+          <ClusterMarker
+            key={cluster.properties.id || `cluster-${index}`}
+            cluster={cluster}
+            getColor={getColor}
+            dimmed={highlight !== null && !clusterMatchesFilters(cluster.properties, highlight)}
+          />
         ))}
+
+        {/**
+         * VISTA PEDIDA DESDE FUERA (historial del navegador)
+         */}
+        <ViewController target={viewTarget} />
+
+        {/**
+         * MAPA DE CALOR (modo alternativo a marcadores y clusters)
+         */}
+        {displayMode === 'heatmap' && (
+          <HeatmapLayer
+            points={heatPoints}
+            radius={heatmapOptions.radius}
+            intensity={heatmapOptions.intensity}
+          />
+        )}
+
+        {/**
+         * ANTENAS SUELTAS
+         * 
+         * - Modo canvas: un único canvas con hit-testing
+         * - Modo DOM: un marcador por antena
+         * 
+         * En ambos modos el click selecciona la antena
+         */}
+        {canvasMode ? (
+          <CanvasMarkers
+            antenas={points}
+            getColor={getColor}
+            isDimmed={isDimmed}
+            onSelect={handleMarkerClick}
+          />
+        ) : (
+          points.map((antena, index) => (
+            <Marker
+              key={antena.properties?.id || `antena-${index}`}
+              position={[
+                antena.geometry.coordinates[1], // lat
+                antena.geometry.coordinates[0]  // lon
+              ]}
+              icon={createIcon(antena.properties?.operador, isDimmed(antena))}
+              eventHandlers={{ click: () => handleMarkerClick(antena) }}
+            />
+          ))
+        )}
+
+        {/**
+         * ANTENA SELECCIONADA: ANILLO SOBRE SU POSICIÓN
+         */}
+        {selectedPosition && (
+          <CircleMarker center={selectedPosition} {...SELECTED_RING_STYLE} />
+        )}
+
+        {/**
+         * CAPAS DE HERRAMIENTAS (búsqueda por radio, etc.)
+         */}
+        {children}
       </MapContainer>
     </div>
   )
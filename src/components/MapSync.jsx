@@ -0,0 +1,53 @@
+/**
+ * SINCRONIZACIÓN DE VARIOS MAPAS LEAFLET
+ *
+ * Se coloca dentro de cada mapa del grupo: al moverse uno
+ * (arrastre, zoom, inercia) los demás copian centro y zoom al instante
+ *
+ * El grupo es un objeto compartido { maps: Set, syncing: boolean }
+ * (ver createSyncGroup). Mientras se sincroniza se ignoran los 'move'
+ * que provoca la propia sincronización, que si no rebotarían
+ */
+
+import { useEffect } from 'react'
+import { useMap } from 'react-leaflet'
+
+/**
+ * GRUPO DE MAPAS SINCRONIZADOS VACÍO
+ */
+export function createSyncGroup() {
+  return { maps: new Set(), syncing: false }
+}
+
+/**
+ * @param {Object} props
+ * @param {{maps: Set, syncing: boolean}} props.group - Grupo compartido entre los mapas
+ */
+export default function MapSync({ group }) {
+  const map = useMap()
+
+  useEffect(() => {
+    const handleMove = () => {
+      if (group.syncing) return
+      group.syncing = true
+      try {
+        group.maps.forEach(other => {
+          if (other !== map) other.setView(map.getCenter(), map.getZoom(), { animate: false })
+        })
+      } finally {
+        group.syncing = false
+      }
+    }
+
+    group.maps.add(map)
+    map.on('move', handleMove)
+
+    return () => {
+      map.off('move', handleMove)
+      group.maps.delete(map)
+    }
+  }, [map, group])
+
+  // Solo eventos: no renderiza nada
+  return null
+}
@@ -0,0 +1,99 @@
+/**
+ * FILTRO DE SELECCIÓN MÚLTIPLE
+ *
+ * Desplegable con casillas (details/summary nativo: accesible por
+ * teclado sin JavaScript adicional). Con muchas opciones muestra
+ * un campo para buscar dentro de la lista
+ */
+
+import React, { useState, useRef, useEffect } from 'react'
+import { normalize } from '../services/geocoder'
+
+/**
+ * OPCIONES A PARTIR DE LAS CUALES SE MUESTRA EL BUSCADOR
+ */
+const SEARCH_THRESHOLD = 10
+
+/**
+ * @param {Object} props
+ * @param {string} props.id - Identificador base para los elementos
+ * @param {string} props.label - Etiqueta visible del filtro
+ * @param {string} props.allLabel - Texto cuando no hay nada seleccionado
+ * @param {Array<{value: string, count?: number}>} props.options - Opciones disponibles
+ * @param {string[]} props.selected - Valores seleccionados
+ * @param {Function} props.onChange - Recibe el nuevo array de valores
+ */
+export default function MultiSelectFilter({ id, label, allLabel, options, selected, onChange }) {
+  const [query, setQuery] = useState('')
+  const detailsRef = useRef(null)
+
+  /**
+   * CERRAR AL HACER CLICK FUERA
+   */
+  useEffect(() => {
+    const handleClick = (event) => {
+      const details = detailsRef.current
+      if (details?.open && !details.contains(event.target)) details.open = false
+    }
+    document.addEventListener('click', handleClick)
+    return () => document.removeEventListener('click', handleClick)
+  }, [])
+
+  const toggle = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value])
+  }
+
+  const normalizedQuery = normalize(query)
+  const visibleOptions = normalizedQuery
+    ? options.filter(option => normalize(option.value).includes(normalizedQuery))
+    : options
+
+  const summary = selected.length === 0
+    ? allLabel
+    : selected.length <= 2 ? selected.join(', ') : `${selected.length} seleccionados`
+
+  return (
+    <div className="filter-group">
+      <label id={`${id}-label`}>{label}:</label>
+      <details className="multi-select" ref={detailsRef}>
+        <summary aria-labelledby={`${id}-label`}>{summary}</summary>
+
+        <div className="multi-select-menu" role="group" aria-labelledby={`${id}-label`}>
+          {options.length > SEARCH_THRESHOLD && (
+            <input
+              type="search"
+              className="multi-select-search"
+              placeholder="Buscar…"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              aria-label={`Buscar en ${label.toLowerCase()}`}
+            />
+          )}
+
+          <ul>
+            {visibleOptions.map(option => (
+              <li key={option.value}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(option.value)}
+                    onChange={() => toggle(option.value)}
+                  />
+                  {option.value}
+                  {option.count !== undefined && (
+                    <span className="multi-select-count">{option.count.toLocaleString()}</span>
+                  )}
+                </label>
+              </li>
+            ))}
+            {visibleOptions.length === 0 && (
+              <li className="multi-select-empty">Sin coincidencias</li>
+            )}
+          </ul>
+        </div>
+      </details>
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+/**
+ * AVISOS DESCARTABLES
+ * 
+ * Lista de mensajes no bloqueantes en la esquina del mapa
+ * Sustituye a los errores que antes solo iban a la consola
+ */
+
+import React from 'react'
+
+/**
+ * @param {Object} props - Propiedades del componente
+ * @param {Array<{id: number, message: string, action?: {label: string, onClick: Function}}>} props.notices
+ * @param {Function} props.onDismiss - Recibe el id del aviso a cerrar
+ */
+export default function Notices({ notices, onDismiss }) {
+  if (!notices.length) return null
+
+  return (
+    <div className="notices" aria-live="polite">
+      {notices.map(notice => (
+        <div key={notice.id} className="notice" role="alert">
+          <span className="notice-message">{notice.message}</span>
+
+          {notice.action && (
+            <button
+              className="notice-action"
+              onClick={() => {
+                onDismiss(notice.id)
+                notice.action.onClick()
+              }}
+            >
+              {notice.action.label}
+            </button>
+          )}
+
+          <button
+            className="notice-close"
+            onClick={() => onDismiss(notice.id)}
+            aria-label="Cerrar aviso"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+/**
+ * CAPAS IMPORTADAS SOBRE EL MAPA
+ *
+ * Círculos huecos del color de cada capa, para distinguirlos de
+ * las antenas oficiales (puntos rellenos con borde blanco)
+ *
+ * El click en un punto abre un popup con sus propiedades y la
+ * distancia a la antena oficial más cercana (no llega al mapa: con
+ * una herramienta activa no cuenta como punto elegido)
+ *
+ * Los puntos se dibujan en un canvas compartido y de forma
+ * imperativa, como CanvasMarkers: un fichero importado puede
+ * traer miles de puntos
+ */
+
+import React, { useState, useMemo, useEffect, useRef } from 'react'
+import { Popup, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import useNearestAntena from '../hooks/useNearestAntena'
+import { formatDistance } from '../services/geo'
+import config from '../config'
+
+/**
+ * ESTILO DE LOS PUNTOS (el color lo pone cada capa)
+ */
+const POINT_STYLE = { radius: 7, weight: 3, fillOpacity: 0.15 }
+
+/**
+ * @param {Object} props
+ * @param {Array} props.overlays - Capas de useOverlays
+ * @param {Array} props.antenas - Antenas oficiales cargadas
+ * @param {Object} props.filters - Filtros activos
+ */
+export default function OverlayLayer({ overlays, antenas, filters }) {
+  /**
+   * PUNTO CON EL POPUP ABIERTO: { overlayId, index }
+   */
+  const [selected, setSelected] = useState(null)
+
+  const selectedOverlay = overlays.find(overlay => overlay.id === selected?.overlayId && overlay.visible)
+  const selectedFeature = selectedOverlay?.features[selected.index] ?? null
+
+  const [selectedLon, selectedLat] = selectedFeature?.geometry.coordinates ?? []
+  const selectedPosition = useMemo(() => (
+    selectedLat !== undefined ? [selectedLat, selectedLon] : null
+  ), [selectedLat, selectedLon])
+
+  const popupHandlers = useMemo(() => ({ remove: () => setSelected(null) }), [])
+
+  return (
+    <>
+      <OverlayPoints overlays={overlays} onSelect={setSelected} />
+
+      {selectedPosition && (
+        <Popup
+          key={`${selected.overlayId}-${selected.index}`}
+          position={selectedPosition}
+          eventHandlers={popupHandlers}
+        >
+          <OverlayPopupContent
+            overlay={selectedOverlay}
+            feature={selectedFeature}
+            position={selectedPosition}
+            antenas={antenas}
+            filters={filters}
+          />
+        </Popup>
+      )}
+    </>
+  )
+}
+
+/**
+ * PUNTOS DE LAS CAPAS VISIBLES SOBRE CANVAS
+ *
+ * Un único manejador de click en el grupo: cada punto lleva
+ * su referencia { overlayId, index }
+ *
+ * @param {Object} props
+ * @param {Array} props.overlays - Capas de useOverlays
+ * @param {Function} props.onSelect - Recibe { overlayId, index } del punto pulsado
+ */
+function OverlayPoints({ overlays, onSelect }) {
+  const map = useMap()
+  const groupRef = useRef(null)
+  const rendererRef = useRef(null)
+
+  const onSelectRef = useRef(onSelect)
+  onSelectRef.current = onSelect
+
+  useEffect(() => {
+    const renderer = L.canvas({ padding: 0.5, tolerance: 4 })
+    const group = L.featureGroup().addTo(map)
+
+    group.on('click', (event) => {
+      onSelectRef.current(event.layer.overlayPoint)
+    })
+
+    rendererRef.current = renderer
+    groupRef.current = group
+
+    return () => {
+      group.off()
+      group.remove()
+      renderer.remove()
+    }
+  }, [map])
+
+  useEffect(() => {
+    const group = groupRef.current
+    if (!group) return
+
+    group.clearLayers()
+    overlays.filter(overlay => overlay.visible).forEach(overlay => {
+      overlay.features.forEach((feature, index) => {
+        const [lon, lat] = feature.geometry.coordinates
+        const marker = L.circleMarker([lat, lon], {
+          ...POINT_STYLE,
+          color: overlay.color,
+          renderer: rendererRef.current,
+          // No llega al mapa (ver cabecera)
+          bubblingMouseEvents: false
+        })
+        marker.overlayPoint = { overlayId: overlay.id, index }
+        group.addLayer(marker)
+      })
+    })
+  }, [overlays])
+
+  // Capa imperativa: no renderiza nada en React
+  return null
+}
+
+/**
+ * CONTENIDO DEL POPUP DE UN PUNTO IMPORTADO
+ */
+function OverlayPopupContent({ overlay, feature, position, antenas, filters }) {
+  const { nearest, loading, error } = useNearestAntena(position, antenas, filters)
+  const properties = Object.entries(feature.properties || {})
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+
+  return (
+    <div className="popup-content overlay-popup">
+      <h3 style={{ color: overlay.color }}>{overlay.name}</h3>
+      {properties.map(([key, value]) => (
+        <p key={key}>
+          <strong>{key}:</strong> {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+        </p>
+      ))}
+
+      <p className="overlay-nearest">
+        <strong>Antena oficial más cercana:</strong>{' '}
+        {nearest
+          ? `${formatDistance(nearest.distance)} (${[nearest.antena.properties?.operador, nearest.antena.properties?.tecnologia].filter(Boolean).join(' ')})`
+          : loading
+            ? 'buscando…'
+            : error
+              ? 'no disponible'
+              : `ninguna a menos de ${formatDistance(config.maxSearchRadius)}`}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,124 @@
+/**
+ * PANEL DE CAPAS IMPORTADAS
+ *
+ * Desplegable abajo a la izquierda del mapa:
+ * - Elegir ficheros (alternativa a soltarlos sobre el mapa)
+ * - Mostrar, ocultar o quitar cada capa
+ * - Resultado de la última importación con los errores por fila
+ */
+
+import React, { useEffect, useRef } from 'react'
+
+/**
+ * ERRORES POR FICHERO QUE SE LISTAN (el resto se resume)
+ */
+const MAX_LISTED_ERRORS = 50
+
+/**
+ * @param {Object} props
+ * @param {Array} props.overlays - Capas de useOverlays
+ * @param {Array} props.importReports - Informes de la última importación
+ * @param {Function} props.onImport - Recibe la lista de ficheros elegidos
+ * @param {Function} props.onToggle - Recibe el id de la capa a mostrar u ocultar
+ * @param {Function} props.onRemove - Recibe el id de la capa a quitar
+ * @param {Function} props.onDismissReports - Oculta el resultado de la importación
+ */
+export default function OverlayPanel({
+  overlays,
+  importReports,
+  onImport,
+  onToggle,
+  onRemove,
+  onDismissReports
+}) {
+  const detailsRef = useRef(null)
+  const inputRef = useRef(null)
+
+  // Una importación (también por arrastre) abre el panel con su resultado
+  useEffect(() => {
+    if (importReports.length > 0 && detailsRef.current) detailsRef.current.open = true
+  }, [importReports])
+
+  const handleFiles = (event) => {
+    if (event.target.files.length > 0) onImport(event.target.files)
+    event.target.value = '' // Permite volver a elegir el mismo fichero
+  }
+
+  return (
+    <details className="overlay-panel" ref={detailsRef}>
+      <summary>🗂️ Capas importadas ({overlays.length})</summary>
+
+      <div className="overlay-panel-body">
+        <p className="map-panel-hint">
+          Suelta un GeoJSON, CSV o KML sobre el mapa para compararlo con las antenas oficiales
+        </p>
+        <button className="overlay-import" onClick={() => inputRef.current?.click()}>
+          📂 Elegir fichero…
+        </button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept=".geojson,.json,.csv,.tsv,.txt,.kml"
+          multiple
+          hidden
+          onChange={handleFiles}
+        />
+
+        {/* RESULTADO DE LA ÚLTIMA IMPORTACIÓN */}
+        {importReports.length > 0 && (
+          <div className="overlay-reports" aria-live="polite">
+            {importReports.map((report, index) => (
+              <div key={`${report.fileName}-${index}`} className={report.failure ? 'map-panel-error' : 'overlay-report'}>
+                <p>
+                  <strong>{report.fileName}</strong>:{' '}
+                  {report.failure
+                    ? `no importado (${report.failure})`
+                    : `${report.imported.toLocaleString()} puntos importados`}
+                  {report.errors.length > 0 && `, ${report.errors.length.toLocaleString()} filas con errores`}
+                </p>
+                {report.errors.length > 0 && (
+                  <ul className="overlay-errors">
+                    {report.errors.slice(0, MAX_LISTED_ERRORS).map(error => (
+                      <li key={error.row}>Fila {error.row}: {error.message}</li>
+                    ))}
+                    {report.errors.length > MAX_LISTED_ERRORS && (
+                      <li>… y {(report.errors.length - MAX_LISTED_ERRORS).toLocaleString()} más</li>
+                    )}
+                  </ul>
+                )}
+              </div>
+            ))}
+            <button className="overlay-reports-dismiss" onClick={onDismissReports}>Ocultar resultado</button>
+          </div>
+        )}
+
+        {/* CAPAS */}
+        {overlays.length > 0 && (
+          <ul className="overlay-list">
+            {overlays.map(overlay => (
+              <li key={overlay.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={overlay.visible}
+                    onChange={() => onToggle(overlay.id)}
+                  />
+                  <span className="overlay-swatch" style={{ borderColor: overlay.color }} />
+                  <span className="overlay-name" title={overlay.name}>{overlay.name}</span>
+                  <span className="overlay-count">{overlay.features.length.toLocaleString()}</span>
+                </label>
+                <button
+                  className="overlay-remove"
+                  onClick={() => onRemove(overlay.id)}
+                  aria-label={`Quitar la capa ${overlay.name}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </details>
+  )
+}
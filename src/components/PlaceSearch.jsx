@@ -0,0 +1,128 @@
+/**
+ * BUSCADOR DE LUGARES
+ *
+ * Campo con sugerencias (patrón combobox de ARIA) sobre el
+ * nomenclátor offline: provincias, comarcas, municipios y
+ * coordenadas "lat,lon" (ver services/geocoder.js)
+ *
+ * Teclado: ↑/↓ recorren las sugerencias, Enter elige, Escape cierra
+ */
+
+import React, { useState, useMemo, useRef, useEffect } from 'react'
+import { searchPlaces } from '../services/geocoder'
+
+/**
+ * ICONO POR TIPO DE LUGAR
+ */
+const TYPE_ICONS = {
+  provincia: '🗺️',
+  comarca: '⛰️',
+  municipio: '🏙️',
+  coordenadas: '📍'
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onSelect - Recibe el lugar elegido ({ nombre, center, bounds, ... })
+ */
+export default function PlaceSearch({ onSelect }) {
+  const [query, setQuery] = useState('')
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const containerRef = useRef(null)
+
+  const results = useMemo(() => searchPlaces(query), [query])
+  const showList = open && query.trim().length > 0
+
+  /**
+   * CERRAR AL HACER CLICK FUERA
+   */
+  useEffect(() => {
+    const handleClick = (event) => {
+      if (!containerRef.current?.contains(event.target)) setOpen(false)
+    }
+    document.addEventListener('click', handleClick)
+    return () => document.removeEventListener('click', handleClick)
+  }, [])
+
+  const choose = (place) => {
+    setQuery(place.nombre)
+    setOpen(false)
+    onSelect(place)
+  }
+
+  const handleChange = (event) => {
+    setQuery(event.target.value)
+    setActiveIndex(0)
+    setOpen(true)
+  }
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault()
+        setOpen(true)
+        setActiveIndex(index => Math.min(index + 1, results.length - 1))
+        break
+      case 'ArrowUp':
+        event.preventDefault()
+        setActiveIndex(index => Math.max(index - 1, 0))
+        break
+      case 'Enter':
+        if (showList && results[activeIndex]) {
+          event.preventDefault()
+          choose(results[activeIndex])
+        }
+        break
+      case 'Escape':
+        setOpen(false)
+        break
+      default:
+        break
+    }
+  }
+
+  return (
+    <div className="place-search" ref={containerRef}>
+      <input
+        type="search"
+        className="place-search-input"
+        placeholder="🔍 Buscar lugar o coordenadas…"
+        value={query}
+        onChange={handleChange}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-label="Buscar provincia, comarca, municipio o coordenadas"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls="place-search-results"
+        aria-activedescendant={showList && results[activeIndex] ? `place-${results[activeIndex].id}` : undefined}
+      />
+
+      {showList && (
+        <ul id="place-search-results" className="place-search-results" role="listbox">
+          {results.map((place, index) => (
+            <li
+              key={place.id}
+              id={`place-${place.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : undefined}
+              onMouseEnter={() => setActiveIndex(index)}
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => choose(place)}
+            >
+              <span aria-hidden="true">{TYPE_ICONS[place.tipo]}</span>
+              <span className="place-name">{place.nombre}</span>
+              <span className="place-context">{place.contexto}</span>
+            </li>
+          ))}
+          {results.length === 0 && (
+            <li className="place-search-empty">Sin resultados</li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,32 @@
+/**
+ * SELECTOR DE PUNTO EN EL MAPA
+ *
+ * Mientras está montado, cada click en el mapa entrega sus
+ * coordenadas y el cursor pasa a ser de precisión
+ *
+ * Lo comparten las herramientas que trabajan sobre un punto
+ * (búsqueda por radio, informe de cobertura)
+ */
+
+import { useEffect } from 'react'
+import { useMap, useMapEvents } from 'react-leaflet'
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onPick - Recibe [lat, lon] del click
+ */
+export default function PointPicker({ onPick }) {
+  const map = useMap()
+
+  useMapEvents({
+    click: (event) => onPick([event.latlng.lat, event.latlng.lng])
+  })
+
+  useEffect(() => {
+    const container = map.getContainer()
+    container.classList.add('picking-point')
+    return () => container.classList.remove('picking-point')
+  }, [map])
+
+  return null
+}
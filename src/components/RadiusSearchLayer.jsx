@@ -0,0 +1,55 @@
+/**
+ * CAPA DE BÚSQUEDA POR RADIO
+ *
+ * Se renderiza dentro del mapa mientras el modo está activo:
+ * - Click en el mapa: fija el centro de la búsqueda (ver PointPicker)
+ * - Círculo con el radio actual y marca en el centro
+ * - Anillo de resaltado sobre la antena señalada en la lista
+ *
+ * Dibuja su propio resaltado en lugar de modificar los marcadores:
+ * funciona igual en modo DOM, canvas o si la antena está agrupada
+ */
+
+import React from 'react'
+import { Circle, CircleMarker } from 'react-leaflet'
+import PointPicker from './PointPicker'
+
+/**
+ * ESTILOS DE LA CAPA
+ *
+ * El centro y el resaltado toman el color del tema de styles.css (className)
+ */
+const CIRCLE_STYLE = { color: '#3498db', weight: 2, fillColor: '#3498db', fillOpacity: 0.08 }
+const CENTER_STYLE = { color: '#ffffff', weight: 2, fillOpacity: 1, className: 'radius-search-center' }
+const HIGHLIGHT_STYLE = { weight: 3, fill: false, className: 'radius-search-highlight' }
+
+/**
+ * @param {Object} props
+ * @param {number[]|null} props.center - [lat, lon] del centro, null hasta el primer click
+ * @param {number} props.radius - Metros
+ * @param {Object|null} props.highlighted - Feature de la antena a resaltar
+ * @param {Function} props.onPick - Recibe [lat, lon] al hacer click en el mapa
+ */
+export default function RadiusSearchLayer({ center, radius, highlighted, onPick }) {
+  return (
+    <>
+      <PointPicker onPick={onPick} />
+
+      {center && (
+        <>
+          <Circle center={center} radius={radius} pathOptions={CIRCLE_STYLE} interactive={false} />
+          <CircleMarker center={center} radius={5} pathOptions={CENTER_STYLE} interactive={false} />
+        </>
+      )}
+
+      {highlighted && (
+        <CircleMarker
+          center={[highlighted.geometry.coordinates[1], highlighted.geometry.coordinates[0]]}
+          radius={13}
+          pathOptions={HIGHLIGHT_STYLE}
+          interactive={false}
+        />
+      )}
+    </>
+  )
+}
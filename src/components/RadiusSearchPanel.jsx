@@ -0,0 +1,119 @@
+/**
+ * PANEL DE RESULTADOS DE LA BÚSQUEDA POR RADIO
+ *
+ * Control del radio (hasta VITE_MAX_SEARCH_RADIUS) y lista de las
+ * antenas dentro del círculo, de la más cercana a la más lejana
+ *
+ * Pasar el ratón (o el foco) por una fila resalta su antena en el mapa;
+ * el click la selecciona
+ */
+
+import React from 'react'
+import { formatDistance } from '../services/geo'
+import config from '../config'
+
+/**
+ * PASO DEL CONTROL DE RADIO (metros)
+ */
+const RADIUS_STEP = 100
+
+/**
+ * @param {Object} props
+ * @param {number[]|null} props.center - [lat, lon]; null hasta el primer click
+ * @param {number} props.radius - Metros
+ * @param {Function} props.onRadiusChange - Recibe el nuevo radio
+ * @param {Array<{antena: Object, distance: number}>} props.results - Ordenados por distancia
+ * @param {boolean} props.loading - Búsqueda en curso
+ * @param {Error|null} props.error - Error de la última búsqueda
+ * @param {boolean} props.truncated - El círculo tiene más antenas de las que se descargan
+ * @param {string|null} props.hoveredId - id de la antena resaltada
+ * @param {Function} props.onHover - Recibe el id a resaltar (o null)
+ * @param {Function} props.onSelect - Recibe el id de la antena elegida
+ * @param {Function} props.onClose - Sale del modo de búsqueda
+ */
+export default function RadiusSearchPanel({
+  center,
+  radius,
+  onRadiusChange,
+  results,
+  loading,
+  error,
+  truncated,
+  hoveredId,
+  onHover,
+  onSelect,
+  onClose
+}) {
+  const maxRadius = config.maxSearchRadius
+
+  return (
+    <aside className="map-panel radius-panel" aria-label="Búsqueda por radio">
+      <div className="map-panel-header">
+        <h3>📍 Antenas alrededor de un punto</h3>
+        <button className="map-panel-close" onClick={onClose} aria-label="Cerrar búsqueda por radio">
+          ×
+        </button>
+      </div>
+
+      {/* CONTROL DEL RADIO */}
+      <label className="radius-control">
+        <span>Radio: <strong>{formatDistance(radius)}</strong></span>
+        <input
+          type="range"
+          min={Math.min(RADIUS_STEP, maxRadius)}
+          max={maxRadius}
+          step={RADIUS_STEP}
+          value={radius}
+          onChange={(e) => onRadiusChange(Number(e.target.value))}
+        />
+      </label>
+
+      {!center && (
+        <p className="map-panel-hint">Haz click en el mapa para elegir el punto de búsqueda</p>
+      )}
+
+      {center && (
+        <>
+          <p className="map-panel-summary" aria-live="polite">
+            {loading
+              ? 'Buscando…'
+              : `${results.length.toLocaleString()} antenas a menos de ${formatDistance(radius)}`}
+          </p>
+
+          {error && (
+            <p className="map-panel-error">No se pudo completar la búsqueda. {error.message}</p>
+          )}
+
+          {truncated && !loading && (
+            <p className="map-panel-warning">
+              ⚠️ Hay más antenas de las que se pueden listar en esta zona: reduce el radio
+              o añade filtros para verlas todas
+            </p>
+          )}
+
+          <ol className="radius-results">
+            {results.map(({ antena, distance }) => {
+              const props = antena.properties || {}
+              return (
+                <li key={props.id ?? antena.geometry.coordinates.join(',')}>
+                  <button
+                    className={props.id === hoveredId ? 'active' : undefined}
+                    onMouseEnter={() => onHover(props.id ?? null)}
+                    onMouseLeave={() => onHover(null)}
+                    onFocus={() => onHover(props.id ?? null)}
+                    onBlur={() => onHover(null)}
+                    onClick={() => onSelect(props.id ?? null)}
+                  >
+                    <span className="radius-result-distance">{formatDistance(distance)}</span>
+                    <span className="radius-result-operator">{props.operador || 'N/A'}</span>
+                    <span className="radius-result-technology">{props.tecnologia || 'N/A'}</span>
+                  </button>
+                </li>
+              )
+            })}
+          </ol>
+        </>
+      )}
+    </aside>
+  )
+}
@@ -3,17 +3,67 @@
  * 
  * Muestra información resumida sobre las antenas
  * Operadores, tecnologías y distribución geográfica
+ * 
+ * Ámbito: toda España o la vista actual, siempre con los filtros
+ * activos (ver hooks/useScopedStats.js). Los porcentajes son
+ * relativos al total del ámbito, no al nacional
+ * 
+ * Exploración directa sobre los datos:
+ * - Click en una barra de operador o tecnología: filtra por ese valor
+ *   (otro click lo quita); Mayús+click lo añade a la selección
+ * - Modo resaltar: la selección atenúa el resto en el mapa en vez de ocultarlo
+ * - Leyenda: muestra u oculta en el mapa las antenas de cada operador
  */
 
 import React, { useMemo } from 'react'
+import { describeFilters } from '../services/filters'
+import { datasetDate } from '../services/stats'
+
+/**
+ * ÁMBITOS DE LAS ESTADÍSTICAS
+ */
+const SCOPES = [
+  { value: 'global', label: 'España' },
+  { value: 'viewport', label: 'Vista actual' }
+]
 
 /**
  * COMPONENTE PRINCIPAL DEL PANEL DE ESTADÍSTICAS
  * 
  * @param {Object} props - Propiedades del componente
- * @param {Object} props.stats - Objeto con todas las estadísticas
+ * @param {Object} props.stats - Estadísticas del ámbito elegido
+ * @param {Object} props.globalStats - /map/stats sin parámetros (fecha de los datos)
+ * @param {string} props.scope - 'global' o 'viewport'
+ * @param {Function} props.onScopeChange - Recibe el nuevo ámbito
+ * @param {Object} props.filters - Filtros activos
+ * @param {boolean} props.loading - Pidiendo las cifras del ámbito
+ * @param {boolean} props.approximate - Cifras calculadas con lo cargado en el mapa
+ * @param {Error|null} props.error
+ * @param {Object} props.selection - Valores seleccionados con las barras (filtros o resaltado)
+ * @param {Function} props.onValueClick - Recibe (filtro, valor, aditivo)
+ * @param {boolean} props.highlightMode - Resaltar en vez de filtrar
+ * @param {Function} props.onHighlightModeChange - Recibe el nuevo modo
+ * @param {string[]} props.hiddenOperators - Operadores ocultos en el mapa
+ * @param {Function} props.onOperatorToggle - Muestra u oculta un operador
+ * @param {Function} props.getColor - Operador → color (ver services/palette.js)
  */
-export default function StatsPanel({ stats }) {
+export default function StatsPanel({
+  stats,
+  globalStats,
+  scope,
+  onScopeChange,
+  filters,
+  loading,
+  approximate,
+  error,
+  selection,
+  onValueClick,
+  highlightMode,
+  onHighlightModeChange,
+  hiddenOperators,
+  onOperatorToggle,
+  getColor
+}) {
   /**
    * ESTADÍSTICAS DE OPERADORES ORDENADAS
    * 
@@ -59,13 +109,66 @@ export default function StatsPanel({ stats }) {
     return ((count / stats.total_antenas) * 100).toFixed(1)
   }
 
+  /**
+   * OPERADORES DE LA LEYENDA
+   * 
+   * Los del conjunto completo: no desaparecen al filtrar u ocultar
+   */
+  const legendOperadores = useMemo(() => (
+    Object.entries(globalStats?.por_operador || stats?.por_operador || {})
+      .sort(([, a], [, b]) => b - a)
+      .map(([operador]) => operador)
+  ), [globalStats?.por_operador, stats?.por_operador])
+
+  /**
+   * BARRA SELECCIONABLE: CLICK, MAYÚS+CLICK Y TECLADO
+   */
+  const selectableProps = (key, value) => {
+    const select = (additive) => onValueClick(key, value, additive)
+    return {
+      role: 'button',
+      tabIndex: 0,
+      'aria-pressed': selection[key]?.includes(value) ?? false,
+      title: 'Click: seleccionar · Mayús+click: añadir a la selección',
+      onClick: (event) => select(event.shiftKey),
+      onKeyDown: (event) => {
+        if (event.key !== 'Enter' && event.key !== ' ') return
+        event.preventDefault()
+        select(event.shiftKey)
+      }
+    }
+  }
+
+  const filtersText = describeFilters(filters)
+  const updatedAt = datasetDate(globalStats)
+
+  /**
+   * SELECTOR DE ÁMBITO (visible también mientras carga)
+   */
+  const scopeToggle = (
+    <div className="tool-toggles display-modes stats-scope" role="group" aria-label="Ámbito de las estadísticas">
+      {SCOPES.map(item => (
+        <button
+          key={item.value}
+          type="button"
+          className="tool-toggle"
+          aria-pressed={scope === item.value}
+          onClick={() => onScopeChange(item.value)}
+        >
+          {item.label}
+        </button>
+      ))}
+    </div>
+  )
+
   // Si no hay estadísticas, mostrar estado vacío
   if (!stats) {
     return (
       <div className="stats-panel">
         <div className="stats-section">
           <h3>📊 Estadísticas</h3>
-          <p>Cargando datos...</p>
+          {globalStats && scopeToggle}
+          <p>{error ? error.message : 'Cargando datos...'}</p>
         </div>
       </div>
     )
@@ -76,10 +179,19 @@ export default function StatsPanel({ stats }) {
       
       {/* ENCABEZADO DEL PANEL */}
       <div className="stats-header">
-        <h3>📊 Estadísticas Globales</h3>
+        <h3>📊 Estadísticas{scope === 'viewport' ? ' de la vista' : ' de España'}</h3>
+        {scopeToggle}
         <div className="total-antenas">
           Total: <strong>{stats.total_antenas?.toLocaleString()}</strong> antenas
+          {loading && <span className="stats-updating" aria-live="polite"> · actualizando…</span>}
         </div>
+        {filtersText && <p className="stats-scope-info">Filtros: {filtersText}</p>}
+        {approximate && (
+          <p className="stats-scope-info">
+            ≈ Cifras calculadas con las antenas cargadas en el mapa
+            {error ? ` (${error.message})` : ''}
+          </p>
+        )}
       </div>
 
       {/* SECCIÓN: DISTRIBUCIÓN POR OPERADOR */}
@@ -87,10 +199,10 @@ export default function StatsPanel({ stats }) {
         <h4>📶 Operadores</h4>
         <div className="stats-list">
           {sortedOperadores.map(([operador, count]) => (
-            <div key={operador} className="stat-item">
+            <div key={operador} className="stat-item stat-item-selectable" {...selectableProps('operador', operador)}>
               <div className="stat-label">
                 <span className="operator-color" 
-                      style={{backgroundColor: getOperatorColor(operador)}}>
+                      style={{backgroundColor: getColor(operador)}}>
                 </span>
                 {operador}
               </div>
@@ -117,7 +229,7 @@ export default function StatsPanel({ stats }) {
         <h4>🛰️ Tecnologías</h4>
         <div className="stats-list">
           {sortedTecnologias.map(([tecnologia, count]) => (
-            <div key={tecnologia} className="stat-item">
+            <div key={tecnologia} className="stat-item stat-item-selectable" {...selectableProps('tecnologia', tecnologia)}>
               <div className="stat-label">{tecnologia}</div>
               <div className="stat-value">
                 <span className="count">{count.toLocaleString()}</span>
@@ -147,6 +259,9 @@ export default function StatsPanel({ stats }) {
                 <div className="stat-label">{provincia}</div>
                 <div className="stat-value">
                   <span className="count">{count.toLocaleString()}</span>
+                  <span className="percentage">
+                    ({calculatePercentage(count)}%)
+                  </span>
                 </div>
                 <div className="stat-bar">
                   <div 
@@ -157,34 +272,57 @@ export default function StatsPanel({ stats }) {
               </div>
             ))}
           </div>
+          {/* Los clusters del servidor no desglosan por provincia */}
+          {stats.provincias_incompletas && (
+            <p className="stats-scope-info">Solo las antenas cargadas individualmente</p>
+          )}
         </div>
       )}
 
+      {/* LEYENDA DEL MAPA: VISIBILIDAD POR OPERADOR */}
+      <div className="stats-section">
+        <h4>🗺️ Leyenda del mapa</h4>
+        <ul className="stats-legend">
+          {legendOperadores.map(operador => (
+            <li key={operador}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={!hiddenOperators.includes(operador)}
+                  onChange={() => onOperatorToggle(operador)}
+                />
+                <span className="operator-color" style={{ backgroundColor: getColor(operador) }} />
+                {operador}
+              </label>
+            </li>
+          ))}
+        </ul>
+        <label className="stats-highlight-mode">
+          <input
+            type="checkbox"
+            checked={highlightMode}
+            onChange={(event) => onHighlightModeChange(event.target.checked)}
+          />
+          Resaltar la selección en lugar de filtrar
+        </label>
+        <p className="stats-scope-info">
+          {highlightMode
+            ? 'Las barras seleccionadas resaltan sus antenas y atenúan el resto'
+            : 'Click en una barra para filtrar; Mayús+click para añadir a la selección'}
+        </p>
+      </div>
+
       {/* INFORMACIÓN DE ACTUALIZACIÓN */}
       <div className="stats-footer">
         <p className="update-info">
           ℹ️ Datos proporcionados por el Ministerio de Industria, Comercio y Turismo
         </p>
         <p className="data-info">
-          Última actualización: {new Date().toLocaleDateString('es-ES')}
+          Última actualización de los datos: {updatedAt
+            ? updatedAt.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' })
+            : 'no disponible'}
         </p>
       </div>
     </div>
   )
 }
-
-/**
- * FUNCIÓN AUXILIAR: OBTENER COLOR POR OPERADOR
- * 
- * @param {string} operador - Nombre del operador
- * @returns {string} - Código hexadecimal del color
- */
-function getOperatorColor(operador) {
-  const colors = {
-    'Movistar': '#00a8ff',
-    'Vodafone': '#e84118', 
-    'Orange': '#ff9f1a',
-    'Yoigo': '#44bd32'
-  }
-  return colors[operador] || '#718093'
-}
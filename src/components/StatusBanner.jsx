@@ -0,0 +1,80 @@
+/**
+ * BANNER DE ESTADO DEL SERVIDOR
+ * 
+ * Aviso no bloqueante mientras la API se despierta o se reintenta
+ * Ej: "Despertando servidor… intento 3/6"
+ * Desaparece solo cuando una petición vuelve a responder
+ * 
+ * Sin conexión, si se muestran copias guardadas, indica su fecha:
+ * "Datos sin conexión del 11 de junio de 2024, 18:05" (no se puede
+ * ocultar mientras dure; ver services/offlineData.js)
+ */
+
+import React, { useState } from 'react'
+import useBackendStatus from '../hooks/useBackendStatus'
+import useOfflineData from '../hooks/useOfflineData'
+
+/**
+ * TEXTOS POR ESTADO
+ * 
+ * 'online' e 'idle' no muestran banner
+ */
+const MESSAGES = {
+  waking: '⏳ Despertando servidor…',
+  retrying: '🔁 Reintentando conexión…'
+}
+
+export default function StatusBanner() {
+  const status = useBackendStatus()
+  const offlineSince = useOfflineData()
+
+  /**
+   * ESTADO DESCARTADO POR EL USUARIO
+   * 
+   * Se compara por referencia: un nuevo estado vuelve a mostrarse
+   */
+  const [dismissed, setDismissed] = useState(null)
+
+  if (status.state === 'waking' || status.state === 'retrying') {
+    return (
+      <div className={`status-banner status-${status.state}`} role="status" aria-live="polite">
+        <span className="status-spinner" aria-hidden="true"></span>
+        {MESSAGES[status.state]} intento {status.attempt}/{status.maxAttempts}
+      </div>
+    )
+  }
+
+  if (offlineSince !== null) {
+    return (
+      <div className="status-banner status-offline-data" role="status" aria-live="polite">
+        📴 Datos sin conexión del {formatOfflineDate(offlineSince)}
+      </div>
+    )
+  }
+
+  if (status.state === 'offline' && status !== dismissed) {
+    return (
+      <div className="status-banner status-offline" role="alert">
+        ⚠️ {status.message}
+        <button
+          onClick={() => setDismissed(status)}
+          aria-label="Ocultar aviso de conexión"
+        >
+          ×
+        </button>
+      </div>
+    )
+  }
+
+  return null
+}
+
+function formatOfflineDate(timestamp) {
+  return new Date(timestamp).toLocaleString('es-ES', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
@@ -0,0 +1,214 @@
+/**
+ * CONFIGURACIÓN EN TIEMPO DE EJECUCIÓN
+ *
+ * Punto único de lectura de las variables VITE_* (ver .env.example)
+ * Cada valor se valida al arrancar: si es incorrecto se informa
+ * por consola con el nombre de la variable y se usa el valor por defecto
+ *
+ * Así el mismo código puede apuntar a staging, producción
+ * o un backend local cambiando solo el .env
+ */
+
+/**
+ * VALORES POR DEFECTO
+ *
+ * Se aplican cuando la variable no está definida o no es válida
+ */
+const DEFAULTS = {
+  apiUrl: 'https://spain-mobile-towers-api.onrender.com',
+  debug: false,
+  useMockData: false,
+  mapZoom: 6,                                // Toda España visible
+  mapCenter: [40.4168, -3.7038],             // Madrid
+  mapMaxBounds: [[27.5, -18.5], [44.0, 4.5]], // Península, Baleares y Canarias
+  maxAntenas: 1000,
+  canvasThreshold: 500,                      // Antenas sueltas antes de pasar a canvas
+  clusterStyle: 'bubble',                    // 'bubble' o 'donut' por operador
+  maxSearchRadius: 20000,                    // Metros
+  cacheDuration: 5,                          // Minutos
+  persistentCacheMb: 25,                     // Megabytes en IndexedDB
+  customBasemap: null                        // Mapa base propio (XYZ o WMS), ver VITE_BASEMAP_*
+}
+
+/**
+ * PARSEAR Y VALIDAR LAS VARIABLES DE ENTORNO
+ *
+ * @param {Object} env - Normalmente import.meta.env
+ * @returns {{config: Object, errors: string[]}} - Configuración final y problemas detectados
+ */
+export function parseConfig(env) {
+  const errors = []
+
+  /**
+   * LECTOR GENÉRICO CON VALIDACIÓN
+   *
+   * - Variable ausente o vacía → valor por defecto, sin error
+   * - Variable presente pero inválida → valor por defecto y error descriptivo
+   */
+  const read = (name, parse, fallback, expected) => {
+    const raw = env[name]
+    if (raw === undefined || raw === '') return fallback
+
+    const value = parse(String(raw).trim())
+    if (value === undefined) {
+      errors.push(`${name}="${raw}" no es válido (se esperaba ${expected}). Usando ${JSON.stringify(fallback)}.`)
+      return fallback
+    }
+    return value
+  }
+
+  const config = {
+    apiUrl: read('VITE_API_URL', parseHttpUrl, DEFAULTS.apiUrl, 'una URL http(s)://'),
+    debug: read('VITE_DEBUG', parseBoolean, DEFAULTS.debug, 'true o false'),
+    useMockData: read('VITE_USE_MOCK_DATA', parseBoolean, DEFAULTS.useMockData, 'true o false'),
+    mapZoom: read('VITE_MAP_ZOOM', value => parseInteger(value, 0, 19), DEFAULTS.mapZoom, 'un entero entre 0 y 19'),
+    mapCenter: read('VITE_MAP_CENTER', parseLatLng, DEFAULTS.mapCenter, '[lat,lng] con lat entre -90 y 90 y lng entre -180 y 180'),
+    mapMaxBounds: read('VITE_MAP_MAX_BOUNDS', parseBounds, DEFAULTS.mapMaxBounds, '[[lat_sur,lng_oeste],[lat_norte,lng_este]]'),
+    maxAntenas: read('VITE_MAX_ANTENAS', value => parseInteger(value, 1, 100000), DEFAULTS.maxAntenas, 'un entero entre 1 y 100000'),
+    canvasThreshold: read('VITE_CANVAS_THRESHOLD', value => parseInteger(value, 0, 100000), DEFAULTS.canvasThreshold, 'un entero entre 0 y 100000'),
+    clusterStyle: read('VITE_CLUSTER_STYLE', value => parseOption(value, ['bubble', 'donut']), DEFAULTS.clusterStyle, '"bubble" o "donut"'),
+    maxSearchRadius: read('VITE_MAX_SEARCH_RADIUS', value => parseInteger(value, 100, 200000), DEFAULTS.maxSearchRadius, 'metros entre 100 y 200000'),
+    cacheDuration: read('VITE_CACHE_DURATION', value => parseNumber(value, 0, 1440), DEFAULTS.cacheDuration, 'minutos entre 0 y 1440') * 60 * 1000,
+    persistentCacheMb: read('VITE_PERSISTENT_CACHE_MB', value => parseNumber(value, 1, 500), DEFAULTS.persistentCacheMb, 'megabytes entre 1 y 500'),
+    customBasemap: DEFAULTS.customBasemap
+  }
+
+  // MAPA BASE PROPIO: SOLO SI HAY URL Y ES COHERENTE CON EL TIPO
+  const basemapUrl = read('VITE_BASEMAP_URL', parseTileUrl, null, 'una URL http(s):// o una ruta que empiece por /')
+  if (basemapUrl) {
+    const type = read('VITE_BASEMAP_TYPE', value => parseOption(value, ['xyz', 'wms']), 'xyz', '"xyz" o "wms"')
+    const layers = env.VITE_BASEMAP_WMS_LAYERS?.trim() || null
+
+    if (type === 'xyz' && !hasTilePlaceholders(basemapUrl)) {
+      errors.push(`VITE_BASEMAP_URL="${basemapUrl}" no tiene {z}, {x} e {y}. Mapa base propio desactivado.`)
+    } else if (type === 'wms' && !layers) {
+      errors.push('VITE_BASEMAP_TYPE="wms" necesita VITE_BASEMAP_WMS_LAYERS. Mapa base propio desactivado.')
+    } else {
+      config.customBasemap = {
+        type,
+        url: basemapUrl,
+        layers,
+        name: env.VITE_BASEMAP_NAME?.trim() || 'Propio',
+        attribution: env.VITE_BASEMAP_ATTRIBUTION?.trim() || '',
+        maxZoom: read('VITE_BASEMAP_MAX_ZOOM', value => parseInteger(value, 0, 22), 19, 'un entero entre 0 y 22')
+      }
+    }
+  }
+
+  // EL CENTRO INICIAL DEBE QUEDAR DENTRO DE LOS LÍMITES DEL MAPA
+  if (!isInsideBounds(config.mapCenter, config.mapMaxBounds)) {
+    errors.push(`VITE_MAP_CENTER ${JSON.stringify(config.mapCenter)} queda fuera de VITE_MAP_MAX_BOUNDS. Usando ${JSON.stringify(DEFAULTS.mapCenter)}.`)
+    config.mapCenter = isInsideBounds(DEFAULTS.mapCenter, config.mapMaxBounds)
+      ? DEFAULTS.mapCenter
+      : boundsCenter(config.mapMaxBounds)
+  }
+
+  return { config: Object.freeze(config), errors }
+}
+
+// ===== PARSERS (devuelven undefined si el valor no es válido) =====
+
+function parseBoolean(value) {
+  const normalized = value.toLowerCase()
+  if (['true', '1', 'yes', 'si', 'sí'].includes(normalized)) return true
+  if (['false', '0', 'no'].includes(normalized)) return false
+  return undefined
+}
+
+function parseOption(value, options) {
+  const normalized = value.toLowerCase()
+  return options.includes(normalized) ? normalized : undefined
+}
+
+function parseHttpUrl(value) {
+  try {
+    const url = new URL(value)
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return undefined
+    return url.href.replace(/\/+$/, '') // Sin barra final: los endpoints empiezan por /
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * URL DE TESELAS: ABSOLUTA http(s) O RUTA DEL MISMO ORIGEN (/tiles/{z}/{x}/{y}.png)
+ *
+ * Se devuelve tal cual: new URL() codificaría las llaves de {z}, {x} e {y}
+ */
+function parseTileUrl(value) {
+  if (value.startsWith('/')) return value
+  try {
+    const url = new URL(value)
+    return url.protocol === 'http:' || url.protocol === 'https:' ? value : undefined
+  } catch {
+    return undefined
+  }
+}
+
+function hasTilePlaceholders(url) {
+  return url.includes('{z}') && url.includes('{x}') && /\{-?y\}/.test(url)
+}
+
+function parseNumber(value, min, max) {
+  const number = Number(value)
+  return Number.isFinite(number) && number >= min && number <= max ? number : undefined
+}
+
+function parseInteger(value, min, max) {
+  const number = parseNumber(value, min, max)
+  return Number.isInteger(number) ? number : undefined
+}
+
+/**
+ * ACEPTA "[40.4,-3.7]" (formato de .env.example) O "40.4,-3.7"
+ */
+function parseLatLng(value) {
+  const parts = parseJsonArray(value) ?? value.split(',').map(Number)
+  if (parts.length !== 2 || !parts.every(Number.isFinite)) return undefined
+
+  const [lat, lng] = parts
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return undefined
+  return [lat, lng]
+}
+
+function parseBounds(value) {
+  const parts = parseJsonArray(value)
+  if (!parts || parts.length !== 2) return undefined
+
+  const southWest = parseLatLng(JSON.stringify(parts[0]))
+  const northEast = parseLatLng(JSON.stringify(parts[1]))
+  if (!southWest || !northEast) return undefined
+  if (southWest[0] >= northEast[0] || southWest[1] >= northEast[1]) return undefined
+  return [southWest, northEast]
+}
+
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value)
+    return Array.isArray(parsed) ? parsed : undefined
+  } catch {
+    return undefined
+  }
+}
+
+function isInsideBounds([lat, lng], [[south, west], [north, east]]) {
+  return lat >= south && lat <= north && lng >= west && lng <= east
+}
+
+function boundsCenter([[south, west], [north, east]]) {
+  return [(south + north) / 2, (west + east) / 2]
+}
+
+/**
+ * CONFIGURACIÓN ACTIVA DE LA APLICACIÓN
+ *
+ * Se calcula una sola vez al cargar el módulo
+ */
+const { config, errors: configErrors } = parseConfig(import.meta.env)
+
+if (configErrors.length > 0) {
+  console.error(`⚙️ [CONFIG] ${configErrors.length} valor(es) de configuración no válidos:\n- ${configErrors.join('\n- ')}`)
+}
+
+export { configErrors }
+export default config
@@ -0,0 +1,375 @@
+/**
+ * NOMENCLÁTOR OFFLINE DE ESPAÑA
+ *
+ * Lugares para el buscador (ver services/geocoder.js), empaquetados con
+ * la aplicación: no se consulta ningún servicio de geocodificación externo
+ *
+ * Formato compacto, una tupla por lugar:
+ * [nombre, latitud, longitud, semiextensión en km, provincia, alias?]
+ *
+ * - La semiextensión define el encuadre al seleccionar el lugar
+ *   (centro ± km en cada dirección), no el límite administrativo
+ * - Los alias recogen nombres en otras lenguas cooficiales
+ *   y formas tradicionales ("Lérida", "València", "Vizcaya")
+ * - Los nombres de provincia coinciden con los de la API
+ */
+
+/**
+ * PROVINCIAS Y CIUDADES AUTÓNOMAS (52)
+ */
+export const PROVINCIAS = [
+  ['Álava', 42.85, -2.70, 30, 'Álava', ['Araba']],
+  ['Albacete', 38.83, -1.98, 75, 'Albacete'],
+  ['Alicante', 38.48, -0.57, 55, 'Alicante', ['Alacant']],
+  ['Almería', 37.20, -2.35, 65, 'Almería'],
+  ['Asturias', 43.30, -5.95, 75, 'Asturias', ['Principado de Asturias']],
+  ['Ávila', 40.58, -4.95, 55, 'Ávila'],
+  ['Badajoz', 38.70, -6.15, 90, 'Badajoz'],
+  ['Baleares', 39.60, 2.90, 110, 'Baleares', ['Illes Balears', 'Islas Baleares']],
+  ['Barcelona', 41.73, 1.98, 60, 'Barcelona'],
+  ['Burgos', 42.35, -3.65, 80, 'Burgos'],
+  ['Cáceres', 39.70, -6.15, 85, 'Cáceres'],
+  ['Cádiz', 36.55, -5.75, 55, 'Cádiz'],
+  ['Cantabria', 43.20, -4.00, 55, 'Cantabria'],
+  ['Castellón', 40.20, -0.20, 55, 'Castellón', ['Castelló']],
+  ['Ciudad Real', 38.95, -3.90, 85, 'Ciudad Real'],
+  ['Córdoba', 37.95, -4.80, 70, 'Córdoba'],
+  ['A Coruña', 43.10, -8.40, 65, 'A Coruña', ['La Coruña']],
+  ['Cuenca', 39.90, -2.20, 80, 'Cuenca'],
+  ['Girona', 42.10, 2.65, 55, 'Girona', ['Gerona']],
+  ['Granada', 37.30, -3.25, 75, 'Granada'],
+  ['Guadalajara', 40.85, -2.55, 75, 'Guadalajara'],
+  ['Gipuzkoa', 43.15, -2.15, 30, 'Gipuzkoa', ['Guipúzcoa']],
+  ['Huelva', 37.55, -6.85, 60, 'Huelva'],
+  ['Huesca', 42.20, -0.10, 75, 'Huesca', ['Uesca']],
+  ['Jaén', 37.95, -3.40, 70, 'Jaén'],
+  ['León', 42.60, -5.85, 85, 'León'],
+  ['Lleida', 42.00, 1.05, 75, 'Lleida', ['Lérida']],
+  ['La Rioja', 42.30, -2.50, 50, 'La Rioja'],
+  ['Lugo', 43.00, -7.55, 60, 'Lugo'],
+  ['Madrid', 40.50, -3.70, 60, 'Madrid', ['Comunidad de Madrid']],
+  ['Málaga', 36.80, -4.65, 60, 'Málaga'],
+  ['Murcia', 38.00, -1.50, 70, 'Murcia', ['Región de Murcia']],
+  ['Navarra', 42.65, -1.65, 70, 'Navarra', ['Nafarroa']],
+  ['Ourense', 42.20, -7.60, 55, 'Ourense', ['Orense']],
+  ['Palencia', 42.35, -4.55, 60, 'Palencia'],
+  ['Las Palmas', 28.40, -14.50, 150, 'Las Palmas'],
+  ['Pontevedra', 42.40, -8.55, 45, 'Pontevedra'],
+  ['Salamanca', 40.80, -6.00, 75, 'Salamanca'],
+  ['Santa Cruz de Tenerife', 28.25, -16.90, 120, 'Santa Cruz de Tenerife'],
+  ['Segovia', 41.15, -4.05, 50, 'Segovia'],
+  ['Sevilla', 37.40, -5.70, 75, 'Sevilla'],
+  ['Soria', 41.65, -2.60, 65, 'Soria'],
+  ['Tarragona', 41.05, 0.80, 60, 'Tarragona'],
+  ['Teruel', 40.60, -0.90, 80, 'Teruel'],
+  ['Toledo', 39.80, -4.15, 90, 'Toledo'],
+  ['Valencia', 39.35, -0.65, 65, 'Valencia', ['València']],
+  ['Valladolid', 41.65, -4.80, 60, 'Valladolid'],
+  ['Bizkaia', 43.23, -2.85, 35, 'Bizkaia', ['Vizcaya']],
+  ['Zamora', 41.75, -6.00, 65, 'Zamora'],
+  ['Zaragoza', 41.60, -1.05, 95, 'Zaragoza'],
+  ['Ceuta', 35.89, -5.32, 5, 'Ceuta'],
+  ['Melilla', 35.29, -2.94, 5, 'Melilla']
+]
+
+/**
+ * COMARCAS Y ZONAS GEOGRÁFICAS DE REFERENCIA
+ */
+export const COMARCAS = [
+  // Cataluña
+  ['Maresme', 41.60, 2.55, 20, 'Barcelona'],
+  ['Vallès Occidental', 41.55, 2.05, 18, 'Barcelona'],
+  ['Vallès Oriental', 41.65, 2.30, 20, 'Barcelona'],
+  ['Baix Llobregat', 41.40, 1.95, 20, 'Barcelona'],
+  ['Garraf', 41.25, 1.80, 12, 'Barcelona'],
+  ['Alt Penedès', 41.40, 1.70, 15, 'Barcelona', ['Penedès']],
+  ['Osona', 41.95, 2.25, 25, 'Barcelona'],
+  ['Bages', 41.75, 1.85, 25, 'Barcelona'],
+  ['Baix Empordà', 41.95, 3.05, 20, 'Girona'],
+  ['Alt Empordà', 42.27, 2.95, 25, 'Girona', ['Empordà']],
+  ['Gironès', 41.98, 2.82, 15, 'Girona'],
+  ['La Selva', 41.80, 2.65, 20, 'Girona'],
+  ['Cerdanya', 42.40, 1.90, 20, 'Girona', ['Cerdaña']],
+  ['Segrià', 41.60, 0.55, 25, 'Lleida'],
+  ['Val d\'Aran', 42.70, 0.80, 20, 'Lleida', ['Valle de Arán', 'Aran']],
+  ['Pallars Sobirà', 42.50, 1.15, 25, 'Lleida'],
+  ['Tarragonès', 41.15, 1.25, 12, 'Tarragona'],
+  ['Baix Camp', 41.15, 1.00, 20, 'Tarragona'],
+  ['Baix Ebre', 40.80, 0.50, 25, 'Tarragona'],
+  ['Montsià', 40.65, 0.55, 20, 'Tarragona'],
+  // Comunitat Valenciana
+  ['L\'Horta Sud', 39.40, -0.43, 10, 'Valencia', ['Huerta Sur']],
+  ['Camp de Túria', 39.60, -0.55, 20, 'Valencia'],
+  ['La Safor', 38.95, -0.20, 18, 'Valencia'],
+  ['La Ribera Alta', 39.15, -0.55, 20, 'Valencia', ['Ribera Alta']],
+  ['Marina Alta', 38.75, 0.00, 20, 'Alicante'],
+  ['Marina Baixa', 38.60, -0.20, 18, 'Alicante', ['Marina Baja']],
+  ['Vega Baja del Segura', 38.05, -0.80, 20, 'Alicante', ['Baix Segura']],
+  ['L\'Alacantí', 38.40, -0.50, 15, 'Alicante'],
+  ['Plana Alta', 40.15, 0.00, 20, 'Castellón'],
+  ['Plana Baixa', 39.95, -0.20, 15, 'Castellón', ['Plana Baja']],
+  // Galicia
+  ['O Morrazo', 42.30, -8.80, 10, 'Pontevedra'],
+  ['O Salnés', 42.48, -8.82, 12, 'Pontevedra'],
+  ['Comarca de Vigo', 42.20, -8.70, 15, 'Pontevedra'],
+  ['Terra Chá', 43.25, -7.55, 25, 'Lugo'],
+  ['A Mariña', 43.60, -7.70, 20, 'Lugo', ['Mariña Lucense']],
+  ['Comarca de Santiago', 42.87, -8.55, 15, 'A Coruña'],
+  ['Costa da Morte', 43.15, -8.90, 20, 'A Coruña', ['Costa de la Muerte']],
+  // Aragón
+  ['Ribagorza', 42.35, 0.50, 30, 'Huesca'],
+  ['Sobrarbe', 42.45, 0.10, 30, 'Huesca'],
+  ['Jacetania', 42.65, -0.70, 30, 'Huesca'],
+  ['Cinco Villas', 42.15, -1.20, 35, 'Zaragoza'],
+  ['Campo de Borja', 41.80, -1.55, 15, 'Zaragoza'],
+  ['Bajo Aragón', 41.05, -0.15, 25, 'Teruel'],
+  ['Matarraña', 40.90, 0.20, 20, 'Teruel', ['Matarranya']],
+  ['Sierra de Albarracín', 40.40, -1.45, 25, 'Teruel'],
+  // Andalucía
+  ['Axarquía', 36.85, -4.10, 20, 'Málaga'],
+  ['Costa del Sol Occidental', 36.55, -4.90, 25, 'Málaga', ['Costa del Sol']],
+  ['Serranía de Ronda', 36.70, -5.15, 25, 'Málaga'],
+  ['Alpujarra', 36.95, -3.20, 30, 'Granada', ['Las Alpujarras']],
+  ['Campo de Gibraltar', 36.15, -5.45, 20, 'Cádiz'],
+  ['Sierra de Cádiz', 36.80, -5.45, 25, 'Cádiz'],
+  ['Campiña de Jerez', 36.70, -6.10, 20, 'Cádiz'],
+  ['Condado de Huelva', 37.35, -6.55, 25, 'Huelva'],
+  ['Sierra de Aracena', 37.90, -6.55, 25, 'Huelva'],
+  ['Aljarafe', 37.37, -6.10, 12, 'Sevilla'],
+  ['Campiña de Córdoba', 37.65, -4.70, 30, 'Córdoba'],
+  ['Sierra de Cazorla', 37.95, -2.90, 25, 'Jaén'],
+  ['Levante Almeriense', 37.25, -1.90, 25, 'Almería'],
+  ['Poniente Almeriense', 36.77, -2.75, 20, 'Almería'],
+  // Castilla y León
+  ['El Bierzo', 42.60, -6.65, 30, 'León', ['Bierzo']],
+  ['Maragatería', 42.45, -6.20, 20, 'León'],
+  ['Tierra de Campos', 42.10, -4.90, 35, 'Palencia'],
+  ['Ribera del Duero', 41.65, -3.80, 30, 'Burgos'],
+  ['Las Merindades', 43.00, -3.50, 30, 'Burgos'],
+  ['Sierra de Gredos', 40.25, -5.20, 30, 'Ávila', ['Gredos']],
+  // Castilla-La Mancha
+  ['La Mancha', 39.20, -2.95, 50, 'Ciudad Real'],
+  ['Campo de Montiel', 38.75, -2.95, 30, 'Ciudad Real'],
+  ['Campo de Calatrava', 38.85, -3.80, 25, 'Ciudad Real'],
+  ['La Alcarria', 40.55, -2.80, 35, 'Guadalajara', ['Alcarria']],
+  ['Serranía de Cuenca', 40.20, -1.90, 35, 'Cuenca'],
+  ['Tierra de Talavera', 39.95, -4.80, 25, 'Toledo'],
+  // Extremadura
+  ['La Vera', 40.10, -5.60, 20, 'Cáceres'],
+  ['Valle del Jerte', 40.20, -5.85, 15, 'Cáceres'],
+  ['Las Hurdes', 40.40, -6.20, 15, 'Cáceres'],
+  ['Tierra de Barros', 38.60, -6.30, 25, 'Badajoz'],
+  ['La Serena', 38.75, -5.40, 30, 'Badajoz'],
+  // Comunidad de Madrid
+  ['Sierra Norte de Madrid', 40.95, -3.60, 25, 'Madrid'],
+  ['Sierra de Guadarrama', 40.75, -4.00, 20, 'Madrid', ['Guadarrama']],
+  ['Corredor del Henares', 40.45, -3.40, 15, 'Madrid'],
+  // Región de Murcia
+  ['Campo de Cartagena', 37.70, -1.00, 25, 'Murcia'],
+  ['Huerta de Murcia', 37.98, -1.15, 12, 'Murcia'],
+  ['Noroeste de Murcia', 38.10, -1.95, 30, 'Murcia'],
+  ['Altiplano de Murcia', 38.55, -1.25, 25, 'Murcia', ['Altiplano']],
+  // Cornisa cantábrica
+  ['Oriente de Asturias', 43.35, -4.95, 30, 'Asturias'],
+  ['Occidente de Asturias', 43.40, -6.85, 30, 'Asturias'],
+  ['Cuencas Mineras', 43.20, -5.70, 20, 'Asturias'],
+  ['Liébana', 43.15, -4.70, 15, 'Cantabria'],
+  ['Trasmiera', 43.42, -3.55, 15, 'Cantabria'],
+  // Navarra, País Vasco y La Rioja
+  ['Pirineo Navarro', 42.90, -1.10, 30, 'Navarra'],
+  ['Ribera de Navarra', 42.10, -1.65, 30, 'Navarra', ['Ribera Navarra']],
+  ['Tierra Estella', 42.65, -2.10, 30, 'Navarra'],
+  ['Rioja Alavesa', 42.55, -2.60, 12, 'Álava', ['Arabako Errioxa']],
+  ['Urdaibai', 43.33, -2.68, 10, 'Bizkaia'],
+  ['Goierri', 43.05, -2.20, 12, 'Gipuzkoa'],
+  ['Rioja Alta', 42.50, -2.85, 20, 'La Rioja'],
+  ['Rioja Baja', 42.20, -2.00, 25, 'La Rioja'],
+  // Islas
+  ['Serra de Tramuntana', 39.75, 2.75, 30, 'Baleares', ['Sierra de Tramontana']],
+  ['Pla de Mallorca', 39.60, 3.00, 20, 'Baleares'],
+  ['Sur de Tenerife', 28.10, -16.65, 20, 'Santa Cruz de Tenerife']
+]
+
+/**
+ * MUNICIPIOS (capitales y principales núcleos)
+ */
+export const MUNICIPIOS = [
+  ['Madrid', 40.4168, -3.7038, 12, 'Madrid'],
+  ['Barcelona', 41.3874, 2.1686, 10, 'Barcelona'],
+  ['Valencia', 39.4699, -0.3763, 8, 'Valencia', ['València']],
+  ['Sevilla', 37.3891, -5.9845, 8, 'Sevilla'],
+  ['Zaragoza', 41.6488, -0.8891, 9, 'Zaragoza'],
+  ['Málaga', 36.7213, -4.4214, 9, 'Málaga'],
+  ['Murcia', 37.9922, -1.1307, 8, 'Murcia'],
+  ['Palma', 39.5696, 2.6502, 8, 'Baleares', ['Palma de Mallorca']],
+  ['Las Palmas de Gran Canaria', 28.1235, -15.4363, 8, 'Las Palmas'],
+  ['Bilbao', 43.2630, -2.9350, 6, 'Bizkaia', ['Bilbo']],
+  ['Alicante', 38.3452, -0.4810, 7, 'Alicante', ['Alacant']],
+  ['Córdoba', 37.8882, -4.7794, 7, 'Córdoba'],
+  ['Valladolid', 41.6523, -4.7245, 7, 'Valladolid'],
+  ['Vigo', 42.2406, -8.7207, 7, 'Pontevedra'],
+  ['Gijón', 43.5322, -5.6611, 6, 'Asturias', ['Xixón']],
+  ['L\'Hospitalet de Llobregat', 41.3596, 2.1000, 3, 'Barcelona', ['Hospitalet']],
+  ['Vitoria-Gasteiz', 42.8467, -2.6716, 6, 'Álava', ['Vitoria', 'Gasteiz']],
+  ['A Coruña', 43.3623, -8.4115, 5, 'A Coruña', ['La Coruña']],
+  ['Elche', 38.2669, -0.6983, 6, 'Alicante', ['Elx']],
+  ['Granada', 37.1773, -3.5986, 6, 'Granada'],
+  ['Terrassa', 41.5630, 2.0089, 5, 'Barcelona', ['Tarrasa']],
+  ['Badalona', 41.4500, 2.2474, 4, 'Barcelona'],
+  ['Oviedo', 43.3619, -5.8494, 6, 'Asturias', ['Uviéu']],
+  ['Cartagena', 37.6257, -0.9966, 7, 'Murcia'],
+  ['Sabadell', 41.5433, 2.1094, 5, 'Barcelona'],
+  ['Jerez de la Frontera', 36.6850, -6.1261, 7, 'Cádiz', ['Jerez']],
+  ['Móstoles', 40.3223, -3.8650, 4, 'Madrid'],
+  ['Santa Cruz de Tenerife', 28.4636, -16.2518, 6, 'Santa Cruz de Tenerife'],
+  ['Pamplona', 42.8125, -1.6458, 5, 'Navarra', ['Iruña']],
+  ['Almería', 36.8340, -2.4637, 6, 'Almería'],
+  ['Alcalá de Henares', 40.4818, -3.3643, 5, 'Madrid'],
+  ['Fuenlabrada', 40.2842, -3.7942, 4, 'Madrid'],
+  ['Leganés', 40.3272, -3.7635, 4, 'Madrid'],
+  ['Donostia-San Sebastián', 43.3183, -1.9812, 5, 'Gipuzkoa', ['San Sebastián', 'Donostia']],
+  ['Getafe', 40.3083, -3.7327, 4, 'Madrid'],
+  ['Burgos', 42.3439, -3.6969, 5, 'Burgos'],
+  ['Albacete', 38.9943, -1.8585, 6, 'Albacete'],
+  ['Santander', 43.4623, -3.8099, 5, 'Cantabria'],
+  ['Castellón de la Plana', 39.9864, -0.0513, 5, 'Castellón', ['Castelló de la Plana']],
+  ['Alcorcón', 40.3458, -3.8249, 3, 'Madrid'],
+  ['San Cristóbal de La Laguna', 28.4853, -16.3201, 6, 'Santa Cruz de Tenerife', ['La Laguna']],
+  ['Logroño', 42.4627, -2.4449, 5, 'La Rioja'],
+  ['Badajoz', 38.8794, -6.9707, 6, 'Badajoz'],
+  ['Salamanca', 40.9701, -5.6635, 5, 'Salamanca'],
+  ['Huelva', 37.2614, -6.9447, 5, 'Huelva'],
+  ['Marbella', 36.5101, -4.8825, 7, 'Málaga'],
+  ['Lleida', 41.6176, 0.6200, 5, 'Lleida', ['Lérida']],
+  ['Tarragona', 41.1189, 1.2445, 5, 'Tarragona'],
+  ['León', 42.5987, -5.5671, 5, 'León'],
+  ['Cádiz', 36.5271, -6.2886, 4, 'Cádiz'],
+  ['Dos Hermanas', 37.2828, -5.9209, 5, 'Sevilla'],
+  ['Mataró', 41.5381, 2.4447, 4, 'Barcelona'],
+  ['Torrejón de Ardoz', 40.4554, -3.4697, 4, 'Madrid'],
+  ['Parla', 40.2360, -3.7675, 3, 'Madrid'],
+  ['Algeciras', 36.1408, -5.4562, 5, 'Cádiz'],
+  ['Jaén', 37.7796, -3.7849, 5, 'Jaén'],
+  ['Ourense', 42.3358, -7.8639, 5, 'Ourense', ['Orense']],
+  ['Reus', 41.1561, 1.1069, 4, 'Tarragona'],
+  ['Telde', 27.9924, -15.4192, 5, 'Las Palmas'],
+  ['Girona', 41.9794, 2.8214, 4, 'Girona', ['Gerona']],
+  ['Lugo', 43.0097, -7.5568, 5, 'Lugo'],
+  ['Santiago de Compostela', 42.8782, -8.5448, 5, 'A Coruña', ['Santiago']],
+  ['Cáceres', 39.4753, -6.3724, 6, 'Cáceres'],
+  ['Lorca', 37.6771, -1.7007, 8, 'Murcia'],
+  ['Guadalajara', 40.6327, -3.1668, 5, 'Guadalajara'],
+  ['Toledo', 39.8628, -4.0273, 5, 'Toledo'],
+  ['Pontevedra', 42.4310, -8.6444, 5, 'Pontevedra'],
+  ['Palencia', 42.0095, -4.5288, 4, 'Palencia'],
+  ['Ciudad Real', 38.9848, -3.9274, 4, 'Ciudad Real'],
+  ['Zamora', 41.5033, -5.7446, 4, 'Zamora'],
+  ['Ávila', 40.6566, -4.6818, 4, 'Ávila'],
+  ['Cuenca', 40.0704, -2.1374, 5, 'Cuenca'],
+  ['Huesca', 42.1401, -0.4089, 4, 'Huesca'],
+  ['Segovia', 40.9429, -4.1088, 4, 'Segovia'],
+  ['Soria', 41.7665, -2.4790, 4, 'Soria'],
+  ['Teruel', 40.3456, -1.1065, 4, 'Teruel'],
+  ['Ceuta', 35.8894, -5.3213, 4, 'Ceuta'],
+  ['Melilla', 35.2923, -2.9381, 4, 'Melilla'],
+  ['Ferrol', 43.4832, -8.2369, 4, 'A Coruña'],
+  ['Narón', 43.5167, -8.1833, 3, 'A Coruña'],
+  ['Ponferrada', 42.5499, -6.5983, 5, 'León'],
+  ['Avilés', 43.5547, -5.9248, 4, 'Asturias'],
+  ['Langreo', 43.2960, -5.6900, 3, 'Asturias'],
+  ['Mieres', 43.2500, -5.7780, 3, 'Asturias'],
+  ['Torrelavega', 43.3494, -4.0479, 3, 'Cantabria'],
+  ['Castro Urdiales', 43.3847, -3.2150, 3, 'Cantabria'],
+  ['Getxo', 43.3569, -3.0114, 3, 'Bizkaia', ['Guecho']],
+  ['Barakaldo', 43.2956, -2.9973, 3, 'Bizkaia', ['Baracaldo']],
+  ['Irun', 43.3390, -1.7896, 3, 'Gipuzkoa', ['Irún']],
+  ['Eibar', 43.1843, -2.4720, 3, 'Gipuzkoa'],
+  ['Tudela', 42.0617, -1.6067, 4, 'Navarra'],
+  ['Miranda de Ebro', 42.6865, -2.9469, 4, 'Burgos'],
+  ['Aranda de Duero', 41.6704, -3.6892, 4, 'Burgos'],
+  ['Calahorra', 42.3050, -1.9650, 3, 'La Rioja'],
+  ['Benavente', 42.0028, -5.6783, 3, 'Zamora'],
+  ['Medina del Campo', 41.3119, -4.9146, 3, 'Valladolid'],
+  ['Jaca', 42.5700, -0.5496, 3, 'Huesca'],
+  ['Monzón', 41.9109, 0.1936, 3, 'Huesca'],
+  ['Calatayud', 41.3535, -1.6432, 4, 'Zaragoza'],
+  ['Alcañiz', 41.0510, -0.1334, 4, 'Teruel'],
+  ['Manresa', 41.7251, 1.8266, 4, 'Barcelona'],
+  ['Granollers', 41.6079, 2.2876, 3, 'Barcelona'],
+  ['Vic', 41.9301, 2.2549, 3, 'Barcelona', ['Vich']],
+  ['Vilanova i la Geltrú', 41.2242, 1.7256, 3, 'Barcelona'],
+  ['Castelldefels', 41.2800, 1.9767, 3, 'Barcelona'],
+  ['Sant Cugat del Vallès', 41.4720, 2.0862, 3, 'Barcelona'],
+  ['Figueres', 42.2666, 2.9610, 3, 'Girona', ['Figueras']],
+  ['Blanes', 41.6741, 2.7903, 3, 'Girona'],
+  ['Lloret de Mar', 41.6996, 2.8456, 3, 'Girona'],
+  ['Tortosa', 40.8125, 0.5216, 5, 'Tarragona'],
+  ['Salou', 41.0764, 1.1416, 3, 'Tarragona'],
+  ['Benidorm', 38.5411, -0.1225, 4, 'Alicante'],
+  ['Torrevieja', 37.9787, -0.6822, 5, 'Alicante'],
+  ['Orihuela', 38.0848, -0.9442, 6, 'Alicante', ['Oriola']],
+  ['Elda', 38.4779, -0.7917, 3, 'Alicante'],
+  ['Alcoy', 38.6985, -0.4743, 4, 'Alicante', ['Alcoi']],
+  ['Dénia', 38.8408, 0.1057, 4, 'Alicante', ['Denia']],
+  ['Gandia', 38.9670, -0.1833, 5, 'Valencia', ['Gandía']],
+  ['Sagunto', 39.6799, -0.2784, 5, 'Valencia', ['Sagunt']],
+  ['Torrent', 39.4371, -0.4655, 4, 'Valencia', ['Torrente']],
+  ['Paterna', 39.5028, -0.4406, 3, 'Valencia'],
+  ['Xàtiva', 38.9904, -0.5186, 4, 'Valencia', ['Játiva']],
+  ['Ontinyent', 38.8210, -0.6065, 3, 'Valencia', ['Onteniente']],
+  ['Vila-real', 39.9383, -0.1007, 3, 'Castellón', ['Villarreal']],
+  ['Benicarló', 40.4170, 0.4250, 3, 'Castellón'],
+  ['Mérida', 38.9161, -6.3437, 5, 'Badajoz'],
+  ['Don Benito', 38.9560, -5.8615, 4, 'Badajoz'],
+  ['Almendralejo', 38.6835, -6.4075, 4, 'Badajoz'],
+  ['Plasencia', 40.0303, -6.0884, 4, 'Cáceres'],
+  ['Talavera de la Reina', 39.9635, -4.8308, 5, 'Toledo'],
+  ['Puertollano', 38.6871, -4.1073, 4, 'Ciudad Real'],
+  ['Alcázar de San Juan', 39.3900, -3.2080, 4, 'Ciudad Real'],
+  ['Tomelloso', 39.1575, -3.0236, 4, 'Ciudad Real'],
+  ['Valdepeñas', 38.7622, -3.3847, 4, 'Ciudad Real'],
+  ['Villarrobledo', 39.2697, -2.6011, 4, 'Albacete'],
+  ['Hellín', 38.5106, -1.7008, 5, 'Albacete'],
+  ['Molina de Segura', 38.0546, -1.2076, 4, 'Murcia'],
+  ['Águilas', 37.4063, -1.5829, 4, 'Murcia'],
+  ['Yecla', 38.6140, -1.1150, 4, 'Murcia'],
+  ['Caravaca de la Cruz', 38.1064, -1.8614, 5, 'Murcia'],
+  ['Linares', 38.0950, -3.6360, 4, 'Jaén'],
+  ['Úbeda', 38.0133, -3.3705, 4, 'Jaén'],
+  ['Lucena', 37.4088, -4.4852, 4, 'Córdoba'],
+  ['Écija', 37.5420, -5.0826, 5, 'Sevilla'],
+  ['Utrera', 37.1850, -5.7808, 5, 'Sevilla'],
+  ['San Fernando', 36.4647, -6.1980, 3, 'Cádiz'],
+  ['El Puerto de Santa María', 36.5939, -6.2330, 4, 'Cádiz'],
+  ['Chiclana de la Frontera', 36.4192, -6.1461, 5, 'Cádiz'],
+  ['Sanlúcar de Barrameda', 36.7781, -6.3515, 4, 'Cádiz'],
+  ['Ronda', 36.7462, -5.1612, 4, 'Málaga'],
+  ['Fuengirola', 36.5398, -4.6247, 3, 'Málaga'],
+  ['Estepona', 36.4276, -5.1463, 4, 'Málaga'],
+  ['Vélez-Málaga', 36.7810, -4.1000, 5, 'Málaga'],
+  ['Benalmádena', 36.5989, -4.5167, 3, 'Málaga'],
+  ['Torremolinos', 36.6218, -4.4996, 3, 'Málaga'],
+  ['Motril', 36.7458, -3.5179, 4, 'Granada'],
+  ['Roquetas de Mar', 36.7642, -2.6147, 4, 'Almería'],
+  ['El Ejido', 36.7763, -2.8146, 5, 'Almería'],
+  ['Alcobendas', 40.5475, -3.6420, 3, 'Madrid'],
+  ['Las Rozas de Madrid', 40.4929, -3.8737, 4, 'Madrid', ['Las Rozas']],
+  ['Pozuelo de Alarcón', 40.4350, -3.8138, 3, 'Madrid'],
+  ['Majadahonda', 40.4733, -3.8720, 3, 'Madrid'],
+  ['Collado Villalba', 40.6350, -4.0050, 3, 'Madrid'],
+  ['Rivas-Vaciamadrid', 40.3260, -3.5180, 3, 'Madrid'],
+  ['Aranjuez', 40.0311, -3.6025, 5, 'Madrid'],
+  ['San Lorenzo de El Escorial', 40.5913, -4.1474, 3, 'Madrid', ['El Escorial']],
+  ['Vilagarcía de Arousa', 42.5960, -8.7640, 3, 'Pontevedra', ['Villagarcía de Arosa']],
+  ['Monforte de Lemos', 42.5200, -7.5140, 3, 'Lugo'],
+  ['Ibiza', 38.9067, 1.4206, 3, 'Baleares', ['Eivissa']],
+  ['Mahón', 39.8885, 4.2658, 3, 'Baleares', ['Maó']],
+  ['Manacor', 39.5696, 3.2096, 4, 'Baleares'],
+  ['Arrecife', 28.9630, -13.5477, 3, 'Las Palmas'],
+  ['Puerto del Rosario', 28.5004, -13.8627, 4, 'Las Palmas'],
+  ['Adeje', 28.1227, -16.7260, 4, 'Santa Cruz de Tenerife'],
+  ['Arona', 28.0996, -16.6810, 4, 'Santa Cruz de Tenerife'],
+  ['Santa Cruz de La Palma', 28.6835, -17.7642, 3, 'Santa Cruz de Tenerife'],
+  ['San Sebastián de La Gomera', 28.0916, -17.1133, 3, 'Santa Cruz de Tenerife'],
+  ['Valverde', 27.8075, -17.9150, 3, 'Santa Cruz de Tenerife']
+]
@@ -0,0 +1,73 @@
+/**
+ * LÍMITES PROVINCIALES SIMPLIFICADOS (52 provincias, Ceuta y Melilla)
+ *
+ * GeoJSON en lon/lat (WGS84), ~100 m de precisión: suficiente para
+ * el mapa de coropletas, no para análisis espacial
+ *
+ * - nombre: El mismo que usa la API en `provincia` (ver services/provinces.js)
+ * - codigo: Código INE de la provincia
+ * - km2: Superficie calculada sobre el contorno simplificado
+ *
+ * Origen: Líneas límite del Instituto Geográfico Nacional (CC BY 4.0,
+ * © Instituto Geográfico Nacional), vía es-atlas 0.6.0 (MIT, Martín González)
+ *
+ * Se carga bajo demanda (import dinámico): no pesa en el bundle inicial
+ */
+
+export default {
+  type: 'FeatureCollection',
+  features: [
+    {"type":"Feature","properties":{"codigo":"01","nombre":"Álava","km2":3023},"geometry":{"type":"Polygon","coordinates":[[[-2.858,42.639],[-2.896,42.655],[-2.894,42.679],[-2.903,42.694],[-2.93,42.7],[-2.93,42.708],[-2.957,42.71],[-2.98,42.703],[-2.989,42.72],[-3.007,42.723],[-3.018,42.741],[-3.04,42.739],[-3.047,42.765],[-3.063,42.76],[-3.099,42.768],[-3.117,42.76],[-3.148,42.757],[-3.137,42.765],[-3.13,42.789],[-3.16,42.805],[-3.112,42.862],[-3.106,42.88],[-3.126,42.891],[-3.151,42.862],[-3.173,42.857],[-3.191,42.87],[-3.209,42.844],[-3.236,42.838],[-3.283,42.876],[-3.276,42.902],[-3.25,42.912],[-3.225,42.949],[-3.18,42.944],[-3.144,42.934],[-3.151,42.92],[-3.126,42.904],[-3.106,42.91],[-3.09,42.899],[-3.018,42.909],[-3.011,42.922],[-2.982,42.939],[-2.995,42.952],[-3.016,42.954],[-3.045,42.973],[-3.038,42.983],[-3.004,42.983],[-2.957,42.994],[-2.966,43.001],[-2.986,42.993],[-2.986,43.012],[-3.034,43.023],[-3.018,43.038],[-3.049,43.046],[-3.065,43.023],[-3.09,43.009],[-3.09,43.001],[-3.144,43.007],[-3.178,43.022],[-3.171,43.03],[-3.144,43.028],[-3.142,43.069],[-3.157,43.073],[-3.135,43.098],[-3.182,43.12],[-3.162,43.143],[-3.162,43.154],[-3.142,43.161],[-3.112,43.143],[-3.094,43.151],[-3.074,43.146],[-3.065,43.156],[-3.027,43.161],[-3.016,43.203],[-3.007,43.196],[-2.982,43.203],[-2.973,43.187],[-2.946,43.17],[-2.955,43.159],[-2.937,43.143],[-2.966,43.104],[-2.975,43.099],[-2.89,43.046],[-2.865,43.052],[-2.822,43.036],[-2.782,43.035],[-2.77,43.027],[-2.739,43.033],[-2.73,43.023],[-2.703,43.031],[-2.694,43.022],[-2.667,43.031],[-2.633,43.02],[-2.633,43.044],[-2.66,43.073],[-2.633,43.086],[-2.593,43.082],[-2.546,43.088],[-2.548,43.075],[-2.53,43.056],[-2.541,43.025],[-2.579,43.009],[-2.595,43.009],[-2.593,42.988],[-2.602,42.983],[-2.582,42.964],[-2.55,42.959],[-2.541,42.951],[-2.534,42.973],[-2.501,42.959],[-2.476,42.967],[-2.456,42.957],[-2.406,42.959],[-2.363,42.947],[-2.3,42.923],[-2.291,42.902],[-2.251,42.896],[-2.242,42.886],[-2.235,42.834],[-2.267,42.813],[-2.269,42.796],[-2.28,42.786],[-2.267,42.754],[-2.273,42.742],[-2.307,42.736],[-2.323,42.724],[-2.314,42.708],[-2.309,42.671],[-2.294,42.678],[-2.289,42.655],[-2.332,42.647],[-2.345,42.634],[-2.381,42.634],[-2.372,42.644],[-2.388,42.658],[-2.415,42.663],[-2.451,42.647],[-2.483,42.611],[-2.501,42.616],[-2.492,42.587],[-2.462,42.587],[-2.453,42.568],[-2.424,42.605],[-2.397,42.598],[-2.39,42.548],[-2.399,42.543],[-2.393,42.518],[-2.422,42.511],[-2.42,42.489],[-2.449,42.497],[-2.478,42.487],[-2.516,42.49],[-2.51,42.519],[-2.539,42.493],[-2.53,42.484],[-2.555,42.484],[-2.573,42.493],[-2.577,42.484],[-2.602,42.48],[-2.593,42.492],[-2.606,42.503],[-2.649,42.484],[-2.656,42.503],[-2.678,42.51],[-2.678,42.524],[-2.705,42.516],[-2.692,42.542],[-2.68,42.594],[-2.707,42.6],[-2.73,42.618],[-2.764,42.623],[-2.782,42.579],[-2.815,42.569],[-2.824,42.555],[-2.84,42.581],[-2.82,42.592],[-2.82,42.615],[-2.842,42.608],[-2.842,42.629],[-2.858,42.639]],[[-2.865,42.744],[-2.829,42.72],[-2.824,42.708],[-2.784,42.699],[-2.768,42.666],[-2.719,42.661],[-2.698,42.674],[-2.653,42.67],[-2.635,42.649],[-2.584,42.652],[-2.55,42.637],[-2.516,42.647],[-2.523,42.684],[-2.539,42.687],[-2.548,42.67],[-2.579,42.67],[-2.595,42.691],[-2.609,42.695],[-2.573,42.724],[-2.559,42.763],[-2.588,42.75],[-2.604,42.77],[-2.633,42.765],[-2.678,42.779],[-2.694,42.778],[-2.732,42.794],[-2.793,42.794],[-2.827,42.784],[-2.836,42.796],[-2.854,42.768],[-2.854,42.747],[-2.865,42.744]]]}},
+    {"type":"Feature","properties":{"codigo":"02","nombre":"Albacete","km2":14925},"geometry":{"type":"Polygon","coordinates":[[[-2.764,38.532],[-2.746,38.546],[-2.766,38.574],[-2.75,38.616],[-2.764,38.627],[-2.725,38.618],[-2.703,38.624],[-2.669,38.65],[-2.649,38.693],[-2.638,38.734],[-2.698,38.784],[-2.732,38.782],[-2.75,38.807],[-2.75,38.831],[-2.761,38.881],[-2.791,38.892],[-2.8,38.908],[-2.836,38.907],[-2.858,38.928],[-2.876,38.926],[-2.878,38.955],[-2.847,38.984],[-2.831,39.023],[-2.811,39.023],[-2.806,39.08],[-2.831,39.105],[-2.842,39.135],[-2.806,39.178],[-2.782,39.196],[-2.759,39.23],[-2.723,39.267],[-2.743,39.319],[-2.658,39.324],[-2.62,39.34],[-2.6,39.34],[-2.548,39.324],[-2.512,39.343],[-2.485,39.315],[-2.375,39.233],[-2.361,39.246],[-2.35,39.278],[-2.321,39.283],[-2.303,39.264],[-2.289,39.227],[-2.246,39.244],[-2.219,39.262],[-2.181,39.27],[-2.168,39.282],[-2.073,39.265],[-2.051,39.267],[-2.075,39.304],[-2.073,39.317],[-2.096,39.359],[-2.044,39.359],[-2.021,39.353],[-2.028,39.338],[-1.994,39.309],[-1.99,39.294],[-1.936,39.304],[-1.887,39.304],[-1.846,39.286],[-1.77,39.28],[-1.763,39.301],[-1.74,39.322],[-1.716,39.325],[-1.698,39.338],[-1.617,39.366],[-1.556,39.401],[-1.504,39.417],[-1.484,39.424],[-1.486,39.401],[-1.475,39.409],[-1.452,39.398],[-1.446,39.362],[-1.421,39.382],[-1.385,39.354],[-1.365,39.356],[-1.336,39.333],[-1.32,39.343],[-1.282,39.328],[-1.275,39.333],[-1.223,39.315],[-1.21,39.327],[-1.196,39.314],[-1.169,39.314],[-1.162,39.306],[-1.176,39.28],[-1.176,39.23],[-1.194,39.18],[-1.228,39.152],[-1.241,39.114],[-1.257,39.105],[-1.257,39.084],[-1.266,39.075],[-1.264,39.046],[-1.228,39.025],[-1.16,38.955],[-1.147,38.929],[-1.108,38.929],[-1.016,38.937],[-1.0,38.95],[-0.96,38.944],[-0.958,38.921],[-0.942,38.9],[-0.924,38.892],[-0.935,38.855],[-0.924,38.824],[-0.933,38.811],[-0.928,38.784],[-0.962,38.774],[-0.928,38.706],[-0.915,38.697],[-0.962,38.656],[-1.025,38.656],[-1.043,38.661],[-1.115,38.711],[-1.12,38.737],[-1.185,38.755],[-1.25,38.739],[-1.284,38.706],[-1.342,38.677],[-1.367,38.705],[-1.403,38.69],[-1.448,38.65],[-1.443,38.637],[-1.452,38.582],[-1.486,38.564],[-1.5,38.532],[-1.479,38.48],[-1.475,38.409],[-1.479,38.377],[-1.542,38.343],[-1.558,38.325],[-1.59,38.311],[-1.666,38.311],[-1.691,38.336],[-1.682,38.359],[-1.704,38.375],[-1.718,38.367],[-1.745,38.38],[-1.772,38.378],[-1.77,38.364],[-1.794,38.369],[-1.783,38.356],[-1.812,38.351],[-1.826,38.333],[-1.851,38.333],[-1.896,38.302],[-1.983,38.281],[-2.001,38.285],[-2.021,38.301],[-2.048,38.306],[-2.075,38.283],[-2.082,38.265],[-2.114,38.238],[-2.174,38.223],[-2.213,38.202],[-2.231,38.162],[-2.246,38.149],[-2.267,38.109],[-2.325,38.07],[-2.339,38.049],[-2.341,38.026],[-2.372,38.023],[-2.424,38.033],[-2.433,38.042],[-2.48,38.054],[-2.505,38.068],[-2.525,38.07],[-2.552,38.084],[-2.516,38.112],[-2.512,38.128],[-2.496,38.134],[-2.467,38.17],[-2.447,38.185],[-2.453,38.22],[-2.444,38.231],[-2.444,38.251],[-2.435,38.265],[-2.442,38.285],[-2.48,38.294],[-2.485,38.301],[-2.48,38.349],[-2.494,38.372],[-2.485,38.398],[-2.534,38.406],[-2.55,38.403],[-2.573,38.414],[-2.577,38.435],[-2.568,38.461],[-2.577,38.475],[-2.566,38.49],[-2.597,38.513],[-2.618,38.513],[-2.674,38.496],[-2.73,38.511],[-2.764,38.532]]]}},
+    {"type":"Feature","properties":{"codigo":"03","nombre":"Alicante","km2":5812},"geometry":{"type":"Polygon","coordinates":[[[-0.762,37.847],[-0.789,37.848],[-0.805,37.86],[-0.829,37.865],[-0.856,37.886],[-0.922,37.944],[-0.967,38.013],[-1.023,38.076],[-1.036,38.138],[-1.005,38.172],[-0.989,38.199],[-0.969,38.256],[-0.971,38.29],[-0.989,38.32],[-1.027,38.338],[-1.084,38.346],[-1.088,38.367],[-1.081,38.441],[-1.034,38.474],[-1.014,38.496],[-1.025,38.522],[-1.003,38.572],[-1.016,38.635],[-1.025,38.656],[-0.962,38.656],[-0.915,38.697],[-0.928,38.706],[-0.962,38.774],[-0.928,38.784],[-0.913,38.769],[-0.861,38.771],[-0.829,38.732],[-0.793,38.739],[-0.746,38.758],[-0.721,38.753],[-0.706,38.734],[-0.688,38.742],[-0.677,38.729],[-0.643,38.727],[-0.643,38.705],[-0.618,38.687],[-0.584,38.708],[-0.553,38.716],[-0.535,38.732],[-0.508,38.744],[-0.508,38.755],[-0.53,38.768],[-0.566,38.755],[-0.584,38.768],[-0.596,38.795],[-0.535,38.81],[-0.474,38.803],[-0.44,38.824],[-0.382,38.834],[-0.355,38.85],[-0.355,38.858],[-0.323,38.863],[-0.31,38.881],[-0.26,38.86],[-0.231,38.853],[-0.195,38.86],[-0.197,38.866],[-0.161,38.887],[-0.148,38.858],[-0.069,38.886],[-0.042,38.858],[-0.024,38.873],[-0.038,38.887],[-0.022,38.876],[0.034,38.86],[0.052,38.863],[0.095,38.853],[0.124,38.834],[0.147,38.832],[0.198,38.802],[0.185,38.786],[0.21,38.76],[0.221,38.76],[0.232,38.732],[0.196,38.729],[0.147,38.687],[0.129,38.687],[0.115,38.674],[0.099,38.672],[0.07,38.639],[0.05,38.642],[0.03,38.626],[-0.006,38.63],[-0.031,38.616],[-0.058,38.587],[-0.065,38.572],[-0.049,38.564],[-0.096,38.524],[-0.11,38.534],[-0.15,38.535],[-0.173,38.516],[-0.191,38.516],[-0.233,38.501],[-0.267,38.495],[-0.303,38.482],[-0.344,38.456],[-0.375,38.443],[-0.4,38.412],[-0.409,38.361],[-0.402,38.353],[-0.447,38.362],[-0.51,38.325],[-0.519,38.298],[-0.519,38.267],[-0.508,38.218],[-0.51,38.202],[-0.537,38.188],[-0.566,38.191],[-0.598,38.186],[-0.611,38.176],[-0.638,38.133],[-0.65,38.055],[-0.654,37.986],[-0.697,37.97],[-0.706,37.941],[-0.717,37.937],[-0.719,37.911],[-0.742,37.91],[-0.751,37.897],[-0.762,37.847]]]}},
+    {"type":"Feature","properties":{"codigo":"04","nombre":"Almería","km2":8765},"geometry":{"type":"Polygon","coordinates":[[[-3.128,36.751],[-3.139,36.787],[-3.092,36.81],[-3.074,36.824],[-3.043,36.832],[-3.029,36.845],[-3.043,36.879],[-3.07,36.902],[-3.031,36.924],[-3.022,36.953],[-2.991,36.958],[-2.977,36.974],[-2.982,37.007],[-3.0,37.012],[-3.016,37.052],[-3.029,37.113],[-3.016,37.113],[-3.004,37.097],[-2.986,37.092],[-2.948,37.097],[-2.941,37.131],[-2.928,37.157],[-2.896,37.167],[-2.878,37.193],[-2.874,37.231],[-2.845,37.28],[-2.82,37.278],[-2.795,37.264],[-2.779,37.262],[-2.777,37.249],[-2.759,37.226],[-2.732,37.238],[-2.705,37.223],[-2.66,37.212],[-2.658,37.23],[-2.667,37.249],[-2.665,37.285],[-2.651,37.309],[-2.653,37.341],[-2.638,37.343],[-2.642,37.388],[-2.597,37.42],[-2.577,37.43],[-2.568,37.446],[-2.53,37.466],[-2.503,37.483],[-2.474,37.483],[-2.458,37.491],[-2.456,37.509],[-2.435,37.509],[-2.381,37.522],[-2.359,37.522],[-2.357,37.546],[-2.368,37.563],[-2.368,37.592],[-2.39,37.632],[-2.363,37.621],[-2.316,37.622],[-2.309,37.635],[-2.321,37.648],[-2.323,37.695],[-2.278,37.776],[-2.303,37.81],[-2.289,37.831],[-2.296,37.86],[-2.289,37.886],[-2.267,37.881],[-2.251,37.897],[-2.208,37.916],[-2.172,37.889],[-2.15,37.899],[-2.123,37.9],[-2.1,37.878],[-2.051,37.879],[-2.019,37.869],[-1.994,37.881],[-1.974,37.868],[-1.994,37.842],[-1.997,37.819],[-2.008,37.774],[-1.997,37.727],[-2.008,37.719],[-2.012,37.672],[-1.979,37.622],[-1.956,37.601],[-1.954,37.588],[-1.875,37.495],[-1.846,37.454],[-1.808,37.433],[-1.812,37.451],[-1.738,37.443],[-1.666,37.401],[-1.63,37.375],[-1.65,37.357],[-1.671,37.357],[-1.689,37.34],[-1.707,37.307],[-1.758,37.264],[-1.774,37.239],[-1.797,37.23],[-1.824,37.17],[-1.833,37.12],[-1.844,37.109],[-1.851,37.068],[-1.878,37.034],[-1.878,37.015],[-1.9,36.987],[-1.896,36.949],[-1.914,36.934],[-1.934,36.939],[-1.954,36.924],[-1.968,36.898],[-1.985,36.9],[-2.001,36.884],[-1.999,36.84],[-2.021,36.837],[-2.062,36.803],[-2.064,36.776],[-2.105,36.763],[-2.125,36.732],[-2.152,36.73],[-2.192,36.721],[-2.251,36.785],[-2.294,36.821],[-2.318,36.834],[-2.361,36.842],[-2.402,36.827],[-2.426,36.811],[-2.476,36.837],[-2.503,36.824],[-2.561,36.816],[-2.6,36.774],[-2.62,36.727],[-2.651,36.7],[-2.701,36.684],[-2.759,36.68],[-2.797,36.7],[-2.82,36.706],[-2.845,36.695],[-2.858,36.698],[-2.896,36.737],[-2.919,36.75],[-2.939,36.751],[-2.977,36.739],[-3.022,36.747],[-3.072,36.745],[-3.128,36.751]]]}},
+    {"type":"Feature","properties":{"codigo":"05","nombre":"Ávila","km2":8037},"geometry":{"type":"Polygon","coordinates":[[[-5.737,40.295],[-5.708,40.33],[-5.674,40.348],[-5.685,40.356],[-5.679,40.387],[-5.692,40.422],[-5.645,40.446],[-5.634,40.461],[-5.591,40.467],[-5.562,40.477],[-5.559,40.464],[-5.575,40.445],[-5.546,40.424],[-5.514,40.424],[-5.51,40.459],[-5.481,40.456],[-5.46,40.474],[-5.447,40.521],[-5.433,40.534],[-5.427,40.556],[-5.431,40.568],[-5.512,40.548],[-5.526,40.54],[-5.517,40.582],[-5.501,40.597],[-5.499,40.582],[-5.447,40.579],[-5.384,40.621],[-5.377,40.644],[-5.366,40.648],[-5.386,40.663],[-5.379,40.676],[-5.332,40.695],[-5.328,40.705],[-5.294,40.71],[-5.249,40.744],[-5.215,40.758],[-5.22,40.773],[-5.179,40.794],[-5.177,40.805],[-5.157,40.824],[-5.168,40.841],[-5.164,40.868],[-5.139,40.894],[-5.112,40.915],[-5.128,40.949],[-5.105,40.96],[-5.089,40.997],[-5.107,41.03],[-5.146,41.044],[-5.152,41.064],[-5.148,41.093],[-5.13,41.106],[-5.125,41.131],[-5.101,41.148],[-5.06,41.138],[-5.022,41.154],[-5.013,41.164],[-4.968,41.152],[-4.923,41.123],[-4.903,41.117],[-4.864,41.094],[-4.828,41.099],[-4.813,41.13],[-4.786,41.144],[-4.723,41.149],[-4.725,41.123],[-4.707,41.089],[-4.716,41.072],[-4.702,41.052],[-4.68,41.051],[-4.639,41.03],[-4.628,41.017],[-4.606,40.971],[-4.565,40.957],[-4.558,40.941],[-4.558,40.886],[-4.536,40.873],[-4.532,40.858],[-4.549,40.854],[-4.558,40.839],[-4.547,40.826],[-4.498,40.834],[-4.473,40.8],[-4.475,40.778],[-4.455,40.755],[-4.433,40.742],[-4.435,40.716],[-4.419,40.655],[-4.419,40.634],[-4.334,40.637],[-4.32,40.648],[-4.289,40.653],[-4.257,40.652],[-4.255,40.661],[-4.275,40.677],[-4.253,40.689],[-4.187,40.695],[-4.16,40.69],[-4.172,40.681],[-4.167,40.653],[-4.174,40.631],[-4.16,40.624],[-4.214,40.606],[-4.262,40.605],[-4.271,40.629],[-4.289,40.627],[-4.289,40.606],[-4.28,40.605],[-4.289,40.564],[-4.325,40.55],[-4.32,40.532],[-4.322,40.45],[-4.34,40.437],[-4.331,40.408],[-4.415,40.409],[-4.442,40.388],[-4.439,40.351],[-4.462,40.34],[-4.455,40.319],[-4.505,40.316],[-4.527,40.345],[-4.547,40.34],[-4.529,40.293],[-4.57,40.259],[-4.558,40.235],[-4.565,40.219],[-4.579,40.217],[-4.617,40.199],[-4.639,40.198],[-4.687,40.211],[-4.687,40.249],[-4.7,40.257],[-4.698,40.282],[-4.729,40.27],[-4.743,40.275],[-4.761,40.261],[-4.804,40.275],[-4.817,40.256],[-4.806,40.235],[-4.84,40.209],[-4.873,40.199],[-4.925,40.17],[-4.918,40.152],[-4.925,40.136],[-4.959,40.13],[-4.97,40.122],[-5.006,40.11],[-5.017,40.159],[-5.067,40.151],[-5.101,40.127],[-5.143,40.091],[-5.199,40.081],[-5.211,40.106],[-5.267,40.112],[-5.316,40.107],[-5.337,40.115],[-5.368,40.164],[-5.364,40.178],[-5.37,40.215],[-5.359,40.225],[-5.343,40.264],[-5.397,40.251],[-5.429,40.253],[-5.44,40.233],[-5.467,40.223],[-5.472,40.207],[-5.53,40.194],[-5.595,40.217],[-5.611,40.215],[-5.625,40.248],[-5.649,40.249],[-5.656,40.27],[-5.692,40.291],[-5.737,40.295]]]}},
+    {"type":"Feature","properties":{"codigo":"06","nombre":"Badajoz","km2":21748},"geometry":{"type":"Polygon","coordinates":[[[-6.931,38.209],[-6.936,38.22],[-6.956,38.217],[-6.972,38.202],[-6.981,38.212],[-7.01,38.199],[-7.028,38.183],[-7.057,38.186],[-7.087,38.17],[-7.098,38.178],[-7.143,38.241],[-7.143,38.262],[-7.156,38.278],[-7.176,38.288],[-7.201,38.328],[-7.269,38.391],[-7.289,38.425],[-7.316,38.44],[-7.296,38.475],[-7.318,38.475],[-7.314,38.514],[-7.302,38.529],[-7.302,38.545],[-7.264,38.588],[-7.257,38.613],[-7.244,38.624],[-7.271,38.637],[-7.266,38.702],[-7.26,38.724],[-7.201,38.75],[-7.194,38.766],[-7.161,38.781],[-7.147,38.8],[-7.125,38.816],[-7.098,38.815],[-7.069,38.853],[-7.053,38.858],[-7.033,38.878],[-7.053,38.907],[-7.026,38.924],[-7.021,38.937],[-6.988,38.976],[-6.952,39.023],[-6.967,39.039],[-6.958,39.054],[-6.981,39.088],[-7.028,39.115],[-7.053,39.118],[-7.104,39.099],[-7.145,39.109],[-7.14,39.151],[-7.131,39.165],[-7.163,39.18],[-7.201,39.186],[-7.242,39.209],[-7.248,39.254],[-7.23,39.278],[-7.203,39.265],[-7.152,39.322],[-7.179,39.332],[-7.161,39.361],[-7.125,39.382],[-7.104,39.387],[-7.073,39.382],[-7.064,39.372],[-7.08,39.351],[-7.098,39.359],[-7.102,39.346],[-7.082,39.335],[-7.078,39.311],[-7.051,39.322],[-7.03,39.351],[-7.033,39.367],[-7.01,39.388],[-7.039,39.396],[-7.066,39.414],[-7.048,39.437],[-6.994,39.425],[-6.997,39.42],[-6.938,39.398],[-6.873,39.382],[-6.857,39.388],[-6.803,39.39],[-6.792,39.367],[-6.796,39.345],[-6.772,39.328],[-6.749,39.325],[-6.76,39.277],[-6.778,39.265],[-6.801,39.24],[-6.799,39.22],[-6.767,39.188],[-6.751,39.194],[-6.682,39.177],[-6.659,39.199],[-6.634,39.198],[-6.578,39.18],[-6.574,39.159],[-6.538,39.156],[-6.54,39.181],[-6.49,39.168],[-6.439,39.177],[-6.414,39.165],[-6.378,39.162],[-6.342,39.185],[-6.32,39.185],[-6.311,39.156],[-6.313,39.11],[-6.295,39.097],[-6.232,39.089],[-6.203,39.057],[-6.169,39.059],[-6.153,39.052],[-6.142,39.031],[-6.09,39.084],[-6.016,39.13],[-6.016,39.102],[-6.007,39.057],[-5.982,39.07],[-5.942,39.109],[-5.926,39.105],[-5.924,39.083],[-5.872,39.104],[-5.834,39.11],[-5.818,39.12],[-5.811,39.144],[-5.769,39.136],[-5.735,39.118],[-5.69,39.083],[-5.672,39.081],[-5.647,39.102],[-5.604,39.101],[-5.584,39.118],[-5.602,39.128],[-5.577,39.151],[-5.613,39.188],[-5.55,39.215],[-5.528,39.191],[-5.514,39.21],[-5.494,39.183],[-5.465,39.16],[-5.429,39.162],[-5.413,39.157],[-5.384,39.173],[-5.368,39.214],[-5.348,39.24],[-5.355,39.262],[-5.339,39.333],[-5.303,39.32],[-5.283,39.32],[-5.247,39.303],[-5.15,39.32],[-5.119,39.343],[-5.112,39.369],[-5.114,39.388],[-5.089,39.39],[-5.056,39.364],[-5.02,39.369],[-5.008,39.378],[-4.993,39.37],[-4.97,39.383],[-4.972,39.395],[-4.952,39.395],[-4.941,39.395],[-4.909,39.378],[-4.871,39.369],[-4.806,39.398],[-4.768,39.401],[-4.756,39.416],[-4.687,39.45],[-4.669,39.424],[-4.711,39.346],[-4.707,39.328],[-4.761,39.32],[-4.732,39.256],[-4.714,39.244],[-4.709,39.21],[-4.664,39.186],[-4.648,39.165],[-4.675,39.17],[-4.714,39.188],[-4.743,39.194],[-4.774,39.189],[-4.81,39.199],[-4.831,39.167],[-4.853,39.152],[-4.858,39.123],[-4.873,39.096],[-4.86,39.078],[-4.826,39.063],[-4.833,39.046],[-4.849,39.046],[-4.86,39.031],[-4.885,39.034],[-4.934,39.057],[-4.963,39.059],[-4.934,38.976],[-4.918,38.957],[-4.907,38.963],[-4.878,38.949],[-4.851,38.947],[-4.837,38.931],[-4.849,38.881],[-4.867,38.887],[-4.914,38.887],[-4.943,38.855],[-4.954,38.829],[-4.961,38.79],[-4.972,38.761],[-4.99,38.74],[-5.047,38.729],[-5.101,38.708],[-5.119,38.716],[-5.17,38.713],[-5.184,38.719],[-5.168,38.677],[-5.184,38.676],[-5.184,38.66],[-5.208,38.668],[-5.211,38.653],[-5.238,38.642],[-5.253,38.626],[-5.292,38.611],[-5.31,38.595],[-5.307,38.579],[-5.373,38.584],[-5.391,38.563],[-5.384,38.543],[-5.406,38.543],[-5.411,38.521],[-5.478,38.485],[-5.485,38.462],[-5.519,38.464],[-5.568,38.433],[-5.584,38.401],[-5.584,38.386],[-5.559,38.367],[-5.575,38.328],[-5.555,38.317],[-5.541,38.278],[-5.526,38.264],[-5.521,38.207],[-5.539,38.201],[-5.537,38.168],[-5.559,38.149],[-5.575,38.151],[-5.584,38.131],[-5.634,38.138],[-5.694,38.084],[-5.733,38.088],[-5.742,38.126],[-5.715,38.134],[-5.694,38.151],[-5.706,38.164],[-5.688,38.181],[-5.728,38.197],[-5.755,38.181],[-5.782,38.186],[-5.825,38.17],[-5.838,38.175],[-5.876,38.155],[-5.881,38.133],[-5.912,38.123],[-5.928,38.088],[-5.908,38.068],[-5.919,38.05],[-5.935,38.047],[-5.933,38.033],[-5.953,37.996],[-5.993,37.999],[-6.007,37.991],[-6.032,37.997],[-6.095,37.981],[-6.119,37.981],[-6.18,37.941],[-6.196,37.957],[-6.234,37.958],[-6.252,37.971],[-6.304,37.978],[-6.329,37.999],[-6.356,38.01],[-6.367,38.049],[-6.389,38.049],[-6.414,38.059],[-6.452,38.055],[-6.443,38.047],[-6.475,38.025],[-6.466,38.01],[-6.493,38.01],[-6.495,38.02],[-6.547,38.028],[-6.571,38.02],[-6.587,38.026],[-6.58,38.052],[-6.623,38.097],[-6.661,38.092],[-6.729,38.101],[-6.747,38.091],[-6.769,38.099],[-6.769,38.112],[-6.81,38.112],[-6.817,38.12],[-6.799,38.144],[-6.794,38.178],[-6.823,38.173],[-6.857,38.18],[-6.902,38.202],[-6.931,38.209]]]}},
+    {"type":"Feature","properties":{"codigo":"07","nombre":"Baleares","km2":4985},"geometry":{"type":"MultiPolygon","coordinates":[[[[1.433,38.774],[1.417,38.786],[1.422,38.797],[1.433,38.774]]],[[[1.411,38.891],[1.404,38.874],[1.406,38.832],[1.384,38.842],[1.372,38.831],[1.361,38.86],[1.343,38.871],[1.305,38.866],[1.298,38.876],[1.267,38.878],[1.246,38.857],[1.213,38.897],[1.235,38.941],[1.215,38.957],[1.233,38.968],[1.264,38.968],[1.307,38.973],[1.285,38.999],[1.291,39.025],[1.312,39.044],[1.361,39.075],[1.375,39.062],[1.386,39.078],[1.417,39.078],[1.426,39.093],[1.44,39.081],[1.453,39.097],[1.496,39.099],[1.505,39.112],[1.532,39.118],[1.557,39.094],[1.591,39.097],[1.609,39.078],[1.591,39.075],[1.595,39.052],[1.618,39.038],[1.584,39.015],[1.582,38.989],[1.552,38.992],[1.532,38.979],[1.53,38.945],[1.51,38.947],[1.505,38.933],[1.476,38.913],[1.44,38.916],[1.438,38.902],[1.422,38.903],[1.411,38.891]]],[[[1.388,38.642],[1.381,38.693],[1.388,38.693],[1.379,38.719],[1.397,38.731],[1.417,38.723],[1.435,38.76],[1.449,38.732],[1.471,38.719],[1.492,38.69],[1.53,38.672],[1.561,38.692],[1.582,38.677],[1.573,38.651],[1.525,38.653],[1.476,38.682],[1.442,38.684],[1.429,38.666],[1.388,38.642]]],[[[2.306,39.572],[2.308,39.582],[2.337,39.598],[2.319,39.577],[2.306,39.572]]],[[[2.598,39.548],[2.589,39.534],[2.56,39.532],[2.537,39.517],[2.537,39.488],[2.524,39.458],[2.501,39.461],[2.457,39.505],[2.468,39.519],[2.452,39.537],[2.418,39.524],[2.423,39.535],[2.405,39.537],[2.387,39.521],[2.367,39.555],[2.346,39.564],[2.355,39.577],[2.344,39.587],[2.355,39.606],[2.385,39.613],[2.421,39.635],[2.463,39.652],[2.499,39.684],[2.531,39.702],[2.555,39.7],[2.585,39.716],[2.623,39.748],[2.636,39.765],[2.666,39.776],[2.67,39.792],[2.688,39.797],[2.702,39.811],[2.742,39.832],[2.749,39.828],[2.776,39.841],[2.774,39.852],[2.805,39.852],[2.855,39.874],[2.875,39.878],[2.906,39.899],[2.936,39.904],[2.951,39.92],[2.987,39.908],[3.028,39.936],[3.062,39.933],[3.055,39.923],[3.12,39.931],[3.147,39.954],[3.165,39.958],[3.181,39.952],[3.214,39.962],[3.203,39.944],[3.183,39.939],[3.154,39.923],[3.131,39.926],[3.109,39.905],[3.091,39.912],[3.08,39.889],[3.091,39.866],[3.111,39.858],[3.134,39.87],[3.142,39.865],[3.194,39.894],[3.203,39.889],[3.185,39.871],[3.194,39.857],[3.178,39.841],[3.12,39.832],[3.12,39.803],[3.154,39.768],[3.212,39.742],[3.255,39.729],[3.325,39.758],[3.336,39.784],[3.347,39.789],[3.379,39.766],[3.403,39.765],[3.433,39.745],[3.457,39.745],[3.453,39.721],[3.475,39.721],[3.457,39.705],[3.455,39.655],[3.439,39.655],[3.435,39.632],[3.41,39.637],[3.392,39.618],[3.385,39.589],[3.401,39.577],[3.379,39.576],[3.367,39.551],[3.34,39.542],[3.295,39.5],[3.282,39.469],[3.275,39.416],[3.255,39.401],[3.25,39.387],[3.223,39.357],[3.212,39.364],[3.187,39.335],[3.172,39.327],[3.147,39.33],[3.12,39.312],[3.073,39.269],[3.05,39.265],[3.041,39.28],[3.019,39.294],[3.005,39.315],[2.985,39.315],[2.992,39.336],[2.965,39.359],[2.931,39.364],[2.909,39.356],[2.882,39.366],[2.843,39.366],[2.83,39.356],[2.805,39.367],[2.789,39.362],[2.751,39.395],[2.74,39.417],[2.749,39.437],[2.722,39.475],[2.751,39.505],[2.726,39.532],[2.688,39.553],[2.632,39.569],[2.625,39.547],[2.598,39.548]]],[[[2.947,39.125],[2.913,39.144],[2.924,39.156],[2.949,39.149],[2.947,39.164],[2.976,39.159],[2.958,39.149],[2.958,39.128],[2.947,39.125]]],[[[4.157,39.855],[4.098,39.879],[4.078,39.895],[4.02,39.923],[4.013,39.92],[3.957,39.939],[3.896,39.923],[3.822,39.923],[3.824,39.952],[3.835,39.96],[3.826,39.996],[3.795,40.001],[3.792,40.02],[3.81,40.03],[3.822,40.051],[3.853,40.055],[3.878,40.052],[3.898,40.06],[3.909,40.049],[3.921,40.057],[3.959,40.062],[3.968,40.054],[4.022,40.059],[4.033,40.065],[4.049,40.052],[4.087,40.068],[4.103,40.044],[4.134,40.064],[4.123,40.038],[4.139,40.033],[4.137,40.067],[4.166,40.059],[4.159,40.043],[4.182,40.022],[4.188,40.034],[4.22,39.997],[4.247,40.001],[4.258,39.996],[4.256,39.963],[4.283,39.944],[4.276,39.933],[4.285,39.912],[4.305,39.897],[4.31,39.878],[4.294,39.881],[4.308,39.865],[4.308,39.849],[4.296,39.823],[4.272,39.808],[4.24,39.816],[4.184,39.839],[4.157,39.855]]]]}},
+    {"type":"Feature","properties":{"codigo":"08","nombre":"Barcelona","km2":7737},"geometry":{"type":"MultiPolygon","coordinates":[[[[1.647,41.194],[1.654,41.207],[1.64,41.235],[1.624,41.224],[1.582,41.236],[1.57,41.261],[1.618,41.253],[1.627,41.269],[1.629,41.295],[1.602,41.287],[1.588,41.298],[1.597,41.308],[1.573,41.317],[1.559,41.345],[1.573,41.356],[1.568,41.369],[1.55,41.369],[1.537,41.385],[1.512,41.395],[1.474,41.382],[1.489,41.4],[1.469,41.445],[1.487,41.464],[1.474,41.487],[1.451,41.487],[1.438,41.498],[1.404,41.506],[1.399,41.529],[1.449,41.537],[1.447,41.553],[1.431,41.556],[1.453,41.569],[1.42,41.582],[1.393,41.576],[1.408,41.59],[1.361,41.613],[1.395,41.636],[1.449,41.637],[1.404,41.686],[1.399,41.705],[1.384,41.707],[1.42,41.737],[1.404,41.745],[1.426,41.802],[1.471,41.8],[1.467,41.771],[1.487,41.779],[1.483,41.791],[1.505,41.789],[1.507,41.774],[1.546,41.757],[1.548,41.771],[1.575,41.783],[1.593,41.778],[1.6,41.789],[1.588,41.805],[1.611,41.818],[1.611,41.836],[1.631,41.844],[1.618,41.879],[1.602,41.884],[1.584,41.873],[1.568,41.879],[1.6,41.904],[1.615,41.905],[1.642,41.93],[1.649,41.944],[1.645,41.972],[1.674,41.983],[1.683,41.968],[1.717,41.983],[1.717,42.001],[1.699,42.014],[1.685,41.996],[1.651,41.993],[1.651,42.014],[1.665,42.01],[1.701,42.028],[1.694,42.046],[1.672,42.044],[1.692,42.086],[1.717,42.085],[1.723,42.101],[1.705,42.106],[1.712,42.119],[1.699,42.135],[1.714,42.154],[1.739,42.162],[1.739,42.19],[1.708,42.19],[1.681,42.206],[1.685,42.222],[1.705,42.238],[1.685,42.261],[1.69,42.277],[1.674,42.285],[1.775,42.291],[1.843,42.306],[1.878,42.312],[1.903,42.322],[1.948,42.316],[1.984,42.298],[2.018,42.311],[2.07,42.287],[2.043,42.269],[2.027,42.253],[2.029,42.216],[2.049,42.216],[2.061,42.195],[2.058,42.175],[2.038,42.178],[2.027,42.167],[2.004,42.162],[1.995,42.172],[2.0,42.193],[1.964,42.199],[1.966,42.178],[1.991,42.183],[2.004,42.149],[2.025,42.153],[2.061,42.135],[2.092,42.144],[2.101,42.123],[2.126,42.112],[2.144,42.132],[2.187,42.135],[2.205,42.125],[2.214,42.141],[2.243,42.138],[2.274,42.143],[2.299,42.133],[2.304,42.112],[2.346,42.122],[2.367,42.12],[2.38,42.104],[2.4,42.102],[2.394,42.086],[2.427,42.06],[2.459,42.08],[2.477,42.077],[2.497,42.059],[2.481,42.051],[2.506,42.033],[2.495,42.02],[2.499,42.002],[2.468,41.994],[2.488,41.984],[2.475,41.97],[2.452,41.967],[2.439,41.973],[2.443,41.941],[2.461,41.944],[2.479,41.931],[2.47,41.905],[2.443,41.888],[2.407,41.896],[2.382,41.871],[2.337,41.889],[2.324,41.875],[2.326,41.855],[2.344,41.837],[2.355,41.807],[2.382,41.808],[2.405,41.802],[2.436,41.804],[2.457,41.784],[2.488,41.766],[2.515,41.762],[2.515,41.749],[2.531,41.739],[2.537,41.721],[2.603,41.728],[2.639,41.734],[2.643,41.744],[2.666,41.747],[2.679,41.741],[2.724,41.744],[2.744,41.736],[2.776,41.736],[2.767,41.724],[2.774,41.7],[2.758,41.679],[2.778,41.65],[2.72,41.629],[2.549,41.576],[2.495,41.553],[2.47,41.547],[2.407,41.509],[2.38,41.495],[2.299,41.474],[2.268,41.459],[2.245,41.437],[2.225,41.408],[2.198,41.387],[2.187,41.364],[2.175,41.367],[2.155,41.316],[2.142,41.299],[2.074,41.277],[2.022,41.266],[1.935,41.262],[1.869,41.243],[1.854,41.235],[1.816,41.236],[1.789,41.224],[1.728,41.215],[1.674,41.198],[1.647,41.194]],[[2.018,42.109],[2.031,42.127],[2.002,42.125],[2.007,42.107],[2.018,42.109]]],[[[1.645,42.112],[1.692,42.112],[1.692,42.104],[1.645,42.112]]]]}},
+    {"type":"Feature","properties":{"codigo":"09","nombre":"Burgos","km2":14273},"geometry":{"type":"MultiPolygon","coordinates":[[[[-3.98,41.584],[-4.003,41.618],[-4.028,41.615],[-4.023,41.671],[-4.025,41.694],[-4.041,41.711],[-4.068,41.726],[-4.055,41.741],[-4.05,41.768],[-4.041,41.768],[-4.039,41.791],[-4.091,41.831],[-4.079,41.849],[-4.088,41.871],[-4.061,41.876],[-4.037,41.873],[-3.98,41.9],[-3.98,41.931],[-3.951,41.936],[-3.935,41.957],[-3.893,41.957],[-3.891,41.997],[-3.911,41.997],[-3.956,41.981],[-3.992,41.96],[-4.032,41.954],[-4.03,41.976],[-4.014,41.999],[-3.994,42.005],[-3.971,42.033],[-3.983,42.051],[-4.046,42.051],[-4.048,42.039],[-4.079,42.036],[-4.104,42.062],[-4.102,42.086],[-4.077,42.083],[-4.057,42.101],[-4.104,42.109],[-4.12,42.128],[-4.142,42.12],[-4.154,42.132],[-4.187,42.127],[-4.205,42.135],[-4.205,42.154],[-4.19,42.165],[-4.192,42.182],[-4.214,42.206],[-4.232,42.209],[-4.228,42.228],[-4.232,42.256],[-4.241,42.269],[-4.253,42.309],[-4.262,42.309],[-4.271,42.343],[-4.264,42.353],[-4.28,42.364],[-4.273,42.385],[-4.293,42.388],[-4.322,42.38],[-4.331,42.392],[-4.336,42.43],[-4.318,42.459],[-4.271,42.453],[-4.244,42.456],[-4.25,42.479],[-4.246,42.493],[-4.273,42.519],[-4.277,42.545],[-4.3,42.553],[-4.304,42.569],[-4.284,42.581],[-4.293,42.605],[-4.273,42.616],[-4.268,42.632],[-4.277,42.644],[-4.275,42.673],[-4.293,42.691],[-4.266,42.705],[-4.257,42.689],[-4.219,42.705],[-4.185,42.736],[-4.145,42.754],[-4.124,42.752],[-4.124,42.736],[-4.109,42.734],[-4.082,42.762],[-4.046,42.766],[-4.003,42.763],[-4.001,42.77],[-3.978,42.758],[-3.947,42.762],[-3.931,42.775],[-3.911,42.768],[-3.911,42.786],[-3.895,42.805],[-3.864,42.786],[-3.823,42.799],[-3.816,42.836],[-3.834,42.852],[-3.825,42.868],[-3.864,42.889],[-3.875,42.875],[-3.868,42.857],[-3.879,42.85],[-3.913,42.859],[-3.893,42.888],[-3.9,42.904],[-3.868,42.899],[-3.852,42.92],[-3.839,42.917],[-3.83,42.93],[-3.868,42.955],[-3.888,42.949],[-3.891,42.925],[-3.924,42.915],[-3.926,42.904],[-3.974,42.912],[-3.989,42.931],[-3.967,42.985],[-3.944,43.007],[-3.908,43.017],[-3.888,43.043],[-3.85,43.041],[-3.832,43.064],[-3.848,43.085],[-3.81,43.086],[-3.789,43.078],[-3.758,43.086],[-3.756,43.101],[-3.729,43.104],[-3.704,43.119],[-3.684,43.136],[-3.677,43.154],[-3.65,43.18],[-3.612,43.169],[-3.603,43.149],[-3.585,43.154],[-3.544,43.148],[-3.508,43.136],[-3.418,43.133],[-3.371,43.151],[-3.348,43.154],[-3.342,43.167],[-3.312,43.172],[-3.279,43.195],[-3.254,43.199],[-3.223,43.172],[-3.209,43.18],[-3.187,43.169],[-3.169,43.178],[-3.148,43.174],[-3.142,43.161],[-3.162,43.154],[-3.162,43.143],[-3.182,43.12],[-3.135,43.098],[-3.157,43.073],[-3.142,43.069],[-3.144,43.028],[-3.171,43.03],[-3.178,43.022],[-3.144,43.007],[-3.09,43.001],[-3.076,43.009],[-3.038,42.983],[-3.045,42.973],[-3.016,42.954],[-2.995,42.952],[-2.982,42.939],[-3.011,42.922],[-3.018,42.909],[-3.09,42.899],[-3.106,42.91],[-3.126,42.904],[-3.151,42.92],[-3.144,42.934],[-3.18,42.944],[-3.225,42.949],[-3.25,42.912],[-3.276,42.902],[-3.283,42.876],[-3.236,42.838],[-3.209,42.844],[-3.191,42.87],[-3.173,42.857],[-3.151,42.862],[-3.126,42.891],[-3.106,42.88],[-3.112,42.862],[-3.16,42.805],[-3.13,42.789],[-3.137,42.765],[-3.148,42.757],[-3.117,42.76],[-3.099,42.768],[-3.063,42.76],[-3.047,42.765],[-3.04,42.739],[-3.018,42.741],[-3.007,42.723],[-2.989,42.72],[-2.98,42.703],[-2.957,42.71],[-2.93,42.708],[-2.93,42.7],[-2.903,42.694],[-2.894,42.679],[-2.896,42.655],[-2.858,42.639],[-2.883,42.621],[-2.905,42.626],[-2.923,42.621],[-2.935,42.634],[-2.971,42.64],[-2.98,42.636],[-3.004,42.644],[-3.018,42.632],[-3.04,42.64],[-3.083,42.64],[-3.085,42.628],[-3.07,42.621],[-3.061,42.603],[-3.067,42.589],[-3.106,42.553],[-3.135,42.542],[-3.108,42.529],[-3.09,42.539],[-3.072,42.527],[-3.079,42.5],[-3.094,42.492],[-3.074,42.477],[-3.047,42.445],[-3.063,42.426],[-3.065,42.405],[-3.054,42.374],[-3.065,42.374],[-3.083,42.398],[-3.079,42.416],[-3.101,42.417],[-3.097,42.405],[-3.106,42.387],[-3.085,42.385],[-3.063,42.363],[-3.067,42.354],[-3.11,42.351],[-3.11,42.338],[-3.097,42.327],[-3.106,42.314],[-3.09,42.274],[-3.099,42.262],[-3.088,42.246],[-3.103,42.232],[-3.103,42.212],[-3.128,42.201],[-3.115,42.178],[-3.09,42.159],[-3.085,42.135],[-3.065,42.133],[-3.034,42.086],[-2.962,42.085],[-2.935,42.09],[-2.914,42.038],[-2.914,42.023],[-2.932,42.018],[-2.966,41.967],[-2.959,41.952],[-2.971,41.93],[-2.998,41.933],[-3.011,41.915],[-3.018,41.888],[-3.058,41.891],[-3.092,41.876],[-3.097,41.865],[-3.137,41.818],[-3.171,41.792],[-3.189,41.802],[-3.196,41.829],[-3.234,41.841],[-3.243,41.863],[-3.279,41.868],[-3.29,41.842],[-3.281,41.823],[-3.285,41.789],[-3.276,41.768],[-3.308,41.76],[-3.324,41.742],[-3.355,41.737],[-3.36,41.721],[-3.357,41.694],[-3.393,41.69],[-3.407,41.676],[-3.416,41.648],[-3.429,41.647],[-3.436,41.623],[-3.459,41.589],[-3.481,41.597],[-3.508,41.597],[-3.528,41.613],[-3.551,41.597],[-3.542,41.577],[-3.567,41.581],[-3.573,41.566],[-3.616,41.577],[-3.672,41.561],[-3.693,41.534],[-3.729,41.518],[-3.733,41.469],[-3.729,41.458],[-3.769,41.459],[-3.771,41.521],[-3.767,41.539],[-3.805,41.514],[-3.787,41.485],[-3.823,41.48],[-3.864,41.529],[-3.886,41.532],[-3.895,41.552],[-3.924,41.568],[-3.942,41.569],[-3.965,41.585],[-3.98,41.584]],[[-4.095,42.141],[-4.059,42.136],[-4.077,42.167],[-4.111,42.159],[-4.111,42.143],[-4.095,42.141]]],[[[-2.932,42.613],[-2.923,42.6],[-2.939,42.594],[-2.932,42.613]]],[[[-2.865,42.744],[-2.854,42.747],[-2.854,42.768],[-2.836,42.796],[-2.827,42.784],[-2.793,42.794],[-2.732,42.794],[-2.694,42.778],[-2.678,42.779],[-2.633,42.765],[-2.604,42.77],[-2.588,42.75],[-2.559,42.763],[-2.573,42.724],[-2.609,42.695],[-2.595,42.691],[-2.579,42.67],[-2.548,42.67],[-2.539,42.687],[-2.523,42.684],[-2.516,42.647],[-2.55,42.637],[-2.584,42.652],[-2.635,42.649],[-2.653,42.67],[-2.698,42.674],[-2.719,42.661],[-2.768,42.666],[-2.784,42.699],[-2.824,42.708],[-2.829,42.72],[-2.865,42.744]]]]}},
+    {"type":"Feature","properties":{"codigo":"10","nombre":"Cáceres","km2":19846},"geometry":{"type":"Polygon","coordinates":[[[-7.23,39.278],[-7.271,39.304],[-7.269,39.309],[-7.311,39.341],[-7.311,39.369],[-7.323,39.385],[-7.3,39.417],[-7.309,39.43],[-7.293,39.456],[-7.32,39.474],[-7.343,39.479],[-7.35,39.488],[-7.381,39.492],[-7.39,39.503],[-7.39,39.53],[-7.426,39.532],[-7.446,39.548],[-7.467,39.577],[-7.5,39.59],[-7.509,39.619],[-7.527,39.635],[-7.534,39.668],[-7.455,39.663],[-7.399,39.647],[-7.374,39.652],[-7.332,39.642],[-7.287,39.66],[-7.251,39.668],[-7.152,39.653],[-7.127,39.663],[-7.055,39.66],[-7.015,39.671],[-7.006,39.702],[-6.988,39.727],[-6.994,39.74],[-6.976,39.773],[-6.988,39.81],[-6.97,39.824],[-6.958,39.824],[-6.936,39.839],[-6.934,39.85],[-6.904,39.871],[-6.9,39.902],[-6.907,39.92],[-6.886,39.941],[-6.886,39.981],[-6.873,39.996],[-6.882,40.041],[-6.893,40.06],[-6.918,40.067],[-6.92,40.088],[-6.94,40.112],[-7.001,40.12],[-7.021,40.144],[-7.017,40.177],[-7.03,40.185],[-7.012,40.225],[-6.979,40.241],[-6.963,40.238],[-6.952,40.257],[-6.907,40.254],[-6.868,40.264],[-6.864,40.27],[-6.837,40.249],[-6.801,40.243],[-6.781,40.249],[-6.756,40.246],[-6.718,40.269],[-6.691,40.243],[-6.673,40.264],[-6.587,40.27],[-6.556,40.291],[-6.565,40.314],[-6.56,40.328],[-6.535,40.348],[-6.464,40.372],[-6.439,40.374],[-6.419,40.4],[-6.376,40.4],[-6.365,40.422],[-6.333,40.448],[-6.295,40.451],[-6.254,40.471],[-6.241,40.485],[-6.2,40.484],[-6.178,40.463],[-6.155,40.458],[-6.149,40.437],[-6.119,40.442],[-6.128,40.421],[-6.068,40.398],[-6.088,40.377],[-6.086,40.361],[-6.097,40.356],[-6.054,40.341],[-6.016,40.34],[-6.02,40.322],[-6.005,40.306],[-5.937,40.282],[-5.921,40.282],[-5.903,40.295],[-5.894,40.319],[-5.849,40.338],[-5.847,40.328],[-5.816,40.351],[-5.796,40.351],[-5.782,40.312],[-5.802,40.298],[-5.793,40.286],[-5.764,40.28],[-5.737,40.295],[-5.692,40.291],[-5.656,40.27],[-5.649,40.249],[-5.625,40.248],[-5.611,40.215],[-5.595,40.217],[-5.53,40.194],[-5.472,40.207],[-5.467,40.223],[-5.44,40.233],[-5.429,40.253],[-5.397,40.251],[-5.343,40.264],[-5.359,40.225],[-5.37,40.215],[-5.364,40.178],[-5.368,40.164],[-5.337,40.115],[-5.368,40.101],[-5.375,40.059],[-5.361,40.013],[-5.366,39.983],[-5.395,39.918],[-5.406,39.878],[-5.37,39.889],[-5.325,39.892],[-5.294,39.874],[-5.283,39.857],[-5.307,39.836],[-5.316,39.797],[-5.31,39.76],[-5.253,39.753],[-5.244,39.766],[-5.206,39.797],[-5.168,39.799],[-5.159,39.76],[-5.175,39.75],[-5.139,39.715],[-5.152,39.697],[-5.161,39.643],[-5.206,39.6],[-5.202,39.592],[-5.146,39.55],[-5.123,39.522],[-5.083,39.49],[-5.058,39.49],[-5.008,39.435],[-4.952,39.395],[-4.972,39.395],[-4.97,39.383],[-4.993,39.37],[-5.008,39.378],[-5.02,39.369],[-5.056,39.364],[-5.089,39.39],[-5.114,39.388],[-5.112,39.369],[-5.119,39.343],[-5.15,39.32],[-5.247,39.303],[-5.283,39.32],[-5.303,39.32],[-5.339,39.333],[-5.355,39.262],[-5.348,39.24],[-5.368,39.214],[-5.384,39.173],[-5.413,39.157],[-5.429,39.162],[-5.465,39.16],[-5.494,39.183],[-5.514,39.21],[-5.528,39.191],[-5.55,39.215],[-5.613,39.188],[-5.577,39.151],[-5.602,39.128],[-5.584,39.118],[-5.604,39.101],[-5.647,39.102],[-5.672,39.081],[-5.69,39.083],[-5.735,39.118],[-5.769,39.136],[-5.811,39.144],[-5.818,39.12],[-5.834,39.11],[-5.872,39.104],[-5.924,39.083],[-5.926,39.105],[-5.942,39.109],[-5.982,39.07],[-6.007,39.057],[-6.016,39.102],[-6.016,39.13],[-6.09,39.084],[-6.142,39.031],[-6.153,39.052],[-6.169,39.059],[-6.203,39.057],[-6.232,39.089],[-6.295,39.097],[-6.313,39.11],[-6.311,39.156],[-6.32,39.185],[-6.342,39.185],[-6.378,39.162],[-6.414,39.165],[-6.439,39.177],[-6.49,39.168],[-6.54,39.181],[-6.538,39.156],[-6.574,39.159],[-6.578,39.18],[-6.634,39.198],[-6.659,39.199],[-6.682,39.177],[-6.751,39.194],[-6.767,39.188],[-6.799,39.22],[-6.801,39.24],[-6.778,39.265],[-6.76,39.277],[-6.749,39.325],[-6.772,39.328],[-6.796,39.345],[-6.792,39.367],[-6.803,39.39],[-6.857,39.388],[-6.873,39.382],[-6.938,39.398],[-6.997,39.42],[-6.994,39.425],[-7.048,39.437],[-7.066,39.414],[-7.039,39.396],[-7.01,39.388],[-7.033,39.367],[-7.03,39.351],[-7.051,39.322],[-7.078,39.311],[-7.082,39.335],[-7.102,39.346],[-7.098,39.359],[-7.08,39.351],[-7.064,39.372],[-7.073,39.382],[-7.104,39.387],[-7.125,39.382],[-7.161,39.361],[-7.179,39.332],[-7.152,39.322],[-7.203,39.265],[-7.23,39.278]]]}},
+    {"type":"Feature","properties":{"codigo":"11","nombre":"Cádiz","km2":7443},"geometry":{"type":"Polygon","coordinates":[[[-6.365,36.79],[-6.347,36.797],[-6.351,36.861],[-6.347,36.889],[-6.331,36.898],[-6.279,36.91],[-6.259,36.895],[-6.232,36.898],[-6.158,36.886],[-6.106,36.858],[-5.973,36.844],[-5.962,36.852],[-5.926,36.853],[-5.89,36.842],[-5.894,36.852],[-5.876,36.895],[-5.845,36.915],[-5.807,36.924],[-5.764,36.926],[-5.717,36.92],[-5.697,36.936],[-5.694,36.957],[-5.665,36.976],[-5.649,36.955],[-5.627,36.955],[-5.618,36.941],[-5.607,36.95],[-5.586,36.947],[-5.584,36.915],[-5.535,36.894],[-5.55,36.921],[-5.526,36.937],[-5.512,36.958],[-5.481,36.973],[-5.469,36.992],[-5.494,37.012],[-5.51,37.034],[-5.46,37.042],[-5.433,37.052],[-5.42,37.013],[-5.436,36.991],[-5.451,36.983],[-5.454,36.962],[-5.438,36.936],[-5.413,36.941],[-5.411,36.957],[-5.393,36.973],[-5.346,36.997],[-5.337,37.012],[-5.303,37.037],[-5.303,37.02],[-5.274,36.991],[-5.235,36.941],[-5.206,36.962],[-5.164,36.981],[-5.143,37.004],[-5.114,36.989],[-5.096,36.968],[-5.11,36.96],[-5.087,36.905],[-5.105,36.898],[-5.112,36.874],[-5.134,36.839],[-5.17,36.824],[-5.222,36.842],[-5.231,36.861],[-5.267,36.876],[-5.269,36.884],[-5.301,36.869],[-5.332,36.839],[-5.341,36.819],[-5.319,36.787],[-5.292,36.776],[-5.325,36.724],[-5.323,36.674],[-5.384,36.63],[-5.438,36.614],[-5.456,36.619],[-5.463,36.588],[-5.49,36.571],[-5.503,36.548],[-5.537,36.527],[-5.544,36.538],[-5.6,36.551],[-5.611,36.545],[-5.609,36.512],[-5.573,36.512],[-5.559,36.504],[-5.523,36.498],[-5.492,36.537],[-5.431,36.535],[-5.415,36.522],[-5.411,36.496],[-5.395,36.47],[-5.355,36.433],[-5.334,36.394],[-5.334,36.37],[-5.321,36.346],[-5.321,36.325],[-5.278,36.338],[-5.253,36.312],[-5.267,36.301],[-5.296,36.246],[-5.316,36.228],[-5.334,36.181],[-5.339,36.154],[-5.352,36.152],[-5.375,36.163],[-5.386,36.18],[-5.427,36.176],[-5.442,36.159],[-5.44,36.128],[-5.422,36.133],[-5.422,36.12],[-5.442,36.121],[-5.431,36.11],[-5.442,36.089],[-5.427,36.083],[-5.431,36.071],[-5.465,36.05],[-5.487,36.054],[-5.517,36.037],[-5.575,36.015],[-5.607,36.01],[-5.649,36.052],[-5.694,36.066],[-5.712,36.058],[-5.751,36.071],[-5.782,36.087],[-5.796,36.078],[-5.825,36.104],[-5.849,36.134],[-5.874,36.157],[-5.915,36.184],[-5.944,36.186],[-5.987,36.178],[-6.011,36.186],[-6.034,36.181],[-6.079,36.244],[-6.088,36.265],[-6.113,36.293],[-6.142,36.296],[-6.182,36.369],[-6.218,36.393],[-6.236,36.44],[-6.286,36.516],[-6.306,36.537],[-6.279,36.53],[-6.259,36.499],[-6.266,36.49],[-6.254,36.469],[-6.227,36.462],[-6.214,36.482],[-6.194,36.487],[-6.173,36.509],[-6.173,36.522],[-6.2,36.529],[-6.209,36.509],[-6.232,36.504],[-6.257,36.52],[-6.236,36.525],[-6.223,36.569],[-6.241,36.585],[-6.266,36.58],[-6.279,36.604],[-6.302,36.619],[-6.34,36.625],[-6.356,36.616],[-6.394,36.634],[-6.394,36.648],[-6.441,36.721],[-6.443,36.739],[-6.416,36.748],[-6.362,36.784],[-6.365,36.79]]]}},
+    {"type":"Feature","properties":{"codigo":"12","nombre":"Castellón","km2":6629},"geometry":{"type":"Polygon","coordinates":[[[-0.798,39.881],[-0.829,39.907],[-0.845,39.947],[-0.834,39.979],[-0.791,39.989],[-0.769,40.009],[-0.762,40.039],[-0.719,40.039],[-0.703,40.047],[-0.665,40.051],[-0.647,40.067],[-0.623,40.075],[-0.614,40.07],[-0.629,40.102],[-0.607,40.128],[-0.587,40.131],[-0.571,40.156],[-0.573,40.181],[-0.562,40.19],[-0.544,40.251],[-0.526,40.238],[-0.494,40.228],[-0.47,40.24],[-0.452,40.235],[-0.384,40.264],[-0.382,40.277],[-0.4,40.296],[-0.364,40.317],[-0.312,40.359],[-0.283,40.367],[-0.29,40.39],[-0.308,40.409],[-0.332,40.425],[-0.346,40.443],[-0.335,40.458],[-0.274,40.474],[-0.276,40.497],[-0.301,40.522],[-0.29,40.543],[-0.296,40.561],[-0.294,40.613],[-0.321,40.603],[-0.38,40.624],[-0.371,40.652],[-0.382,40.661],[-0.357,40.677],[-0.328,40.681],[-0.317,40.663],[-0.251,40.69],[-0.236,40.69],[-0.24,40.718],[-0.224,40.753],[-0.195,40.782],[-0.146,40.786],[-0.148,40.774],[-0.128,40.753],[-0.065,40.728],[-0.031,40.723],[-0.022,40.731],[0.016,40.728],[0.03,40.715],[0.027,40.695],[0.043,40.69],[0.072,40.715],[0.115,40.728],[0.144,40.718],[0.171,40.732],[0.198,40.724],[0.225,40.732],[0.239,40.702],[0.261,40.707],[0.293,40.687],[0.268,40.658],[0.266,40.645],[0.279,40.631],[0.315,40.614],[0.36,40.606],[0.39,40.606],[0.43,40.579],[0.437,40.55],[0.459,40.537],[0.516,40.522],[0.477,40.466],[0.466,40.459],[0.419,40.401],[0.401,40.358],[0.365,40.324],[0.351,40.301],[0.331,40.28],[0.279,40.244],[0.264,40.209],[0.234,40.199],[0.203,40.181],[0.183,40.16],[0.149,40.101],[0.147,40.083],[0.12,40.062],[0.086,40.057],[0.05,40.036],[0.034,40.01],[0.025,39.978],[0.003,39.95],[-0.004,39.916],[-0.033,39.895],[-0.067,39.862],[-0.078,39.862],[-0.121,39.815],[-0.137,39.789],[-0.188,39.723],[-0.272,39.752],[-0.276,39.771],[-0.308,39.797],[-0.328,39.802],[-0.377,39.8],[-0.391,39.787],[-0.386,39.769],[-0.409,39.745],[-0.438,39.734],[-0.445,39.718],[-0.461,39.716],[-0.499,39.747],[-0.515,39.779],[-0.53,39.797],[-0.548,39.795],[-0.578,39.773],[-0.589,39.742],[-0.632,39.747],[-0.652,39.753],[-0.645,39.792],[-0.656,39.836],[-0.69,39.852],[-0.712,39.816],[-0.737,39.821],[-0.773,39.87],[-0.798,39.881]]]}},
+    {"type":"Feature","properties":{"codigo":"13","nombre":"Ciudad Real","km2":19798},"geometry":{"type":"MultiPolygon","coordinates":[[[[-4.268,38.348],[-4.286,38.343],[-4.32,38.362],[-4.419,38.396],[-4.453,38.401],[-4.489,38.441],[-4.514,38.464],[-4.536,38.471],[-4.541,38.482],[-4.558,38.477],[-4.563,38.49],[-4.61,38.496],[-4.621,38.524],[-4.666,38.546],[-4.705,38.555],[-4.709,38.572],[-4.738,38.577],[-4.786,38.597],[-4.815,38.595],[-4.862,38.618],[-4.867,38.66],[-4.878,38.685],[-4.943,38.682],[-5.002,38.695],[-5.002,38.708],[-5.024,38.726],[-5.047,38.729],[-4.99,38.74],[-4.972,38.761],[-4.961,38.79],[-4.954,38.829],[-4.943,38.855],[-4.914,38.887],[-4.867,38.887],[-4.849,38.881],[-4.837,38.931],[-4.851,38.947],[-4.878,38.949],[-4.907,38.963],[-4.918,38.957],[-4.934,38.976],[-4.963,39.059],[-4.934,39.057],[-4.885,39.034],[-4.86,39.031],[-4.849,39.046],[-4.833,39.046],[-4.826,39.063],[-4.86,39.078],[-4.873,39.096],[-4.858,39.123],[-4.853,39.152],[-4.831,39.167],[-4.81,39.199],[-4.774,39.189],[-4.743,39.194],[-4.714,39.188],[-4.675,39.17],[-4.648,39.165],[-4.664,39.186],[-4.709,39.21],[-4.714,39.244],[-4.732,39.256],[-4.761,39.32],[-4.707,39.328],[-4.711,39.346],[-4.669,39.424],[-4.687,39.45],[-4.619,39.454],[-4.615,39.485],[-4.59,39.5],[-4.567,39.498],[-4.554,39.511],[-4.561,39.534],[-4.532,39.556],[-4.482,39.538],[-4.502,39.535],[-4.5,39.519],[-4.484,39.488],[-4.462,39.479],[-4.453,39.517],[-4.444,39.524],[-4.421,39.508],[-4.365,39.496],[-4.32,39.484],[-4.298,39.485],[-4.241,39.479],[-4.205,39.488],[-4.192,39.498],[-4.167,39.568],[-4.158,39.577],[-4.124,39.564],[-4.041,39.576],[-4.03,39.522],[-4.059,39.522],[-4.068,39.503],[-4.059,39.472],[-4.079,39.451],[-4.118,39.456],[-4.127,39.408],[-4.149,39.362],[-4.129,39.366],[-4.104,39.341],[-4.073,39.366],[-4.005,39.353],[-3.971,39.353],[-3.969,39.324],[-3.958,39.311],[-3.967,39.299],[-3.929,39.285],[-3.902,39.28],[-3.877,39.262],[-3.841,39.259],[-3.81,39.288],[-3.767,39.293],[-3.722,39.27],[-3.697,39.28],[-3.675,39.296],[-3.587,39.307],[-3.555,39.299],[-3.531,39.309],[-3.477,39.343],[-3.47,39.372],[-3.409,39.404],[-3.344,39.408],[-3.308,39.398],[-3.317,39.429],[-3.294,39.471],[-3.184,39.475],[-3.184,39.488],[-3.144,39.495],[-3.097,39.474],[-3.07,39.45],[-3.022,39.458],[-3.0,39.441],[-2.977,39.445],[-2.932,39.472],[-2.903,39.425],[-2.869,39.391],[-2.896,39.366],[-2.883,39.349],[-2.865,39.356],[-2.847,39.348],[-2.818,39.367],[-2.793,39.398],[-2.777,39.395],[-2.773,39.37],[-2.743,39.319],[-2.723,39.267],[-2.759,39.23],[-2.782,39.196],[-2.806,39.178],[-2.842,39.135],[-2.831,39.105],[-2.806,39.08],[-2.811,39.023],[-2.831,39.023],[-2.847,38.984],[-2.878,38.955],[-2.876,38.926],[-2.858,38.928],[-2.836,38.907],[-2.8,38.908],[-2.791,38.892],[-2.761,38.881],[-2.75,38.831],[-2.75,38.807],[-2.732,38.782],[-2.698,38.784],[-2.638,38.734],[-2.649,38.693],[-2.669,38.65],[-2.703,38.624],[-2.725,38.618],[-2.764,38.627],[-2.75,38.616],[-2.766,38.574],[-2.746,38.546],[-2.764,38.532],[-2.77,38.519],[-2.806,38.503],[-2.809,38.495],[-2.86,38.475],[-2.89,38.456],[-2.905,38.471],[-2.939,38.475],[-2.962,38.471],[-2.995,38.445],[-2.991,38.428],[-3.004,38.416],[-3.065,38.479],[-3.13,38.438],[-3.18,38.45],[-3.281,38.461],[-3.308,38.48],[-3.326,38.482],[-3.375,38.475],[-3.378,38.44],[-3.425,38.407],[-3.472,38.398],[-3.506,38.407],[-3.528,38.409],[-3.542,38.445],[-3.582,38.451],[-3.587,38.406],[-3.621,38.395],[-3.648,38.404],[-3.699,38.412],[-3.731,38.424],[-3.74,38.414],[-3.765,38.424],[-3.807,38.422],[-3.83,38.412],[-3.83,38.393],[-3.859,38.374],[-3.877,38.377],[-3.913,38.367],[-4.005,38.367],[-4.07,38.38],[-4.156,38.38],[-4.223,38.398],[-4.255,38.401],[-4.275,38.391],[-4.268,38.348]]],[[[-4.756,39.416],[-4.768,39.401],[-4.806,39.398],[-4.871,39.369],[-4.909,39.378],[-4.941,39.395],[-4.907,39.493],[-4.88,39.538],[-4.862,39.556],[-4.81,39.53],[-4.763,39.514],[-4.743,39.488],[-4.75,39.469],[-4.741,39.456],[-4.765,39.435],[-4.756,39.416]]]]}},
+    {"type":"Feature","properties":{"codigo":"14","nombre":"Córdoba","km2":13777},"geometry":{"type":"MultiPolygon","coordinates":[[[[-5.024,37.593],[-5.031,37.611],[-5.049,37.608],[-5.04,37.626],[-5.085,37.643],[-5.053,37.642],[-5.047,37.632],[-5.031,37.642],[-5.033,37.624],[-5.024,37.593]]],[[[-5.584,38.131],[-5.575,38.151],[-5.559,38.149],[-5.537,38.168],[-5.539,38.201],[-5.521,38.207],[-5.526,38.264],[-5.541,38.278],[-5.555,38.317],[-5.575,38.328],[-5.559,38.367],[-5.584,38.386],[-5.584,38.401],[-5.568,38.433],[-5.519,38.464],[-5.485,38.462],[-5.478,38.485],[-5.411,38.521],[-5.406,38.543],[-5.384,38.543],[-5.391,38.563],[-5.373,38.584],[-5.307,38.579],[-5.31,38.595],[-5.292,38.611],[-5.253,38.626],[-5.238,38.642],[-5.211,38.653],[-5.208,38.668],[-5.184,38.66],[-5.184,38.676],[-5.168,38.677],[-5.184,38.719],[-5.17,38.713],[-5.119,38.716],[-5.101,38.708],[-5.047,38.729],[-5.024,38.726],[-5.002,38.708],[-5.002,38.695],[-4.943,38.682],[-4.878,38.685],[-4.867,38.66],[-4.862,38.618],[-4.815,38.595],[-4.786,38.597],[-4.738,38.577],[-4.709,38.572],[-4.705,38.555],[-4.666,38.546],[-4.621,38.524],[-4.61,38.496],[-4.563,38.49],[-4.558,38.477],[-4.541,38.482],[-4.536,38.471],[-4.514,38.464],[-4.489,38.441],[-4.453,38.401],[-4.419,38.396],[-4.32,38.362],[-4.286,38.343],[-4.268,38.348],[-4.237,38.341],[-4.239,38.32],[-4.228,38.301],[-4.21,38.301],[-4.217,38.246],[-4.194,38.231],[-4.201,38.214],[-4.167,38.18],[-4.16,38.146],[-4.176,38.131],[-4.194,38.128],[-4.212,38.096],[-4.232,38.083],[-4.237,38.062],[-4.248,38.07],[-4.25,38.039],[-4.268,38.041],[-4.259,38.023],[-4.282,38.023],[-4.284,38.004],[-4.262,37.963],[-4.262,37.915],[-4.273,37.91],[-4.28,37.876],[-4.277,37.857],[-4.286,37.797],[-4.259,37.789],[-4.226,37.787],[-4.208,37.779],[-4.226,37.761],[-4.239,37.719],[-4.183,37.706],[-4.165,37.682],[-4.187,37.671],[-4.228,37.64],[-4.221,37.622],[-4.183,37.616],[-4.163,37.6],[-4.16,37.575],[-4.115,37.548],[-4.1,37.53],[-4.1,37.514],[-4.059,37.506],[-4.088,37.487],[-4.073,37.474],[-4.048,37.467],[-4.016,37.417],[-4.001,37.403],[-4.032,37.406],[-4.086,37.404],[-4.127,37.378],[-4.158,37.343],[-4.21,37.352],[-4.239,37.328],[-4.237,37.298],[-4.248,37.268],[-4.264,37.26],[-4.255,37.23],[-4.295,37.199],[-4.329,37.184],[-4.329,37.205],[-4.345,37.214],[-4.372,37.215],[-4.385,37.238],[-4.379,37.241],[-4.379,37.27],[-4.446,37.278],[-4.462,37.254],[-4.511,37.222],[-4.541,37.212],[-4.561,37.22],[-4.57,37.21],[-4.601,37.209],[-4.597,37.222],[-4.615,37.243],[-4.615,37.256],[-4.646,37.247],[-4.653,37.256],[-4.662,37.283],[-4.68,37.289],[-4.675,37.302],[-4.68,37.335],[-4.716,37.359],[-4.729,37.336],[-4.747,37.331],[-4.765,37.338],[-4.781,37.328],[-4.822,37.359],[-4.815,37.378],[-4.826,37.378],[-4.851,37.411],[-4.84,37.435],[-4.885,37.438],[-4.876,37.451],[-4.903,37.467],[-4.934,37.521],[-4.948,37.521],[-4.932,37.546],[-4.934,37.587],[-4.932,37.616],[-4.941,37.621],[-4.966,37.611],[-4.954,37.653],[-4.984,37.679],[-4.999,37.706],[-5.047,37.718],[-5.089,37.695],[-5.094,37.676],[-5.107,37.7],[-5.13,37.698],[-5.114,37.689],[-5.107,37.663],[-5.137,37.668],[-5.15,37.661],[-5.177,37.68],[-5.233,37.651],[-5.276,37.624],[-5.323,37.614],[-5.357,37.585],[-5.359,37.606],[-5.382,37.611],[-5.411,37.642],[-5.393,37.656],[-5.409,37.659],[-5.413,37.674],[-5.404,37.693],[-5.391,37.698],[-5.375,37.679],[-5.361,37.698],[-5.337,37.706],[-5.325,37.692],[-5.312,37.698],[-5.305,37.721],[-5.312,37.753],[-5.31,37.774],[-5.33,37.779],[-5.35,37.795],[-5.339,37.834],[-5.35,37.844],[-5.404,37.863],[-5.42,37.894],[-5.413,37.899],[-5.424,37.928],[-5.415,37.942],[-5.451,37.966],[-5.469,37.971],[-5.494,37.999],[-5.49,38.029],[-5.496,38.042],[-5.539,38.083],[-5.539,38.094],[-5.557,38.109],[-5.582,38.115],[-5.584,38.131]]]]}},
+    {"type":"Feature","properties":{"codigo":"15","nombre":"A Coruña","km2":7951},"geometry":{"type":"MultiPolygon","coordinates":[[[[-7.701,43.736],[-7.694,43.716],[-7.707,43.71],[-7.703,43.686],[-7.719,43.687],[-7.692,43.658],[-7.694,43.649],[-7.716,43.647],[-7.732,43.616],[-7.723,43.608],[-7.719,43.584],[-7.748,43.578],[-7.743,43.571],[-7.757,43.548],[-7.743,43.526],[-7.748,43.508],[-7.768,43.487],[-7.779,43.448],[-7.806,43.437],[-7.806,43.427],[-7.824,43.401],[-7.883,43.408],[-7.898,43.39],[-7.885,43.376],[-7.887,43.337],[-7.948,43.287],[-7.921,43.269],[-7.932,43.243],[-7.961,43.19],[-7.95,43.164],[-7.937,43.112],[-7.919,43.093],[-7.943,43.067],[-7.905,42.986],[-7.907,42.951],[-7.916,42.933],[-7.943,42.917],[-7.934,42.904],[-7.964,42.88],[-7.977,42.878],[-8.0,42.849],[-8.027,42.847],[-8.045,42.833],[-8.063,42.836],[-8.072,42.852],[-8.09,42.854],[-8.117,42.841],[-8.121,42.85],[-8.139,42.844],[-8.184,42.86],[-8.202,42.846],[-8.22,42.846],[-8.211,42.823],[-8.254,42.836],[-8.276,42.821],[-8.274,42.813],[-8.299,42.82],[-8.317,42.846],[-8.346,42.833],[-8.333,42.829],[-8.333,42.796],[-8.355,42.779],[-8.391,42.789],[-8.416,42.765],[-8.407,42.757],[-8.431,42.745],[-8.472,42.744],[-8.494,42.757],[-8.517,42.752],[-8.56,42.755],[-8.571,42.742],[-8.6,42.744],[-8.605,42.716],[-8.623,42.716],[-8.65,42.726],[-8.679,42.712],[-8.717,42.707],[-8.726,42.689],[-8.728,42.678],[-8.755,42.647],[-8.771,42.653],[-8.794,42.637],[-8.823,42.647],[-8.814,42.66],[-8.843,42.682],[-8.852,42.665],[-8.854,42.631],[-8.861,42.607],[-8.886,42.615],[-8.875,42.632],[-8.902,42.64],[-8.938,42.607],[-8.922,42.586],[-8.956,42.584],[-8.962,42.569],[-8.989,42.566],[-8.987,42.539],[-9.019,42.518],[-9.041,42.518],[-9.03,42.552],[-9.045,42.571],[-9.061,42.577],[-9.088,42.569],[-9.079,42.598],[-9.068,42.598],[-9.061,42.618],[-9.045,42.629],[-9.036,42.649],[-9.025,42.708],[-9.01,42.712],[-9.01,42.728],[-8.992,42.741],[-8.953,42.749],[-8.942,42.775],[-8.922,42.791],[-8.899,42.797],[-8.906,42.818],[-8.908,42.797],[-8.942,42.802],[-8.953,42.781],[-8.978,42.791],[-8.983,42.778],[-9.016,42.784],[-9.012,42.799],[-9.066,42.786],[-9.048,42.77],[-9.075,42.757],[-9.081,42.737],[-9.102,42.755],[-9.113,42.752],[-9.135,42.789],[-9.151,42.799],[-9.115,42.81],[-9.106,42.823],[-9.113,42.842],[-9.129,42.844],[-9.149,42.875],[-9.14,42.896],[-9.126,42.905],[-9.16,42.912],[-9.174,42.944],[-9.194,42.946],[-9.183,42.917],[-9.21,42.917],[-9.219,42.941],[-9.234,42.941],[-9.234,42.926],[-9.259,42.923],[-9.27,42.88],[-9.282,42.894],[-9.275,42.905],[-9.297,42.922],[-9.284,42.954],[-9.268,42.965],[-9.257,43.002],[-9.275,43.009],[-9.288,43.044],[-9.261,43.049],[-9.25,43.069],[-9.257,43.091],[-9.243,43.085],[-9.216,43.104],[-9.198,43.104],[-9.194,43.091],[-9.169,43.104],[-9.158,43.127],[-9.169,43.148],[-9.183,43.124],[-9.205,43.13],[-9.212,43.159],[-9.198,43.154],[-9.18,43.167],[-9.174,43.191],[-9.167,43.183],[-9.151,43.193],[-9.115,43.195],[-9.081,43.182],[-9.059,43.185],[-9.003,43.229],[-8.992,43.217],[-8.98,43.229],[-8.94,43.227],[-8.953,43.259],[-8.978,43.264],[-8.992,43.274],[-8.958,43.293],[-8.938,43.29],[-8.906,43.295],[-8.911,43.322],[-8.875,43.322],[-8.859,43.317],[-8.848,43.337],[-8.832,43.345],[-8.825,43.329],[-8.807,43.327],[-8.803,43.314],[-8.771,43.3],[-8.713,43.29],[-8.643,43.306],[-8.62,43.317],[-8.593,43.321],[-8.553,43.311],[-8.53,43.317],[-8.499,43.348],[-8.519,43.355],[-8.485,43.361],[-8.472,43.355],[-8.443,43.38],[-8.404,43.374],[-8.407,43.388],[-8.386,43.369],[-8.404,43.364],[-8.384,43.353],[-8.384,43.342],[-8.348,43.346],[-8.339,43.382],[-8.355,43.38],[-8.351,43.397],[-8.306,43.405],[-8.297,43.385],[-8.267,43.385],[-8.252,43.363],[-8.252,43.35],[-8.209,43.329],[-8.22,43.385],[-8.207,43.409],[-8.177,43.411],[-8.175,43.421],[-8.198,43.427],[-8.216,43.418],[-8.238,43.429],[-8.258,43.419],[-8.279,43.437],[-8.317,43.445],[-8.312,43.453],[-8.254,43.466],[-8.231,43.455],[-8.202,43.46],[-8.173,43.477],[-8.15,43.514],[-8.166,43.513],[-8.191,43.482],[-8.249,43.476],[-8.247,43.493],[-8.267,43.468],[-8.299,43.461],[-8.317,43.471],[-8.342,43.458],[-8.344,43.469],[-8.328,43.482],[-8.321,43.503],[-8.33,43.508],[-8.324,43.526],[-8.303,43.526],[-8.297,43.535],[-8.326,43.56],[-8.317,43.569],[-8.301,43.556],[-8.261,43.558],[-8.216,43.584],[-8.216,43.592],[-8.193,43.603],[-8.189,43.621],[-8.166,43.613],[-8.141,43.632],[-8.094,43.653],[-8.054,43.649],[-8.056,43.66],[-8.076,43.66],[-8.076,43.683],[-8.063,43.705],[-8.04,43.713],[-8.006,43.705],[-7.964,43.721],[-7.95,43.742],[-7.93,43.739],[-7.903,43.768],[-7.889,43.763],[-7.869,43.775],[-7.86,43.763],[-7.869,43.731],[-7.851,43.718],[-7.853,43.708],[-7.878,43.721],[-7.871,43.671],[-7.905,43.671],[-7.885,43.663],[-7.847,43.668],[-7.867,43.699],[-7.829,43.7],[-7.824,43.715],[-7.781,43.733],[-7.725,43.75],[-7.719,43.763],[-7.687,43.776],[-7.689,43.789],[-7.662,43.778],[-7.689,43.757],[-7.701,43.736]]],[[[-9.012,42.464],[-9.016,42.485],[-8.998,42.469],[-9.012,42.464]]]]}},
+    {"type":"Feature","properties":{"codigo":"16","nombre":"Cuenca","km2":17120},"geometry":{"type":"Polygon","coordinates":[[[-2.743,39.319],[-2.773,39.37],[-2.777,39.395],[-2.793,39.398],[-2.818,39.367],[-2.847,39.348],[-2.865,39.356],[-2.883,39.349],[-2.896,39.366],[-2.869,39.391],[-2.903,39.425],[-2.932,39.472],[-2.935,39.482],[-2.928,39.55],[-2.921,39.559],[-2.926,39.601],[-2.908,39.642],[-2.919,39.647],[-2.95,39.677],[-2.971,39.69],[-3.0,39.723],[-3.016,39.765],[-3.04,39.787],[-3.061,39.837],[-3.097,39.87],[-3.128,39.874],[-3.108,39.904],[-3.097,39.934],[-3.097,39.988],[-3.142,39.984],[-3.151,40.01],[-3.166,40.028],[-3.171,40.047],[-3.162,40.065],[-3.119,40.062],[-3.09,40.07],[-3.061,40.091],[-3.054,40.107],[-3.079,40.136],[-3.097,40.143],[-3.09,40.164],[-3.067,40.157],[-3.063,40.169],[-3.013,40.156],[-3.02,40.193],[-2.998,40.209],[-2.946,40.17],[-2.912,40.157],[-2.876,40.175],[-2.863,40.201],[-2.827,40.202],[-2.806,40.243],[-2.802,40.264],[-2.809,40.327],[-2.818,40.348],[-2.809,40.406],[-2.786,40.427],[-2.777,40.446],[-2.759,40.442],[-2.77,40.422],[-2.723,40.396],[-2.705,40.416],[-2.692,40.395],[-2.68,40.403],[-2.703,40.422],[-2.701,40.43],[-2.665,40.437],[-2.64,40.448],[-2.602,40.443],[-2.591,40.45],[-2.546,40.435],[-2.541,40.425],[-2.514,40.425],[-2.505,40.448],[-2.523,40.467],[-2.541,40.474],[-2.53,40.498],[-2.546,40.519],[-2.528,40.545],[-2.514,40.516],[-2.496,40.509],[-2.449,40.524],[-2.426,40.54],[-2.413,40.526],[-2.379,40.543],[-2.384,40.555],[-2.415,40.581],[-2.413,40.602],[-2.399,40.614],[-2.372,40.606],[-2.354,40.593],[-2.359,40.581],[-2.332,40.568],[-2.298,40.572],[-2.287,40.589],[-2.294,40.624],[-2.276,40.645],[-2.253,40.632],[-2.215,40.619],[-2.19,40.631],[-2.168,40.632],[-2.156,40.658],[-2.091,40.647],[-2.084,40.635],[-2.03,40.6],[-1.985,40.585],[-1.965,40.592],[-1.968,40.608],[-1.927,40.593],[-1.9,40.535],[-1.882,40.518],[-1.889,40.506],[-1.857,40.425],[-1.833,40.419],[-1.806,40.398],[-1.776,40.391],[-1.743,40.349],[-1.722,40.341],[-1.698,40.317],[-1.729,40.301],[-1.713,40.277],[-1.7,40.307],[-1.689,40.309],[-1.666,40.295],[-1.659,40.282],[-1.608,40.243],[-1.592,40.236],[-1.572,40.214],[-1.54,40.191],[-1.511,40.204],[-1.475,40.185],[-1.439,40.198],[-1.443,40.157],[-1.448,40.146],[-1.457,40.135],[-1.443,40.118],[-1.407,40.101],[-1.421,40.094],[-1.383,40.039],[-1.376,40.017],[-1.336,40.017],[-1.286,40.009],[-1.248,39.996],[-1.165,40.01],[-1.142,39.971],[-1.153,39.963],[-1.205,39.949],[-1.21,39.928],[-1.196,39.913],[-1.201,39.86],[-1.212,39.839],[-1.214,39.808],[-1.25,39.773],[-1.275,39.739],[-1.261,39.698],[-1.279,39.677],[-1.313,39.671],[-1.369,39.69],[-1.419,39.655],[-1.437,39.629],[-1.461,39.577],[-1.504,39.564],[-1.5,39.503],[-1.513,39.484],[-1.513,39.458],[-1.524,39.458],[-1.504,39.417],[-1.556,39.401],[-1.617,39.366],[-1.698,39.338],[-1.716,39.325],[-1.74,39.322],[-1.763,39.301],[-1.77,39.28],[-1.846,39.286],[-1.887,39.304],[-1.936,39.304],[-1.99,39.294],[-1.994,39.309],[-2.028,39.338],[-2.021,39.353],[-2.044,39.359],[-2.096,39.359],[-2.073,39.317],[-2.075,39.304],[-2.051,39.267],[-2.073,39.265],[-2.168,39.282],[-2.181,39.27],[-2.219,39.262],[-2.246,39.244],[-2.289,39.227],[-2.303,39.264],[-2.321,39.283],[-2.35,39.278],[-2.361,39.246],[-2.375,39.233],[-2.485,39.315],[-2.512,39.343],[-2.548,39.324],[-2.6,39.34],[-2.62,39.34],[-2.658,39.324],[-2.743,39.319]]]}},
+    {"type":"Feature","properties":{"codigo":"17","nombre":"Girona","km2":5893},"geometry":{"type":"MultiPolygon","coordinates":[[[[1.843,42.306],[1.834,42.327],[1.836,42.354],[1.852,42.374],[1.829,42.382],[1.811,42.371],[1.8,42.379],[1.811,42.411],[1.795,42.43],[1.771,42.429],[1.732,42.44],[1.726,42.463],[1.73,42.492],[1.764,42.487],[1.804,42.49],[1.843,42.477],[1.847,42.468],[1.881,42.459],[1.883,42.451],[1.917,42.447],[1.932,42.455],[1.971,42.374],[2.016,42.346],[2.025,42.356],[2.088,42.364],[2.09,42.374],[2.117,42.384],[2.128,42.413],[2.169,42.426],[2.207,42.417],[2.245,42.429],[2.256,42.438],[2.299,42.424],[2.306,42.429],[2.362,42.403],[2.414,42.392],[2.432,42.395],[2.434,42.377],[2.454,42.371],[2.484,42.34],[2.499,42.343],[2.542,42.333],[2.562,42.358],[2.587,42.358],[2.609,42.346],[2.675,42.342],[2.675,42.359],[2.661,42.366],[2.654,42.388],[2.672,42.388],[2.679,42.406],[2.693,42.406],[2.717,42.421],[2.756,42.426],[2.771,42.411],[2.798,42.419],[2.805,42.43],[2.828,42.438],[2.839,42.459],[2.861,42.455],[2.87,42.468],[2.882,42.461],[2.918,42.456],[2.947,42.482],[2.967,42.466],[2.99,42.474],[3.014,42.466],[3.041,42.474],[3.048,42.456],[3.086,42.426],[3.12,42.438],[3.16,42.429],[3.172,42.416],[3.154,42.395],[3.167,42.39],[3.156,42.379],[3.163,42.361],[3.185,42.351],[3.196,42.335],[3.203,42.346],[3.228,42.351],[3.25,42.33],[3.262,42.34],[3.307,42.327],[3.311,42.317],[3.277,42.28],[3.289,42.267],[3.28,42.253],[3.23,42.251],[3.217,42.233],[3.194,42.248],[3.181,42.246],[3.169,42.264],[3.136,42.248],[3.111,42.206],[3.113,42.157],[3.122,42.132],[3.176,42.112],[3.208,42.07],[3.196,42.039],[3.194,42.02],[3.212,41.976],[3.23,41.97],[3.232,41.951],[3.217,41.942],[3.217,41.918],[3.203,41.891],[3.183,41.888],[3.178,41.868],[3.151,41.862],[3.134,41.846],[3.104,41.846],[3.071,41.82],[3.066,41.8],[3.044,41.779],[2.981,41.76],[2.936,41.716],[2.888,41.702],[2.855,41.7],[2.821,41.689],[2.794,41.673],[2.778,41.65],[2.758,41.679],[2.774,41.7],[2.767,41.724],[2.776,41.736],[2.744,41.736],[2.724,41.744],[2.679,41.741],[2.666,41.747],[2.643,41.744],[2.639,41.734],[2.603,41.728],[2.537,41.721],[2.531,41.739],[2.515,41.749],[2.515,41.762],[2.488,41.766],[2.457,41.784],[2.436,41.804],[2.405,41.802],[2.382,41.808],[2.355,41.807],[2.344,41.837],[2.326,41.855],[2.324,41.875],[2.337,41.889],[2.382,41.871],[2.407,41.896],[2.443,41.888],[2.47,41.905],[2.479,41.931],[2.461,41.944],[2.443,41.941],[2.439,41.973],[2.452,41.967],[2.475,41.97],[2.488,41.984],[2.468,41.994],[2.499,42.002],[2.495,42.02],[2.506,42.033],[2.481,42.051],[2.497,42.059],[2.477,42.077],[2.459,42.08],[2.427,42.06],[2.394,42.086],[2.4,42.102],[2.38,42.104],[2.367,42.12],[2.346,42.122],[2.304,42.112],[2.299,42.133],[2.274,42.143],[2.243,42.138],[2.214,42.141],[2.205,42.125],[2.187,42.135],[2.144,42.132],[2.126,42.112],[2.101,42.123],[2.092,42.144],[2.061,42.135],[2.025,42.153],[2.004,42.149],[1.991,42.183],[1.966,42.178],[1.964,42.199],[2.0,42.193],[1.995,42.172],[2.004,42.162],[2.027,42.167],[2.038,42.178],[2.058,42.175],[2.061,42.195],[2.049,42.216],[2.029,42.216],[2.027,42.253],[2.043,42.269],[2.07,42.287],[2.018,42.311],[1.984,42.298],[1.948,42.316],[1.903,42.322],[1.878,42.312],[1.843,42.306]]],[[[2.018,42.109],[2.007,42.107],[2.002,42.125],[2.031,42.127],[2.018,42.109]]],[[[1.973,42.485],[1.977,42.495],[1.998,42.485],[1.986,42.476],[2.013,42.448],[1.984,42.447],[1.957,42.458],[1.973,42.485]]]]}},
+    {"type":"Feature","properties":{"codigo":"18","nombre":"Granada","km2":12644},"geometry":{"type":"Polygon","coordinates":[[[-3.778,36.739],[-3.783,36.764],[-3.767,36.789],[-3.769,36.802],[-3.796,36.821],[-3.796,36.832],[-3.828,36.855],[-3.875,36.853],[-3.891,36.868],[-3.917,36.868],[-3.929,36.882],[-3.971,36.892],[-3.998,36.89],[-4.037,36.905],[-4.091,36.932],[-4.1,36.953],[-4.111,36.95],[-4.167,36.957],[-4.194,36.981],[-4.214,36.992],[-4.223,37.012],[-4.253,37.023],[-4.273,37.015],[-4.286,37.12],[-4.329,37.184],[-4.295,37.199],[-4.255,37.23],[-4.264,37.26],[-4.248,37.268],[-4.237,37.298],[-4.239,37.328],[-4.21,37.352],[-4.158,37.343],[-4.127,37.378],[-4.086,37.404],[-4.032,37.406],[-4.001,37.403],[-3.98,37.388],[-3.951,37.378],[-3.913,37.378],[-3.873,37.388],[-3.841,37.386],[-3.792,37.466],[-3.783,37.491],[-3.776,37.477],[-3.729,37.488],[-3.684,37.517],[-3.627,37.529],[-3.6,37.548],[-3.56,37.566],[-3.535,37.582],[-3.54,37.595],[-3.506,37.617],[-3.479,37.601],[-3.461,37.598],[-3.436,37.574],[-3.4,37.564],[-3.366,37.567],[-3.357,37.577],[-3.297,37.588],[-3.261,37.634],[-3.263,37.638],[-3.216,37.645],[-3.173,37.643],[-3.126,37.611],[-3.09,37.596],[-3.058,37.606],[-3.052,37.617],[-2.984,37.601],[-2.975,37.632],[-2.903,37.666],[-2.885,37.682],[-2.899,37.685],[-2.908,37.727],[-2.905,37.748],[-2.881,37.76],[-2.874,37.79],[-2.847,37.815],[-2.82,37.853],[-2.82,37.876],[-2.806,37.881],[-2.786,37.916],[-2.743,37.934],[-2.723,37.963],[-2.694,37.975],[-2.671,37.962],[-2.642,37.981],[-2.62,37.987],[-2.597,38.005],[-2.6,38.059],[-2.566,38.083],[-2.552,38.084],[-2.525,38.07],[-2.505,38.068],[-2.48,38.054],[-2.433,38.042],[-2.424,38.033],[-2.372,38.023],[-2.341,38.026],[-2.298,38.004],[-2.296,37.987],[-2.276,37.96],[-2.237,37.928],[-2.208,37.916],[-2.251,37.897],[-2.267,37.881],[-2.289,37.886],[-2.296,37.86],[-2.289,37.831],[-2.303,37.81],[-2.278,37.776],[-2.323,37.695],[-2.321,37.648],[-2.309,37.635],[-2.316,37.622],[-2.363,37.621],[-2.39,37.632],[-2.368,37.592],[-2.368,37.563],[-2.357,37.546],[-2.359,37.522],[-2.381,37.522],[-2.435,37.509],[-2.456,37.509],[-2.458,37.491],[-2.474,37.483],[-2.503,37.483],[-2.53,37.466],[-2.568,37.446],[-2.577,37.43],[-2.597,37.42],[-2.642,37.388],[-2.638,37.343],[-2.653,37.341],[-2.651,37.309],[-2.665,37.285],[-2.667,37.249],[-2.658,37.23],[-2.66,37.212],[-2.705,37.223],[-2.732,37.238],[-2.759,37.226],[-2.777,37.249],[-2.779,37.262],[-2.795,37.264],[-2.82,37.278],[-2.845,37.28],[-2.874,37.231],[-2.878,37.193],[-2.896,37.167],[-2.928,37.157],[-2.941,37.131],[-2.948,37.097],[-2.986,37.092],[-3.004,37.097],[-3.016,37.113],[-3.029,37.113],[-3.016,37.052],[-3.0,37.012],[-2.982,37.007],[-2.977,36.974],[-2.991,36.958],[-3.022,36.953],[-3.031,36.924],[-3.07,36.902],[-3.043,36.879],[-3.029,36.845],[-3.043,36.832],[-3.074,36.824],[-3.092,36.81],[-3.139,36.787],[-3.128,36.751],[-3.144,36.743],[-3.202,36.75],[-3.209,36.745],[-3.245,36.755],[-3.306,36.739],[-3.339,36.739],[-3.364,36.714],[-3.414,36.701],[-3.418,36.695],[-3.483,36.697],[-3.526,36.724],[-3.553,36.714],[-3.58,36.724],[-3.6,36.743],[-3.661,36.747],[-3.675,36.73],[-3.72,36.732],[-3.735,36.727],[-3.756,36.739],[-3.767,36.729],[-3.778,36.739]]]}},
+    {"type":"Feature","properties":{"codigo":"19","nombre":"Guadalajara","km2":12198},"geometry":{"type":"Polygon","coordinates":[[[-3.54,41.165],[-3.519,41.162],[-3.499,41.178],[-3.465,41.183],[-3.443,41.215],[-3.402,41.214],[-3.407,41.233],[-3.4,41.254],[-3.369,41.261],[-3.337,41.253],[-3.326,41.262],[-3.292,41.257],[-3.276,41.275],[-3.274,41.261],[-3.254,41.259],[-3.238,41.288],[-3.207,41.304],[-3.108,41.288],[-3.063,41.274],[-3.018,41.29],[-3.007,41.285],[-2.944,41.298],[-2.941,41.314],[-2.908,41.327],[-2.876,41.322],[-2.867,41.275],[-2.82,41.257],[-2.775,41.249],[-2.761,41.274],[-2.716,41.275],[-2.71,41.253],[-2.669,41.236],[-2.647,41.24],[-2.629,41.215],[-2.591,41.225],[-2.593,41.203],[-2.62,41.196],[-2.62,41.183],[-2.602,41.188],[-2.577,41.178],[-2.595,41.149],[-2.575,41.14],[-2.539,41.154],[-2.537,41.162],[-2.519,41.148],[-2.51,41.119],[-2.483,41.117],[-2.469,41.078],[-2.431,41.072],[-2.42,41.057],[-2.402,41.062],[-2.354,41.086],[-2.323,41.057],[-2.294,41.072],[-2.264,41.067],[-2.233,41.098],[-2.174,41.083],[-2.168,41.096],[-2.143,41.102],[-2.129,41.117],[-2.118,41.102],[-2.057,41.07],[-2.048,41.078],[-2.066,41.096],[-2.051,41.125],[-2.051,41.148],[-2.048,41.152],[-2.008,41.156],[-1.959,41.172],[-1.947,41.167],[-1.932,41.138],[-1.896,41.135],[-1.86,41.104],[-1.803,41.089],[-1.77,41.067],[-1.758,41.047],[-1.716,41.014],[-1.662,40.978],[-1.635,40.952],[-1.617,40.944],[-1.608,40.928],[-1.626,40.899],[-1.621,40.881],[-1.569,40.829],[-1.545,40.816],[-1.54,40.761],[-1.563,40.74],[-1.558,40.719],[-1.536,40.687],[-1.538,40.658],[-1.565,40.614],[-1.545,40.595],[-1.599,40.563],[-1.635,40.581],[-1.666,40.582],[-1.675,40.592],[-1.693,40.577],[-1.689,40.566],[-1.702,40.542],[-1.693,40.487],[-1.749,40.463],[-1.785,40.412],[-1.801,40.414],[-1.806,40.398],[-1.833,40.419],[-1.857,40.425],[-1.889,40.506],[-1.882,40.518],[-1.9,40.535],[-1.927,40.593],[-1.968,40.608],[-1.965,40.592],[-1.985,40.585],[-2.03,40.6],[-2.084,40.635],[-2.091,40.647],[-2.156,40.658],[-2.168,40.632],[-2.19,40.631],[-2.215,40.619],[-2.253,40.632],[-2.276,40.645],[-2.294,40.624],[-2.287,40.589],[-2.298,40.572],[-2.332,40.568],[-2.359,40.581],[-2.354,40.593],[-2.372,40.606],[-2.399,40.614],[-2.413,40.602],[-2.415,40.581],[-2.384,40.555],[-2.379,40.543],[-2.413,40.526],[-2.426,40.54],[-2.449,40.524],[-2.496,40.509],[-2.514,40.516],[-2.528,40.545],[-2.546,40.519],[-2.53,40.498],[-2.541,40.474],[-2.523,40.467],[-2.505,40.448],[-2.514,40.425],[-2.541,40.425],[-2.546,40.435],[-2.591,40.45],[-2.602,40.443],[-2.64,40.448],[-2.665,40.437],[-2.701,40.43],[-2.703,40.422],[-2.68,40.403],[-2.692,40.395],[-2.705,40.416],[-2.723,40.396],[-2.77,40.422],[-2.759,40.442],[-2.777,40.446],[-2.786,40.427],[-2.809,40.406],[-2.818,40.348],[-2.809,40.327],[-2.802,40.264],[-2.806,40.243],[-2.827,40.202],[-2.863,40.201],[-2.876,40.175],[-2.912,40.157],[-2.946,40.17],[-2.998,40.209],[-3.02,40.193],[-3.013,40.156],[-3.063,40.169],[-3.067,40.157],[-3.085,40.186],[-3.079,40.209],[-3.097,40.269],[-3.112,40.285],[-3.153,40.264],[-3.173,40.235],[-3.196,40.248],[-3.184,40.27],[-3.18,40.314],[-3.151,40.335],[-3.142,40.351],[-3.153,40.367],[-3.139,40.375],[-3.144,40.388],[-3.13,40.404],[-3.142,40.412],[-3.155,40.44],[-3.198,40.442],[-3.196,40.479],[-3.2,40.514],[-3.252,40.542],[-3.297,40.537],[-3.283,40.551],[-3.288,40.572],[-3.317,40.584],[-3.33,40.597],[-3.321,40.611],[-3.337,40.626],[-3.328,40.64],[-3.366,40.648],[-3.375,40.681],[-3.4,40.692],[-3.405,40.669],[-3.425,40.682],[-3.427,40.673],[-3.468,40.69],[-3.436,40.723],[-3.45,40.732],[-3.445,40.761],[-3.468,40.784],[-3.504,40.789],[-3.477,40.826],[-3.472,40.865],[-3.445,40.876],[-3.438,40.891],[-3.459,40.897],[-3.436,40.946],[-3.416,40.976],[-3.418,40.988],[-3.393,41.001],[-3.438,41.043],[-3.427,41.065],[-3.427,41.083],[-3.447,41.081],[-3.488,41.104],[-3.51,41.138],[-3.542,41.149],[-3.54,41.165]]]}},
+    {"type":"Feature","properties":{"codigo":"20","nombre":"Gipuzkoa","km2":1983},"geometry":{"type":"Polygon","coordinates":[[[-2.251,42.896],[-2.291,42.902],[-2.3,42.923],[-2.363,42.947],[-2.406,42.959],[-2.456,42.957],[-2.476,42.967],[-2.501,42.959],[-2.534,42.973],[-2.541,42.951],[-2.55,42.959],[-2.582,42.964],[-2.602,42.983],[-2.593,42.988],[-2.595,43.009],[-2.579,43.009],[-2.541,43.025],[-2.53,43.056],[-2.548,43.075],[-2.546,43.088],[-2.505,43.098],[-2.496,43.124],[-2.507,43.166],[-2.485,43.17],[-2.492,43.182],[-2.487,43.201],[-2.501,43.209],[-2.496,43.225],[-2.462,43.224],[-2.438,43.243],[-2.44,43.251],[-2.417,43.267],[-2.44,43.288],[-2.438,43.3],[-2.413,43.321],[-2.399,43.322],[-2.357,43.304],[-2.282,43.295],[-2.228,43.311],[-2.177,43.288],[-2.15,43.295],[-2.129,43.29],[-2.111,43.3],[-2.008,43.324],[-1.99,43.317],[-1.988,43.327],[-1.963,43.338],[-1.916,43.337],[-1.88,43.355],[-1.871,43.369],[-1.848,43.38],[-1.792,43.393],[-1.797,43.382],[-1.779,43.364],[-1.79,43.353],[-1.758,43.343],[-1.738,43.33],[-1.743,43.317],[-1.729,43.295],[-1.783,43.287],[-1.794,43.277],[-1.794,43.246],[-1.851,43.225],[-1.86,43.212],[-1.869,43.23],[-1.88,43.23],[-1.875,43.211],[-1.902,43.211],[-1.923,43.178],[-1.92,43.151],[-1.902,43.135],[-1.947,43.098],[-1.974,43.091],[-1.979,43.082],[-2.012,43.073],[-2.033,43.031],[-2.042,43.03],[-2.028,42.999],[-2.037,42.981],[-2.096,42.972],[-2.102,42.949],[-2.129,42.939],[-2.156,42.943],[-2.181,42.934],[-2.19,42.947],[-2.21,42.951],[-2.237,42.922],[-2.237,42.896],[-2.251,42.896]]]}},
+    {"type":"Feature","properties":{"codigo":"21","nombre":"Huelva","km2":10123},"geometry":{"type":"Polygon","coordinates":[[[-6.931,38.209],[-6.902,38.202],[-6.857,38.18],[-6.823,38.173],[-6.794,38.178],[-6.799,38.144],[-6.817,38.12],[-6.81,38.112],[-6.769,38.112],[-6.769,38.099],[-6.747,38.091],[-6.729,38.101],[-6.661,38.092],[-6.623,38.097],[-6.58,38.052],[-6.587,38.026],[-6.571,38.02],[-6.547,38.028],[-6.495,38.02],[-6.493,38.01],[-6.466,38.01],[-6.475,38.025],[-6.443,38.047],[-6.452,38.055],[-6.414,38.059],[-6.389,38.049],[-6.367,38.049],[-6.356,38.01],[-6.329,37.999],[-6.304,37.978],[-6.252,37.971],[-6.234,37.958],[-6.196,37.957],[-6.18,37.941],[-6.185,37.928],[-6.167,37.908],[-6.144,37.92],[-6.126,37.905],[-6.16,37.873],[-6.162,37.857],[-6.144,37.857],[-6.131,37.832],[-6.124,37.805],[-6.133,37.79],[-6.16,37.79],[-6.185,37.81],[-6.216,37.792],[-6.205,37.766],[-6.216,37.745],[-6.245,37.74],[-6.252,37.763],[-6.279,37.758],[-6.311,37.764],[-6.389,37.748],[-6.45,37.719],[-6.475,37.726],[-6.472,37.71],[-6.488,37.698],[-6.502,37.669],[-6.526,37.664],[-6.535,37.651],[-6.538,37.627],[-6.529,37.616],[-6.515,37.626],[-6.495,37.619],[-6.443,37.624],[-6.396,37.611],[-6.403,37.58],[-6.389,37.551],[-6.376,37.546],[-6.356,37.496],[-6.34,37.485],[-6.333,37.464],[-6.306,37.437],[-6.313,37.419],[-6.356,37.412],[-6.362,37.375],[-6.347,37.365],[-6.385,37.338],[-6.344,37.312],[-6.333,37.299],[-6.36,37.236],[-6.344,37.218],[-6.351,37.181],[-6.335,37.17],[-6.36,37.139],[-6.344,37.12],[-6.383,37.091],[-6.387,37.075],[-6.38,37.049],[-6.358,37.002],[-6.353,36.986],[-6.365,36.945],[-6.378,36.934],[-6.331,36.898],[-6.347,36.889],[-6.351,36.861],[-6.347,36.797],[-6.365,36.79],[-6.396,36.806],[-6.443,36.9],[-6.459,36.92],[-6.506,36.966],[-6.583,37.015],[-6.715,37.084],[-6.792,37.118],[-6.83,37.128],[-6.839,37.138],[-6.875,37.149],[-6.916,37.176],[-6.916,37.163],[-6.889,37.146],[-6.954,37.17],[-7.015,37.199],[-7.064,37.21],[-7.073,37.205],[-7.145,37.209],[-7.271,37.202],[-7.302,37.196],[-7.372,37.17],[-7.408,37.183],[-7.419,37.236],[-7.433,37.247],[-7.422,37.273],[-7.442,37.307],[-7.444,37.348],[-7.437,37.359],[-7.44,37.391],[-7.462,37.407],[-7.446,37.42],[-7.458,37.428],[-7.458,37.454],[-7.469,37.472],[-7.464,37.487],[-7.482,37.496],[-7.494,37.524],[-7.509,37.524],[-7.523,37.553],[-7.507,37.558],[-7.516,37.569],[-7.503,37.577],[-7.491,37.603],[-7.455,37.647],[-7.449,37.698],[-7.419,37.743],[-7.424,37.755],[-7.397,37.764],[-7.379,37.782],[-7.32,37.819],[-7.28,37.876],[-7.282,37.897],[-7.255,37.923],[-7.248,37.955],[-7.262,37.978],[-7.246,37.992],[-7.226,37.987],[-7.201,38.004],[-7.174,37.992],[-7.12,38.005],[-7.129,38.029],[-7.098,38.044],[-7.066,38.034],[-7.064,38.02],[-7.044,38.013],[-7.024,38.025],[-7.001,38.023],[-7.001,38.049],[-6.99,38.054],[-6.988,38.104],[-6.974,38.105],[-6.958,38.151],[-6.97,38.16],[-6.954,38.186],[-6.931,38.209]]]}},
+    {"type":"Feature","properties":{"codigo":"22","nombre":"Huesca","km2":15613},"geometry":{"type":"Polygon","coordinates":[[[-0.901,42.742],[-0.901,42.76],[-0.865,42.763],[-0.847,42.786],[-0.861,42.802],[-0.852,42.807],[-0.856,42.847],[-0.847,42.847],[-0.816,42.875],[-0.818,42.902],[-0.782,42.922],[-0.753,42.925],[-0.728,42.92],[-0.733,42.897],[-0.699,42.88],[-0.679,42.884],[-0.661,42.863],[-0.602,42.833],[-0.6,42.805],[-0.578,42.808],[-0.564,42.799],[-0.569,42.781],[-0.553,42.778],[-0.544,42.794],[-0.53,42.791],[-0.526,42.81],[-0.51,42.825],[-0.443,42.796],[-0.409,42.808],[-0.395,42.799],[-0.364,42.817],[-0.346,42.838],[-0.323,42.834],[-0.312,42.849],[-0.276,42.836],[-0.238,42.808],[-0.179,42.786],[-0.159,42.799],[-0.15,42.77],[-0.139,42.766],[-0.11,42.734],[-0.107,42.721],[-0.069,42.718],[-0.063,42.695],[0.0,42.686],[0.025,42.702],[0.048,42.695],[0.09,42.716],[0.106,42.71],[0.138,42.723],[0.162,42.724],[0.176,42.737],[0.205,42.729],[0.228,42.718],[0.259,42.716],[0.27,42.692],[0.295,42.673],[0.324,42.687],[0.324,42.705],[0.36,42.724],[0.396,42.7],[0.421,42.691],[0.482,42.7],[0.518,42.692],[0.531,42.702],[0.59,42.695],[0.605,42.699],[0.659,42.691],[0.68,42.666],[0.695,42.658],[0.698,42.629],[0.738,42.613],[0.767,42.611],[0.756,42.565],[0.734,42.54],[0.72,42.513],[0.734,42.505],[0.713,42.487],[0.691,42.487],[0.709,42.459],[0.711,42.435],[0.736,42.414],[0.727,42.405],[0.747,42.385],[0.722,42.366],[0.772,42.351],[0.74,42.337],[0.743,42.327],[0.765,42.322],[0.745,42.301],[0.736,42.254],[0.713,42.224],[0.713,42.209],[0.698,42.172],[0.713,42.162],[0.695,42.151],[0.7,42.106],[0.684,42.093],[0.666,42.041],[0.653,42.026],[0.664,42.015],[0.657,42.002],[0.623,41.993],[0.605,41.96],[0.592,41.97],[0.563,41.933],[0.603,41.923],[0.592,41.884],[0.608,41.871],[0.581,41.863],[0.581,41.85],[0.558,41.854],[0.543,41.82],[0.511,41.821],[0.484,41.802],[0.471,41.766],[0.401,41.757],[0.396,41.732],[0.385,41.741],[0.369,41.715],[0.329,41.682],[0.327,41.663],[0.358,41.632],[0.347,41.623],[0.349,41.6],[0.403,41.594],[0.428,41.602],[0.437,41.585],[0.43,41.564],[0.446,41.542],[0.417,41.516],[0.399,41.49],[0.34,41.484],[0.345,41.461],[0.356,41.453],[0.336,41.408],[0.315,41.417],[0.241,41.429],[0.219,41.403],[0.183,41.395],[0.165,41.406],[0.129,41.388],[0.106,41.351],[0.009,41.361],[-0.004,41.388],[-0.024,41.396],[-0.029,41.377],[-0.009,41.348],[-0.069,41.372],[-0.085,41.416],[-0.085,41.432],[-0.105,41.485],[-0.134,41.522],[-0.157,41.535],[-0.157,41.568],[-0.168,41.581],[-0.157,41.59],[-0.206,41.602],[-0.242,41.573],[-0.263,41.589],[-0.303,41.608],[-0.308,41.621],[-0.355,41.632],[-0.368,41.682],[-0.411,41.702],[-0.447,41.707],[-0.49,41.732],[-0.517,41.729],[-0.503,41.745],[-0.517,41.837],[-0.528,41.854],[-0.555,41.871],[-0.602,41.883],[-0.596,41.897],[-0.629,41.912],[-0.659,41.957],[-0.728,41.96],[-0.737,41.954],[-0.778,41.957],[-0.886,42.004],[-0.854,42.022],[-0.856,42.048],[-0.827,42.083],[-0.805,42.096],[-0.805,42.073],[-0.793,42.054],[-0.775,42.056],[-0.755,42.091],[-0.762,42.102],[-0.748,42.154],[-0.76,42.17],[-0.751,42.201],[-0.762,42.228],[-0.76,42.264],[-0.728,42.296],[-0.744,42.342],[-0.737,42.371],[-0.778,42.392],[-0.78,42.377],[-0.771,42.346],[-0.782,42.316],[-0.814,42.264],[-0.843,42.283],[-0.859,42.275],[-0.877,42.282],[-0.89,42.264],[-0.886,42.245],[-0.917,42.256],[-0.888,42.287],[-0.879,42.319],[-0.856,42.34],[-0.843,42.366],[-0.843,42.387],[-0.823,42.385],[-0.816,42.395],[-0.841,42.398],[-0.843,42.408],[-0.877,42.417],[-0.906,42.437],[-0.897,42.461],[-0.879,42.469],[-0.897,42.48],[-0.892,42.51],[-0.933,42.506],[-0.917,42.537],[-0.899,42.539],[-0.899,42.56],[-0.919,42.555],[-0.935,42.573],[-0.924,42.589],[-0.908,42.587],[-0.904,42.613],[-0.928,42.657],[-0.901,42.657],[-0.888,42.668],[-0.881,42.694],[-0.922,42.7],[-0.904,42.715],[-0.901,42.742]]]}},
+    {"type":"Feature","properties":{"codigo":"23","nombre":"Jaén","km2":13487},"geometry":{"type":"Polygon","coordinates":[[[-4.268,38.348],[-4.275,38.391],[-4.255,38.401],[-4.223,38.398],[-4.156,38.38],[-4.07,38.38],[-4.005,38.367],[-3.913,38.367],[-3.877,38.377],[-3.859,38.374],[-3.83,38.393],[-3.83,38.412],[-3.807,38.422],[-3.765,38.424],[-3.74,38.414],[-3.731,38.424],[-3.699,38.412],[-3.648,38.404],[-3.621,38.395],[-3.587,38.406],[-3.582,38.451],[-3.542,38.445],[-3.528,38.409],[-3.506,38.407],[-3.472,38.398],[-3.425,38.407],[-3.378,38.44],[-3.375,38.475],[-3.326,38.482],[-3.308,38.48],[-3.281,38.461],[-3.18,38.45],[-3.13,38.438],[-3.065,38.479],[-3.004,38.416],[-2.991,38.428],[-2.995,38.445],[-2.962,38.471],[-2.939,38.475],[-2.905,38.471],[-2.89,38.456],[-2.86,38.475],[-2.809,38.495],[-2.806,38.503],[-2.77,38.519],[-2.764,38.532],[-2.73,38.511],[-2.674,38.496],[-2.618,38.513],[-2.597,38.513],[-2.566,38.49],[-2.577,38.475],[-2.568,38.461],[-2.577,38.435],[-2.573,38.414],[-2.55,38.403],[-2.534,38.406],[-2.485,38.398],[-2.494,38.372],[-2.48,38.349],[-2.485,38.301],[-2.48,38.294],[-2.442,38.285],[-2.435,38.265],[-2.444,38.251],[-2.444,38.231],[-2.453,38.22],[-2.447,38.185],[-2.467,38.17],[-2.496,38.134],[-2.512,38.128],[-2.516,38.112],[-2.552,38.084],[-2.566,38.083],[-2.6,38.059],[-2.597,38.005],[-2.62,37.987],[-2.642,37.981],[-2.671,37.962],[-2.694,37.975],[-2.723,37.963],[-2.743,37.934],[-2.786,37.916],[-2.806,37.881],[-2.82,37.876],[-2.82,37.853],[-2.847,37.815],[-2.874,37.79],[-2.881,37.76],[-2.905,37.748],[-2.908,37.727],[-2.899,37.685],[-2.885,37.682],[-2.903,37.666],[-2.975,37.632],[-2.984,37.601],[-3.052,37.617],[-3.058,37.606],[-3.09,37.596],[-3.126,37.611],[-3.173,37.643],[-3.216,37.645],[-3.263,37.638],[-3.261,37.634],[-3.297,37.588],[-3.357,37.577],[-3.366,37.567],[-3.4,37.564],[-3.436,37.574],[-3.461,37.598],[-3.479,37.601],[-3.506,37.617],[-3.54,37.595],[-3.535,37.582],[-3.56,37.566],[-3.6,37.548],[-3.627,37.529],[-3.684,37.517],[-3.729,37.488],[-3.776,37.477],[-3.783,37.491],[-3.792,37.466],[-3.841,37.386],[-3.873,37.388],[-3.913,37.378],[-3.951,37.378],[-3.98,37.388],[-4.001,37.403],[-4.016,37.417],[-4.048,37.467],[-4.073,37.474],[-4.088,37.487],[-4.059,37.506],[-4.1,37.514],[-4.1,37.53],[-4.115,37.548],[-4.16,37.575],[-4.163,37.6],[-4.183,37.616],[-4.221,37.622],[-4.228,37.64],[-4.187,37.671],[-4.165,37.682],[-4.183,37.706],[-4.239,37.719],[-4.226,37.761],[-4.208,37.779],[-4.226,37.787],[-4.259,37.789],[-4.286,37.797],[-4.277,37.857],[-4.28,37.876],[-4.273,37.91],[-4.262,37.915],[-4.262,37.963],[-4.284,38.004],[-4.282,38.023],[-4.259,38.023],[-4.268,38.041],[-4.25,38.039],[-4.248,38.07],[-4.237,38.062],[-4.232,38.083],[-4.212,38.096],[-4.194,38.128],[-4.176,38.131],[-4.16,38.146],[-4.167,38.18],[-4.201,38.214],[-4.194,38.231],[-4.217,38.246],[-4.21,38.301],[-4.228,38.301],[-4.239,38.32],[-4.237,38.341],[-4.268,38.348]]]}},
+    {"type":"Feature","properties":{"codigo":"24","nombre":"León","km2":15558},"geometry":{"type":"Polygon","coordinates":[[[-7.078,42.508],[-7.06,42.531],[-7.071,42.539],[-7.057,42.565],[-7.033,42.584],[-7.051,42.598],[-7.046,42.632],[-7.017,42.645],[-7.015,42.665],[-7.046,42.695],[-7.015,42.723],[-6.99,42.726],[-6.983,42.718],[-6.956,42.755],[-6.936,42.741],[-6.902,42.762],[-6.891,42.778],[-6.868,42.787],[-6.866,42.804],[-6.841,42.823],[-6.871,42.873],[-6.841,42.878],[-6.821,42.868],[-6.835,42.904],[-6.823,42.915],[-6.772,42.899],[-6.774,42.883],[-6.756,42.883],[-6.722,42.917],[-6.691,42.922],[-6.612,42.925],[-6.607,42.917],[-6.58,42.918],[-6.542,42.912],[-6.511,42.928],[-6.49,42.92],[-6.477,42.934],[-6.432,42.939],[-6.441,42.949],[-6.434,42.964],[-6.468,42.967],[-6.477,42.993],[-6.446,42.983],[-6.407,42.999],[-6.412,43.015],[-6.394,43.017],[-6.396,43.038],[-6.374,43.041],[-6.358,43.057],[-6.331,43.043],[-6.329,43.031],[-6.295,43.027],[-6.284,43.035],[-6.263,43.015],[-6.227,43.009],[-6.23,43.022],[-6.216,43.048],[-6.189,43.049],[-6.151,43.035],[-6.137,43.022],[-6.097,43.031],[-6.092,43.067],[-6.081,43.077],[-6.016,43.054],[-5.973,43.065],[-5.962,43.052],[-5.969,43.041],[-5.955,43.017],[-5.933,43.01],[-5.906,42.991],[-5.888,42.994],[-5.888,42.98],[-5.861,42.981],[-5.843,42.964],[-5.805,42.962],[-5.76,42.973],[-5.766,42.986],[-5.735,43.022],[-5.728,43.043],[-5.688,43.057],[-5.629,43.033],[-5.575,43.031],[-5.566,43.022],[-5.539,43.018],[-5.505,43.028],[-5.494,43.022],[-5.481,43.054],[-5.449,43.056],[-5.391,43.049],[-5.384,43.088],[-5.343,43.094],[-5.341,43.083],[-5.312,43.085],[-5.283,43.077],[-5.269,43.088],[-5.22,43.083],[-5.188,43.099],[-5.168,43.103],[-5.148,43.115],[-5.141,43.103],[-5.103,43.103],[-5.094,43.145],[-5.076,43.167],[-5.076,43.178],[-5.06,43.174],[-5.04,43.185],[-5.022,43.183],[-4.997,43.17],[-4.997,43.185],[-4.943,43.225],[-4.921,43.227],[-4.896,43.238],[-4.871,43.229],[-4.86,43.206],[-4.84,43.19],[-4.842,43.18],[-4.851,43.172],[-4.835,43.157],[-4.851,43.127],[-4.833,43.103],[-4.768,43.075],[-4.765,43.056],[-4.734,43.048],[-4.738,43.022],[-4.756,43.015],[-4.768,43.002],[-4.795,42.986],[-4.808,42.968],[-4.804,42.949],[-4.813,42.925],[-4.855,42.892],[-4.867,42.86],[-4.898,42.863],[-4.889,42.841],[-4.903,42.808],[-4.896,42.786],[-4.909,42.779],[-4.936,42.744],[-4.918,42.734],[-4.916,42.721],[-4.891,42.723],[-4.871,42.708],[-4.891,42.692],[-4.898,42.674],[-4.894,42.624],[-4.905,42.603],[-4.903,42.577],[-4.914,42.545],[-4.887,42.537],[-4.889,42.5],[-4.9,42.451],[-4.925,42.437],[-4.905,42.424],[-4.914,42.414],[-4.912,42.382],[-4.934,42.385],[-4.945,42.377],[-4.972,42.374],[-4.979,42.338],[-4.943,42.346],[-4.943,42.327],[-4.954,42.296],[-4.975,42.288],[-5.002,42.29],[-5.038,42.298],[-5.042,42.267],[-5.069,42.261],[-5.062,42.279],[-5.094,42.309],[-5.119,42.308],[-5.143,42.282],[-5.197,42.261],[-5.22,42.279],[-5.244,42.264],[-5.253,42.24],[-5.226,42.227],[-5.242,42.214],[-5.265,42.211],[-5.287,42.23],[-5.303,42.222],[-5.307,42.199],[-5.361,42.225],[-5.388,42.222],[-5.379,42.198],[-5.388,42.172],[-5.379,42.164],[-5.37,42.13],[-5.377,42.099],[-5.391,42.09],[-5.37,42.051],[-5.377,42.041],[-5.422,42.031],[-5.438,42.031],[-5.481,42.052],[-5.499,42.083],[-5.521,42.098],[-5.544,42.099],[-5.55,42.07],[-5.562,42.056],[-5.575,42.065],[-5.586,42.051],[-5.589,42.077],[-5.638,42.085],[-5.62,42.107],[-5.649,42.135],[-5.665,42.141],[-5.688,42.138],[-5.676,42.12],[-5.744,42.114],[-5.755,42.136],[-5.789,42.133],[-5.838,42.119],[-5.845,42.111],[-5.87,42.122],[-5.897,42.156],[-5.912,42.141],[-5.948,42.141],[-5.953,42.123],[-5.993,42.144],[-6.029,42.157],[-6.106,42.162],[-6.171,42.159],[-6.212,42.148],[-6.225,42.162],[-6.252,42.174],[-6.295,42.178],[-6.311,42.206],[-6.329,42.199],[-6.428,42.203],[-6.443,42.193],[-6.459,42.198],[-6.479,42.182],[-6.508,42.185],[-6.515,42.199],[-6.558,42.207],[-6.614,42.203],[-6.639,42.217],[-6.688,42.216],[-6.704,42.209],[-6.733,42.224],[-6.736,42.235],[-6.758,42.238],[-6.785,42.254],[-6.767,42.258],[-6.765,42.272],[-6.74,42.298],[-6.733,42.359],[-6.767,42.366],[-6.774,42.379],[-6.821,42.385],[-6.844,42.406],[-6.817,42.427],[-6.821,42.455],[-6.808,42.469],[-6.837,42.495],[-6.848,42.487],[-6.916,42.511],[-6.925,42.519],[-6.961,42.518],[-6.974,42.493],[-7.006,42.505],[-7.028,42.498],[-7.053,42.508],[-7.078,42.508]],[[-5.314,42.269],[-5.346,42.267],[-5.341,42.233],[-5.316,42.241],[-5.301,42.266],[-5.314,42.269]]]}},
+    {"type":"Feature","properties":{"codigo":"25","nombre":"Lleida","km2":12141},"geometry":{"type":"Polygon","coordinates":[[[0.385,41.278],[0.365,41.304],[0.369,41.316],[0.349,41.329],[0.374,41.351],[0.358,41.372],[0.32,41.395],[0.336,41.408],[0.356,41.453],[0.345,41.461],[0.34,41.484],[0.399,41.49],[0.417,41.516],[0.446,41.542],[0.43,41.564],[0.437,41.585],[0.428,41.602],[0.403,41.594],[0.349,41.6],[0.347,41.623],[0.358,41.632],[0.327,41.663],[0.329,41.682],[0.369,41.715],[0.385,41.741],[0.396,41.732],[0.401,41.757],[0.471,41.766],[0.484,41.802],[0.511,41.821],[0.543,41.82],[0.558,41.854],[0.581,41.85],[0.581,41.863],[0.608,41.871],[0.592,41.884],[0.603,41.923],[0.563,41.933],[0.592,41.97],[0.605,41.96],[0.623,41.993],[0.657,42.002],[0.664,42.015],[0.653,42.026],[0.666,42.041],[0.684,42.093],[0.7,42.106],[0.695,42.151],[0.713,42.162],[0.698,42.172],[0.713,42.209],[0.713,42.224],[0.736,42.254],[0.745,42.301],[0.765,42.322],[0.743,42.327],[0.74,42.337],[0.772,42.351],[0.722,42.366],[0.747,42.385],[0.727,42.405],[0.736,42.414],[0.711,42.435],[0.709,42.459],[0.691,42.487],[0.713,42.487],[0.734,42.505],[0.72,42.513],[0.734,42.54],[0.756,42.565],[0.767,42.611],[0.738,42.613],[0.698,42.629],[0.695,42.658],[0.68,42.666],[0.659,42.691],[0.675,42.691],[0.682,42.708],[0.673,42.718],[0.65,42.765],[0.666,42.776],[0.65,42.786],[0.671,42.805],[0.671,42.825],[0.659,42.838],[0.677,42.855],[0.709,42.862],[0.736,42.849],[0.781,42.836],[0.801,42.841],[0.833,42.828],[0.857,42.826],[0.907,42.797],[0.932,42.789],[0.961,42.805],[0.983,42.787],[1.006,42.791],[1.073,42.783],[1.109,42.771],[1.132,42.75],[1.134,42.728],[1.166,42.708],[1.217,42.72],[1.228,42.728],[1.253,42.715],[1.316,42.72],[1.334,42.724],[1.357,42.72],[1.35,42.703],[1.39,42.686],[1.388,42.668],[1.413,42.655],[1.42,42.624],[1.44,42.595],[1.426,42.582],[1.444,42.573],[1.426,42.558],[1.413,42.535],[1.44,42.543],[1.453,42.539],[1.469,42.51],[1.42,42.482],[1.442,42.476],[1.444,42.442],[1.453,42.437],[1.516,42.429],[1.552,42.432],[1.557,42.455],[1.582,42.45],[1.6,42.468],[1.631,42.463],[1.658,42.468],[1.663,42.493],[1.703,42.49],[1.726,42.505],[1.73,42.492],[1.726,42.463],[1.732,42.44],[1.771,42.429],[1.795,42.43],[1.811,42.411],[1.8,42.379],[1.811,42.371],[1.829,42.382],[1.852,42.374],[1.836,42.354],[1.834,42.327],[1.843,42.306],[1.775,42.291],[1.674,42.285],[1.69,42.277],[1.685,42.261],[1.705,42.238],[1.685,42.222],[1.681,42.206],[1.708,42.19],[1.739,42.19],[1.739,42.162],[1.714,42.154],[1.699,42.135],[1.712,42.119],[1.705,42.106],[1.723,42.101],[1.717,42.085],[1.692,42.086],[1.672,42.044],[1.694,42.046],[1.701,42.028],[1.665,42.01],[1.651,42.014],[1.651,41.993],[1.685,41.996],[1.699,42.014],[1.717,42.001],[1.717,41.983],[1.683,41.968],[1.674,41.983],[1.645,41.972],[1.649,41.944],[1.642,41.93],[1.615,41.905],[1.6,41.904],[1.568,41.879],[1.584,41.873],[1.602,41.884],[1.618,41.879],[1.631,41.844],[1.611,41.836],[1.611,41.818],[1.588,41.805],[1.6,41.789],[1.593,41.778],[1.575,41.783],[1.548,41.771],[1.546,41.757],[1.507,41.774],[1.505,41.789],[1.483,41.791],[1.487,41.779],[1.467,41.771],[1.471,41.8],[1.426,41.802],[1.404,41.745],[1.42,41.737],[1.384,41.707],[1.399,41.705],[1.404,41.686],[1.449,41.637],[1.395,41.636],[1.361,41.613],[1.408,41.59],[1.393,41.576],[1.404,41.558],[1.384,41.556],[1.372,41.566],[1.305,41.571],[1.294,41.566],[1.219,41.569],[1.211,41.548],[1.181,41.543],[1.163,41.513],[1.179,41.488],[1.132,41.477],[1.107,41.467],[1.04,41.501],[1.049,41.487],[1.037,41.48],[1.076,41.459],[1.049,41.437],[1.028,41.409],[1.006,41.406],[0.992,41.388],[0.981,41.392],[0.963,41.367],[0.965,41.356],[0.911,41.35],[0.864,41.338],[0.844,41.362],[0.83,41.359],[0.819,41.329],[0.763,41.335],[0.752,41.317],[0.695,41.314],[0.614,41.291],[0.596,41.293],[0.574,41.319],[0.554,41.327],[0.527,41.29],[0.502,41.29],[0.48,41.322],[0.462,41.335],[0.435,41.32],[0.432,41.277],[0.385,41.278]],[[1.645,42.112],[1.692,42.104],[1.692,42.112],[1.645,42.112]]]}},
+    {"type":"Feature","properties":{"codigo":"26","nombre":"La Rioja","km2":5043},"geometry":{"type":"Polygon","coordinates":[[[-2.914,42.023],[-2.914,42.038],[-2.935,42.09],[-2.962,42.085],[-3.034,42.086],[-3.065,42.133],[-3.085,42.135],[-3.09,42.159],[-3.115,42.178],[-3.128,42.201],[-3.103,42.212],[-3.103,42.232],[-3.088,42.246],[-3.099,42.262],[-3.09,42.274],[-3.106,42.314],[-3.097,42.327],[-3.11,42.338],[-3.11,42.351],[-3.067,42.354],[-3.063,42.363],[-3.085,42.385],[-3.106,42.387],[-3.097,42.405],[-3.101,42.417],[-3.079,42.416],[-3.083,42.398],[-3.065,42.374],[-3.054,42.374],[-3.065,42.405],[-3.063,42.426],[-3.047,42.445],[-3.074,42.477],[-3.094,42.492],[-3.079,42.5],[-3.072,42.527],[-3.09,42.539],[-3.108,42.529],[-3.135,42.542],[-3.106,42.553],[-3.067,42.589],[-3.061,42.603],[-3.07,42.621],[-3.085,42.628],[-3.083,42.64],[-3.04,42.64],[-3.018,42.632],[-3.004,42.644],[-2.98,42.636],[-2.971,42.64],[-2.935,42.634],[-2.923,42.621],[-2.905,42.626],[-2.883,42.621],[-2.858,42.639],[-2.842,42.629],[-2.842,42.608],[-2.82,42.615],[-2.82,42.592],[-2.84,42.581],[-2.824,42.555],[-2.815,42.569],[-2.782,42.579],[-2.764,42.623],[-2.73,42.618],[-2.707,42.6],[-2.68,42.594],[-2.692,42.542],[-2.705,42.516],[-2.678,42.524],[-2.678,42.51],[-2.656,42.503],[-2.649,42.484],[-2.606,42.503],[-2.593,42.492],[-2.602,42.48],[-2.577,42.484],[-2.573,42.493],[-2.555,42.484],[-2.53,42.484],[-2.539,42.493],[-2.51,42.519],[-2.516,42.49],[-2.478,42.487],[-2.449,42.497],[-2.42,42.489],[-2.399,42.471],[-2.377,42.472],[-2.348,42.451],[-2.325,42.468],[-2.298,42.458],[-2.296,42.468],[-2.273,42.445],[-2.24,42.442],[-2.235,42.426],[-2.208,42.414],[-2.186,42.419],[-2.174,42.408],[-2.141,42.421],[-2.105,42.416],[-2.116,42.4],[-2.087,42.384],[-2.08,42.366],[-2.089,42.346],[-2.071,42.343],[-2.046,42.359],[-2.015,42.369],[-1.974,42.353],[-1.965,42.333],[-1.941,42.335],[-1.934,42.322],[-1.918,42.327],[-1.893,42.29],[-1.871,42.29],[-1.866,42.275],[-1.875,42.259],[-1.855,42.249],[-1.853,42.259],[-1.801,42.222],[-1.781,42.224],[-1.74,42.212],[-1.707,42.207],[-1.704,42.191],[-1.68,42.188],[-1.7,42.174],[-1.68,42.151],[-1.72,42.133],[-1.74,42.149],[-1.765,42.151],[-1.779,42.138],[-1.821,42.154],[-1.837,42.141],[-1.839,42.128],[-1.891,42.086],[-1.909,42.059],[-1.902,42.03],[-1.887,42.028],[-1.855,42.002],[-1.848,42.009],[-1.844,41.988],[-1.866,41.978],[-1.857,41.967],[-1.878,41.952],[-1.907,41.946],[-1.916,41.933],[-1.981,41.918],[-2.028,41.954],[-2.037,41.941],[-2.062,41.954],[-2.1,41.955],[-2.116,41.963],[-2.125,41.996],[-2.107,42.002],[-2.116,42.022],[-2.154,42.048],[-2.161,42.067],[-2.127,42.08],[-2.127,42.098],[-2.172,42.106],[-2.237,42.102],[-2.269,42.088],[-2.282,42.111],[-2.282,42.132],[-2.318,42.144],[-2.388,42.143],[-2.438,42.138],[-2.458,42.115],[-2.485,42.106],[-2.514,42.114],[-2.523,42.083],[-2.514,42.069],[-2.552,42.046],[-2.566,42.014],[-2.579,41.996],[-2.626,42.007],[-2.66,42.005],[-2.674,41.997],[-2.705,42.015],[-2.746,42.009],[-2.757,42.033],[-2.707,42.086],[-2.707,42.106],[-2.734,42.125],[-2.75,42.117],[-2.775,42.123],[-2.791,42.109],[-2.797,42.048],[-2.856,42.028],[-2.883,42.009],[-2.914,42.023]],[[-2.932,42.613],[-2.939,42.594],[-2.923,42.6],[-2.932,42.613]]]}},
+    {"type":"Feature","properties":{"codigo":"27","nombre":"Lugo","km2":9835},"geometry":{"type":"Polygon","coordinates":[[[-7.93,42.579],[-7.912,42.592],[-7.892,42.629],[-7.887,42.661],[-7.892,42.678],[-7.862,42.707],[-7.874,42.72],[-7.903,42.734],[-7.925,42.736],[-7.952,42.754],[-7.982,42.787],[-7.979,42.812],[-7.957,42.839],[-7.968,42.849],[-7.984,42.842],[-8.0,42.849],[-7.977,42.878],[-7.964,42.88],[-7.934,42.904],[-7.943,42.917],[-7.916,42.933],[-7.907,42.951],[-7.905,42.986],[-7.943,43.067],[-7.919,43.093],[-7.937,43.112],[-7.95,43.164],[-7.961,43.19],[-7.932,43.243],[-7.921,43.269],[-7.948,43.287],[-7.887,43.337],[-7.885,43.376],[-7.898,43.39],[-7.883,43.408],[-7.824,43.401],[-7.806,43.427],[-7.806,43.437],[-7.779,43.448],[-7.768,43.487],[-7.748,43.508],[-7.743,43.526],[-7.757,43.548],[-7.743,43.571],[-7.748,43.578],[-7.719,43.584],[-7.723,43.608],[-7.732,43.616],[-7.716,43.647],[-7.694,43.649],[-7.692,43.658],[-7.719,43.687],[-7.703,43.686],[-7.707,43.71],[-7.694,43.716],[-7.701,43.736],[-7.683,43.729],[-7.674,43.747],[-7.651,43.744],[-7.638,43.754],[-7.631,43.723],[-7.608,43.72],[-7.615,43.702],[-7.613,43.674],[-7.597,43.674],[-7.577,43.692],[-7.586,43.708],[-7.559,43.712],[-7.557,43.729],[-7.525,43.737],[-7.514,43.723],[-7.494,43.728],[-7.467,43.723],[-7.478,43.713],[-7.469,43.704],[-7.408,43.689],[-7.404,43.683],[-7.356,43.671],[-7.356,43.66],[-7.332,43.626],[-7.323,43.628],[-7.293,43.594],[-7.246,43.574],[-7.262,43.558],[-7.244,43.552],[-7.237,43.569],[-7.179,43.561],[-7.167,43.555],[-7.116,43.561],[-7.089,43.555],[-7.064,43.558],[-7.033,43.545],[-7.046,43.508],[-7.046,43.477],[-7.091,43.455],[-7.098,43.434],[-7.127,43.424],[-7.143,43.43],[-7.172,43.43],[-7.17,43.408],[-7.176,43.382],[-7.158,43.374],[-7.138,43.384],[-7.127,43.372],[-7.131,43.33],[-7.116,43.327],[-7.102,43.304],[-7.064,43.301],[-7.071,43.267],[-7.062,43.245],[-7.019,43.214],[-7.01,43.224],[-7.001,43.208],[-6.972,43.204],[-6.965,43.19],[-6.981,43.167],[-6.958,43.135],[-6.938,43.133],[-6.902,43.156],[-6.886,43.157],[-6.875,43.187],[-6.839,43.166],[-6.821,43.143],[-6.828,43.124],[-6.866,43.101],[-6.871,43.091],[-6.895,43.091],[-6.916,43.073],[-6.922,43.082],[-6.952,43.075],[-6.97,43.057],[-6.972,43.03],[-6.983,43.041],[-6.997,43.02],[-6.963,42.991],[-6.965,43.027],[-6.947,43.033],[-6.94,43.012],[-6.909,42.989],[-6.882,42.991],[-6.837,42.957],[-6.841,42.928],[-6.823,42.915],[-6.835,42.904],[-6.821,42.868],[-6.841,42.878],[-6.871,42.873],[-6.841,42.823],[-6.866,42.804],[-6.868,42.787],[-6.891,42.778],[-6.902,42.762],[-6.936,42.741],[-6.956,42.755],[-6.983,42.718],[-6.99,42.726],[-7.015,42.723],[-7.046,42.695],[-7.015,42.665],[-7.017,42.645],[-7.046,42.632],[-7.051,42.598],[-7.033,42.584],[-7.057,42.565],[-7.071,42.539],[-7.06,42.531],[-7.078,42.508],[-7.1,42.458],[-7.113,42.456],[-7.147,42.437],[-7.147,42.422],[-7.165,42.405],[-7.172,42.379],[-7.185,42.371],[-7.203,42.325],[-7.23,42.359],[-7.221,42.387],[-7.248,42.39],[-7.269,42.414],[-7.291,42.414],[-7.307,42.429],[-7.345,42.43],[-7.37,42.421],[-7.388,42.434],[-7.462,42.408],[-7.5,42.39],[-7.536,42.384],[-7.577,42.405],[-7.617,42.384],[-7.633,42.408],[-7.662,42.422],[-7.683,42.422],[-7.701,42.432],[-7.712,42.451],[-7.739,42.456],[-7.752,42.451],[-7.777,42.461],[-7.781,42.472],[-7.748,42.48],[-7.772,42.495],[-7.799,42.48],[-7.876,42.511],[-7.914,42.508],[-7.901,42.521],[-7.923,42.526],[-7.889,42.539],[-7.889,42.55],[-7.912,42.556],[-7.93,42.579]]]}},
+    {"type":"Feature","properties":{"codigo":"28","nombre":"Madrid","km2":8017},"geometry":{"type":"MultiPolygon","coordinates":[[[[-4.16,40.69],[-4.145,40.695],[-4.136,40.718],[-4.111,40.744],[-4.097,40.749],[-4.097,40.765],[-4.07,40.794],[-4.021,40.781],[-4.003,40.789],[-3.98,40.784],[-3.98,40.799],[-3.962,40.823],[-3.965,40.834],[-3.947,40.863],[-3.942,40.889],[-3.951,40.894],[-3.922,40.929],[-3.908,40.955],[-3.879,40.975],[-3.81,40.988],[-3.78,41.001],[-3.756,41.028],[-3.74,41.054],[-3.715,41.073],[-3.679,41.085],[-3.652,41.107],[-3.634,41.135],[-3.6,41.156],[-3.54,41.165],[-3.542,41.149],[-3.51,41.138],[-3.488,41.104],[-3.447,41.081],[-3.427,41.083],[-3.427,41.065],[-3.438,41.043],[-3.393,41.001],[-3.418,40.988],[-3.416,40.976],[-3.436,40.946],[-3.459,40.897],[-3.438,40.891],[-3.445,40.876],[-3.472,40.865],[-3.477,40.826],[-3.504,40.789],[-3.468,40.784],[-3.445,40.761],[-3.45,40.732],[-3.436,40.723],[-3.468,40.69],[-3.427,40.673],[-3.425,40.682],[-3.405,40.669],[-3.4,40.692],[-3.375,40.681],[-3.366,40.648],[-3.328,40.64],[-3.337,40.626],[-3.321,40.611],[-3.33,40.597],[-3.317,40.584],[-3.288,40.572],[-3.283,40.551],[-3.297,40.537],[-3.252,40.542],[-3.2,40.514],[-3.196,40.479],[-3.198,40.442],[-3.155,40.44],[-3.142,40.412],[-3.13,40.404],[-3.144,40.388],[-3.139,40.375],[-3.153,40.367],[-3.142,40.351],[-3.151,40.335],[-3.18,40.314],[-3.184,40.27],[-3.196,40.248],[-3.173,40.235],[-3.153,40.264],[-3.112,40.285],[-3.097,40.269],[-3.079,40.209],[-3.085,40.186],[-3.067,40.157],[-3.09,40.164],[-3.097,40.143],[-3.079,40.136],[-3.054,40.107],[-3.061,40.091],[-3.09,40.07],[-3.119,40.062],[-3.162,40.065],[-3.166,40.091],[-3.202,40.067],[-3.243,40.054],[-3.263,40.057],[-3.303,40.054],[-3.328,40.08],[-3.378,40.075],[-3.378,40.051],[-3.393,40.036],[-3.425,40.047],[-3.447,40.039],[-3.45,40.049],[-3.472,40.046],[-3.506,40.049],[-3.531,40.018],[-3.589,40.013],[-3.594,40.002],[-3.639,39.988],[-3.63,39.968],[-3.677,39.96],[-3.697,39.947],[-3.711,39.955],[-3.744,39.941],[-3.76,39.92],[-3.778,39.912],[-3.807,39.887],[-3.834,39.9],[-3.875,39.91],[-3.875,39.929],[-3.839,39.942],[-3.83,39.933],[-3.81,39.954],[-3.787,39.944],[-3.787,39.954],[-3.758,39.968],[-3.735,39.962],[-3.747,39.979],[-3.726,39.989],[-3.699,40.02],[-3.679,40.017],[-3.663,40.036],[-3.652,40.031],[-3.639,40.051],[-3.623,40.054],[-3.609,40.081],[-3.607,40.109],[-3.657,40.125],[-3.668,40.143],[-3.684,40.133],[-3.72,40.148],[-3.747,40.131],[-3.771,40.139],[-3.801,40.175],[-3.834,40.162],[-3.852,40.169],[-3.866,40.188],[-3.915,40.191],[-3.931,40.204],[-3.951,40.19],[-3.953,40.212],[-3.992,40.209],[-4.025,40.236],[-4.023,40.249],[-4.052,40.251],[-4.079,40.267],[-4.104,40.241],[-4.151,40.249],[-4.145,40.264],[-4.167,40.274],[-4.181,40.293],[-4.203,40.288],[-4.203,40.269],[-4.246,40.274],[-4.271,40.236],[-4.295,40.219],[-4.311,40.235],[-4.322,40.227],[-4.343,40.241],[-4.356,40.27],[-4.356,40.309],[-4.379,40.316],[-4.383,40.29],[-4.435,40.259],[-4.435,40.244],[-4.448,40.233],[-4.473,40.232],[-4.518,40.215],[-4.536,40.199],[-4.574,40.207],[-4.579,40.217],[-4.565,40.219],[-4.558,40.235],[-4.57,40.259],[-4.529,40.293],[-4.547,40.34],[-4.527,40.345],[-4.505,40.316],[-4.455,40.319],[-4.462,40.34],[-4.439,40.351],[-4.442,40.388],[-4.415,40.409],[-4.331,40.408],[-4.34,40.437],[-4.322,40.45],[-4.32,40.532],[-4.325,40.55],[-4.289,40.564],[-4.28,40.605],[-4.289,40.606],[-4.289,40.627],[-4.271,40.629],[-4.262,40.605],[-4.214,40.606],[-4.16,40.624],[-4.174,40.631],[-4.167,40.653],[-4.172,40.681],[-4.16,40.69]]],[[[-4.275,40.677],[-4.255,40.661],[-4.257,40.652],[-4.289,40.653],[-4.32,40.648],[-4.316,40.666],[-4.284,40.681],[-4.275,40.677]]]]}},
+    {"type":"Feature","properties":{"codigo":"29","nombre":"Málaga","km2":7304},"geometry":{"type":"Polygon","coordinates":[[[-5.253,36.312],[-5.278,36.338],[-5.321,36.325],[-5.321,36.346],[-5.334,36.37],[-5.334,36.394],[-5.355,36.433],[-5.395,36.47],[-5.411,36.496],[-5.415,36.522],[-5.431,36.535],[-5.492,36.537],[-5.523,36.498],[-5.559,36.504],[-5.573,36.512],[-5.609,36.512],[-5.611,36.545],[-5.6,36.551],[-5.544,36.538],[-5.537,36.527],[-5.503,36.548],[-5.49,36.571],[-5.463,36.588],[-5.456,36.619],[-5.438,36.614],[-5.384,36.63],[-5.323,36.674],[-5.325,36.724],[-5.292,36.776],[-5.319,36.787],[-5.341,36.819],[-5.332,36.839],[-5.301,36.869],[-5.269,36.884],[-5.267,36.876],[-5.231,36.861],[-5.222,36.842],[-5.17,36.824],[-5.134,36.839],[-5.112,36.874],[-5.105,36.898],[-5.087,36.905],[-5.11,36.96],[-5.096,36.968],[-5.114,36.989],[-5.143,37.004],[-5.123,37.028],[-5.112,37.02],[-5.083,37.031],[-5.056,37.033],[-5.033,37.049],[-4.979,37.068],[-4.952,37.094],[-4.93,37.1],[-4.909,37.115],[-4.903,37.138],[-4.943,37.157],[-4.939,37.176],[-4.905,37.175],[-4.898,37.155],[-4.876,37.159],[-4.858,37.173],[-4.853,37.199],[-4.824,37.201],[-4.828,37.186],[-4.786,37.155],[-4.761,37.176],[-4.709,37.197],[-4.727,37.21],[-4.732,37.226],[-4.718,37.239],[-4.736,37.244],[-4.72,37.26],[-4.691,37.252],[-4.653,37.256],[-4.646,37.247],[-4.615,37.256],[-4.615,37.243],[-4.597,37.222],[-4.601,37.209],[-4.57,37.21],[-4.561,37.22],[-4.541,37.212],[-4.511,37.222],[-4.462,37.254],[-4.446,37.278],[-4.379,37.27],[-4.379,37.241],[-4.385,37.238],[-4.372,37.215],[-4.345,37.214],[-4.329,37.205],[-4.329,37.184],[-4.286,37.12],[-4.273,37.015],[-4.253,37.023],[-4.223,37.012],[-4.214,36.992],[-4.194,36.981],[-4.167,36.957],[-4.111,36.95],[-4.1,36.953],[-4.091,36.932],[-4.037,36.905],[-3.998,36.89],[-3.971,36.892],[-3.929,36.882],[-3.917,36.868],[-3.891,36.868],[-3.875,36.853],[-3.828,36.855],[-3.796,36.832],[-3.796,36.821],[-3.769,36.802],[-3.767,36.789],[-3.783,36.764],[-3.778,36.739],[-3.792,36.747],[-3.834,36.755],[-3.866,36.75],[-3.879,36.742],[-3.92,36.74],[-3.958,36.726],[-3.994,36.739],[-4.066,36.748],[-4.084,36.745],[-4.111,36.726],[-4.174,36.716],[-4.248,36.711],[-4.282,36.714],[-4.34,36.713],[-4.397,36.722],[-4.435,36.7],[-4.455,36.664],[-4.482,36.64],[-4.514,36.595],[-4.543,36.579],[-4.585,36.574],[-4.608,36.559],[-4.639,36.508],[-4.675,36.504],[-4.691,36.491],[-4.741,36.485],[-4.855,36.508],[-4.898,36.508],[-4.934,36.499],[-5.008,36.459],[-5.033,36.461],[-5.06,36.449],[-5.083,36.449],[-5.107,36.435],[-5.134,36.428],[-5.155,36.415],[-5.177,36.415],[-5.22,36.375],[-5.247,36.31],[-5.253,36.312]]]}},
+    {"type":"Feature","properties":{"codigo":"30","nombre":"Murcia","km2":11320},"geometry":{"type":"Polygon","coordinates":[[[-1.63,37.375],[-1.666,37.401],[-1.738,37.443],[-1.812,37.451],[-1.808,37.433],[-1.846,37.454],[-1.875,37.495],[-1.954,37.588],[-1.956,37.601],[-1.979,37.622],[-2.012,37.672],[-2.008,37.719],[-1.997,37.727],[-2.008,37.774],[-1.997,37.819],[-1.994,37.842],[-1.974,37.868],[-1.994,37.881],[-2.019,37.869],[-2.051,37.879],[-2.1,37.878],[-2.123,37.9],[-2.15,37.899],[-2.172,37.889],[-2.208,37.916],[-2.237,37.928],[-2.276,37.96],[-2.296,37.987],[-2.298,38.004],[-2.341,38.026],[-2.339,38.049],[-2.325,38.07],[-2.267,38.109],[-2.246,38.149],[-2.231,38.162],[-2.213,38.202],[-2.174,38.223],[-2.114,38.238],[-2.082,38.265],[-2.075,38.283],[-2.048,38.306],[-2.021,38.301],[-2.001,38.285],[-1.983,38.281],[-1.896,38.302],[-1.851,38.333],[-1.826,38.333],[-1.812,38.351],[-1.783,38.356],[-1.794,38.369],[-1.77,38.364],[-1.772,38.378],[-1.745,38.38],[-1.718,38.367],[-1.704,38.375],[-1.682,38.359],[-1.691,38.336],[-1.666,38.311],[-1.59,38.311],[-1.558,38.325],[-1.542,38.343],[-1.479,38.377],[-1.475,38.409],[-1.479,38.48],[-1.5,38.532],[-1.486,38.564],[-1.452,38.582],[-1.443,38.637],[-1.448,38.65],[-1.403,38.69],[-1.367,38.705],[-1.342,38.677],[-1.284,38.706],[-1.25,38.739],[-1.185,38.755],[-1.12,38.737],[-1.115,38.711],[-1.043,38.661],[-1.025,38.656],[-1.016,38.635],[-1.003,38.572],[-1.025,38.522],[-1.014,38.496],[-1.034,38.474],[-1.081,38.441],[-1.088,38.367],[-1.084,38.346],[-1.027,38.338],[-0.989,38.32],[-0.971,38.29],[-0.969,38.256],[-0.989,38.199],[-1.005,38.172],[-1.036,38.138],[-1.023,38.076],[-0.967,38.013],[-0.922,37.944],[-0.856,37.886],[-0.829,37.865],[-0.805,37.86],[-0.789,37.848],[-0.762,37.847],[-0.753,37.789],[-0.775,37.819],[-0.796,37.81],[-0.8,37.782],[-0.827,37.755],[-0.85,37.742],[-0.859,37.718],[-0.811,37.663],[-0.787,37.651],[-0.726,37.635],[-0.721,37.65],[-0.739,37.658],[-0.733,37.674],[-0.744,37.711],[-0.739,37.743],[-0.757,37.781],[-0.744,37.779],[-0.744,37.756],[-0.728,37.748],[-0.742,37.711],[-0.728,37.671],[-0.699,37.634],[-0.733,37.601],[-0.782,37.595],[-0.823,37.575],[-0.852,37.582],[-0.919,37.554],[-0.971,37.559],[-0.953,37.567],[-0.976,37.577],[-0.976,37.598],[-0.989,37.598],[-1.012,37.575],[-1.075,37.584],[-1.095,37.569],[-1.108,37.569],[-1.126,37.553],[-1.106,37.535],[-1.165,37.542],[-1.169,37.558],[-1.201,37.574],[-1.239,37.577],[-1.257,37.558],[-1.324,37.564],[-1.365,37.543],[-1.392,37.525],[-1.401,37.508],[-1.441,37.498],[-1.459,37.487],[-1.482,37.453],[-1.477,37.428],[-1.491,37.422],[-1.52,37.432],[-1.565,37.404],[-1.592,37.403],[-1.63,37.375]]]}},
+    {"type":"Feature","properties":{"codigo":"31","nombre":"Navarra","km2":10373},"geometry":{"type":"MultiPolygon","coordinates":[[[[-2.42,42.489],[-2.422,42.511],[-2.393,42.518],[-2.399,42.543],[-2.39,42.548],[-2.397,42.598],[-2.424,42.605],[-2.453,42.568],[-2.462,42.587],[-2.492,42.587],[-2.501,42.616],[-2.483,42.611],[-2.451,42.647],[-2.415,42.663],[-2.388,42.658],[-2.372,42.644],[-2.381,42.634],[-2.345,42.634],[-2.332,42.647],[-2.289,42.655],[-2.294,42.678],[-2.309,42.671],[-2.314,42.708],[-2.323,42.724],[-2.307,42.736],[-2.273,42.742],[-2.267,42.754],[-2.28,42.786],[-2.269,42.796],[-2.267,42.813],[-2.235,42.834],[-2.242,42.886],[-2.251,42.896],[-2.237,42.896],[-2.237,42.922],[-2.21,42.951],[-2.19,42.947],[-2.181,42.934],[-2.156,42.943],[-2.129,42.939],[-2.102,42.949],[-2.096,42.972],[-2.037,42.981],[-2.028,42.999],[-2.042,43.03],[-2.033,43.031],[-2.012,43.073],[-1.979,43.082],[-1.974,43.091],[-1.947,43.098],[-1.902,43.135],[-1.92,43.151],[-1.923,43.178],[-1.902,43.211],[-1.875,43.211],[-1.88,43.23],[-1.869,43.23],[-1.86,43.212],[-1.851,43.225],[-1.794,43.246],[-1.794,43.277],[-1.783,43.287],[-1.729,43.295],[-1.695,43.313],[-1.668,43.314],[-1.626,43.306],[-1.63,43.285],[-1.617,43.258],[-1.576,43.25],[-1.556,43.279],[-1.565,43.288],[-1.536,43.295],[-1.506,43.293],[-1.461,43.272],[-1.428,43.267],[-1.414,43.274],[-1.385,43.254],[-1.378,43.23],[-1.387,43.195],[-1.403,43.178],[-1.403,43.156],[-1.414,43.128],[-1.47,43.091],[-1.473,43.082],[-1.441,43.046],[-1.353,43.028],[-1.342,43.054],[-1.347,43.091],[-1.32,43.112],[-1.27,43.119],[-1.288,43.104],[-1.309,43.069],[-1.248,43.043],[-1.23,43.056],[-1.18,43.033],[-1.174,43.038],[-1.144,43.023],[-1.142,43.007],[-1.115,43.023],[-1.086,43.002],[-1.007,42.991],[-1.0,42.978],[-0.944,42.954],[-0.915,42.964],[-0.863,42.951],[-0.811,42.951],[-0.787,42.964],[-0.751,42.967],[-0.73,42.946],[-0.728,42.92],[-0.753,42.925],[-0.782,42.922],[-0.818,42.902],[-0.816,42.875],[-0.847,42.847],[-0.856,42.847],[-0.852,42.807],[-0.861,42.802],[-0.847,42.786],[-0.865,42.763],[-0.901,42.76],[-0.901,42.742],[-0.924,42.744],[-0.949,42.712],[-0.969,42.703],[-1.027,42.7],[-1.039,42.692],[-1.032,42.676],[-1.039,42.649],[-1.07,42.642],[-1.093,42.647],[-1.153,42.647],[-1.158,42.61],[-1.18,42.608],[-1.158,42.6],[-1.203,42.579],[-1.203,42.55],[-1.225,42.542],[-1.266,42.556],[-1.293,42.511],[-1.275,42.495],[-1.273,42.482],[-1.291,42.458],[-1.315,42.45],[-1.342,42.424],[-1.342,42.408],[-1.36,42.379],[-1.338,42.372],[-1.329,42.356],[-1.351,42.34],[-1.398,42.291],[-1.389,42.279],[-1.401,42.246],[-1.416,42.222],[-1.414,42.203],[-1.392,42.182],[-1.398,42.127],[-1.367,42.107],[-1.351,42.073],[-1.311,42.072],[-1.304,42.043],[-1.34,42.018],[-1.367,41.983],[-1.383,41.944],[-1.403,41.934],[-1.421,41.913],[-1.452,41.915],[-1.473,41.925],[-1.502,41.925],[-1.524,41.91],[-1.558,41.913],[-1.596,41.926],[-1.614,41.951],[-1.655,41.965],[-1.673,41.967],[-1.686,41.952],[-1.716,41.957],[-1.743,41.968],[-1.767,41.996],[-1.792,41.989],[-1.81,41.997],[-1.835,41.996],[-1.848,42.009],[-1.855,42.002],[-1.887,42.028],[-1.902,42.03],[-1.909,42.059],[-1.891,42.086],[-1.839,42.128],[-1.837,42.141],[-1.821,42.154],[-1.779,42.138],[-1.765,42.151],[-1.74,42.149],[-1.72,42.133],[-1.68,42.151],[-1.7,42.174],[-1.68,42.188],[-1.704,42.191],[-1.707,42.207],[-1.74,42.212],[-1.781,42.224],[-1.801,42.222],[-1.853,42.259],[-1.855,42.249],[-1.875,42.259],[-1.866,42.275],[-1.871,42.29],[-1.893,42.29],[-1.918,42.327],[-1.934,42.322],[-1.941,42.335],[-1.965,42.333],[-1.974,42.353],[-2.015,42.369],[-2.046,42.359],[-2.071,42.343],[-2.089,42.346],[-2.08,42.366],[-2.087,42.384],[-2.116,42.4],[-2.105,42.416],[-2.141,42.421],[-2.174,42.408],[-2.186,42.419],[-2.208,42.414],[-2.235,42.426],[-2.24,42.442],[-2.273,42.445],[-2.296,42.468],[-2.298,42.458],[-2.325,42.468],[-2.348,42.451],[-2.377,42.472],[-2.399,42.471],[-2.42,42.489]]],[[[-1.18,42.426],[-1.153,42.442],[-1.156,42.414],[-1.185,42.401],[-1.18,42.426]]],[[[-1.129,42.448],[-1.102,42.485],[-1.07,42.466],[-1.052,42.445],[-1.061,42.434],[-1.129,42.448]]]]}},
+    {"type":"Feature","properties":{"codigo":"32","nombre":"Ourense","km2":7278},"geometry":{"type":"Polygon","coordinates":[[[-8.198,42.154],[-8.182,42.157],[-8.162,42.182],[-8.175,42.185],[-8.175,42.204],[-8.191,42.212],[-8.166,42.22],[-8.166,42.246],[-8.204,42.245],[-8.234,42.233],[-8.265,42.253],[-8.272,42.28],[-8.263,42.316],[-8.285,42.319],[-8.312,42.343],[-8.324,42.369],[-8.315,42.38],[-8.339,42.434],[-8.342,42.466],[-8.353,42.48],[-8.342,42.492],[-8.303,42.49],[-8.272,42.521],[-8.238,42.539],[-8.218,42.534],[-8.173,42.573],[-8.146,42.548],[-8.137,42.555],[-8.092,42.556],[-8.06,42.548],[-8.049,42.555],[-8.018,42.542],[-7.993,42.573],[-7.961,42.568],[-7.93,42.579],[-7.912,42.556],[-7.889,42.55],[-7.889,42.539],[-7.923,42.526],[-7.901,42.521],[-7.914,42.508],[-7.876,42.511],[-7.799,42.48],[-7.772,42.495],[-7.748,42.48],[-7.781,42.472],[-7.777,42.461],[-7.752,42.451],[-7.739,42.456],[-7.712,42.451],[-7.701,42.432],[-7.683,42.422],[-7.662,42.422],[-7.633,42.408],[-7.617,42.384],[-7.577,42.405],[-7.536,42.384],[-7.5,42.39],[-7.462,42.408],[-7.388,42.434],[-7.37,42.421],[-7.345,42.43],[-7.307,42.429],[-7.291,42.414],[-7.269,42.414],[-7.248,42.39],[-7.221,42.387],[-7.23,42.359],[-7.203,42.325],[-7.185,42.371],[-7.172,42.379],[-7.165,42.405],[-7.147,42.422],[-7.147,42.437],[-7.113,42.456],[-7.1,42.458],[-7.078,42.508],[-7.053,42.508],[-7.028,42.498],[-7.006,42.505],[-6.974,42.493],[-6.961,42.518],[-6.925,42.519],[-6.916,42.511],[-6.848,42.487],[-6.837,42.495],[-6.808,42.469],[-6.821,42.455],[-6.817,42.427],[-6.844,42.406],[-6.821,42.385],[-6.774,42.379],[-6.767,42.366],[-6.733,42.359],[-6.74,42.298],[-6.765,42.272],[-6.767,42.258],[-6.785,42.254],[-6.803,42.24],[-6.787,42.216],[-6.83,42.227],[-6.855,42.227],[-6.886,42.214],[-6.9,42.19],[-6.938,42.177],[-6.949,42.136],[-6.99,42.122],[-6.992,42.099],[-7.003,42.085],[-7.033,42.075],[-7.03,42.064],[-7.008,42.052],[-6.974,42.056],[-6.961,42.026],[-6.992,41.986],[-6.985,41.972],[-7.006,41.951],[-7.078,41.952],[-7.087,41.973],[-7.14,41.991],[-7.158,41.976],[-7.179,41.98],[-7.185,41.97],[-7.183,41.933],[-7.174,41.92],[-7.197,41.879],[-7.233,41.867],[-7.257,41.867],[-7.316,41.842],[-7.356,41.841],[-7.363,41.854],[-7.39,41.842],[-7.397,41.826],[-7.428,41.807],[-7.426,41.831],[-7.449,41.846],[-7.453,41.865],[-7.485,41.862],[-7.491,41.871],[-7.514,41.862],[-7.505,41.85],[-7.521,41.842],[-7.575,41.829],[-7.615,41.831],[-7.602,41.867],[-7.586,41.881],[-7.653,41.881],[-7.705,41.907],[-7.734,41.892],[-7.763,41.899],[-7.779,41.888],[-7.844,41.881],[-7.842,41.867],[-7.867,41.858],[-7.874,41.846],[-7.892,41.86],[-7.885,41.889],[-7.887,41.926],[-7.907,41.926],[-7.921,41.881],[-7.948,41.871],[-7.97,41.876],[-7.988,41.868],[-8.013,41.829],[-8.04,41.829],[-8.058,41.816],[-8.094,41.808],[-8.13,41.808],[-8.166,41.818],[-8.162,41.862],[-8.171,41.879],[-8.2,41.873],[-8.218,41.913],[-8.189,41.947],[-8.175,41.955],[-8.164,41.983],[-8.141,41.989],[-8.13,42.004],[-8.085,42.017],[-8.085,42.048],[-8.096,42.072],[-8.119,42.083],[-8.15,42.08],[-8.182,42.065],[-8.198,42.154]]]}},
+    {"type":"Feature","properties":{"codigo":"33","nombre":"Asturias","km2":10585},"geometry":{"type":"Polygon","coordinates":[[[-7.033,43.545],[-7.03,43.556],[-6.974,43.556],[-6.949,43.573],[-6.913,43.573],[-6.875,43.563],[-6.871,43.568],[-6.828,43.566],[-6.81,43.555],[-6.785,43.556],[-6.767,43.569],[-6.758,43.561],[-6.733,43.565],[-6.724,43.556],[-6.709,43.565],[-6.684,43.558],[-6.659,43.568],[-6.628,43.569],[-6.589,43.553],[-6.58,43.556],[-6.524,43.55],[-6.472,43.552],[-6.47,43.571],[-6.43,43.553],[-6.396,43.56],[-6.371,43.552],[-6.333,43.561],[-6.306,43.563],[-6.243,43.59],[-6.205,43.574],[-6.189,43.579],[-6.191,43.566],[-6.171,43.569],[-6.113,43.555],[-6.068,43.566],[-6.023,43.586],[-6.011,43.581],[-5.96,43.579],[-5.942,43.589],[-5.948,43.597],[-5.915,43.61],[-5.915,43.624],[-5.888,43.623],[-5.858,43.641],[-5.858,43.657],[-5.843,43.657],[-5.827,43.639],[-5.784,43.631],[-5.791,43.615],[-5.755,43.582],[-5.735,43.574],[-5.701,43.568],[-5.694,43.547],[-5.647,43.542],[-5.618,43.558],[-5.6,43.548],[-5.519,43.552],[-5.496,43.545],[-5.469,43.552],[-5.413,43.555],[-5.386,43.535],[-5.301,43.535],[-5.267,43.519],[-5.269,43.51],[-5.226,43.487],[-5.215,43.474],[-5.13,43.484],[-5.116,43.477],[-5.087,43.476],[-5.071,43.466],[-5.013,43.458],[-4.975,43.463],[-4.936,43.46],[-4.885,43.448],[-4.871,43.442],[-4.842,43.445],[-4.824,43.435],[-4.765,43.429],[-4.743,43.418],[-4.68,43.409],[-4.653,43.401],[-4.579,43.398],[-4.567,43.392],[-4.545,43.4],[-4.514,43.393],[-4.511,43.382],[-4.534,43.367],[-4.536,43.343],[-4.523,43.338],[-4.523,43.28],[-4.538,43.269],[-4.549,43.285],[-4.608,43.296],[-4.637,43.274],[-4.633,43.267],[-4.705,43.266],[-4.729,43.256],[-4.72,43.23],[-4.736,43.209],[-4.734,43.188],[-4.754,43.183],[-4.779,43.191],[-4.824,43.178],[-4.842,43.18],[-4.84,43.19],[-4.86,43.206],[-4.871,43.229],[-4.896,43.238],[-4.921,43.227],[-4.943,43.225],[-4.997,43.185],[-4.997,43.17],[-5.022,43.183],[-5.04,43.185],[-5.06,43.174],[-5.076,43.178],[-5.076,43.167],[-5.094,43.145],[-5.103,43.103],[-5.141,43.103],[-5.148,43.115],[-5.168,43.103],[-5.188,43.099],[-5.22,43.083],[-5.269,43.088],[-5.283,43.077],[-5.312,43.085],[-5.341,43.083],[-5.343,43.094],[-5.384,43.088],[-5.391,43.049],[-5.449,43.056],[-5.481,43.054],[-5.494,43.022],[-5.505,43.028],[-5.539,43.018],[-5.566,43.022],[-5.575,43.031],[-5.629,43.033],[-5.688,43.057],[-5.728,43.043],[-5.735,43.022],[-5.766,42.986],[-5.76,42.973],[-5.805,42.962],[-5.843,42.964],[-5.861,42.981],[-5.888,42.98],[-5.888,42.994],[-5.906,42.991],[-5.933,43.01],[-5.955,43.017],[-5.969,43.041],[-5.962,43.052],[-5.973,43.065],[-6.016,43.054],[-6.081,43.077],[-6.092,43.067],[-6.097,43.031],[-6.137,43.022],[-6.151,43.035],[-6.189,43.049],[-6.216,43.048],[-6.23,43.022],[-6.227,43.009],[-6.263,43.015],[-6.284,43.035],[-6.295,43.027],[-6.329,43.031],[-6.331,43.043],[-6.358,43.057],[-6.374,43.041],[-6.396,43.038],[-6.394,43.017],[-6.412,43.015],[-6.407,42.999],[-6.446,42.983],[-6.477,42.993],[-6.468,42.967],[-6.434,42.964],[-6.441,42.949],[-6.432,42.939],[-6.477,42.934],[-6.49,42.92],[-6.511,42.928],[-6.542,42.912],[-6.58,42.918],[-6.607,42.917],[-6.612,42.925],[-6.691,42.922],[-6.722,42.917],[-6.756,42.883],[-6.774,42.883],[-6.772,42.899],[-6.823,42.915],[-6.841,42.928],[-6.837,42.957],[-6.882,42.991],[-6.909,42.989],[-6.94,43.012],[-6.947,43.033],[-6.965,43.027],[-6.963,42.991],[-6.997,43.02],[-6.983,43.041],[-6.972,43.03],[-6.97,43.057],[-6.952,43.075],[-6.922,43.082],[-6.916,43.073],[-6.895,43.091],[-6.871,43.091],[-6.866,43.101],[-6.828,43.124],[-6.821,43.143],[-6.839,43.166],[-6.875,43.187],[-6.886,43.157],[-6.902,43.156],[-6.938,43.133],[-6.958,43.135],[-6.981,43.167],[-6.965,43.19],[-6.972,43.204],[-7.001,43.208],[-7.01,43.224],[-7.019,43.214],[-7.062,43.245],[-7.071,43.267],[-7.064,43.301],[-7.102,43.304],[-7.116,43.327],[-7.131,43.33],[-7.127,43.372],[-7.138,43.384],[-7.158,43.374],[-7.176,43.382],[-7.17,43.408],[-7.172,43.43],[-7.143,43.43],[-7.127,43.424],[-7.098,43.434],[-7.091,43.455],[-7.046,43.477],[-7.046,43.508],[-7.033,43.545]]]}},
+    {"type":"Feature","properties":{"codigo":"34","nombre":"Palencia","km2":8035},"geometry":{"type":"MultiPolygon","coordinates":[[[[-5.002,42.29],[-4.975,42.288],[-4.954,42.296],[-4.943,42.327],[-4.943,42.346],[-4.979,42.338],[-4.972,42.374],[-4.945,42.377],[-4.934,42.385],[-4.912,42.382],[-4.914,42.414],[-4.905,42.424],[-4.925,42.437],[-4.9,42.451],[-4.889,42.5],[-4.887,42.537],[-4.914,42.545],[-4.903,42.577],[-4.905,42.603],[-4.894,42.624],[-4.898,42.674],[-4.891,42.692],[-4.871,42.708],[-4.891,42.723],[-4.916,42.721],[-4.918,42.734],[-4.936,42.744],[-4.909,42.779],[-4.896,42.786],[-4.903,42.808],[-4.889,42.841],[-4.898,42.863],[-4.867,42.86],[-4.855,42.892],[-4.813,42.925],[-4.804,42.949],[-4.808,42.968],[-4.795,42.986],[-4.768,43.002],[-4.756,43.015],[-4.738,43.022],[-4.716,43.018],[-4.684,43.027],[-4.639,43.017],[-4.606,43.035],[-4.558,43.018],[-4.52,43.048],[-4.475,43.038],[-4.462,43.061],[-4.433,43.046],[-4.399,43.035],[-4.374,42.994],[-4.347,42.972],[-4.262,42.965],[-4.239,42.954],[-4.237,42.917],[-4.223,42.863],[-4.199,42.844],[-4.149,42.871],[-4.127,42.857],[-4.145,42.829],[-4.158,42.838],[-4.185,42.817],[-4.151,42.789],[-4.124,42.794],[-4.097,42.791],[-4.082,42.762],[-4.109,42.734],[-4.124,42.736],[-4.124,42.752],[-4.145,42.754],[-4.185,42.736],[-4.219,42.705],[-4.257,42.689],[-4.266,42.705],[-4.293,42.691],[-4.275,42.673],[-4.277,42.644],[-4.268,42.632],[-4.273,42.616],[-4.293,42.605],[-4.284,42.581],[-4.304,42.569],[-4.3,42.553],[-4.277,42.545],[-4.273,42.519],[-4.246,42.493],[-4.25,42.479],[-4.244,42.456],[-4.271,42.453],[-4.318,42.459],[-4.336,42.43],[-4.331,42.392],[-4.322,42.38],[-4.293,42.388],[-4.273,42.385],[-4.28,42.364],[-4.264,42.353],[-4.271,42.343],[-4.262,42.309],[-4.253,42.309],[-4.241,42.269],[-4.232,42.256],[-4.228,42.228],[-4.232,42.209],[-4.214,42.206],[-4.192,42.182],[-4.19,42.165],[-4.205,42.154],[-4.205,42.135],[-4.187,42.127],[-4.154,42.132],[-4.142,42.12],[-4.12,42.128],[-4.104,42.109],[-4.057,42.101],[-4.077,42.083],[-4.102,42.086],[-4.104,42.062],[-4.079,42.036],[-4.048,42.039],[-4.046,42.051],[-3.983,42.051],[-3.971,42.033],[-3.994,42.005],[-4.014,41.999],[-4.03,41.976],[-4.032,41.954],[-3.992,41.96],[-3.956,41.981],[-3.911,41.997],[-3.891,41.997],[-3.893,41.957],[-3.935,41.957],[-3.951,41.936],[-3.98,41.931],[-3.98,41.9],[-4.037,41.873],[-4.061,41.876],[-4.088,41.871],[-4.079,41.849],[-4.091,41.831],[-4.039,41.791],[-4.041,41.768],[-4.1,41.774],[-4.122,41.807],[-4.151,41.799],[-4.194,41.804],[-4.214,41.8],[-4.237,41.812],[-4.259,41.805],[-4.286,41.774],[-4.307,41.776],[-4.318,41.763],[-4.388,41.787],[-4.403,41.783],[-4.444,41.758],[-4.502,41.771],[-4.493,41.781],[-4.487,41.82],[-4.471,41.841],[-4.509,41.833],[-4.52,41.823],[-4.549,41.831],[-4.565,41.813],[-4.59,41.837],[-4.603,41.839],[-4.633,41.863],[-4.637,41.888],[-4.669,41.9],[-4.7,41.888],[-4.727,41.868],[-4.727,41.855],[-4.759,41.826],[-4.79,41.818],[-4.815,41.863],[-4.833,41.881],[-4.837,41.899],[-4.862,41.918],[-4.869,41.931],[-4.889,41.933],[-4.912,41.915],[-4.927,41.915],[-4.95,41.934],[-4.986,41.913],[-5.004,41.938],[-4.995,41.962],[-4.977,41.973],[-4.966,42.007],[-4.936,42.018],[-4.95,42.051],[-4.927,42.073],[-4.905,42.078],[-4.918,42.091],[-4.93,42.119],[-4.927,42.151],[-4.966,42.151],[-4.988,42.144],[-5.026,42.154],[-5.031,42.174],[-5.013,42.19],[-5.024,42.22],[-5.011,42.228],[-5.02,42.254],[-5.002,42.29]]],[[[-4.095,42.141],[-4.111,42.143],[-4.111,42.159],[-4.077,42.167],[-4.059,42.136],[-4.095,42.141]]],[[[-4.001,42.77],[-4.003,42.763],[-4.046,42.766],[-4.043,42.789],[-4.014,42.807],[-4.021,42.82],[-4.003,42.831],[-3.996,42.786],[-4.001,42.77]]],[[[-4.113,42.817],[-4.106,42.828],[-4.088,42.818],[-4.102,42.794],[-4.113,42.817]]]]}},
+    {"type":"Feature","properties":{"codigo":"35","nombre":"Las Palmas","km2":4082},"geometry":{"type":"MultiPolygon","coordinates":[[[[-15.379,27.932],[-15.393,27.885],[-15.386,27.857],[-15.413,27.848],[-15.422,27.811],[-15.44,27.801],[-15.487,27.793],[-15.563,27.759],[-15.568,27.74],[-15.599,27.735],[-15.62,27.749],[-15.629,27.744],[-15.66,27.757],[-15.674,27.749],[-15.689,27.772],[-15.725,27.788],[-15.786,27.835],[-15.818,27.893],[-15.833,27.911],[-15.829,27.95],[-15.833,27.975],[-15.818,28.004],[-15.822,28.013],[-15.791,28.019],[-15.766,28.046],[-15.739,28.055],[-15.707,28.09],[-15.714,28.103],[-15.696,28.151],[-15.71,28.166],[-15.683,28.169],[-15.665,28.158],[-15.638,28.172],[-15.613,28.148],[-15.579,28.143],[-15.543,28.148],[-15.53,28.155],[-15.478,28.137],[-15.469,28.126],[-15.446,28.13],[-15.431,28.145],[-15.442,28.163],[-15.422,28.181],[-15.404,28.174],[-15.413,28.129],[-15.428,28.147],[-15.428,28.126],[-15.411,28.098],[-15.42,28.063],[-15.415,28.048],[-15.388,28.029],[-15.368,27.992],[-15.384,27.967],[-15.379,27.946],[-15.361,27.937],[-15.379,27.932]]],[[[-14.36,28.048],[-14.41,28.058],[-14.477,28.077],[-14.504,28.072],[-14.493,28.084],[-14.5,28.1],[-14.43,28.101],[-14.383,28.114],[-14.315,28.145],[-14.245,28.195],[-14.223,28.216],[-14.209,28.26],[-14.214,28.287],[-14.203,28.329],[-14.176,28.347],[-14.162,28.373],[-14.162,28.392],[-14.151,28.429],[-14.126,28.457],[-14.102,28.476],[-14.075,28.525],[-14.068,28.551],[-14.034,28.593],[-14.039,28.612],[-14.009,28.677],[-14.018,28.694],[-14.018,28.715],[-13.976,28.735],[-13.958,28.735],[-13.926,28.751],[-13.915,28.744],[-13.89,28.757],[-13.868,28.746],[-13.868,28.736],[-13.845,28.728],[-13.832,28.694],[-13.834,28.675],[-13.823,28.593],[-13.829,28.583],[-13.827,28.552],[-13.838,28.542],[-13.843,28.504],[-13.863,28.494],[-13.868,28.481],[-13.856,28.46],[-13.863,28.439],[-13.852,28.425],[-13.852,28.394],[-13.863,28.386],[-13.879,28.337],[-13.895,28.324],[-13.904,28.297],[-13.897,28.289],[-13.926,28.242],[-13.949,28.227],[-13.989,28.227],[-14.009,28.21],[-14.072,28.202],[-14.153,28.182],[-14.158,28.176],[-14.2,28.172],[-14.223,28.163],[-14.25,28.118],[-14.302,28.074],[-14.326,28.046],[-14.36,28.048]]],[[[-13.823,28.738],[-13.836,28.753],[-13.814,28.765],[-13.823,28.738]]],[[[-13.701,28.917],[-13.735,28.908],[-13.753,28.874],[-13.787,28.838],[-13.793,28.854],[-13.829,28.862],[-13.877,28.859],[-13.881,28.885],[-13.829,28.93],[-13.834,28.99],[-13.814,29.034],[-13.753,29.079],[-13.71,29.079],[-13.663,29.113],[-13.658,29.124],[-13.631,29.118],[-13.604,29.135],[-13.584,29.134],[-13.562,29.118],[-13.539,29.124],[-13.523,29.142],[-13.521,29.171],[-13.497,29.218],[-13.47,29.239],[-13.42,29.202],[-13.429,29.155],[-13.447,29.147],[-13.463,29.116],[-13.447,29.092],[-13.47,29.034],[-13.463,29.024],[-13.485,28.992],[-13.494,28.993],[-13.55,28.958],[-13.6,28.948],[-13.616,28.93],[-13.645,28.919],[-13.701,28.917]]],[[[-13.488,29.249],[-13.521,29.219],[-13.544,29.219],[-13.546,29.232],[-13.526,29.242],[-13.523,29.266],[-13.508,29.291],[-13.483,29.279],[-13.472,29.266],[-13.488,29.249]]],[[[-13.523,29.412],[-13.505,29.417],[-13.49,29.404],[-13.508,29.384],[-13.53,29.386],[-13.523,29.412]]]]}},
+    {"type":"Feature","properties":{"codigo":"36","nombre":"Pontevedra","km2":4480},"geometry":{"type":"MultiPolygon","coordinates":[[[[-8.94,42.356],[-8.944,42.38],[-8.926,42.39],[-8.94,42.356]]],[[[-8.915,42.212],[-8.904,42.243],[-8.899,42.217],[-8.915,42.212]]],[[[-8.726,42.689],[-8.717,42.707],[-8.679,42.712],[-8.65,42.726],[-8.623,42.716],[-8.605,42.716],[-8.6,42.744],[-8.571,42.742],[-8.56,42.755],[-8.517,42.752],[-8.494,42.757],[-8.472,42.744],[-8.431,42.745],[-8.407,42.757],[-8.416,42.765],[-8.391,42.789],[-8.355,42.779],[-8.333,42.796],[-8.333,42.829],[-8.346,42.833],[-8.317,42.846],[-8.299,42.82],[-8.274,42.813],[-8.276,42.821],[-8.254,42.836],[-8.211,42.823],[-8.22,42.846],[-8.202,42.846],[-8.184,42.86],[-8.139,42.844],[-8.121,42.85],[-8.117,42.841],[-8.09,42.854],[-8.072,42.852],[-8.063,42.836],[-8.045,42.833],[-8.027,42.847],[-8.0,42.849],[-7.984,42.842],[-7.968,42.849],[-7.957,42.839],[-7.979,42.812],[-7.982,42.787],[-7.952,42.754],[-7.925,42.736],[-7.903,42.734],[-7.874,42.72],[-7.862,42.707],[-7.892,42.678],[-7.887,42.661],[-7.892,42.629],[-7.912,42.592],[-7.93,42.579],[-7.961,42.568],[-7.993,42.573],[-8.018,42.542],[-8.049,42.555],[-8.06,42.548],[-8.092,42.556],[-8.137,42.555],[-8.146,42.548],[-8.173,42.573],[-8.218,42.534],[-8.238,42.539],[-8.272,42.521],[-8.303,42.49],[-8.342,42.492],[-8.353,42.48],[-8.342,42.466],[-8.339,42.434],[-8.315,42.38],[-8.324,42.369],[-8.312,42.343],[-8.285,42.319],[-8.263,42.316],[-8.272,42.28],[-8.265,42.253],[-8.234,42.233],[-8.204,42.245],[-8.166,42.246],[-8.166,42.22],[-8.191,42.212],[-8.175,42.204],[-8.175,42.185],[-8.162,42.182],[-8.182,42.157],[-8.198,42.154],[-8.225,42.133],[-8.245,42.14],[-8.258,42.122],[-8.274,42.123],[-8.303,42.104],[-8.324,42.101],[-8.333,42.083],[-8.371,42.088],[-8.382,42.077],[-8.404,42.08],[-8.431,42.073],[-8.443,42.083],[-8.524,42.078],[-8.524,42.064],[-8.546,42.054],[-8.593,42.057],[-8.629,42.051],[-8.659,42.03],[-8.661,42.004],[-8.677,41.993],[-8.715,41.98],[-8.744,41.965],[-8.755,41.934],[-8.785,41.917],[-8.818,41.907],[-8.857,41.875],[-8.872,41.87],[-8.881,41.883],[-8.875,41.899],[-8.886,41.917],[-8.888,41.978],[-8.881,42.004],[-8.888,42.015],[-8.886,42.051],[-8.897,42.067],[-8.893,42.083],[-8.902,42.112],[-8.881,42.111],[-8.863,42.122],[-8.834,42.112],[-8.823,42.117],[-8.823,42.143],[-8.85,42.149],[-8.818,42.162],[-8.816,42.188],[-8.78,42.204],[-8.764,42.23],[-8.74,42.227],[-8.726,42.243],[-8.713,42.241],[-8.704,42.259],[-8.677,42.264],[-8.668,42.279],[-8.647,42.29],[-8.629,42.285],[-8.614,42.298],[-8.623,42.309],[-8.611,42.329],[-8.611,42.346],[-8.627,42.351],[-8.645,42.337],[-8.636,42.327],[-8.663,42.311],[-8.652,42.298],[-8.69,42.28],[-8.713,42.279],[-8.719,42.29],[-8.767,42.259],[-8.785,42.262],[-8.789,42.248],[-8.816,42.259],[-8.825,42.251],[-8.863,42.269],[-8.859,42.304],[-8.823,42.275],[-8.818,42.308],[-8.834,42.342],[-8.8,42.338],[-8.791,42.327],[-8.753,42.345],[-8.74,42.374],[-8.706,42.398],[-8.699,42.395],[-8.656,42.426],[-8.681,42.421],[-8.69,42.438],[-8.713,42.422],[-8.742,42.414],[-8.771,42.39],[-8.816,42.4],[-8.839,42.384],[-8.866,42.411],[-8.881,42.416],[-8.872,42.434],[-8.884,42.455],[-8.942,42.464],[-8.933,42.479],[-8.913,42.476],[-8.89,42.482],[-8.881,42.5],[-8.863,42.498],[-8.857,42.472],[-8.872,42.461],[-8.868,42.448],[-8.832,42.458],[-8.821,42.451],[-8.832,42.482],[-8.818,42.501],[-8.814,42.529],[-8.83,42.518],[-8.827,42.54],[-8.836,42.552],[-8.83,42.576],[-8.809,42.576],[-8.769,42.607],[-8.778,42.615],[-8.728,42.666],[-8.726,42.689]]],[[[-8.872,42.526],[-8.881,42.534],[-8.87,42.556],[-8.888,42.568],[-8.877,42.574],[-8.859,42.558],[-8.872,42.526]]]]}},
+    {"type":"Feature","properties":{"codigo":"37","nombre":"Salamanca","km2":12331},"geometry":{"type":"Polygon","coordinates":[[[-6.479,41.295],[-6.466,41.287],[-6.414,41.275],[-6.371,41.287],[-6.347,41.272],[-6.317,41.27],[-6.299,41.257],[-6.268,41.256],[-6.225,41.228],[-6.135,41.19],[-6.11,41.212],[-6.074,41.211],[-6.061,41.22],[-6.047,41.209],[-6.009,41.201],[-6.027,41.175],[-6.023,41.156],[-6.002,41.152],[-5.984,41.173],[-5.973,41.172],[-5.964,41.146],[-5.951,41.14],[-5.935,41.151],[-5.933,41.165],[-5.915,41.18],[-5.921,41.219],[-5.897,41.238],[-5.836,41.22],[-5.809,41.225],[-5.791,41.215],[-5.764,41.215],[-5.751,41.225],[-5.701,41.235],[-5.679,41.232],[-5.656,41.245],[-5.634,41.228],[-5.629,41.214],[-5.589,41.203],[-5.573,41.215],[-5.557,41.214],[-5.496,41.177],[-5.487,41.18],[-5.485,41.146],[-5.469,41.157],[-5.476,41.178],[-5.442,41.185],[-5.409,41.186],[-5.397,41.164],[-5.402,41.148],[-5.384,41.135],[-5.357,41.141],[-5.33,41.117],[-5.298,41.127],[-5.289,41.182],[-5.289,41.196],[-5.253,41.199],[-5.229,41.19],[-5.217,41.159],[-5.179,41.167],[-5.125,41.131],[-5.13,41.106],[-5.148,41.093],[-5.152,41.064],[-5.146,41.044],[-5.107,41.03],[-5.089,40.997],[-5.105,40.96],[-5.128,40.949],[-5.112,40.915],[-5.139,40.894],[-5.164,40.868],[-5.168,40.841],[-5.157,40.824],[-5.177,40.805],[-5.179,40.794],[-5.22,40.773],[-5.215,40.758],[-5.249,40.744],[-5.294,40.71],[-5.328,40.705],[-5.332,40.695],[-5.379,40.676],[-5.386,40.663],[-5.366,40.648],[-5.377,40.644],[-5.384,40.621],[-5.447,40.579],[-5.499,40.582],[-5.501,40.597],[-5.517,40.582],[-5.526,40.54],[-5.512,40.548],[-5.431,40.568],[-5.427,40.556],[-5.433,40.534],[-5.447,40.521],[-5.46,40.474],[-5.481,40.456],[-5.51,40.459],[-5.514,40.424],[-5.546,40.424],[-5.575,40.445],[-5.559,40.464],[-5.562,40.477],[-5.591,40.467],[-5.634,40.461],[-5.645,40.446],[-5.692,40.422],[-5.679,40.387],[-5.685,40.356],[-5.674,40.348],[-5.708,40.33],[-5.737,40.295],[-5.764,40.28],[-5.793,40.286],[-5.802,40.298],[-5.782,40.312],[-5.796,40.351],[-5.816,40.351],[-5.847,40.328],[-5.849,40.338],[-5.894,40.319],[-5.903,40.295],[-5.921,40.282],[-5.937,40.282],[-6.005,40.306],[-6.02,40.322],[-6.016,40.34],[-6.054,40.341],[-6.097,40.356],[-6.086,40.361],[-6.088,40.377],[-6.068,40.398],[-6.128,40.421],[-6.119,40.442],[-6.149,40.437],[-6.155,40.458],[-6.178,40.463],[-6.2,40.484],[-6.241,40.485],[-6.254,40.471],[-6.295,40.451],[-6.333,40.448],[-6.365,40.422],[-6.376,40.4],[-6.419,40.4],[-6.439,40.374],[-6.464,40.372],[-6.535,40.348],[-6.56,40.328],[-6.565,40.314],[-6.556,40.291],[-6.587,40.27],[-6.673,40.264],[-6.691,40.243],[-6.718,40.269],[-6.756,40.246],[-6.781,40.249],[-6.801,40.243],[-6.837,40.249],[-6.864,40.27],[-6.864,40.296],[-6.819,40.325],[-6.79,40.335],[-6.794,40.356],[-6.781,40.364],[-6.821,40.396],[-6.839,40.414],[-6.85,40.451],[-6.812,40.505],[-6.796,40.511],[-6.805,40.54],[-6.801,40.55],[-6.846,40.566],[-6.839,40.593],[-6.821,40.611],[-6.794,40.661],[-6.814,40.708],[-6.81,40.716],[-6.83,40.742],[-6.826,40.786],[-6.817,40.797],[-6.823,40.845],[-6.801,40.849],[-6.81,40.883],[-6.839,40.891],[-6.848,40.902],[-6.848,40.923],[-6.859,40.95],[-6.875,40.96],[-6.909,40.999],[-6.922,41.002],[-6.931,41.03],[-6.92,41.038],[-6.868,41.026],[-6.835,41.028],[-6.81,41.036],[-6.754,41.104],[-6.772,41.123],[-6.767,41.135],[-6.709,41.173],[-6.693,41.193],[-6.693,41.207],[-6.648,41.248],[-6.63,41.243],[-6.587,41.253],[-6.585,41.241],[-6.551,41.246],[-6.547,41.257],[-6.517,41.275],[-6.499,41.266],[-6.479,41.277],[-6.49,41.285],[-6.479,41.295]]]}},
+    {"type":"Feature","properties":{"codigo":"38","nombre":"Santa Cruz de Tenerife","km2":3381},"geometry":{"type":"MultiPolygon","coordinates":[[[[-17.961,27.693],[-17.972,27.672],[-17.97,27.649],[-17.986,27.638],[-18.01,27.649],[-18.028,27.676],[-18.051,27.693],[-18.125,27.706],[-18.145,27.704],[-18.161,27.717],[-18.152,27.731],[-18.152,27.761],[-18.132,27.772],[-18.105,27.757],[-18.064,27.754],[-18.04,27.762],[-17.997,27.791],[-17.986,27.807],[-17.992,27.822],[-17.954,27.841],[-17.918,27.848],[-17.894,27.832],[-17.882,27.812],[-17.925,27.746],[-17.932,27.728],[-17.957,27.72],[-17.961,27.693]]],[[[-17.918,28.593],[-17.939,28.639],[-17.963,28.668],[-17.981,28.728],[-18.001,28.753],[-18.006,28.777],[-17.995,28.796],[-17.979,28.804],[-17.968,28.825],[-17.921,28.858],[-17.896,28.843],[-17.858,28.833],[-17.808,28.843],[-17.779,28.838],[-17.759,28.804],[-17.759,28.786],[-17.725,28.743],[-17.732,28.72],[-17.745,28.712],[-17.77,28.677],[-17.75,28.62],[-17.756,28.614],[-17.761,28.57],[-17.788,28.544],[-17.797,28.518],[-17.817,28.494],[-17.833,28.458],[-17.858,28.46],[-17.876,28.491],[-17.88,28.541],[-17.9,28.573],[-17.918,28.593]]],[[[-17.329,28.08],[-17.349,28.098],[-17.34,28.132],[-17.347,28.148],[-17.318,28.203],[-17.275,28.218],[-17.259,28.218],[-17.244,28.2],[-17.201,28.2],[-17.176,28.177],[-17.118,28.151],[-17.104,28.129],[-17.1,28.095],[-17.154,28.055],[-17.167,28.037],[-17.199,28.024],[-17.228,28.027],[-17.244,28.021],[-17.271,28.025],[-17.273,28.035],[-17.32,28.061],[-17.329,28.08]]],[[[-16.639,28.008],[-16.666,28.008],[-16.679,27.998],[-16.708,28.011],[-16.71,28.046],[-16.737,28.055],[-16.74,28.088],[-16.769,28.109],[-16.794,28.14],[-16.805,28.171],[-16.834,28.202],[-16.845,28.239],[-16.839,28.255],[-16.861,28.287],[-16.881,28.303],[-16.904,28.339],[-16.92,28.342],[-16.917,28.36],[-16.87,28.371],[-16.83,28.394],[-16.809,28.376],[-16.755,28.374],[-16.681,28.391],[-16.675,28.4],[-16.652,28.395],[-16.603,28.394],[-16.555,28.418],[-16.522,28.418],[-16.504,28.425],[-16.497,28.439],[-16.477,28.441],[-16.474,28.454],[-16.429,28.489],[-16.423,28.518],[-16.378,28.547],[-16.366,28.546],[-16.333,28.557],[-16.33,28.576],[-16.299,28.568],[-16.274,28.578],[-16.225,28.565],[-16.193,28.572],[-16.157,28.589],[-16.135,28.581],[-16.121,28.552],[-16.144,28.521],[-16.155,28.523],[-16.22,28.489],[-16.236,28.486],[-16.254,28.45],[-16.267,28.449],[-16.319,28.4],[-16.328,28.402],[-16.355,28.383],[-16.369,28.355],[-16.36,28.32],[-16.362,28.307],[-16.384,28.284],[-16.387,28.265],[-16.425,28.202],[-16.42,28.198],[-16.434,28.156],[-16.425,28.151],[-16.463,28.119],[-16.492,28.082],[-16.542,28.043],[-16.546,28.025],[-16.56,28.032],[-16.596,28.029],[-16.639,28.008]]]]}},
+    {"type":"Feature","properties":{"codigo":"39","nombre":"Cantabria","km2":5335},"geometry":{"type":"MultiPolygon","coordinates":[[[[-4.738,43.022],[-4.734,43.048],[-4.765,43.056],[-4.768,43.075],[-4.833,43.103],[-4.851,43.127],[-4.835,43.157],[-4.851,43.172],[-4.842,43.18],[-4.824,43.178],[-4.779,43.191],[-4.754,43.183],[-4.734,43.188],[-4.736,43.209],[-4.72,43.23],[-4.729,43.256],[-4.705,43.266],[-4.633,43.267],[-4.637,43.274],[-4.608,43.296],[-4.549,43.285],[-4.538,43.269],[-4.523,43.28],[-4.523,43.338],[-4.536,43.343],[-4.534,43.367],[-4.511,43.382],[-4.514,43.393],[-4.491,43.397],[-4.473,43.39],[-4.444,43.398],[-4.372,43.393],[-4.338,43.405],[-4.329,43.392],[-4.28,43.388],[-4.232,43.4],[-4.217,43.397],[-4.111,43.419],[-4.082,43.439],[-4.077,43.43],[-4.023,43.442],[-3.998,43.44],[-3.958,43.456],[-3.944,43.469],[-3.875,43.481],[-3.864,43.476],[-3.812,43.495],[-3.785,43.492],[-3.771,43.468],[-3.81,43.456],[-3.816,43.437],[-3.803,43.426],[-3.816,43.408],[-3.78,43.424],[-3.792,43.43],[-3.769,43.448],[-3.744,43.448],[-3.776,43.46],[-3.733,43.46],[-3.706,43.479],[-3.681,43.479],[-3.645,43.498],[-3.612,43.5],[-3.596,43.513],[-3.578,43.506],[-3.549,43.51],[-3.54,43.493],[-3.513,43.492],[-3.513,43.477],[-3.472,43.466],[-3.432,43.463],[-3.425,43.445],[-3.461,43.439],[-3.465,43.405],[-3.45,43.435],[-3.423,43.413],[-3.371,43.418],[-3.366,43.411],[-3.326,43.416],[-3.276,43.403],[-3.256,43.403],[-3.22,43.393],[-3.211,43.376],[-3.196,43.372],[-3.162,43.351],[-3.153,43.353],[-3.151,43.319],[-3.157,43.301],[-3.193,43.298],[-3.209,43.283],[-3.265,43.296],[-3.292,43.29],[-3.294,43.301],[-3.324,43.293],[-3.344,43.295],[-3.339,43.279],[-3.382,43.271],[-3.4,43.246],[-3.45,43.237],[-3.434,43.206],[-3.434,43.18],[-3.418,43.133],[-3.508,43.136],[-3.544,43.148],[-3.585,43.154],[-3.603,43.149],[-3.612,43.169],[-3.65,43.18],[-3.677,43.154],[-3.684,43.136],[-3.704,43.119],[-3.729,43.104],[-3.756,43.101],[-3.758,43.086],[-3.789,43.078],[-3.81,43.086],[-3.848,43.085],[-3.832,43.064],[-3.85,43.041],[-3.888,43.043],[-3.908,43.017],[-3.944,43.007],[-3.967,42.985],[-3.989,42.931],[-3.974,42.912],[-3.926,42.904],[-3.924,42.915],[-3.891,42.925],[-3.888,42.949],[-3.868,42.955],[-3.83,42.93],[-3.839,42.917],[-3.852,42.92],[-3.868,42.899],[-3.9,42.904],[-3.893,42.888],[-3.913,42.859],[-3.879,42.85],[-3.868,42.857],[-3.875,42.875],[-3.864,42.889],[-3.825,42.868],[-3.834,42.852],[-3.816,42.836],[-3.823,42.799],[-3.864,42.786],[-3.895,42.805],[-3.911,42.786],[-3.911,42.768],[-3.931,42.775],[-3.947,42.762],[-3.978,42.758],[-4.001,42.77],[-3.996,42.786],[-4.003,42.831],[-4.021,42.82],[-4.014,42.807],[-4.043,42.789],[-4.046,42.766],[-4.082,42.762],[-4.097,42.791],[-4.124,42.794],[-4.151,42.789],[-4.185,42.817],[-4.158,42.838],[-4.145,42.829],[-4.127,42.857],[-4.149,42.871],[-4.199,42.844],[-4.223,42.863],[-4.237,42.917],[-4.239,42.954],[-4.262,42.965],[-4.347,42.972],[-4.374,42.994],[-4.399,43.035],[-4.433,43.046],[-4.462,43.061],[-4.475,43.038],[-4.52,43.048],[-4.558,43.018],[-4.606,43.035],[-4.639,43.017],[-4.684,43.027],[-4.716,43.018],[-4.738,43.022]],[[-4.113,42.817],[-4.102,42.794],[-4.088,42.818],[-4.106,42.828],[-4.113,42.817]]],[[[-3.276,43.264],[-3.25,43.259],[-3.252,43.246],[-3.27,43.233],[-3.265,43.206],[-3.285,43.198],[-3.297,43.206],[-3.294,43.243],[-3.303,43.258],[-3.276,43.264]]]]}},
+    {"type":"Feature","properties":{"codigo":"40","nombre":"Segovia","km2":6922},"geometry":{"type":"Polygon","coordinates":[[[-4.723,41.149],[-4.702,41.175],[-4.68,41.186],[-4.644,41.169],[-4.628,41.17],[-4.637,41.191],[-4.651,41.199],[-4.651,41.222],[-4.624,41.235],[-4.599,41.264],[-4.574,41.274],[-4.576,41.283],[-4.601,41.303],[-4.597,41.32],[-4.558,41.303],[-4.534,41.319],[-4.505,41.311],[-4.5,41.303],[-4.471,41.291],[-4.471,41.317],[-4.493,41.327],[-4.502,41.343],[-4.496,41.364],[-4.484,41.367],[-4.516,41.395],[-4.516,41.409],[-4.487,41.409],[-4.41,41.442],[-4.365,41.437],[-4.363,41.45],[-4.331,41.445],[-4.3,41.458],[-4.262,41.451],[-4.248,41.463],[-4.232,41.456],[-4.196,41.471],[-4.158,41.482],[-4.136,41.477],[-4.079,41.495],[-4.057,41.497],[-4.028,41.518],[-4.001,41.516],[-3.994,41.556],[-3.98,41.584],[-3.965,41.585],[-3.942,41.569],[-3.924,41.568],[-3.895,41.552],[-3.886,41.532],[-3.864,41.529],[-3.823,41.48],[-3.787,41.485],[-3.805,41.514],[-3.767,41.539],[-3.771,41.521],[-3.769,41.459],[-3.729,41.458],[-3.733,41.469],[-3.729,41.518],[-3.693,41.534],[-3.672,41.561],[-3.616,41.577],[-3.573,41.566],[-3.567,41.581],[-3.542,41.577],[-3.535,41.548],[-3.479,41.521],[-3.459,41.537],[-3.42,41.513],[-3.425,41.482],[-3.384,41.466],[-3.364,41.467],[-3.351,41.458],[-3.33,41.461],[-3.346,41.429],[-3.346,41.396],[-3.328,41.377],[-3.272,41.353],[-3.27,41.341],[-3.236,41.319],[-3.207,41.304],[-3.238,41.288],[-3.254,41.259],[-3.274,41.261],[-3.276,41.275],[-3.292,41.257],[-3.326,41.262],[-3.337,41.253],[-3.369,41.261],[-3.4,41.254],[-3.407,41.233],[-3.402,41.214],[-3.443,41.215],[-3.465,41.183],[-3.499,41.178],[-3.519,41.162],[-3.54,41.165],[-3.6,41.156],[-3.634,41.135],[-3.652,41.107],[-3.679,41.085],[-3.715,41.073],[-3.74,41.054],[-3.756,41.028],[-3.78,41.001],[-3.81,40.988],[-3.879,40.975],[-3.908,40.955],[-3.922,40.929],[-3.951,40.894],[-3.942,40.889],[-3.947,40.863],[-3.965,40.834],[-3.962,40.823],[-3.98,40.799],[-3.98,40.784],[-4.003,40.789],[-4.021,40.781],[-4.07,40.794],[-4.097,40.765],[-4.097,40.749],[-4.111,40.744],[-4.136,40.718],[-4.145,40.695],[-4.16,40.69],[-4.187,40.695],[-4.253,40.689],[-4.275,40.677],[-4.284,40.681],[-4.316,40.666],[-4.32,40.648],[-4.334,40.637],[-4.419,40.634],[-4.419,40.655],[-4.435,40.716],[-4.433,40.742],[-4.455,40.755],[-4.475,40.778],[-4.473,40.8],[-4.498,40.834],[-4.547,40.826],[-4.558,40.839],[-4.549,40.854],[-4.532,40.858],[-4.536,40.873],[-4.558,40.886],[-4.558,40.941],[-4.565,40.957],[-4.606,40.971],[-4.628,41.017],[-4.639,41.03],[-4.68,41.051],[-4.702,41.052],[-4.716,41.072],[-4.707,41.089],[-4.725,41.123],[-4.723,41.149]]]}},
+    {"type":"Feature","properties":{"codigo":"41","nombre":"Sevilla","km2":14016},"geometry":{"type":"Polygon","coordinates":[[[-6.331,36.898],[-6.378,36.934],[-6.365,36.945],[-6.353,36.986],[-6.358,37.002],[-6.38,37.049],[-6.387,37.075],[-6.383,37.091],[-6.344,37.12],[-6.36,37.139],[-6.335,37.17],[-6.351,37.181],[-6.344,37.218],[-6.36,37.236],[-6.333,37.299],[-6.344,37.312],[-6.385,37.338],[-6.347,37.365],[-6.362,37.375],[-6.356,37.412],[-6.313,37.419],[-6.306,37.437],[-6.333,37.464],[-6.34,37.485],[-6.356,37.496],[-6.376,37.546],[-6.389,37.551],[-6.403,37.58],[-6.396,37.611],[-6.443,37.624],[-6.495,37.619],[-6.515,37.626],[-6.529,37.616],[-6.538,37.627],[-6.535,37.651],[-6.526,37.664],[-6.502,37.669],[-6.488,37.698],[-6.472,37.71],[-6.475,37.726],[-6.45,37.719],[-6.389,37.748],[-6.311,37.764],[-6.279,37.758],[-6.252,37.763],[-6.245,37.74],[-6.216,37.745],[-6.205,37.766],[-6.216,37.792],[-6.185,37.81],[-6.16,37.79],[-6.133,37.79],[-6.124,37.805],[-6.131,37.832],[-6.144,37.857],[-6.162,37.857],[-6.16,37.873],[-6.126,37.905],[-6.144,37.92],[-6.167,37.908],[-6.185,37.928],[-6.18,37.941],[-6.119,37.981],[-6.095,37.981],[-6.032,37.997],[-6.007,37.991],[-5.993,37.999],[-5.953,37.996],[-5.933,38.033],[-5.935,38.047],[-5.919,38.05],[-5.908,38.068],[-5.928,38.088],[-5.912,38.123],[-5.881,38.133],[-5.876,38.155],[-5.838,38.175],[-5.825,38.17],[-5.782,38.186],[-5.755,38.181],[-5.728,38.197],[-5.688,38.181],[-5.706,38.164],[-5.694,38.151],[-5.715,38.134],[-5.742,38.126],[-5.733,38.088],[-5.694,38.084],[-5.634,38.138],[-5.584,38.131],[-5.582,38.115],[-5.557,38.109],[-5.539,38.094],[-5.539,38.083],[-5.496,38.042],[-5.49,38.029],[-5.494,37.999],[-5.469,37.971],[-5.451,37.966],[-5.415,37.942],[-5.424,37.928],[-5.413,37.899],[-5.42,37.894],[-5.404,37.863],[-5.35,37.844],[-5.339,37.834],[-5.35,37.795],[-5.33,37.779],[-5.31,37.774],[-5.312,37.753],[-5.305,37.721],[-5.312,37.698],[-5.325,37.692],[-5.337,37.706],[-5.361,37.698],[-5.375,37.679],[-5.391,37.698],[-5.404,37.693],[-5.413,37.674],[-5.409,37.659],[-5.393,37.656],[-5.411,37.642],[-5.382,37.611],[-5.359,37.606],[-5.357,37.585],[-5.323,37.614],[-5.276,37.624],[-5.233,37.651],[-5.177,37.68],[-5.15,37.661],[-5.137,37.668],[-5.107,37.663],[-5.114,37.689],[-5.13,37.698],[-5.107,37.7],[-5.094,37.676],[-5.089,37.695],[-5.047,37.718],[-4.999,37.706],[-4.984,37.679],[-4.954,37.653],[-4.966,37.611],[-4.941,37.621],[-4.932,37.616],[-4.934,37.587],[-4.932,37.546],[-4.948,37.521],[-4.934,37.521],[-4.903,37.467],[-4.876,37.451],[-4.885,37.438],[-4.84,37.435],[-4.851,37.411],[-4.826,37.378],[-4.815,37.378],[-4.822,37.359],[-4.781,37.328],[-4.765,37.338],[-4.747,37.331],[-4.729,37.336],[-4.716,37.359],[-4.68,37.335],[-4.675,37.302],[-4.68,37.289],[-4.662,37.283],[-4.653,37.256],[-4.691,37.252],[-4.72,37.26],[-4.736,37.244],[-4.718,37.239],[-4.732,37.226],[-4.727,37.21],[-4.709,37.197],[-4.761,37.176],[-4.786,37.155],[-4.828,37.186],[-4.824,37.201],[-4.853,37.199],[-4.858,37.173],[-4.876,37.159],[-4.898,37.155],[-4.905,37.175],[-4.939,37.176],[-4.943,37.157],[-4.903,37.138],[-4.909,37.115],[-4.93,37.1],[-4.952,37.094],[-4.979,37.068],[-5.033,37.049],[-5.056,37.033],[-5.083,37.031],[-5.112,37.02],[-5.123,37.028],[-5.143,37.004],[-5.164,36.981],[-5.206,36.962],[-5.235,36.941],[-5.274,36.991],[-5.303,37.02],[-5.303,37.037],[-5.337,37.012],[-5.346,36.997],[-5.393,36.973],[-5.411,36.957],[-5.413,36.941],[-5.438,36.936],[-5.454,36.962],[-5.451,36.983],[-5.436,36.991],[-5.42,37.013],[-5.433,37.052],[-5.46,37.042],[-5.51,37.034],[-5.494,37.012],[-5.469,36.992],[-5.481,36.973],[-5.512,36.958],[-5.526,36.937],[-5.55,36.921],[-5.535,36.894],[-5.584,36.915],[-5.586,36.947],[-5.607,36.95],[-5.618,36.941],[-5.627,36.955],[-5.649,36.955],[-5.665,36.976],[-5.694,36.957],[-5.697,36.936],[-5.717,36.92],[-5.764,36.926],[-5.807,36.924],[-5.845,36.915],[-5.876,36.895],[-5.894,36.852],[-5.89,36.842],[-5.926,36.853],[-5.962,36.852],[-5.973,36.844],[-6.106,36.858],[-6.158,36.886],[-6.232,36.898],[-6.259,36.895],[-6.279,36.91],[-6.331,36.898]],[[-5.024,37.593],[-5.033,37.624],[-5.031,37.642],[-5.047,37.632],[-5.053,37.642],[-5.085,37.643],[-5.04,37.626],[-5.049,37.608],[-5.031,37.611],[-5.024,37.593]]]}},
+    {"type":"Feature","properties":{"codigo":"42","nombre":"Soria","km2":10292},"geometry":{"type":"Polygon","coordinates":[[[-3.207,41.304],[-3.236,41.319],[-3.27,41.341],[-3.272,41.353],[-3.328,41.377],[-3.346,41.396],[-3.346,41.429],[-3.33,41.461],[-3.351,41.458],[-3.364,41.467],[-3.384,41.466],[-3.425,41.482],[-3.42,41.513],[-3.459,41.537],[-3.479,41.521],[-3.535,41.548],[-3.542,41.577],[-3.551,41.597],[-3.528,41.613],[-3.508,41.597],[-3.481,41.597],[-3.459,41.589],[-3.436,41.623],[-3.429,41.647],[-3.416,41.648],[-3.407,41.676],[-3.393,41.69],[-3.357,41.694],[-3.36,41.721],[-3.355,41.737],[-3.324,41.742],[-3.308,41.76],[-3.276,41.768],[-3.285,41.789],[-3.281,41.823],[-3.29,41.842],[-3.279,41.868],[-3.243,41.863],[-3.234,41.841],[-3.196,41.829],[-3.189,41.802],[-3.171,41.792],[-3.137,41.818],[-3.097,41.865],[-3.092,41.876],[-3.058,41.891],[-3.018,41.888],[-3.011,41.915],[-2.998,41.933],[-2.971,41.93],[-2.959,41.952],[-2.966,41.967],[-2.932,42.018],[-2.914,42.023],[-2.883,42.009],[-2.856,42.028],[-2.797,42.048],[-2.791,42.109],[-2.775,42.123],[-2.75,42.117],[-2.734,42.125],[-2.707,42.106],[-2.707,42.086],[-2.757,42.033],[-2.746,42.009],[-2.705,42.015],[-2.674,41.997],[-2.66,42.005],[-2.626,42.007],[-2.579,41.996],[-2.566,42.014],[-2.552,42.046],[-2.514,42.069],[-2.523,42.083],[-2.514,42.114],[-2.485,42.106],[-2.458,42.115],[-2.438,42.138],[-2.388,42.143],[-2.318,42.144],[-2.282,42.132],[-2.282,42.111],[-2.269,42.088],[-2.237,42.102],[-2.172,42.106],[-2.127,42.098],[-2.127,42.08],[-2.161,42.067],[-2.154,42.048],[-2.116,42.022],[-2.107,42.002],[-2.125,41.996],[-2.116,41.963],[-2.1,41.955],[-2.062,41.954],[-2.037,41.941],[-2.028,41.954],[-1.981,41.918],[-1.916,41.933],[-1.907,41.946],[-1.878,41.952],[-1.857,41.967],[-1.857,41.91],[-1.839,41.889],[-1.833,41.863],[-1.824,41.865],[-1.819,41.828],[-1.844,41.805],[-1.853,41.789],[-1.826,41.779],[-1.803,41.75],[-1.81,41.736],[-1.776,41.724],[-1.788,41.699],[-1.803,41.695],[-1.812,41.661],[-1.86,41.661],[-1.873,41.639],[-1.898,41.632],[-1.923,41.598],[-1.959,41.605],[-1.992,41.602],[-1.994,41.577],[-1.968,41.545],[-1.979,41.524],[-1.981,41.487],[-1.954,41.463],[-1.95,41.43],[-1.938,41.408],[-1.954,41.409],[-2.001,41.393],[-2.01,41.385],[-2.042,41.388],[-2.035,41.427],[-2.046,41.434],[-2.102,41.446],[-2.116,41.425],[-2.12,41.38],[-2.15,41.356],[-2.163,41.356],[-2.156,41.337],[-2.17,41.319],[-2.174,41.288],[-2.163,41.283],[-2.15,41.219],[-2.145,41.185],[-2.08,41.17],[-2.051,41.148],[-2.051,41.125],[-2.066,41.096],[-2.048,41.078],[-2.057,41.07],[-2.118,41.102],[-2.129,41.117],[-2.143,41.102],[-2.168,41.096],[-2.174,41.083],[-2.233,41.098],[-2.264,41.067],[-2.294,41.072],[-2.323,41.057],[-2.354,41.086],[-2.402,41.062],[-2.42,41.057],[-2.431,41.072],[-2.469,41.078],[-2.483,41.117],[-2.51,41.119],[-2.519,41.148],[-2.537,41.162],[-2.539,41.154],[-2.575,41.14],[-2.595,41.149],[-2.577,41.178],[-2.602,41.188],[-2.62,41.183],[-2.62,41.196],[-2.593,41.203],[-2.591,41.225],[-2.629,41.215],[-2.647,41.24],[-2.669,41.236],[-2.71,41.253],[-2.716,41.275],[-2.761,41.274],[-2.775,41.249],[-2.82,41.257],[-2.867,41.275],[-2.876,41.322],[-2.908,41.327],[-2.941,41.314],[-2.944,41.298],[-3.007,41.285],[-3.018,41.29],[-3.063,41.274],[-3.108,41.288],[-3.207,41.304]]]}},
+    {"type":"Feature","properties":{"codigo":"43","nombre":"Tarragona","km2":6299},"geometry":{"type":"Polygon","coordinates":[[[0.516,40.522],[0.459,40.537],[0.437,40.55],[0.43,40.579],[0.39,40.606],[0.36,40.606],[0.315,40.614],[0.279,40.631],[0.266,40.645],[0.268,40.658],[0.293,40.687],[0.261,40.707],[0.239,40.702],[0.225,40.732],[0.198,40.724],[0.171,40.732],[0.176,40.755],[0.189,40.75],[0.212,40.768],[0.23,40.768],[0.234,40.787],[0.257,40.8],[0.279,40.821],[0.25,40.855],[0.255,40.873],[0.239,40.884],[0.261,40.928],[0.275,40.936],[0.284,40.965],[0.282,40.988],[0.259,41.015],[0.279,41.018],[0.252,41.033],[0.219,41.06],[0.221,41.072],[0.219,41.083],[0.201,41.085],[0.21,41.117],[0.201,41.125],[0.214,41.136],[0.25,41.13],[0.252,41.151],[0.273,41.149],[0.304,41.164],[0.322,41.225],[0.34,41.232],[0.365,41.227],[0.385,41.278],[0.432,41.277],[0.435,41.32],[0.462,41.335],[0.48,41.322],[0.502,41.29],[0.527,41.29],[0.554,41.327],[0.574,41.319],[0.596,41.293],[0.614,41.291],[0.695,41.314],[0.752,41.317],[0.763,41.335],[0.819,41.329],[0.83,41.359],[0.844,41.362],[0.864,41.338],[0.911,41.35],[0.965,41.356],[0.963,41.367],[0.981,41.392],[0.992,41.388],[1.006,41.406],[1.028,41.409],[1.049,41.437],[1.076,41.459],[1.037,41.48],[1.049,41.487],[1.04,41.501],[1.107,41.467],[1.132,41.477],[1.179,41.488],[1.163,41.513],[1.181,41.543],[1.211,41.548],[1.219,41.569],[1.294,41.566],[1.305,41.571],[1.372,41.566],[1.384,41.556],[1.404,41.558],[1.393,41.576],[1.42,41.582],[1.453,41.569],[1.431,41.556],[1.447,41.553],[1.449,41.537],[1.399,41.529],[1.404,41.506],[1.438,41.498],[1.451,41.487],[1.474,41.487],[1.487,41.464],[1.469,41.445],[1.489,41.4],[1.474,41.382],[1.512,41.395],[1.537,41.385],[1.55,41.369],[1.568,41.369],[1.573,41.356],[1.559,41.345],[1.573,41.317],[1.597,41.308],[1.588,41.298],[1.602,41.287],[1.629,41.295],[1.627,41.269],[1.618,41.253],[1.57,41.261],[1.582,41.236],[1.624,41.224],[1.64,41.235],[1.654,41.207],[1.647,41.194],[1.604,41.188],[1.543,41.183],[1.458,41.162],[1.395,41.131],[1.375,41.133],[1.343,41.125],[1.294,41.127],[1.258,41.114],[1.224,41.091],[1.222,41.106],[1.199,41.094],[1.172,41.056],[1.13,41.075],[1.082,41.064],[1.046,41.064],[1.004,41.043],[0.983,41.039],[0.954,41.018],[0.932,40.992],[0.9,40.976],[0.797,40.876],[0.745,40.839],[0.74,40.823],[0.711,40.812],[0.7,40.8],[0.729,40.77],[0.763,40.761],[0.783,40.771],[0.734,40.792],[0.767,40.792],[0.821,40.74],[0.842,40.731],[0.855,40.737],[0.873,40.731],[0.866,40.695],[0.848,40.679],[0.758,40.64],[0.707,40.585],[0.677,40.564],[0.623,40.551],[0.601,40.561],[0.592,40.577],[0.617,40.577],[0.617,40.585],[0.648,40.572],[0.659,40.592],[0.707,40.59],[0.745,40.637],[0.727,40.64],[0.689,40.635],[0.664,40.626],[0.601,40.623],[0.538,40.568],[0.516,40.522]]]}},
+    {"type":"Feature","properties":{"codigo":"44","nombre":"Teruel","km2":14787},"geometry":{"type":"Polygon","coordinates":[[[-1.806,40.398],[-1.801,40.414],[-1.785,40.412],[-1.749,40.463],[-1.693,40.487],[-1.702,40.542],[-1.689,40.566],[-1.693,40.577],[-1.675,40.592],[-1.666,40.582],[-1.635,40.581],[-1.599,40.563],[-1.545,40.595],[-1.565,40.614],[-1.538,40.658],[-1.536,40.687],[-1.558,40.719],[-1.563,40.74],[-1.54,40.761],[-1.545,40.816],[-1.569,40.829],[-1.621,40.881],[-1.626,40.899],[-1.608,40.928],[-1.617,40.944],[-1.59,40.936],[-1.558,40.939],[-1.511,40.957],[-1.506,40.963],[-1.473,40.949],[-1.448,40.976],[-1.459,41.007],[-1.477,41.015],[-1.412,41.035],[-1.405,41.067],[-1.378,41.073],[-1.36,41.088],[-1.353,41.057],[-1.333,41.051],[-1.27,41.056],[-1.252,41.078],[-1.27,41.101],[-1.255,41.123],[-1.21,41.14],[-1.174,41.123],[-1.122,41.135],[-1.106,41.167],[-1.086,41.164],[-1.039,41.135],[-1.0,41.135],[-0.98,41.144],[-1.0,41.115],[-0.998,41.096],[-0.944,41.075],[-0.913,41.093],[-0.915,41.106],[-0.883,41.13],[-0.861,41.107],[-0.829,41.096],[-0.789,41.107],[-0.775,41.152],[-0.753,41.167],[-0.728,41.144],[-0.715,41.125],[-0.695,41.112],[-0.672,41.13],[-0.665,41.146],[-0.638,41.173],[-0.609,41.191],[-0.67,41.236],[-0.643,41.238],[-0.625,41.248],[-0.629,41.312],[-0.605,41.322],[-0.548,41.267],[-0.533,41.228],[-0.51,41.238],[-0.506,41.251],[-0.528,41.288],[-0.578,41.316],[-0.582,41.348],[-0.56,41.354],[-0.551,41.346],[-0.503,41.354],[-0.481,41.346],[-0.47,41.319],[-0.425,41.314],[-0.429,41.295],[-0.407,41.272],[-0.368,41.261],[-0.344,41.24],[-0.31,41.253],[-0.269,41.215],[-0.247,41.212],[-0.222,41.19],[-0.182,41.188],[-0.132,41.162],[-0.103,41.149],[-0.078,41.151],[-0.011,41.12],[-0.002,41.091],[0.036,41.047],[0.052,41.056],[0.057,41.075],[0.079,41.08],[0.12,41.077],[0.147,41.064],[0.167,41.07],[0.221,41.072],[0.219,41.06],[0.252,41.033],[0.279,41.018],[0.259,41.015],[0.282,40.988],[0.284,40.965],[0.275,40.936],[0.261,40.928],[0.239,40.884],[0.255,40.873],[0.25,40.855],[0.279,40.821],[0.257,40.8],[0.234,40.787],[0.23,40.768],[0.212,40.768],[0.189,40.75],[0.176,40.755],[0.171,40.732],[0.144,40.718],[0.115,40.728],[0.072,40.715],[0.043,40.69],[0.027,40.695],[0.03,40.715],[0.016,40.728],[-0.022,40.731],[-0.031,40.723],[-0.065,40.728],[-0.128,40.753],[-0.148,40.774],[-0.146,40.786],[-0.195,40.782],[-0.224,40.753],[-0.24,40.718],[-0.236,40.69],[-0.251,40.69],[-0.317,40.663],[-0.328,40.681],[-0.357,40.677],[-0.382,40.661],[-0.371,40.652],[-0.38,40.624],[-0.321,40.603],[-0.294,40.613],[-0.296,40.561],[-0.29,40.543],[-0.301,40.522],[-0.276,40.497],[-0.274,40.474],[-0.335,40.458],[-0.346,40.443],[-0.332,40.425],[-0.308,40.409],[-0.29,40.39],[-0.283,40.367],[-0.312,40.359],[-0.364,40.317],[-0.4,40.296],[-0.382,40.277],[-0.384,40.264],[-0.452,40.235],[-0.47,40.24],[-0.494,40.228],[-0.526,40.238],[-0.544,40.251],[-0.562,40.19],[-0.573,40.181],[-0.571,40.156],[-0.587,40.131],[-0.607,40.128],[-0.629,40.102],[-0.614,40.07],[-0.623,40.075],[-0.647,40.067],[-0.665,40.051],[-0.703,40.047],[-0.719,40.039],[-0.762,40.039],[-0.769,40.009],[-0.791,39.989],[-0.834,39.979],[-0.845,39.947],[-0.829,39.907],[-0.798,39.881],[-0.827,39.871],[-0.868,39.847],[-0.888,39.852],[-0.91,39.868],[-0.899,39.892],[-0.915,39.918],[-0.906,39.941],[-0.919,39.965],[-0.933,39.957],[-0.967,39.975],[-1.003,39.981],[-1.025,39.975],[-1.057,39.981],[-1.106,39.975],[-1.126,39.963],[-1.142,39.971],[-1.165,40.01],[-1.135,40.015],[-1.084,40.036],[-1.072,40.06],[-1.111,40.091],[-1.133,40.097],[-1.158,40.115],[-1.21,40.11],[-1.237,40.114],[-1.25,40.123],[-1.252,40.143],[-1.284,40.172],[-1.297,40.199],[-1.311,40.204],[-1.322,40.185],[-1.32,40.146],[-1.353,40.13],[-1.365,40.138],[-1.392,40.135],[-1.448,40.146],[-1.443,40.157],[-1.439,40.198],[-1.475,40.185],[-1.511,40.204],[-1.54,40.191],[-1.572,40.214],[-1.592,40.236],[-1.608,40.243],[-1.659,40.282],[-1.666,40.295],[-1.689,40.309],[-1.7,40.307],[-1.713,40.277],[-1.729,40.301],[-1.698,40.317],[-1.722,40.341],[-1.743,40.349],[-1.776,40.391],[-1.806,40.398]]]}},
+    {"type":"Feature","properties":{"codigo":"45","nombre":"Toledo","km2":15350},"geometry":{"type":"Polygon","coordinates":[[[-4.941,39.395],[-4.952,39.395],[-5.008,39.435],[-5.058,39.49],[-5.083,39.49],[-5.123,39.522],[-5.146,39.55],[-5.202,39.592],[-5.206,39.6],[-5.161,39.643],[-5.152,39.697],[-5.139,39.715],[-5.175,39.75],[-5.159,39.76],[-5.168,39.799],[-5.206,39.797],[-5.244,39.766],[-5.253,39.753],[-5.31,39.76],[-5.316,39.797],[-5.307,39.836],[-5.283,39.857],[-5.294,39.874],[-5.325,39.892],[-5.37,39.889],[-5.406,39.878],[-5.395,39.918],[-5.366,39.983],[-5.361,40.013],[-5.375,40.059],[-5.368,40.101],[-5.337,40.115],[-5.316,40.107],[-5.267,40.112],[-5.211,40.106],[-5.199,40.081],[-5.143,40.091],[-5.101,40.127],[-5.067,40.151],[-5.017,40.159],[-5.006,40.11],[-4.97,40.122],[-4.959,40.13],[-4.925,40.136],[-4.918,40.152],[-4.925,40.17],[-4.873,40.199],[-4.84,40.209],[-4.806,40.235],[-4.817,40.256],[-4.804,40.275],[-4.761,40.261],[-4.743,40.275],[-4.729,40.27],[-4.698,40.282],[-4.7,40.257],[-4.687,40.249],[-4.687,40.211],[-4.639,40.198],[-4.617,40.199],[-4.579,40.217],[-4.574,40.207],[-4.536,40.199],[-4.518,40.215],[-4.473,40.232],[-4.448,40.233],[-4.435,40.244],[-4.435,40.259],[-4.383,40.29],[-4.379,40.316],[-4.356,40.309],[-4.356,40.27],[-4.343,40.241],[-4.322,40.227],[-4.311,40.235],[-4.295,40.219],[-4.271,40.236],[-4.246,40.274],[-4.203,40.269],[-4.203,40.288],[-4.181,40.293],[-4.167,40.274],[-4.145,40.264],[-4.151,40.249],[-4.104,40.241],[-4.079,40.267],[-4.052,40.251],[-4.023,40.249],[-4.025,40.236],[-3.992,40.209],[-3.953,40.212],[-3.951,40.19],[-3.931,40.204],[-3.915,40.191],[-3.866,40.188],[-3.852,40.169],[-3.834,40.162],[-3.801,40.175],[-3.771,40.139],[-3.747,40.131],[-3.72,40.148],[-3.684,40.133],[-3.668,40.143],[-3.657,40.125],[-3.607,40.109],[-3.609,40.081],[-3.623,40.054],[-3.639,40.051],[-3.652,40.031],[-3.663,40.036],[-3.679,40.017],[-3.699,40.02],[-3.726,39.989],[-3.747,39.979],[-3.735,39.962],[-3.758,39.968],[-3.787,39.954],[-3.787,39.944],[-3.81,39.954],[-3.83,39.933],[-3.839,39.942],[-3.875,39.929],[-3.875,39.91],[-3.834,39.9],[-3.807,39.887],[-3.778,39.912],[-3.76,39.92],[-3.744,39.941],[-3.711,39.955],[-3.697,39.947],[-3.677,39.96],[-3.63,39.968],[-3.639,39.988],[-3.594,40.002],[-3.589,40.013],[-3.531,40.018],[-3.506,40.049],[-3.472,40.046],[-3.45,40.049],[-3.447,40.039],[-3.425,40.047],[-3.393,40.036],[-3.378,40.051],[-3.378,40.075],[-3.328,40.08],[-3.303,40.054],[-3.263,40.057],[-3.243,40.054],[-3.202,40.067],[-3.166,40.091],[-3.162,40.065],[-3.171,40.047],[-3.166,40.028],[-3.151,40.01],[-3.142,39.984],[-3.097,39.988],[-3.097,39.934],[-3.108,39.904],[-3.128,39.874],[-3.097,39.87],[-3.061,39.837],[-3.04,39.787],[-3.016,39.765],[-3.0,39.723],[-2.971,39.69],[-2.95,39.677],[-2.919,39.647],[-2.908,39.642],[-2.926,39.601],[-2.921,39.559],[-2.928,39.55],[-2.935,39.482],[-2.932,39.472],[-2.977,39.445],[-3.0,39.441],[-3.022,39.458],[-3.07,39.45],[-3.097,39.474],[-3.144,39.495],[-3.184,39.488],[-3.184,39.475],[-3.294,39.471],[-3.317,39.429],[-3.308,39.398],[-3.344,39.408],[-3.409,39.404],[-3.47,39.372],[-3.477,39.343],[-3.531,39.309],[-3.555,39.299],[-3.587,39.307],[-3.675,39.296],[-3.697,39.28],[-3.722,39.27],[-3.767,39.293],[-3.81,39.288],[-3.841,39.259],[-3.877,39.262],[-3.902,39.28],[-3.929,39.285],[-3.967,39.299],[-3.958,39.311],[-3.969,39.324],[-3.971,39.353],[-4.005,39.353],[-4.073,39.366],[-4.104,39.341],[-4.129,39.366],[-4.149,39.362],[-4.127,39.408],[-4.118,39.456],[-4.079,39.451],[-4.059,39.472],[-4.068,39.503],[-4.059,39.522],[-4.03,39.522],[-4.041,39.576],[-4.124,39.564],[-4.158,39.577],[-4.167,39.568],[-4.192,39.498],[-4.205,39.488],[-4.241,39.479],[-4.298,39.485],[-4.32,39.484],[-4.365,39.496],[-4.421,39.508],[-4.444,39.524],[-4.453,39.517],[-4.462,39.479],[-4.484,39.488],[-4.5,39.519],[-4.502,39.535],[-4.482,39.538],[-4.532,39.556],[-4.561,39.534],[-4.554,39.511],[-4.567,39.498],[-4.59,39.5],[-4.615,39.485],[-4.619,39.454],[-4.687,39.45],[-4.756,39.416],[-4.765,39.435],[-4.741,39.456],[-4.75,39.469],[-4.743,39.488],[-4.763,39.514],[-4.81,39.53],[-4.862,39.556],[-4.88,39.538],[-4.907,39.493],[-4.941,39.395]]]}},
+    {"type":"Feature","properties":{"codigo":"46","nombre":"Valencia","km2":10801},"geometry":{"type":"MultiPolygon","coordinates":[[[[-0.928,38.784],[-0.933,38.811],[-0.924,38.824],[-0.935,38.855],[-0.924,38.892],[-0.942,38.9],[-0.958,38.921],[-0.96,38.944],[-1.0,38.95],[-1.016,38.937],[-1.108,38.929],[-1.147,38.929],[-1.16,38.955],[-1.228,39.025],[-1.264,39.046],[-1.266,39.075],[-1.257,39.084],[-1.257,39.105],[-1.241,39.114],[-1.228,39.152],[-1.194,39.18],[-1.176,39.23],[-1.176,39.28],[-1.162,39.306],[-1.169,39.314],[-1.196,39.314],[-1.21,39.327],[-1.223,39.315],[-1.275,39.333],[-1.282,39.328],[-1.32,39.343],[-1.336,39.333],[-1.365,39.356],[-1.385,39.354],[-1.421,39.382],[-1.446,39.362],[-1.452,39.398],[-1.475,39.409],[-1.486,39.401],[-1.484,39.424],[-1.504,39.417],[-1.524,39.458],[-1.513,39.458],[-1.513,39.484],[-1.5,39.503],[-1.504,39.564],[-1.461,39.577],[-1.437,39.629],[-1.419,39.655],[-1.369,39.69],[-1.313,39.671],[-1.279,39.677],[-1.261,39.698],[-1.275,39.739],[-1.25,39.773],[-1.214,39.808],[-1.212,39.839],[-1.201,39.86],[-1.196,39.913],[-1.21,39.928],[-1.205,39.949],[-1.153,39.963],[-1.142,39.971],[-1.126,39.963],[-1.106,39.975],[-1.057,39.981],[-1.025,39.975],[-1.003,39.981],[-0.967,39.975],[-0.933,39.957],[-0.919,39.965],[-0.906,39.941],[-0.915,39.918],[-0.899,39.892],[-0.91,39.868],[-0.888,39.852],[-0.868,39.847],[-0.827,39.871],[-0.798,39.881],[-0.773,39.87],[-0.737,39.821],[-0.712,39.816],[-0.69,39.852],[-0.656,39.836],[-0.645,39.792],[-0.652,39.753],[-0.632,39.747],[-0.589,39.742],[-0.578,39.773],[-0.548,39.795],[-0.53,39.797],[-0.515,39.779],[-0.499,39.747],[-0.461,39.716],[-0.445,39.718],[-0.438,39.734],[-0.409,39.745],[-0.386,39.769],[-0.391,39.787],[-0.377,39.8],[-0.328,39.802],[-0.308,39.797],[-0.276,39.771],[-0.272,39.752],[-0.188,39.723],[-0.211,39.653],[-0.238,39.637],[-0.26,39.613],[-0.276,39.572],[-0.308,39.537],[-0.323,39.501],[-0.319,39.461],[-0.303,39.461],[-0.312,39.443],[-0.323,39.458],[-0.317,39.424],[-0.33,39.429],[-0.332,39.409],[-0.321,39.374],[-0.29,39.303],[-0.22,39.186],[-0.24,39.167],[-0.236,39.136],[-0.211,39.078],[-0.179,39.03],[-0.134,38.97],[-0.107,38.942],[-0.038,38.887],[-0.024,38.873],[-0.042,38.858],[-0.069,38.886],[-0.148,38.858],[-0.161,38.887],[-0.197,38.866],[-0.195,38.86],[-0.231,38.853],[-0.26,38.86],[-0.31,38.881],[-0.323,38.863],[-0.355,38.858],[-0.355,38.85],[-0.382,38.834],[-0.44,38.824],[-0.474,38.803],[-0.535,38.81],[-0.596,38.795],[-0.584,38.768],[-0.566,38.755],[-0.53,38.768],[-0.508,38.755],[-0.508,38.744],[-0.535,38.732],[-0.553,38.716],[-0.584,38.708],[-0.618,38.687],[-0.643,38.705],[-0.643,38.727],[-0.677,38.729],[-0.688,38.742],[-0.706,38.734],[-0.721,38.753],[-0.746,38.758],[-0.793,38.739],[-0.829,38.732],[-0.861,38.771],[-0.913,38.769],[-0.928,38.784]]],[[[-1.448,40.146],[-1.392,40.135],[-1.365,40.138],[-1.353,40.13],[-1.32,40.146],[-1.322,40.185],[-1.311,40.204],[-1.297,40.199],[-1.284,40.172],[-1.252,40.143],[-1.25,40.123],[-1.237,40.114],[-1.21,40.11],[-1.158,40.115],[-1.133,40.097],[-1.111,40.091],[-1.072,40.06],[-1.084,40.036],[-1.135,40.015],[-1.165,40.01],[-1.248,39.996],[-1.286,40.009],[-1.336,40.017],[-1.376,40.017],[-1.383,40.039],[-1.421,40.094],[-1.407,40.101],[-1.443,40.118],[-1.457,40.135],[-1.448,40.146]]]]}},
+    {"type":"Feature","properties":{"codigo":"47","nombre":"Valladolid","km2":8092},"geometry":{"type":"MultiPolygon","coordinates":[[[[-5.125,41.131],[-5.179,41.167],[-5.217,41.159],[-5.229,41.19],[-5.253,41.199],[-5.289,41.196],[-5.289,41.182],[-5.325,41.178],[-5.341,41.194],[-5.296,41.23],[-5.301,41.262],[-5.296,41.293],[-5.305,41.319],[-5.323,41.327],[-5.332,41.358],[-5.332,41.383],[-5.307,41.414],[-5.339,41.425],[-5.332,41.45],[-5.334,41.476],[-5.301,41.5],[-5.262,41.503],[-5.229,41.529],[-5.247,41.547],[-5.274,41.55],[-5.294,41.574],[-5.267,41.59],[-5.271,41.602],[-5.33,41.616],[-5.319,41.637],[-5.328,41.681],[-5.341,41.699],[-5.359,41.7],[-5.361,41.729],[-5.375,41.728],[-5.391,41.76],[-5.341,41.789],[-5.316,41.791],[-5.28,41.813],[-5.287,41.828],[-5.33,41.831],[-5.307,41.858],[-5.31,41.894],[-5.294,41.92],[-5.334,41.941],[-5.305,41.954],[-5.28,41.978],[-5.301,41.991],[-5.325,42.02],[-5.348,42.023],[-5.377,42.041],[-5.37,42.051],[-5.391,42.09],[-5.377,42.099],[-5.37,42.13],[-5.379,42.164],[-5.388,42.172],[-5.379,42.198],[-5.388,42.222],[-5.361,42.225],[-5.307,42.199],[-5.303,42.222],[-5.287,42.23],[-5.265,42.211],[-5.242,42.214],[-5.226,42.227],[-5.253,42.24],[-5.244,42.264],[-5.22,42.279],[-5.197,42.261],[-5.143,42.282],[-5.119,42.308],[-5.094,42.309],[-5.062,42.279],[-5.069,42.261],[-5.042,42.267],[-5.038,42.298],[-5.002,42.29],[-5.02,42.254],[-5.011,42.228],[-5.024,42.22],[-5.013,42.19],[-5.031,42.174],[-5.026,42.154],[-4.988,42.144],[-4.966,42.151],[-4.927,42.151],[-4.93,42.119],[-4.918,42.091],[-4.905,42.078],[-4.927,42.073],[-4.95,42.051],[-4.936,42.018],[-4.966,42.007],[-4.977,41.973],[-4.995,41.962],[-5.004,41.938],[-4.986,41.913],[-4.95,41.934],[-4.927,41.915],[-4.912,41.915],[-4.889,41.933],[-4.869,41.931],[-4.862,41.918],[-4.837,41.899],[-4.833,41.881],[-4.815,41.863],[-4.79,41.818],[-4.759,41.826],[-4.727,41.855],[-4.727,41.868],[-4.7,41.888],[-4.669,41.9],[-4.637,41.888],[-4.633,41.863],[-4.603,41.839],[-4.59,41.837],[-4.565,41.813],[-4.549,41.831],[-4.52,41.823],[-4.509,41.833],[-4.471,41.841],[-4.487,41.82],[-4.493,41.781],[-4.502,41.771],[-4.444,41.758],[-4.403,41.783],[-4.388,41.787],[-4.318,41.763],[-4.307,41.776],[-4.286,41.774],[-4.259,41.805],[-4.237,41.812],[-4.214,41.8],[-4.194,41.804],[-4.151,41.799],[-4.122,41.807],[-4.1,41.774],[-4.041,41.768],[-4.05,41.768],[-4.055,41.741],[-4.068,41.726],[-4.041,41.711],[-4.025,41.694],[-4.023,41.671],[-4.028,41.615],[-4.003,41.618],[-3.98,41.584],[-3.994,41.556],[-4.001,41.516],[-4.028,41.518],[-4.057,41.497],[-4.079,41.495],[-4.136,41.477],[-4.158,41.482],[-4.196,41.471],[-4.232,41.456],[-4.248,41.463],[-4.262,41.451],[-4.3,41.458],[-4.331,41.445],[-4.363,41.45],[-4.365,41.437],[-4.41,41.442],[-4.487,41.409],[-4.516,41.409],[-4.516,41.395],[-4.484,41.367],[-4.496,41.364],[-4.502,41.343],[-4.493,41.327],[-4.471,41.317],[-4.471,41.291],[-4.5,41.303],[-4.505,41.311],[-4.534,41.319],[-4.558,41.303],[-4.597,41.32],[-4.601,41.303],[-4.576,41.283],[-4.574,41.274],[-4.599,41.264],[-4.624,41.235],[-4.651,41.222],[-4.651,41.199],[-4.637,41.191],[-4.628,41.17],[-4.644,41.169],[-4.68,41.186],[-4.702,41.175],[-4.723,41.149],[-4.786,41.144],[-4.813,41.13],[-4.828,41.099],[-4.864,41.094],[-4.903,41.117],[-4.923,41.123],[-4.968,41.152],[-5.013,41.164],[-5.022,41.154],[-5.06,41.138],[-5.101,41.148],[-5.125,41.131]]],[[[-5.521,42.098],[-5.499,42.083],[-5.481,42.052],[-5.438,42.031],[-5.422,42.031],[-5.447,42.014],[-5.431,42.002],[-5.438,41.967],[-5.485,41.984],[-5.487,41.996],[-5.472,42.005],[-5.492,42.033],[-5.487,42.039],[-5.508,42.057],[-5.501,42.067],[-5.521,42.098]]],[[[-5.314,42.269],[-5.301,42.266],[-5.316,42.241],[-5.341,42.233],[-5.346,42.267],[-5.314,42.269]]]]}},
+    {"type":"Feature","properties":{"codigo":"48","nombre":"Bizkaia","km2":2208},"geometry":{"type":"MultiPolygon","coordinates":[[[[-3.038,42.983],[-3.076,43.009],[-3.09,43.001],[-3.09,43.009],[-3.065,43.023],[-3.049,43.046],[-3.018,43.038],[-3.034,43.023],[-2.986,43.012],[-2.986,42.993],[-2.966,43.001],[-2.957,42.994],[-3.004,42.983],[-3.038,42.983]]],[[[-3.142,43.161],[-3.148,43.174],[-3.169,43.178],[-3.187,43.169],[-3.209,43.18],[-3.223,43.172],[-3.254,43.199],[-3.279,43.195],[-3.312,43.172],[-3.342,43.167],[-3.348,43.154],[-3.371,43.151],[-3.418,43.133],[-3.434,43.18],[-3.434,43.206],[-3.45,43.237],[-3.4,43.246],[-3.382,43.271],[-3.339,43.279],[-3.344,43.295],[-3.324,43.293],[-3.294,43.301],[-3.292,43.29],[-3.265,43.296],[-3.209,43.283],[-3.193,43.298],[-3.157,43.301],[-3.151,43.319],[-3.153,43.353],[-3.112,43.351],[-3.094,43.363],[-3.047,43.343],[-3.034,43.346],[-3.02,43.325],[-3.011,43.337],[-3.02,43.358],[-3.038,43.372],[-3.007,43.384],[-2.975,43.405],[-2.953,43.411],[-2.946,43.435],[-2.881,43.437],[-2.867,43.432],[-2.809,43.43],[-2.752,43.456],[-2.737,43.427],[-2.696,43.406],[-2.662,43.409],[-2.647,43.416],[-2.62,43.392],[-2.579,43.387],[-2.564,43.392],[-2.546,43.374],[-2.51,43.377],[-2.487,43.364],[-2.46,43.335],[-2.435,43.335],[-2.413,43.321],[-2.438,43.3],[-2.44,43.288],[-2.417,43.267],[-2.44,43.251],[-2.438,43.243],[-2.462,43.224],[-2.496,43.225],[-2.501,43.209],[-2.487,43.201],[-2.492,43.182],[-2.485,43.17],[-2.507,43.166],[-2.496,43.124],[-2.505,43.098],[-2.546,43.088],[-2.593,43.082],[-2.633,43.086],[-2.66,43.073],[-2.633,43.044],[-2.633,43.02],[-2.667,43.031],[-2.694,43.022],[-2.703,43.031],[-2.73,43.023],[-2.739,43.033],[-2.77,43.027],[-2.782,43.035],[-2.822,43.036],[-2.865,43.052],[-2.89,43.046],[-2.975,43.099],[-2.966,43.104],[-2.937,43.143],[-2.955,43.159],[-2.946,43.17],[-2.973,43.187],[-2.982,43.203],[-3.007,43.196],[-3.016,43.203],[-3.027,43.161],[-3.065,43.156],[-3.074,43.146],[-3.094,43.151],[-3.112,43.143],[-3.142,43.161]],[[-3.276,43.264],[-3.303,43.258],[-3.294,43.243],[-3.297,43.206],[-3.285,43.198],[-3.265,43.206],[-3.27,43.233],[-3.252,43.246],[-3.25,43.259],[-3.276,43.264]]]]}},
+    {"type":"Feature","properties":{"codigo":"49","nombre":"Zamora","km2":10555},"geometry":{"type":"Polygon","coordinates":[[[-6.479,41.295],[-6.45,41.299],[-6.416,41.348],[-6.394,41.35],[-6.376,41.361],[-6.394,41.371],[-6.392,41.383],[-6.367,41.393],[-6.353,41.379],[-6.315,41.39],[-6.333,41.406],[-6.295,41.435],[-6.306,41.45],[-6.288,41.466],[-6.284,41.479],[-6.25,41.501],[-6.259,41.513],[-6.236,41.521],[-6.212,41.56],[-6.189,41.574],[-6.209,41.598],[-6.236,41.606],[-6.254,41.632],[-6.302,41.661],[-6.356,41.676],[-6.374,41.674],[-6.405,41.681],[-6.452,41.681],[-6.457,41.666],[-6.488,41.658],[-6.513,41.661],[-6.549,41.686],[-6.542,41.703],[-6.556,41.739],[-6.569,41.744],[-6.556,41.758],[-6.547,41.794],[-6.517,41.875],[-6.571,41.883],[-6.547,41.931],[-6.549,41.944],[-6.587,41.968],[-6.598,41.949],[-6.7,41.933],[-6.751,41.944],[-6.769,41.984],[-6.812,41.993],[-6.81,41.97],[-6.821,41.946],[-6.848,41.942],[-6.871,41.949],[-6.884,41.941],[-6.945,41.944],[-6.958,41.968],[-6.985,41.972],[-6.992,41.986],[-6.961,42.026],[-6.974,42.056],[-7.008,42.052],[-7.03,42.064],[-7.033,42.075],[-7.003,42.085],[-6.992,42.099],[-6.99,42.122],[-6.949,42.136],[-6.938,42.177],[-6.9,42.19],[-6.886,42.214],[-6.855,42.227],[-6.83,42.227],[-6.787,42.216],[-6.803,42.24],[-6.785,42.254],[-6.758,42.238],[-6.736,42.235],[-6.733,42.224],[-6.704,42.209],[-6.688,42.216],[-6.639,42.217],[-6.614,42.203],[-6.558,42.207],[-6.515,42.199],[-6.508,42.185],[-6.479,42.182],[-6.459,42.198],[-6.443,42.193],[-6.428,42.203],[-6.329,42.199],[-6.311,42.206],[-6.295,42.178],[-6.252,42.174],[-6.225,42.162],[-6.212,42.148],[-6.171,42.159],[-6.106,42.162],[-6.029,42.157],[-5.993,42.144],[-5.953,42.123],[-5.948,42.141],[-5.912,42.141],[-5.897,42.156],[-5.87,42.122],[-5.845,42.111],[-5.838,42.119],[-5.789,42.133],[-5.755,42.136],[-5.744,42.114],[-5.676,42.12],[-5.688,42.138],[-5.665,42.141],[-5.649,42.135],[-5.62,42.107],[-5.638,42.085],[-5.589,42.077],[-5.586,42.051],[-5.575,42.065],[-5.562,42.056],[-5.55,42.07],[-5.544,42.099],[-5.521,42.098],[-5.501,42.067],[-5.508,42.057],[-5.487,42.039],[-5.492,42.033],[-5.472,42.005],[-5.487,41.996],[-5.485,41.984],[-5.438,41.967],[-5.431,42.002],[-5.447,42.014],[-5.422,42.031],[-5.377,42.041],[-5.348,42.023],[-5.325,42.02],[-5.301,41.991],[-5.28,41.978],[-5.305,41.954],[-5.334,41.941],[-5.294,41.92],[-5.31,41.894],[-5.307,41.858],[-5.33,41.831],[-5.287,41.828],[-5.28,41.813],[-5.316,41.791],[-5.341,41.789],[-5.391,41.76],[-5.375,41.728],[-5.361,41.729],[-5.359,41.7],[-5.341,41.699],[-5.328,41.681],[-5.319,41.637],[-5.33,41.616],[-5.271,41.602],[-5.267,41.59],[-5.294,41.574],[-5.274,41.55],[-5.247,41.547],[-5.229,41.529],[-5.262,41.503],[-5.301,41.5],[-5.334,41.476],[-5.332,41.45],[-5.339,41.425],[-5.307,41.414],[-5.332,41.383],[-5.332,41.358],[-5.323,41.327],[-5.305,41.319],[-5.296,41.293],[-5.301,41.262],[-5.296,41.23],[-5.341,41.194],[-5.325,41.178],[-5.289,41.182],[-5.298,41.127],[-5.33,41.117],[-5.357,41.141],[-5.384,41.135],[-5.402,41.148],[-5.397,41.164],[-5.409,41.186],[-5.442,41.185],[-5.476,41.178],[-5.469,41.157],[-5.485,41.146],[-5.487,41.18],[-5.496,41.177],[-5.557,41.214],[-5.573,41.215],[-5.589,41.203],[-5.629,41.214],[-5.634,41.228],[-5.656,41.245],[-5.679,41.232],[-5.701,41.235],[-5.751,41.225],[-5.764,41.215],[-5.791,41.215],[-5.809,41.225],[-5.836,41.22],[-5.897,41.238],[-5.921,41.219],[-5.915,41.18],[-5.933,41.165],[-5.935,41.151],[-5.951,41.14],[-5.964,41.146],[-5.973,41.172],[-5.984,41.173],[-6.002,41.152],[-6.023,41.156],[-6.027,41.175],[-6.009,41.201],[-6.047,41.209],[-6.061,41.22],[-6.074,41.211],[-6.11,41.212],[-6.135,41.19],[-6.225,41.228],[-6.268,41.256],[-6.299,41.257],[-6.317,41.27],[-6.347,41.272],[-6.371,41.287],[-6.414,41.275],[-6.466,41.287],[-6.479,41.295]]]}},
+    {"type":"Feature","properties":{"codigo":"50","nombre":"Zaragoza","km2":17258},"geometry":{"type":"Polygon","coordinates":[[[-2.051,41.148],[-2.08,41.17],[-2.145,41.185],[-2.15,41.219],[-2.163,41.283],[-2.174,41.288],[-2.17,41.319],[-2.156,41.337],[-2.163,41.356],[-2.15,41.356],[-2.12,41.38],[-2.116,41.425],[-2.102,41.446],[-2.046,41.434],[-2.035,41.427],[-2.042,41.388],[-2.01,41.385],[-2.001,41.393],[-1.954,41.409],[-1.938,41.408],[-1.95,41.43],[-1.954,41.463],[-1.981,41.487],[-1.979,41.524],[-1.968,41.545],[-1.994,41.577],[-1.992,41.602],[-1.959,41.605],[-1.923,41.598],[-1.898,41.632],[-1.873,41.639],[-1.86,41.661],[-1.812,41.661],[-1.803,41.695],[-1.788,41.699],[-1.776,41.724],[-1.81,41.736],[-1.803,41.75],[-1.826,41.779],[-1.853,41.789],[-1.844,41.805],[-1.819,41.828],[-1.824,41.865],[-1.833,41.863],[-1.839,41.889],[-1.857,41.91],[-1.857,41.967],[-1.866,41.978],[-1.844,41.988],[-1.848,42.009],[-1.835,41.996],[-1.81,41.997],[-1.792,41.989],[-1.767,41.996],[-1.743,41.968],[-1.716,41.957],[-1.686,41.952],[-1.673,41.967],[-1.655,41.965],[-1.614,41.951],[-1.596,41.926],[-1.558,41.913],[-1.524,41.91],[-1.502,41.925],[-1.473,41.925],[-1.452,41.915],[-1.421,41.913],[-1.403,41.934],[-1.383,41.944],[-1.367,41.983],[-1.34,42.018],[-1.304,42.043],[-1.311,42.072],[-1.351,42.073],[-1.367,42.107],[-1.398,42.127],[-1.392,42.182],[-1.414,42.203],[-1.416,42.222],[-1.401,42.246],[-1.389,42.279],[-1.398,42.291],[-1.351,42.34],[-1.329,42.356],[-1.338,42.372],[-1.36,42.379],[-1.342,42.408],[-1.342,42.424],[-1.315,42.45],[-1.291,42.458],[-1.273,42.482],[-1.275,42.495],[-1.293,42.511],[-1.266,42.556],[-1.225,42.542],[-1.203,42.55],[-1.203,42.579],[-1.158,42.6],[-1.18,42.608],[-1.158,42.61],[-1.153,42.647],[-1.093,42.647],[-1.07,42.642],[-1.039,42.649],[-1.032,42.676],[-1.039,42.692],[-1.027,42.7],[-0.969,42.703],[-0.949,42.712],[-0.924,42.744],[-0.901,42.742],[-0.904,42.715],[-0.922,42.7],[-0.881,42.694],[-0.888,42.668],[-0.901,42.657],[-0.928,42.657],[-0.904,42.613],[-0.908,42.587],[-0.924,42.589],[-0.935,42.573],[-0.919,42.555],[-0.899,42.56],[-0.899,42.539],[-0.917,42.537],[-0.933,42.506],[-0.892,42.51],[-0.897,42.48],[-0.879,42.469],[-0.897,42.461],[-0.906,42.437],[-0.877,42.417],[-0.843,42.408],[-0.841,42.398],[-0.816,42.395],[-0.823,42.385],[-0.843,42.387],[-0.843,42.366],[-0.856,42.34],[-0.879,42.319],[-0.888,42.287],[-0.917,42.256],[-0.886,42.245],[-0.89,42.264],[-0.877,42.282],[-0.859,42.275],[-0.843,42.283],[-0.814,42.264],[-0.782,42.316],[-0.771,42.346],[-0.78,42.377],[-0.778,42.392],[-0.737,42.371],[-0.744,42.342],[-0.728,42.296],[-0.76,42.264],[-0.762,42.228],[-0.751,42.201],[-0.76,42.17],[-0.748,42.154],[-0.762,42.102],[-0.755,42.091],[-0.775,42.056],[-0.793,42.054],[-0.805,42.073],[-0.805,42.096],[-0.827,42.083],[-0.856,42.048],[-0.854,42.022],[-0.886,42.004],[-0.778,41.957],[-0.737,41.954],[-0.728,41.96],[-0.659,41.957],[-0.629,41.912],[-0.596,41.897],[-0.602,41.883],[-0.555,41.871],[-0.528,41.854],[-0.517,41.837],[-0.503,41.745],[-0.517,41.729],[-0.49,41.732],[-0.447,41.707],[-0.411,41.702],[-0.368,41.682],[-0.355,41.632],[-0.308,41.621],[-0.303,41.608],[-0.263,41.589],[-0.242,41.573],[-0.206,41.602],[-0.157,41.59],[-0.168,41.581],[-0.157,41.568],[-0.157,41.535],[-0.134,41.522],[-0.105,41.485],[-0.085,41.432],[-0.085,41.416],[-0.069,41.372],[-0.009,41.348],[-0.029,41.377],[-0.024,41.396],[-0.004,41.388],[0.009,41.361],[0.106,41.351],[0.129,41.388],[0.165,41.406],[0.183,41.395],[0.219,41.403],[0.241,41.429],[0.315,41.417],[0.336,41.408],[0.32,41.395],[0.358,41.372],[0.374,41.351],[0.349,41.329],[0.369,41.316],[0.365,41.304],[0.385,41.278],[0.365,41.227],[0.34,41.232],[0.322,41.225],[0.304,41.164],[0.273,41.149],[0.252,41.151],[0.25,41.13],[0.214,41.136],[0.201,41.125],[0.21,41.117],[0.201,41.085],[0.219,41.083],[0.221,41.072],[0.167,41.07],[0.147,41.064],[0.12,41.077],[0.079,41.08],[0.057,41.075],[0.052,41.056],[0.036,41.047],[-0.002,41.091],[-0.011,41.12],[-0.078,41.151],[-0.103,41.149],[-0.132,41.162],[-0.182,41.188],[-0.222,41.19],[-0.247,41.212],[-0.269,41.215],[-0.31,41.253],[-0.344,41.24],[-0.368,41.261],[-0.407,41.272],[-0.429,41.295],[-0.425,41.314],[-0.47,41.319],[-0.481,41.346],[-0.503,41.354],[-0.551,41.346],[-0.56,41.354],[-0.582,41.348],[-0.578,41.316],[-0.528,41.288],[-0.506,41.251],[-0.51,41.238],[-0.533,41.228],[-0.548,41.267],[-0.605,41.322],[-0.629,41.312],[-0.625,41.248],[-0.643,41.238],[-0.67,41.236],[-0.609,41.191],[-0.638,41.173],[-0.665,41.146],[-0.672,41.13],[-0.695,41.112],[-0.715,41.125],[-0.728,41.144],[-0.753,41.167],[-0.775,41.152],[-0.789,41.107],[-0.829,41.096],[-0.861,41.107],[-0.883,41.13],[-0.915,41.106],[-0.913,41.093],[-0.944,41.075],[-0.998,41.096],[-1.0,41.115],[-0.98,41.144],[-1.0,41.135],[-1.039,41.135],[-1.086,41.164],[-1.106,41.167],[-1.122,41.135],[-1.174,41.123],[-1.21,41.14],[-1.255,41.123],[-1.27,41.101],[-1.252,41.078],[-1.27,41.056],[-1.333,41.051],[-1.353,41.057],[-1.36,41.088],[-1.378,41.073],[-1.405,41.067],[-1.412,41.035],[-1.477,41.015],[-1.459,41.007],[-1.448,40.976],[-1.473,40.949],[-1.506,40.963],[-1.511,40.957],[-1.558,40.939],[-1.59,40.936],[-1.617,40.944],[-1.635,40.952],[-1.662,40.978],[-1.716,41.014],[-1.758,41.047],[-1.77,41.067],[-1.803,41.089],[-1.86,41.104],[-1.896,41.135],[-1.932,41.138],[-1.947,41.167],[-1.959,41.172],[-2.008,41.156],[-2.048,41.152],[-2.051,41.148]],[[-1.129,42.448],[-1.061,42.434],[-1.052,42.445],[-1.07,42.466],[-1.102,42.485],[-1.129,42.448]],[[-1.18,42.426],[-1.185,42.401],[-1.156,42.414],[-1.153,42.442],[-1.18,42.426]]]}},
+    {"type":"Feature","properties":{"codigo":"51","nombre":"Ceuta","km2":18},"geometry":{"type":"Polygon","coordinates":[[[-5.382,35.913],[-5.366,35.918],[-5.334,35.894],[-5.314,35.889],[-5.287,35.907],[-5.28,35.894],[-5.321,35.887],[-5.343,35.871],[-5.373,35.881],[-5.382,35.913]]]}},
+    {"type":"Feature","properties":{"codigo":"52","nombre":"Melilla","km2":13},"geometry":{"type":"Polygon","coordinates":[[[-2.953,35.32],[-2.932,35.294],[-2.928,35.275],[-2.95,35.265],[-2.971,35.289],[-2.953,35.32]]]}}
+  ]
+}
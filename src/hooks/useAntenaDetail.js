@@ -0,0 +1,125 @@
+/**
+ * HOOK DE LA FICHA DE UNA ANTENA
+ *
+ * - Ficha completa desde /map/antenas/:id si la API lo implementa;
+ *   un 404 no distingue una ruta inexistente de un id desconocido
+ *   (p. ej. un enlace ?antena= antiguo), así que se comprueba con
+ *   cada antena y con 404 basta con las propiedades del listado
+ * - Emplazamiento más cercano de cada uno de los demás operadores,
+ *   con todas las antenas alrededor de la antena (sin filtros: se
+ *   comparan con todos los operadores; ver services/nearby.js)
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { loadMapData, isAbortError, isNotFoundError } from '../services/api'
+import { splitFeatures } from '../services/features'
+import { fetchAntenasAround } from '../services/nearby'
+import { nearestByOperator } from '../services/coverage'
+import config from '../config'
+
+/**
+ * @param {string|null} id - Antena seleccionada
+ * @param {Object|null} antena - Su feature, si ya está cargada
+ * @returns {{
+ *   antena: Object|null,
+ *   detailLoading: boolean,
+ *   detailError: Error|null,
+ *   nearby: Array<{operador: string, antena: Object, distance: number, bearing: number}>,
+ *   nearbyLoading: boolean,
+ *   nearbyError: Error|null
+ * }}
+ *   - antena: La feature con la ficha completa fusionada
+ */
+export default function useAntenaDetail(id, antena) {
+  const [detail, setDetail] = useState({ id: null, feature: null, loading: false, error: null })
+  const [around, setAround] = useState({ key: null, antenas: [], loading: false, error: null })
+
+  /**
+   * FICHA COMPLETA
+   */
+  useEffect(() => {
+    if (!id) return
+
+    const controller = new AbortController()
+    setDetail({ id, feature: null, loading: true, error: null })
+
+    loadMapData(`/map/antenas/${encodeURIComponent(id)}`, { signal: controller.signal })
+      .then(data => {
+        // Feature suelta o FeatureCollection con una sola antena
+        const feature = data?.type === 'FeatureCollection' ? splitFeatures(data).antenas[0] : data
+        setDetail({ id, feature: feature?.properties ? feature : null, loading: false, error: null })
+      })
+      .catch(err => {
+        if (isAbortError(err)) return
+        if (isNotFoundError(err)) {
+          // Sin ficha para esta antena (o sin la ruta): se usa la del listado
+          setDetail({ id, feature: null, loading: false, error: null })
+          return
+        }
+        console.error('⚠️ Error cargando la ficha de la antena:', err)
+        setDetail({ id, feature: null, loading: false, error: err })
+      })
+
+    return () => controller.abort()
+  }, [id])
+
+  const current = detail.id === id ? detail : null
+
+  /**
+   * FEATURE COMPLETA: LISTADO + FICHA
+   */
+  const merged = useMemo(() => {
+    const base = antena?.properties?.id === id ? antena : null
+    const extra = current?.feature
+    if (!extra) return base
+    return {
+      ...(base || extra),
+      geometry: base?.geometry ?? extra.geometry,
+      properties: { ...base?.properties, ...extra.properties }
+    }
+  }, [id, antena, current?.feature])
+
+  const [lon, lat] = merged?.geometry?.coordinates ?? []
+  const aroundKey = id && lat !== undefined ? `${id}|${lat},${lon}` : null
+
+  /**
+   * ANTENAS ALREDEDOR
+   */
+  useEffect(() => {
+    if (!aroundKey) return
+
+    const controller = new AbortController()
+    setAround({ key: aroundKey, antenas: [], loading: true, error: null })
+
+    fetchAntenasAround([lat, lon], config.maxSearchRadius, null, { signal: controller.signal })
+      .then(({ antenas }) => setAround({ key: aroundKey, antenas, loading: false, error: null }))
+      .catch(err => {
+        if (isAbortError(err)) return
+        console.error('❌ Error buscando emplazamientos cercanos:', err)
+        setAround({ key: aroundKey, antenas: [], loading: false, error: err })
+      })
+
+    return () => controller.abort()
+    // lat y lon van en aroundKey
+  }, [aroundKey])
+
+  const currentAround = around.key === aroundKey ? around : null
+
+  const nearby = useMemo(() => (
+    merged && currentAround
+      ? nearestByOperator([lat, lon], currentAround.antenas, {
+        excludeOperador: merged.properties.operador,
+        maxDistance: config.maxSearchRadius
+      })
+      : []
+  ), [merged, currentAround, lat, lon])
+
+  return {
+    antena: merged,
+    detailLoading: Boolean(current?.loading),
+    detailError: current?.error ?? null,
+    nearby,
+    nearbyLoading: Boolean(aroundKey) && (!currentAround || currentAround.loading),
+    nearbyError: currentAround?.error ?? null
+  }
+}
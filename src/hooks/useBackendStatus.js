@@ -0,0 +1,13 @@
+/**
+ * HOOK DE ESTADO DEL BACKEND
+ * 
+ * Expone a React el estado de services/backendStatus.js
+ * useSyncExternalStore garantiza lecturas consistentes en React 18
+ */
+
+import { useSyncExternalStore } from 'react'
+import { getBackendStatus, subscribeBackendStatus } from '../services/backendStatus'
+
+export default function useBackendStatus() {
+  return useSyncExternalStore(subscribeBackendStatus, getBackendStatus)
+}
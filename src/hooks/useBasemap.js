@@ -0,0 +1,52 @@
+/**
+ * HOOK DEL MAPA BASE ELEGIDO
+ *
+ * - Se guarda en localStorage y se restaura al volver
+ * - Mientras no se elija ninguno se usa el del tema (claro u oscuro)
+ * - Si el guardado ya no existe (p. ej. se quitó VITE_BASEMAP_URL)
+ *   se vuelve al del tema
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { isBasemap, defaultBasemap } from '../services/basemaps'
+
+/**
+ * CLAVE EN localStorage
+ */
+const STORAGE_KEY = 'antenas-basemap-v1'
+
+function readStoredBasemap() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    return isBasemap(stored) ? stored : null
+  } catch (err) {
+    console.warn('⚠️ No se pudo leer el mapa base guardado:', err)
+    return null
+  }
+}
+
+/**
+ * @param {'light'|'dark'} theme - Tema aplicado
+ * @returns {{basemap: string, setBasemap: Function}} - basemap: clave en BASEMAPS (ver services/basemaps.js)
+ */
+export default function useBasemap(theme) {
+  const [chosen, setChosen] = useState(readStoredBasemap)
+
+  useEffect(() => {
+    if (!chosen) return
+    try {
+      localStorage.setItem(STORAGE_KEY, chosen)
+    } catch (err) {
+      console.warn('⚠️ No se pudo guardar el mapa base:', err)
+    }
+  }, [chosen])
+
+  const setBasemap = useCallback((key) => {
+    if (isBasemap(key)) setChosen(key)
+  }, [])
+
+  return {
+    basemap: chosen ?? defaultBasemap(theme),
+    setBasemap
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * HOOK DEL MAPA DE COROPLETAS POR PROVINCIA
+ *
+ * - Carga los límites provinciales la primera vez que se activa
+ * - Con la métrica de cuota pide /map/stats filtrado por el
+ *   operador o la tecnología elegidos (pasa por la cache)
+ * - Calcula la cifra de cada provincia y los cortes de color
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { loadMapData, isAbortError } from '../services/api'
+import {
+  loadProvinceBoundaries,
+  provinceFigures,
+  metricValue,
+  quantileBreaks
+} from '../services/provinces'
+import { ignoresSubset } from '../services/stats'
+
+/**
+ * @param {boolean} enabled - Capa activa
+ * @param {{metric: string, dimension: string, value: string|null}} options
+ *   - dimension/value: operador o tecnología de la cuota (solo métrica 'share')
+ * @param {Object|null} stats - /map/stats global
+ * @returns {{
+ *   boundaries: Object|null,
+ *   figures: Map|null,
+ *   breaks: number[],
+ *   loading: boolean,
+ *   error: Error|null
+ * }}
+ */
+export default function useChoropleth(enabled, { metric, dimension, value }, stats) {
+  const [boundaries, setBoundaries] = useState(null)
+  const [boundariesError, setBoundariesError] = useState(null)
+  const [subset, setSubset] = useState({ key: null, stats: null, loading: false, error: null })
+
+  /**
+   * LÍMITES PROVINCIALES
+   */
+  useEffect(() => {
+    if (!enabled || boundaries) return
+    let cancelled = false
+    setBoundariesError(null)
+
+    loadProvinceBoundaries()
+      .then(data => { if (!cancelled) setBoundaries(data) })
+      .catch(err => {
+        console.error('❌ Error cargando los límites provinciales:', err)
+        if (!cancelled) setBoundariesError(err)
+      })
+
+    return () => { cancelled = true }
+  }, [enabled, boundaries])
+
+  /**
+   * ESTADÍSTICAS DEL OPERADOR O TECNOLOGÍA DE LA CUOTA
+   */
+  const subsetKey = enabled && metric === 'share' && value ? `${dimension}=${value}` : null
+
+  useEffect(() => {
+    if (!subsetKey) return
+
+    const controller = new AbortController()
+    setSubset({ key: subsetKey, stats: null, loading: true, error: null })
+
+    const params = new URLSearchParams({ [dimension]: value })
+    loadMapData(`/map/stats?${params}`, { signal: controller.signal, cache: false, retry: false })
+      .then(data => {
+        if (ignoresSubset(data, stats, { filters: { [dimension]: [value] } })) {
+          throw new Error('La API no admite filtros en /map/stats: no se puede calcular la cuota por provincia')
+        }
+        setSubset({ key: subsetKey, stats: data, loading: false, error: null })
+      })
+      .catch(err => {
+        if (isAbortError(err)) return
+        console.error('❌ Error cargando la cuota por provincia:', err)
+        setSubset({ key: subsetKey, stats: null, loading: false, error: err })
+      })
+
+    return () => controller.abort()
+    // dimension y value van en subsetKey; stats solo valida la respuesta
+  }, [subsetKey])
+
+  /**
+   * CIFRAS Y CORTES
+   */
+  const current = subsetKey && subset.key === subsetKey ? subset : null
+
+  const figures = useMemo(() => {
+    if (!boundaries || !stats) return null
+    return provinceFigures(boundaries, stats.por_provincia, metric === 'share' ? current?.stats?.por_provincia : null)
+  }, [boundaries, stats, metric, current?.stats])
+
+  const breaks = useMemo(() => (
+    figures ? quantileBreaks(Array.from(figures.values()).map(figure => metricValue(figure, metric))) : []
+  ), [figures, metric])
+
+  return {
+    boundaries,
+    figures,
+    breaks,
+    loading: enabled && ((!boundaries && !boundariesError) || Boolean(current?.loading)),
+    error: boundariesError ?? current?.error ?? null
+  }
+}
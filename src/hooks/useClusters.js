@@ -0,0 +1,118 @@
+/**
+ * HOOK DE AGRUPAMIENTO DE ANTENAS
+ *
+ * Delega en el Web Worker de clustering (workers/clusterWorker.js):
+ * - El índice se reconstruye solo cuando cambian las antenas
+ * - Cada cambio de vista solo consulta el índice ya construido
+ * - Las respuestas de consultas anteriores se descartan
+ *
+ * Solo recibe antenas individuales: los clusters del servidor
+ * (/map/clusters) llegan ya separados (ver services/features.js)
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { ClusterIndex } from '../services/clustering'
+import { debugLog } from '../services/logger'
+
+/**
+ * MARGEN ALREDEDOR DE LA VISTA (fracción del ancho/alto)
+ *
+ * Evita bordes vacíos durante un paneo corto
+ */
+const VIEW_PADDING = 0.25
+
+/**
+ * @param {Array} antenas - Features GeoJSON del viewport
+ * @param {{bbox: number[], zoom: number}|null} view - Vista actual del mapa
+ * @returns {Array} - Antenas sueltas y clusters visibles
+ */
+export default function useClusters(antenas, view) {
+  const [clusters, setClusters] = useState([])
+
+  /**
+   * - worker: Instancia del worker (null si el navegador no lo soporta)
+   * - fallback: Índice en el hilo principal cuando no hay worker
+   * - request: Identificador de la última consulta enviada
+   */
+  const workerRef = useRef(null)
+  const fallbackRef = useRef(null)
+  const requestRef = useRef(0)
+
+  /**
+   * CREAR EL WORKER UNA SOLA VEZ
+   */
+  useEffect(() => {
+    if (typeof Worker === 'undefined') {
+      fallbackRef.current = new ClusterIndex()
+      return
+    }
+
+    const worker = new Worker(new URL('../workers/clusterWorker.js', import.meta.url), { type: 'module' })
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'loaded') {
+        debugLog(`📍 [CLUSTER] Índice de ${data.count} antenas en ${data.ms}ms`)
+        return
+      }
+      // DESCARTAR CONSULTAS OBSOLETAS
+      if (data.type === 'clusters' && data.requestId === requestRef.current) {
+        setClusters(data.features)
+      }
+    }
+    worker.onerror = (error) => {
+      console.error('❌ [CLUSTER] Error en el worker de agrupamiento:', error)
+    }
+
+    workerRef.current = worker
+    return () => {
+      worker.terminate()
+      workerRef.current = null
+    }
+  }, [])
+
+  /**
+   * RECONSTRUIR EL ÍNDICE CUANDO CAMBIAN LAS ANTENAS
+   */
+  useEffect(() => {
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'load', loadId: requestRef.current, features: antenas })
+    } else if (fallbackRef.current) {
+      fallbackRef.current.load(antenas)
+    }
+  }, [antenas])
+
+  /**
+   * CONSULTAR LOS CLUSTERS DE LA VISTA
+   *
+   * Depende también de antenas: el worker procesa los mensajes
+   * en orden, así que la consulta usa siempre el índice recién cargado
+   */
+  useEffect(() => {
+    if (!view) return
+
+    const requestId = ++requestRef.current
+    const bbox = padBbox(view.bbox, VIEW_PADDING)
+
+    if (workerRef.current) {
+      workerRef.current.postMessage({ type: 'query', requestId, bbox, zoom: view.zoom })
+    } else if (fallbackRef.current) {
+      setClusters(fallbackRef.current.getClusters(bbox, view.zoom))
+    }
+  }, [antenas, view])
+
+  return clusters
+}
+
+/**
+ * AMPLIAR UN BBOX EN UNA FRACCIÓN DE SU TAMAÑO
+ */
+function padBbox([west, south, east, north], ratio) {
+  const dx = (east - west) * ratio
+  const dy = (north - south) * ratio
+  return [
+    Math.max(-180, west - dx),
+    Math.max(-90, south - dy),
+    Math.min(180, east + dx),
+    Math.min(90, north + dy)
+  ]
+}
@@ -0,0 +1,61 @@
+/**
+ * HOOK DE UN LADO DEL MODO COMPARAR
+ *
+ * Cada lado es un mapa completo con sus propios filtros:
+ * - Carga por viewport con la misma tubería que el mapa principal
+ *   (ver hooks/useViewportData.js): teselas, cache y cancelación
+ * - Estadísticas de la vista compartida (ver hooks/useScopedStats.js)
+ */
+
+import { useMemo } from 'react'
+import useViewportData from './useViewportData'
+import useScopedStats from './useScopedStats'
+import { matchesFilters } from '../services/filters'
+import { inBbox } from '../services/tiles'
+
+/**
+ * @param {Object} filters - Filtros del lado
+ * @param {Object} params
+ * @param {number[]|null} params.bbox - Vista compartida [oeste, sur, este, norte]
+ * @param {Object|null} params.globalStats - /map/stats sin parámetros
+ * @param {Function} [params.onError] - Recibe los errores de carga del viewport
+ * @returns {{
+ *   antenas: Array,
+ *   clusters: Array,
+ *   viewportLoading: boolean,
+ *   handleViewportChange: Function,
+ *   stats: Object|null,
+ *   statsLoading: boolean,
+ *   approximate: boolean
+ * }}
+ */
+export default function useCompareSide(filters, { bbox, globalStats, onError }) {
+  const { antenas, clusters, viewportLoading, handleViewportChange } = useViewportData(filters, { onError })
+
+  // Las teselas en memoria pueden ser de otra selección: se filtra también aquí
+  const filteredAntenas = useMemo(() => (
+    antenas.filter(antena => matchesFilters(antena.properties, filters))
+  ), [antenas, filters])
+
+  const viewportAntenas = useMemo(() => (
+    bbox ? filteredAntenas.filter(antena => inBbox(antena.geometry.coordinates, bbox)) : filteredAntenas
+  ), [filteredAntenas, bbox])
+
+  const { stats, loading, approximate } = useScopedStats('viewport', {
+    globalStats,
+    filters,
+    bbox,
+    viewportAntenas,
+    clusters
+  })
+
+  return {
+    antenas: filteredAntenas,
+    clusters,
+    viewportLoading,
+    handleViewportChange,
+    stats,
+    statsLoading: loading,
+    approximate
+  }
+}
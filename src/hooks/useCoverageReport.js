@@ -0,0 +1,132 @@
+/**
+ * HOOK DEL INFORME DE COBERTURA
+ *
+ * Parte de las antenas que la aplicación ya tiene cargadas y solo
+ * pide /map/antenas alrededor del punto cuando no bastan:
+ * - El mapa no muestra antenas sueltas (zoom de clusters), o
+ * - El viewport no contiene el círculo de recuento más amplio (10 km), o
+ * - A algún operador le falta alguna tecnología (puede estar más lejos)
+ *
+ * La petición empieza por el círculo de recuento completo (todas sus
+ * páginas) y se amplía mientras falte alguna tecnología, hasta
+ * TOP_UP_RADIUS (ver services/nearby.js)
+ *
+ * Las antenas pedidas se unen a las cargadas (por id) y se aplican
+ * los filtros activos a todas
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { isAbortError } from '../services/api'
+import { matchesFilters, filtersKey } from '../services/filters'
+import { bboxAround } from '../services/geo'
+import { fetchAntenasExpanding } from '../services/nearby'
+import { CLUSTER_MAX_ZOOM } from '../services/tiles'
+import { buildCoverageReport, hasMissingNearest, COUNT_RADII } from '../services/coverage'
+import config from '../config'
+
+/**
+ * RADIO DE LA PETICIÓN DE COMPLEMENTO (metros)
+ *
+ * Al menos el radio de recuento más amplio; hasta
+ * VITE_MAX_SEARCH_RADIUS para encontrar tecnologías lejanas
+ */
+export const TOP_UP_RADIUS = Math.max(COUNT_RADII[COUNT_RADII.length - 1], config.maxSearchRadius)
+
+/**
+ * @param {number[]|null} center - [lat, lon]; null = sin informe
+ * @param {Array} antenas - Antenas ya cargadas por la aplicación
+ * @param {Object} filters - Filtros activos (ver services/filters.js)
+ * @param {{bbox: number[], zoom: number}|null} viewport - Vista actual del mapa
+ * @returns {{
+ *   report: Object|null,
+ *   loading: boolean,
+ *   error: Error|null,
+ *   truncated: boolean,
+ *   toppedUp: boolean
+ * }} - toppedUp: el informe incluye antenas pedidas alrededor del punto
+ */
+export default function useCoverageReport(center, antenas, filters, viewport) {
+  const [extra, setExtra] = useState({ antenas: [], loading: false, error: null, truncated: false })
+
+  const [lat, lon] = center ?? []
+  const selectionKey = filtersKey(filters)
+
+  /**
+   * INFORME CON LO YA CARGADO Y DECISIÓN DE COMPLETAR
+   */
+  const local = useMemo(() => {
+    if (lat === undefined) return null
+
+    const candidates = antenas.filter(antena => matchesFilters(antena.properties, filters))
+    const report = buildCoverageReport([lat, lon], candidates)
+    const covered = viewport &&
+      viewport.zoom > CLUSTER_MAX_ZOOM &&
+      containsBbox(viewport.bbox, bboxAround([lat, lon], COUNT_RADII[COUNT_RADII.length - 1]))
+
+    return { candidates, report, needsTopUp: !covered || hasMissingNearest(report) }
+  }, [antenas, filters, lat, lon, viewport])
+
+  const needsTopUp = Boolean(local?.needsTopUp)
+
+  /**
+   * PETICIÓN DE COMPLEMENTO ALREDEDOR DEL PUNTO
+   */
+  useEffect(() => {
+    if (lat === undefined || !needsTopUp) {
+      setExtra({ antenas: [], loading: false, error: null, truncated: false })
+      return
+    }
+
+    const controller = new AbortController()
+    setExtra(prev => ({ ...prev, loading: true, error: null }))
+
+    fetchAntenasExpanding([lat, lon], filters, {
+      minRadius: COUNT_RADII[COUNT_RADII.length - 1],
+      isEnough: (found, radius) => !hasMissingNearest(buildCoverageReport([lat, lon], found), radius),
+      signal: controller.signal
+    })
+      .then(({ antenas: found, truncated }) => {
+        setExtra({ antenas: found, loading: false, error: null, truncated })
+      })
+      .catch(err => {
+        if (isAbortError(err)) return
+        console.error('❌ Error completando el informe de cobertura:', err)
+        setExtra({ antenas: [], loading: false, error: err, truncated: false })
+      })
+
+    return () => controller.abort()
+    // filters se lee a través de selectionKey: misma selección, misma petición
+  }, [lat, lon, needsTopUp, selectionKey])
+
+  /**
+   * INFORME FINAL: CARGADAS + COMPLEMENTO (SIN DUPLICADOS)
+   */
+  const report = useMemo(() => {
+    if (!local) return null
+    if (extra.antenas.length === 0) return local.report
+
+    const byId = new Map()
+    ;[...local.candidates, ...extra.antenas].forEach(antena => {
+      if (!matchesFilters(antena.properties, filters)) return
+      byId.set(antena.properties?.id ?? antena.geometry.coordinates.join(','), antena)
+    })
+    return buildCoverageReport([lat, lon], Array.from(byId.values()))
+  }, [local, extra.antenas, filters, lat, lon])
+
+  return {
+    report,
+    loading: extra.loading,
+    error: extra.error,
+    truncated: extra.truncated,
+    toppedUp: extra.antenas.length > 0
+  }
+}
+
+/**
+ * ¿EL BBOX outer CONTIENE POR COMPLETO A inner?
+ *
+ * Ambos en formato [oeste, sur, este, norte]
+ */
+function containsBbox(outer, inner) {
+  return outer[0] <= inner[0] && outer[1] <= inner[1] && outer[2] >= inner[2] && outer[3] >= inner[3]
+}
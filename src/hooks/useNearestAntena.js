@@ -0,0 +1,73 @@
+/**
+ * HOOK DE ANTENA OFICIAL MÁS CERCANA A UN PUNTO
+ *
+ * Para los puntos de las capas importadas: combina las antenas ya
+ * cargadas en el mapa con una búsqueda creciente de /map/antenas
+ * alrededor del punto, hasta VITE_MAX_SEARCH_RADIUS (ver
+ * services/nearby.js), que pasa por la cache
+ * Respeta los filtros activos, como el resto del mapa
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { isAbortError } from '../services/api'
+import { matchesFilters, filtersKey } from '../services/filters'
+import { haversineDistance } from '../services/geo'
+import { fetchAntenasExpanding } from '../services/nearby'
+import config from '../config'
+
+/**
+ * @param {number[]|null} point - [lat, lon]; null = sin consulta
+ * @param {Array} antenas - Antenas ya cargadas en el mapa
+ * @param {Object} filters - Filtros activos
+ * @returns {{nearest: {antena: Object, distance: number}|null, loading: boolean, error: Error|null}}
+ *   - nearest: null si no hay ninguna a menos de VITE_MAX_SEARCH_RADIUS
+ */
+export default function useNearestAntena(point, antenas, filters) {
+  const [state, setState] = useState({ antenas: [], loading: false, error: null })
+
+  const [lat, lon] = point ?? []
+  const selectionKey = filtersKey(filters)
+
+  useEffect(() => {
+    if (lat === undefined) return
+
+    const controller = new AbortController()
+    setState({ antenas: [], loading: true, error: null })
+
+    // Basta con una antena dentro del círculo consultado: fuera no hay ninguna más cerca
+    fetchAntenasExpanding([lat, lon], filters, {
+      isEnough: (found, radius) => found.some(antena => distanceTo([lat, lon], antena) <= radius),
+      signal: controller.signal
+    })
+      .then(({ antenas: found }) => setState({ antenas: found, loading: false, error: null }))
+      .catch(err => {
+        if (isAbortError(err)) return
+        console.error('❌ Error buscando la antena más cercana:', err)
+        setState({ antenas: [], loading: false, error: err })
+      })
+
+    return () => controller.abort()
+    // filters se lee a través de selectionKey
+  }, [lat, lon, selectionKey])
+
+  const nearest = useMemo(() => {
+    if (lat === undefined) return null
+
+    let best = null
+    for (const antena of antenas.concat(state.antenas)) {
+      if (!matchesFilters(antena.properties, filters)) continue
+      const distance = distanceTo([lat, lon], antena)
+      if (distance <= config.maxSearchRadius && (!best || distance < best.distance)) {
+        best = { antena, distance }
+      }
+    }
+    return best
+  }, [lat, lon, antenas, state.antenas, filters])
+
+  return { nearest, loading: state.loading, error: state.error }
+}
+
+function distanceTo(point, antena) {
+  const [antenaLon, antenaLat] = antena.geometry.coordinates
+  return haversineDistance(point, [antenaLat, antenaLon])
+}
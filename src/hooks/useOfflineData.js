@@ -0,0 +1,13 @@
+/**
+ * HOOK DE DATOS SIN CONEXIÓN
+ *
+ * Expone a React la fecha de services/offlineData.js
+ * (null mientras los datos vienen de la red)
+ */
+
+import { useSyncExternalStore } from 'react'
+import { getOfflineData, subscribeOfflineData } from '../services/offlineData'
+
+export default function useOfflineData() {
+  return useSyncExternalStore(subscribeOfflineData, getOfflineData)
+}
@@ -0,0 +1,129 @@
+/**
+ * HOOK DE CAPAS IMPORTADAS
+ *
+ * Conjuntos propios (GeoJSON, CSV, KML) que se pintan sobre las
+ * antenas oficiales para compararlas (ver services/importers.js)
+ *
+ * - Se guardan en localStorage y se restauran al volver
+ * - Cada capa tiene su color y se puede ocultar o quitar
+ * - Si localStorage está lleno, la capa vive solo en esta sesión
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { parseImportFile } from '../services/importers'
+
+/**
+ * CLAVE EN localStorage (versionada por si cambia el formato)
+ */
+const STORAGE_KEY = 'antenas-overlays-v1'
+
+/**
+ * COLORES DE LAS CAPAS, EN ORDEN DE IMPORTACIÓN
+ *
+ * Distintos de los de los operadores para no confundirlas y
+ * visibles sobre los mapas base claros y oscuros
+ */
+const OVERLAY_COLORS = ['#8e44ad', '#16a085', '#d35400', '#c0392b']
+
+function readStoredOverlays() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(stored) ? stored : []
+  } catch (err) {
+    console.warn('⚠️ Capas importadas guardadas ilegibles, se descartan:', err)
+    return []
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Recibe un mensaje si no se pueden guardar las capas
+ * @returns {{
+ *   overlays: Array<{id: string, name: string, format: string, color: string, visible: boolean, features: Array, importedAt: string}>,
+ *   importFiles: Function,
+ *   importReports: Array<{fileName: string, imported: number, errors: Array, failure: string|null}>,
+ *   clearImportReports: Function,
+ *   toggleOverlay: Function,
+ *   removeOverlay: Function
+ * }} - importReports: resultado de la última importación, un informe por fichero
+ */
+export default function useOverlays({ onError } = {}) {
+  const [overlays, setOverlays] = useState(readStoredOverlays)
+  const [importReports, setImportReports] = useState([])
+
+  const onErrorRef = useRef(onError)
+  onErrorRef.current = onError
+
+  /**
+   * PERSISTENCIA
+   */
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(overlays))
+    } catch (err) {
+      console.error('❌ No se pudieron guardar las capas importadas:', err)
+      onErrorRef.current?.('No hay espacio para guardar las capas importadas: se perderán al cerrar la página')
+    }
+  }, [overlays])
+
+  /**
+   * IMPORTAR FICHEROS (soltados en el mapa o elegidos)
+   *
+   * Cada fichero con algún punto válido crea una capa; las filas
+   * con errores se omiten y se listan en importReports
+   */
+  const importFiles = useCallback(async (files) => {
+    const reports = []
+    const added = []
+
+    for (const file of Array.from(files)) {
+      try {
+        const { format, features, errors } = await parseImportFile(file)
+        reports.push({
+          fileName: file.name,
+          imported: features.length,
+          errors,
+          failure: features.length === 0 ? 'ningún punto válido' : null
+        })
+        if (features.length > 0) {
+          added.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name: file.name.replace(/\.[^.]+$/, ''),
+            format,
+            visible: true,
+            features,
+            importedAt: new Date().toISOString()
+          })
+        }
+      } catch (err) {
+        console.error(`❌ Error importando ${file.name}:`, err)
+        reports.push({ fileName: file.name, imported: 0, errors: [], failure: err.message })
+      }
+    }
+
+    setImportReports(reports)
+    if (added.length > 0) {
+      setOverlays(prev => [
+        ...prev,
+        ...added.map((overlay, index) => ({
+          ...overlay,
+          color: OVERLAY_COLORS[(prev.length + index) % OVERLAY_COLORS.length]
+        }))
+      ])
+    }
+  }, [])
+
+  const clearImportReports = useCallback(() => setImportReports([]), [])
+
+  const toggleOverlay = useCallback((id) => {
+    setOverlays(prev => prev.map(overlay => (
+      overlay.id === id ? { ...overlay, visible: !overlay.visible } : overlay
+    )))
+  }, [])
+
+  const removeOverlay = useCallback((id) => {
+    setOverlays(prev => prev.filter(overlay => overlay.id !== id))
+  }, [])
+
+  return { overlays, importFiles, importReports, clearImportReports, toggleOverlay, removeOverlay }
+}
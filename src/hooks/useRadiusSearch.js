@@ -0,0 +1,98 @@
+/**
+ * HOOK DE BÚSQUEDA POR RADIO
+ *
+ * Antenas a menos de `radius` metros de un punto, ordenadas por
+ * distancia (haversine) y con los filtros activos aplicados
+ *
+ * Pide /map/antenas para el bbox del círculo (todas las páginas, ver
+ * services/nearby.js) en lugar de usar lo cargado en el mapa: a zoom
+ * bajo el mapa solo tiene clusters
+ * - Debounce: arrastrar el control de radio no lanza una petición por paso
+ * - Cancelación: cada búsqueda nueva aborta la anterior
+ * - Las respuestas pasan por la cache de loadMapData
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { isAbortError } from '../services/api'
+import { matchesFilters, filtersKey } from '../services/filters'
+import { haversineDistance } from '../services/geo'
+import { fetchAntenasAround } from '../services/nearby'
+import config from '../config'
+
+/**
+ * ESPERA TRAS EL ÚLTIMO CAMBIO ANTES DE PEDIR DATOS (ms)
+ */
+const SEARCH_DEBOUNCE = 250
+
+/**
+ * @param {number[]|null} center - [lat, lon]; null = sin búsqueda
+ * @param {number} radius - Metros (se limita a VITE_MAX_SEARCH_RADIUS)
+ * @param {Object} filters - Filtros activos (ver services/filters.js)
+ * @returns {{
+ *   results: Array<{antena: Object, distance: number}>,
+ *   loading: boolean,
+ *   error: Error|null,
+ *   truncated: boolean
+ * }} - truncated: el círculo tiene más antenas de las que se descargan y puede faltar alguna
+ */
+export default function useRadiusSearch(center, radius, filters) {
+  const [state, setState] = useState({ antenas: [], loading: false, error: null, truncated: false })
+
+  const effectiveRadius = Math.min(radius, config.maxSearchRadius)
+  const [lat, lon] = center ?? []
+  const selectionKey = filtersKey(filters)
+
+  /**
+   * PETICIÓN DEL BBOX DEL CÍRCULO
+   */
+  useEffect(() => {
+    if (lat === undefined) {
+      setState({ antenas: [], loading: false, error: null, truncated: false })
+      return
+    }
+
+    const controller = new AbortController()
+    setState(prev => ({ ...prev, loading: true, error: null }))
+
+    const timer = setTimeout(async () => {
+      try {
+        const { antenas, truncated } = await fetchAntenasAround([lat, lon], effectiveRadius, filters, { signal: controller.signal })
+        setState({ antenas, loading: false, error: null, truncated })
+      } catch (err) {
+        if (isAbortError(err)) return
+        console.error('❌ Error en la búsqueda por radio:', err)
+        setState({ antenas: [], loading: false, error: err, truncated: false })
+      }
+    }, SEARCH_DEBOUNCE)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+    // filters se lee a través de selectionKey: misma selección, misma petición
+  }, [lat, lon, effectiveRadius, selectionKey])
+
+  /**
+   * RECORTE AL CÍRCULO Y ORDEN POR DISTANCIA
+   *
+   * Los filtros se aplican también aquí: mientras llega la
+   * respuesta de una selección nueva no se listan antenas excluidas
+   */
+  const results = useMemo(() => {
+    if (lat === undefined) return []
+
+    return state.antenas
+      .filter(antena => matchesFilters(antena.properties, filters))
+      .map(antena => ({
+        antena,
+        distance: haversineDistance(
+          [lat, lon],
+          [antena.geometry.coordinates[1], antena.geometry.coordinates[0]]
+        )
+      }))
+      .filter(result => result.distance <= effectiveRadius)
+      .sort((a, b) => a.distance - b.distance)
+  }, [state.antenas, lat, lon, effectiveRadius, filters])
+
+  return { results, loading: state.loading, error: state.error, truncated: state.truncated }
+}
@@ -0,0 +1,121 @@
+/**
+ * HOOK DE ESTADÍSTICAS SEGÚN EL ÁMBITO
+ *
+ * - 'global': Toda España con los filtros activos
+ *   (sin filtros son directamente las estadísticas globales)
+ * - 'viewport': Lo que cae dentro de la vista actual con los filtros activos
+ *
+ * Pide /map/stats con filtros y bbox. En la vista, mientras llega la
+ * respuesta (o si la API falla o ignora el bbox) se usan las cifras
+ * calculadas con lo ya cargado en el mapa, marcadas como aproximadas
+ */
+
+import { useState, useEffect, useMemo } from 'react'
+import { loadMapData, isAbortError } from '../services/api'
+import { appendFilterParams, filtersKey, hasActiveFilters } from '../services/filters'
+import { statsFromFeatures, ignoresSubset } from '../services/stats'
+import { inBbox } from '../services/tiles'
+
+/**
+ * ESPERA TRAS EL ÚLTIMO MOVIMIENTO ANTES DE PEDIR LA VISTA (ms)
+ */
+const VIEWPORT_DEBOUNCE = 300
+
+/**
+ * @param {string} scope - 'global' o 'viewport'
+ * @param {Object} params
+ * @param {Object|null} params.globalStats - /map/stats sin parámetros
+ * @param {Object} params.filters - Filtros activos
+ * @param {number[]|null} params.bbox - [oeste, sur, este, norte] de la vista
+ * @param {Array} params.viewportAntenas - Antenas filtradas dentro de la vista
+ * @param {Array} params.clusters - Clusters del servidor cargados
+ * @returns {{
+ *   stats: Object|null,
+ *   loading: boolean,
+ *   approximate: boolean,
+ *   error: Error|null
+ * }}
+ *   - approximate: Cifras calculadas en el cliente, no de la API
+ */
+export default function useScopedStats(scope, { globalStats, filters, bbox, viewportAntenas, clusters }) {
+  const [remote, setRemote] = useState({ key: null, stats: null, error: null })
+
+  const filtered = hasActiveFilters(filters)
+  const bboxParam = scope === 'viewport' && bbox
+    ? bbox.map(value => value.toFixed(4)).join(',')
+    : null
+
+  /**
+   * CLAVE DE LA PETICIÓN (null = basta con las estadísticas globales)
+   */
+  const requestKey = useMemo(() => {
+    if (scope === 'global' && !filtered) return null
+    if (scope === 'viewport' && !bboxParam) return null
+    const params = new URLSearchParams()
+    appendFilterParams(params, filters)
+    if (bboxParam) params.set('bbox', bboxParam)
+    return params.toString()
+    // filtersKey cubre el contenido de los filtros
+  }, [scope, filtered, bboxParam, filtersKey(filters)])
+
+  /**
+   * CIFRAS LOCALES DE LA VISTA
+   *
+   * Los clusters se cuentan enteros si su centro cae en la vista
+   */
+  const localStats = useMemo(() => {
+    if (scope !== 'viewport' || !bbox) return null
+    const visibleClusters = clusters.filter(cluster => inBbox(cluster.geometry.coordinates, bbox))
+    return statsFromFeatures(viewportAntenas, visibleClusters)
+  }, [scope, bbox, viewportAntenas, clusters])
+
+  const loadedTotal = localStats?.total_antenas
+
+  useEffect(() => {
+    if (!requestKey) return
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => {
+      // Fuera del cache: cada combinación de filtros y vista es distinta y desplazaría a las teselas
+      loadMapData(`/map/stats?${requestKey}`, { signal: controller.signal, cache: false, retry: false })
+        .then(data => {
+          if (ignoresSubset(data, globalStats, { filters, bbox: bboxParam, loadedTotal })) {
+            throw new Error('La API no admite filtros ni bbox en /map/stats')
+          }
+          setRemote({ key: requestKey, stats: data, error: null })
+        })
+        .catch(err => {
+          if (isAbortError(err)) return
+          console.error('⚠️ Error cargando las estadísticas del ámbito:', err)
+          setRemote({ key: requestKey, stats: null, error: err })
+        })
+    }, scope === 'viewport' ? VIEWPORT_DEBOUNCE : 0)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+    // filters, bbox y loadedTotal van en requestKey o solo validan la respuesta
+  }, [requestKey, globalStats])
+
+  if (!requestKey) {
+    return {
+      stats: scope === 'viewport' ? localStats : globalStats,
+      loading: scope === 'viewport' && !localStats,
+      approximate: scope === 'viewport' && Boolean(localStats),
+      error: null
+    }
+  }
+
+  const current = remote.key === requestKey ? remote : null
+  if (current?.stats) {
+    return { stats: current.stats, loading: false, approximate: false, error: null }
+  }
+
+  return {
+    stats: localStats,
+    loading: !current,
+    approximate: Boolean(localStats),
+    error: current?.error ?? null
+  }
+}
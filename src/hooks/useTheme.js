@@ -0,0 +1,106 @@
+/**
+ * HOOK DEL TEMA Y LA PALETA DE OPERADORES
+ *
+ * - Tema: 'light', 'dark' o 'system' (sigue al sistema y a sus cambios)
+ * - Paleta: colores de los operadores (ver services/palette.js)
+ * - Se guardan en localStorage; index.html aplica el tema guardado
+ *   antes de cargar React para no pintar primero en claro
+ *
+ * El tema resuelto se fija en <html data-theme="..."> y styles.css
+ * redefine sus variables de color con él
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { DEFAULT_PALETTE, isPalette, colorFunction } from '../services/palette'
+
+/**
+ * CLAVE EN localStorage (la misma que lee index.html)
+ */
+const STORAGE_KEY = 'antenas-theme-v1'
+
+const THEME_MODES = ['system', 'light', 'dark']
+
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+
+function readStoredPreferences() {
+  const defaults = { mode: 'system', palette: DEFAULT_PALETTE }
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    return {
+      mode: THEME_MODES.includes(stored.mode) ? stored.mode : defaults.mode,
+      palette: isPalette(stored.palette) ? stored.palette : defaults.palette
+    }
+  } catch (err) {
+    console.warn('⚠️ Preferencias de tema ilegibles, se usan las de por defecto:', err)
+    return defaults
+  }
+}
+
+function systemPrefersDark() {
+  return typeof window.matchMedia === 'function' && window.matchMedia(DARK_QUERY).matches
+}
+
+/**
+ * @returns {{
+ *   mode: 'system'|'light'|'dark',
+ *   theme: 'light'|'dark',
+ *   palette: string,
+ *   getColor: Function,
+ *   setMode: Function,
+ *   setPalette: Function
+ * }}
+ *   - theme: Tema aplicado (el del sistema si mode es 'system')
+ *   - getColor: Operador → color de la paleta elegida (estable por paleta)
+ */
+export default function useTheme() {
+  const [preferences, setPreferences] = useState(readStoredPreferences)
+  const [systemDark, setSystemDark] = useState(systemPrefersDark)
+
+  /**
+   * CAMBIOS DEL TEMA DEL SISTEMA
+   */
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return
+
+    const media = window.matchMedia(DARK_QUERY)
+    const handleChange = (event) => setSystemDark(event.matches)
+    media.addEventListener('change', handleChange)
+    return () => media.removeEventListener('change', handleChange)
+  }, [])
+
+  const theme = preferences.mode === 'system'
+    ? (systemDark ? 'dark' : 'light')
+    : preferences.mode
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme
+  }, [theme])
+
+  /**
+   * PERSISTENCIA
+   */
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences))
+    } catch (err) {
+      console.warn('⚠️ No se pudieron guardar las preferencias de tema:', err)
+    }
+  }, [preferences])
+
+  const setMode = useCallback((mode) => {
+    if (THEME_MODES.includes(mode)) setPreferences(prev => ({ ...prev, mode }))
+  }, [])
+
+  const setPalette = useCallback((palette) => {
+    if (isPalette(palette)) setPreferences(prev => ({ ...prev, palette }))
+  }, [])
+
+  return {
+    mode: preferences.mode,
+    theme,
+    palette: preferences.palette,
+    getColor: colorFunction(preferences.palette),
+    setMode,
+    setPalette
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * HOOK DE SINCRONIZACIÓN CON LA URL
+ *
+ * Refleja el estado en la query string y lo restaura con
+ * los botones atrás/adelante del navegador:
+ * - Cada cambio confirmado (filtro, fin de movimiento, selección)
+ *   añade una entrada al historial (pushState)
+ * - La primera escritura y las que siguen a una restauración
+ *   sustituyen la entrada actual (replaceState), para no crear
+ *   entradas fantasma al ajustar el mapa a la URL
+ */
+
+import { useEffect, useRef } from 'react'
+import { buildUrlSearch, readUrlState } from '../services/urlState'
+
+/**
+ * VENTANA TRAS UN popstate EN LA QUE LOS AJUSTES DEL MAPA
+ * NO CREAN ENTRADAS NUEVAS (ms)
+ */
+const RESTORE_WINDOW = 1000
+
+/**
+ * @param {Object} state - Estado a serializar (ver services/urlState.js)
+ * @param {Function} onRestore - Recibe el estado leído de la URL al navegar por el historial
+ */
+export default function useUrlState(state, onRestore) {
+  const search = buildUrlSearch(state)
+
+  const firstWriteRef = useRef(true)
+  const restoredAtRef = useRef(0)
+  const onRestoreRef = useRef(onRestore)
+  onRestoreRef.current = onRestore
+
+  /**
+   * ESCRIBIR EN LA URL CUANDO CAMBIA EL ESTADO
+   */
+  useEffect(() => {
+    if (search === window.location.search) return
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`
+    const replace = firstWriteRef.current || Date.now() - restoredAtRef.current < RESTORE_WINDOW
+    firstWriteRef.current = false
+
+    if (replace) {
+      window.history.replaceState(null, '', url)
+    } else {
+      window.history.pushState(null, '', url)
+    }
+  }, [search])
+
+  /**
+   * RESTAURAR AL NAVEGAR ATRÁS/ADELANTE
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      restoredAtRef.current = Date.now()
+      onRestoreRef.current(readUrlState())
+    }
+
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+}
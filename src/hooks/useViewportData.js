@@ -0,0 +1,369 @@
+/**
+ * HOOK DE CARGA DE DATOS POR VIEWPORT
+ *
+ * Carga las antenas del área visible garantizando que el mapa
+ * siempre muestra los datos de la vista y filtros actuales:
+ * - Teselas: el área visible se divide en teselas XYZ fijas y solo
+ *   se piden las que faltan (ver services/tiles.js)
+ * - Debounce: los paneos rápidos se agrupan en una sola petición
+ * - Cancelación: cada petición nueva aborta la anterior (AbortSignal)
+ * - Generación: una respuesta que llega tarde se descarta
+ * - Precarga: las teselas vecinas se piden cuando el navegador está ocioso
+ *
+ * Las respuestas se normalizan al guardarse: antenas y clusters
+ * del servidor se devuelven por separado (ver services/features.js)
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { loadMapData, isAbortError } from '../services/api'
+import {
+  CLUSTER_MAX_ZOOM,
+  tileZoomFor,
+  tilesForBbox,
+  tileBounds,
+  neighbourTiles,
+  parentTile,
+  coarserAntenaZooms,
+  inBbox
+} from '../services/tiles'
+import { splitFeatures } from '../services/features'
+import { appendFilterParams, filtersKey } from '../services/filters'
+import config from '../config'
+
+/**
+ * ESPERA TRAS EL ÚLTIMO moveend ANTES DE PEDIR DATOS (ms)
+ *
+ * Si todas las teselas visibles ya están cargadas no se espera
+ */
+const VIEWPORT_DEBOUNCE = 300
+
+/**
+ * TESELAS GUARDADAS EN MEMORIA (las más antiguas se descartan)
+ */
+const TILE_STORE_LIMIT = 400
+
+/**
+ * MÁXIMO DE TESELAS VECINAS A PRECARGAR POR VISTA
+ */
+const PREFETCH_LIMIT = 16
+
+/**
+ * CONSTRUIR URL DE UNA TESELA
+ *
+ * - Zoom bajo (<=10): Usa clusters para áreas amplias
+ * - Zoom alto (>10): Muestra antenas individuales
+ *
+ * La URL es estable para una misma tesela y filtros,
+ * así que también sirve como clave de cache
+ *
+ * @param {{z: number, x: number, y: number}} tile - Tesela XYZ
+ * @param {number} mapZoom - Zoom actual del mapa
+ * @param {Object} filters - Filtros activos (ver services/filters.js)
+ * @returns {string} - Endpoint relativo con su query string
+ */
+export function buildTileUrl(tile, mapZoom, filters) {
+  const clusters = mapZoom <= CLUSTER_MAX_ZOOM
+  const endpoint = clusters ? '/map/clusters' : '/map/antenas'
+  const params = new URLSearchParams({
+    bbox: tileBounds(tile).map(value => value.toFixed(6)).join(','),
+    // Los clusters dependen del zoom del mapa; las antenas solo de la tesela
+    zoom: (clusters ? mapZoom : tile.z).toString(),
+    limit: config.maxAntenas.toString() // VITE_MAX_ANTENAS por tesela
+  })
+
+  // AÑADIR FILTROS ACTIVOS A LA CONSULTA (parámetros repetidos)
+  appendFilterParams(params, filters)
+
+  return `${endpoint}?${params}`
+}
+
+/**
+ * @param {Object} filters - Filtros activos; un cambio recarga el viewport actual
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Recibe los errores de carga (no las cancelaciones)
+ * @returns {{
+ *   antenas: Array,
+ *   clusters: Array,
+ *   viewportLoading: boolean,
+ *   handleViewportChange: Function
+ * }}
+ */
+export default function useViewportData(filters, { onError } = {}) {
+  const [antenas, setAntenas] = useState([])
+  const [clusters, setClusters] = useState([])
+  const [viewportLoading, setViewportLoading] = useState(false)
+
+  /**
+   * REFERENCIAS MUTABLES (no provocan renders)
+   *
+   * - viewport: Última vista notificada por el mapa
+   * - generation: Se incrementa con cada carga; solo la última escribe estado
+   * - controller: AbortController de la carga en curso (y su precarga)
+   * - timer: Debounce pendiente
+   * - idle: Precarga programada en tiempo ocioso
+   * - tileStore: URL de tesela → { antenas, clusters, complete }
+   */
+  const viewportRef = useRef(null)
+  const generationRef = useRef(0)
+  const controllerRef = useRef(null)
+  const timerRef = useRef(null)
+  const idleRef = useRef(null)
+  const tileStoreRef = useRef(new Map())
+
+  /**
+   * FILTROS VIGENTES
+   *
+   * Se leen por referencia para que el callback de viewport
+   * sea estable y no re-registre los eventos del mapa
+   */
+  const filtersRef = useRef(filters)
+  filtersRef.current = filters
+  const onErrorRef = useRef(onError)
+  onErrorRef.current = onError
+
+  /**
+   * CARGAR DATOS DEL VIEWPORT ACTUAL
+   *
+   * Pinta de inmediato lo que ya está en memoria y pide
+   * en paralelo solo las teselas que faltan
+   */
+  const loadViewport = useCallback(async () => {
+    const viewport = viewportRef.current
+    if (!viewport) return
+
+    const currentFilters = filtersRef.current
+    const store = tileStoreRef.current
+
+    // CANCELAR LA CARGA ANTERIOR Y ABRIR UNA NUEVA GENERACIÓN
+    controllerRef.current?.abort()
+    cancelIdle(idleRef.current)
+    const controller = new AbortController()
+    controllerRef.current = controller
+    const generation = ++generationRef.current
+
+    const tiles = tilesForBbox(viewport.bbox, tileZoomFor(viewport.zoom))
+    const missing = tiles.filter(tile => !getTileFeatures(store, tile, viewport.zoom, currentFilters))
+
+    const render = () => {
+      // DESCARTAR RESULTADOS OBSOLETOS
+      if (generation !== generationRef.current) return
+      const merged = mergeTiles(store, tiles, viewport.zoom, currentFilters)
+      if (!merged) return
+      setAntenas(merged.antenas)
+      setClusters(merged.clusters)
+    }
+
+    const prefetch = () => {
+      idleRef.current = requestIdle(() => {
+        prefetchNeighbours(store, tiles, viewport.zoom, currentFilters, controller.signal)
+      })
+    }
+
+    // TODO EN MEMORIA: RESPUESTA INSTANTÁNEA
+    if (missing.length === 0) {
+      render()
+      setViewportLoading(false)
+      prefetch()
+      return
+    }
+
+    setViewportLoading(true)
+    render() // Teselas ya cargadas mientras llegan las demás
+
+    const results = await Promise.allSettled(
+      missing.map(tile => fetchTile(store, tile, viewport.zoom, currentFilters, controller.signal, render))
+    )
+
+    if (generation !== generationRef.current) return
+    setViewportLoading(false)
+
+    const failure = results.find(result => result.status === 'rejected' && !isAbortError(result.reason))
+    if (failure) {
+      console.error('❌ Error updating viewport data:', failure.reason)
+      // Aviso descartable: el mapa conserva los datos anteriores
+      onErrorRef.current?.(failure.reason)
+    } else {
+      prefetch()
+    }
+  }, [])
+
+  /**
+   * MANEJO DE CAMBIO DE VIEWPORT
+   *
+   * Se pasa al mapa como onViewportChange
+   * Sin debounce si la vista ya está completa en memoria
+   */
+  const handleViewportChange = useCallback((viewport) => {
+    if (!viewport) return
+
+    viewportRef.current = viewport
+    clearTimeout(timerRef.current)
+
+    const tiles = tilesForBbox(viewport.bbox, tileZoomFor(viewport.zoom))
+    const cached = tiles.every(tile =>
+      getTileFeatures(tileStoreRef.current, tile, viewport.zoom, filtersRef.current)
+    )
+
+    if (cached) {
+      loadViewport()
+    } else {
+      timerRef.current = setTimeout(loadViewport, VIEWPORT_DEBOUNCE)
+    }
+  }, [loadViewport])
+
+  /**
+   * RECARGA INMEDIATA AL CAMBIAR LOS FILTROS
+   *
+   * Depende de la clave de la selección, no de la identidad de los arrays
+   */
+  const selectionKey = filtersKey(filters)
+  useEffect(() => {
+    clearTimeout(timerRef.current)
+    loadViewport()
+  }, [selectionKey, loadViewport])
+
+  /**
+   * LIMPIEZA AL DESMONTAR
+   */
+  useEffect(() => () => {
+    clearTimeout(timerRef.current)
+    cancelIdle(idleRef.current)
+    controllerRef.current?.abort()
+  }, [])
+
+  return { antenas, clusters, viewportLoading, handleViewportChange }
+}
+
+// ===== ALMACÉN DE TESELAS =====
+
+/**
+ * PEDIR UNA TESELA Y GUARDARLA
+ *
+ * onLoaded se invoca también si una respuesta cacheada
+ * se revalida en segundo plano
+ */
+async function fetchTile(store, tile, mapZoom, filters, signal, onLoaded) {
+  const url = buildTileUrl(tile, mapZoom, filters)
+  const data = await loadMapData(url, {
+    signal,
+    onUpdate: (fresh) => {
+      storeTile(store, url, fresh)
+      onLoaded()
+    }
+  })
+
+  storeTile(store, url, data)
+  onLoaded()
+}
+
+/**
+ * GUARDAR TESELA CON LÍMITE DE TAMAÑO
+ *
+ * complete = la respuesta no llegó al límite, así que contiene
+ * todas las antenas de la tesela (sus descendientes pueden reutilizarla)
+ */
+function storeTile(store, url, data) {
+  const { antenas, clusters } = splitFeatures(data)
+  const complete = (data.features || []).length < config.maxAntenas
+
+  store.delete(url) // Reinsertar al final = más reciente
+  store.set(url, { antenas, clusters, complete })
+
+  while (store.size > TILE_STORE_LIMIT) {
+    store.delete(store.keys().next().value)
+  }
+}
+
+/**
+ * FEATURES DE UNA TESELA YA CARGADAS
+ *
+ * Para antenas, una tesela ancestro completa (de una banda de
+ * zoom más baja) también sirve: se recorta a los límites de la tesela
+ *
+ * @returns {{antenas: Array, clusters: Array}|null} - null si la tesela no está disponible
+ */
+function getTileFeatures(store, tile, mapZoom, filters) {
+  const own = store.get(buildTileUrl(tile, mapZoom, filters))
+  if (own) return own
+
+  if (mapZoom > CLUSTER_MAX_ZOOM) {
+    for (const z of coarserAntenaZooms(tile.z)) {
+      const parent = store.get(buildTileUrl(parentTile(tile, z), mapZoom, filters))
+      if (parent?.complete) {
+        const bounds = tileBounds(tile)
+        return {
+          antenas: parent.antenas.filter(feature => inBbox(feature.geometry.coordinates, bounds)),
+          clusters: []
+        }
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * UNIR LAS TESELAS DISPONIBLES
+ *
+ * Las antenas se deduplican por properties.id (una antena en el borde
+ * puede llegar en dos teselas); los clusters son parciales por tesela
+ * y se conservan todos
+ *
+ * @returns {{antenas: Array, clusters: Array}|null} - null si aún no hay ninguna tesela cargada
+ */
+function mergeTiles(store, tiles, mapZoom, filters) {
+  const byId = new Map()
+  const clusters = []
+  let available = 0
+
+  tiles.forEach(tile => {
+    const features = getTileFeatures(store, tile, mapZoom, filters)
+    if (!features) return
+    available++
+
+    clusters.push(...features.clusters)
+    features.antenas.forEach(feature => {
+      const id = feature.properties?.id ?? feature.geometry.coordinates.join(',')
+      byId.set(id, feature)
+    })
+  })
+
+  if (available === 0) return null
+  return { antenas: Array.from(byId.values()), clusters }
+}
+
+/**
+ * PRECARGA DE TESELAS VECINAS
+ *
+ * Secuencial y de baja prioridad: se detiene al primer error
+ * o cuando la vista cambia (señal abortada)
+ */
+async function prefetchNeighbours(store, tiles, mapZoom, filters, signal) {
+  const pending = neighbourTiles(tiles)
+    .filter(tile => !getTileFeatures(store, tile, mapZoom, filters))
+    .slice(0, PREFETCH_LIMIT)
+
+  for (const tile of pending) {
+    if (signal.aborted) return
+    try {
+      await fetchTile(store, tile, mapZoom, filters, signal, () => {})
+    } catch {
+      return
+    }
+  }
+}
+
+/**
+ * requestIdleCallback CON ALTERNATIVA PARA SAFARI
+ */
+function requestIdle(callback) {
+  return typeof window.requestIdleCallback === 'function'
+    ? { idle: window.requestIdleCallback(callback, { timeout: 2000 }) }
+    : { timer: setTimeout(callback, 200) }
+}
+
+function cancelIdle(handle) {
+  if (!handle) return
+  if (handle.idle !== undefined) window.cancelIdleCallback(handle.idle)
+  if (handle.timer !== undefined) clearTimeout(handle.timer)
+}
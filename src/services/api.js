@@ -3,15 +3,26 @@
  * 
  * Maneja todas las comunicaciones con el backend
  * Implementa cache, timeouts y manejo de errores
+ * 
+ * Cache en dos niveles:
+ * 1. Memoria (Map): respuestas de esta sesión
+ * 2. IndexedDB (persistentCache.js): sobrevive a recargas y se sirve
+ *    al instante, revalidando en segundo plano (stale-while-revalidate)
  */
 
+import config from '../config'
+import { debugLog } from './logger'
+import { getCachedResponse, putCachedResponse, setDataVersion } from './persistentCache'
+import { setBackendStatus } from './backendStatus'
+import { reportDataSource } from './offlineData'
+
 /**
- * CONFIGURACIÓN DE LA API - URL FIJA TEMPORAL
+ * CONFIGURACIÓN DE LA API
  * 
- * URL de tu API desplegada en Render
- * Cambiar posteriormente por variable de entorno VITE_API_URL
+ * URL base desde VITE_API_URL (ver src/config.js)
+ * Por defecto apunta a la API desplegada en Render
  */
-const API_BASE = 'https://spain-mobile-towers-api.onrender.com'
+const API_BASE = config.apiUrl
 
 /**
  * SISTEMA DE CACHE EN MEMORIA
@@ -22,21 +33,82 @@ const API_BASE = 'https://spain-mobile-towers-api.onrender.com'
 const CACHE = new Map()
 
 /**
- * DURACIÓN DEL CACHE (5 minutos)
+ * DURACIÓN DEL CACHE (VITE_CACHE_DURATION, 5 minutos por defecto)
  * 
  * Balance entre datos frescos y rendimiento
  * 5 minutos es razonable para datos que no cambian frecuentemente
  */
-const CACHE_DURATION = 5 * 60 * 1000
+const CACHE_DURATION = config.cacheDuration
+
+/**
+ * MODO DE DATOS SIMULADOS
+ * 
+ * Con VITE_USE_MOCK_DATA=true las peticiones las responde
+ * el backend sintético de mockApi.js, sin salir a la red
+ */
+const USE_MOCK_DATA = config.useMockData
+
+/**
+ * CABECERA DE LAS RESPUESTAS GUARDADAS POR EL SERVICE WORKER (ver src/sw.js)
+ */
+const OFFLINE_HEADER = 'X-Offline-Cached-At'
+
+/**
+ * TIMEOUT POR PETICIÓN (10 segundos)
+ */
+const REQUEST_TIMEOUT = 10000
+
+/**
+ * REVALIDACIONES EN SEGUNDO PLANO EN CURSO
+ * 
+ * Evita lanzar dos veces la misma petición si varios
+ * componentes leen la misma entrada caducada
+ */
+const REVALIDATING = new Map()
+
+/**
+ * POLÍTICA DE REINTENTOS
+ * 
+ * 6 intentos con backoff exponencial (1s, 2s, 4s, 8s, 15s máx.)
+ * cubren de sobra el arranque en frío de Render (~30-50 segundos)
+ */
+const MAX_ATTEMPTS = 6
+const RETRY_BASE_DELAY = 1000
+const RETRY_MAX_DELAY = 15000
+const RETRYABLE_STATUS = [429, 502, 503, 504]
+
+/**
+ * SONDA DE SALUD: TIMEOUT Y PETICIÓN COMPARTIDA EN CURSO
+ */
+const HEALTH_PROBE_TIMEOUT = 5000
+let healthProbe = null
 
 /**
  * FUNCIÓN PRINCIPAL PARA CARGAR DATOS DEL MAPA
  * 
+ * Orden de resolución:
+ * 1. Cache en memoria vigente → respuesta inmediata
+ * 2. Cache persistente (IndexedDB) → respuesta inmediata;
+ *    si ha caducado se revalida en segundo plano y onUpdate
+ *    recibe los datos nuevos cuando llegan (si han cambiado)
+ * 3. Petición a la API
+ * 
+ * Con cache: false se salta 1 y 2 y la respuesta no se guarda:
+ * para respuestas que no se repetirán (estadísticas de cada vista)
+ * o que no deben desplazar del cache a las teselas (exportación)
+ * 
  * @param {string} url - URL completa o relativa del endpoint
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Permite cancelar la petición
+ * @param {Function} [options.onUpdate] - Recibe los datos revalidados
+ * @param {boolean} [options.cache=true] - Leer y guardar en los caches de memoria e IndexedDB
+ * @param {boolean} [options.retry=true] - Reintentar los fallos transitorios; sin reintentos
+ *                                         tampoco se publica el estado del backend (banner)
  * @returns {Promise<any>} - Datos parseados de la API
  * @throws {Error} - Si hay error de red o servidor
+ *                   (name === 'AbortError' si se canceló, ver isAbortError)
  */
-export async function loadMapData(url) {
+export async function loadMapData(url, { signal, onUpdate, cache = true, retry = true } = {}) {
   /**
    * CONSTRUIR URL COMPLETA
    * 
@@ -44,6 +116,10 @@ export async function loadMapData(url) {
    * Si ya es una URL completa, usarla directamente
    */
   const fullUrl = url.startsWith('http') ? url : `${API_BASE}${url}`
+
+  if (!cache) {
+    return fetchFromNetwork(fullUrl, signal, { cache, retry, reportStatus: retry })
+  }
   
   /**
    * VERIFICAR CACHE PRIMERO
@@ -53,84 +129,442 @@ export async function loadMapData(url) {
    */
   const cached = CACHE.get(fullUrl)
   if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    console.log('📦 [CACHE HIT]', fullUrl)
+    debugLog('📦 [CACHE HIT]', fullUrl)
     return cached.data
   }
 
-  console.log('🌐 [API CALL]', fullUrl)
+  /**
+   * CACHE PERSISTENTE (no se usa con datos simulados)
+   * 
+   * Se devuelve aunque esté caducada: mejor un mapa con datos
+   * de hace un rato que 30 segundos en blanco esperando a Render
+   */
+  if (!USE_MOCK_DATA) {
+    const persisted = await getCachedResponse(fullUrl)
+    if (persisted) {
+      const age = Date.now() - persisted.timestamp
 
-  try {
-    /**
-     * REALIZAR PETICIÓN HTTP
-     * 
-     * Configuración optimizada:
-     * - Timeout de 10 segundos
-     * - Solo acepta JSON
-     * - AbortSignal para cancelación
-     */
-    const response = await fetch(fullUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json',
-      },
-      signal: AbortSignal.timeout(10000) // Timeout de 10 segundos
+      if (age < CACHE_DURATION) {
+        debugLog('💾 [IDB HIT]', fullUrl)
+        CACHE.set(fullUrl, persisted)
+      } else {
+        debugLog('💾 [IDB STALE]', fullUrl, `(${Math.round(age / 1000)}s)`)
+        revalidate(fullUrl, persisted, onUpdate)
+      }
+      return persisted.data
+    }
+  }
+
+  return fetchFromNetwork(fullUrl, signal, { retry, reportStatus: retry })
+}
+
+/**
+ * REVALIDACIÓN EN SEGUNDO PLANO
+ * 
+ * No depende de la señal del llamador: aunque el usuario ya
+ * no mire esa zona, la respuesta nueva refresca el cache
+ * 
+ * Si no hay red, la interfaz avisa de que muestra datos
+ * sin conexión de la fecha de la copia (ver offlineData.js)
+ * 
+ * @param {string} fullUrl - URL absoluta del endpoint
+ * @param {{data: any, timestamp: number}} stale - Entrada servida desde cache
+ * @param {Function} [onUpdate] - Callback con los datos nuevos
+ */
+function revalidate(fullUrl, { data: staleData, timestamp }, onUpdate) {
+  let pending = REVALIDATING.get(fullUrl)
+  if (!pending) {
+    // En segundo plano: el banner del backend no refleja fallos que el usuario no ve
+    pending = fetchFromNetwork(fullUrl, undefined, { reportStatus: false }).finally(() => REVALIDATING.delete(fullUrl))
+    REVALIDATING.set(fullUrl, pending)
+  }
+
+  pending
+    .then(data => {
+      if (onUpdate && JSON.stringify(data) !== JSON.stringify(staleData)) {
+        debugLog('🔄 [REVALIDATED]', fullUrl)
+        onUpdate(data)
+      }
     })
+    .catch(error => {
+      // El llamador ya tiene datos (caducados): no se propaga el error
+      debugLog('⚠️ [REVALIDATE FAILED]', fullUrl, error.message)
+      // Sin respuesta HTTP: no hay conexión y la copia es lo último conocido
+      if (error.status === undefined) reportDataSource(timestamp)
+    })
+}
+
+/**
+ * PETICIÓN A LA RED Y ALMACENAMIENTO EN AMBOS CACHES
+ * 
+ * Reintenta los fallos transitorios (timeout, red, 502/503/504/429)
+ * con backoff exponencial y jitter. Entre intentos consulta la salud
+ * del backend para distinguir un servidor dormido de un fallo puntual
+ * y publica el progreso en backendStatus ("intento 3/6")
+ * 
+ * @param {string} fullUrl - URL absoluta del endpoint
+ * @param {AbortSignal} [signal] - Cancelación del llamador
+ * @param {Object} [options]
+ * @param {boolean} [options.cache=true] - Guardar la respuesta en memoria e IndexedDB
+ * @param {boolean} [options.retry=true] - Reintentar los fallos transitorios
+ * @param {boolean} [options.reportStatus=true] - Publicar el estado en backendStatus
+ * @returns {Promise<any>} - Datos parseados de la API
+ */
+async function fetchFromNetwork(fullUrl, signal, { cache = true, retry = true, reportStatus = true } = {}) {
+  const maxAttempts = retry ? MAX_ATTEMPTS : 1
+
+  for (let attempt = 1; ; attempt++) {
+    debugLog(USE_MOCK_DATA ? '🧪 [MOCK CALL]' : '🌐 [API CALL]', fullUrl, `(intento ${attempt}/${maxAttempts})`)
 
     /**
-     * VERIFICAR STATUS HTTP
-     * 
-     * Lanza error si la respuesta no es exitosa (200-299)
-     * Esto captura 404, 500, etc.
+     * SEÑAL COMBINADA: CANCELACIÓN DEL LLAMADOR + TIMEOUT
      */
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    const request = withTimeout(signal, REQUEST_TIMEOUT)
+
+    try {
+      const { data, cachedAt } = USE_MOCK_DATA
+        ? { data: await requestMock(fullUrl, request.signal), cachedAt: null }
+        : await requestApi(fullUrl, request.signal)
+
+      /**
+       * GUARDAR EN CACHE
+       * 
+       * Almacena tanto los datos como el timestamp
+       * para controlar la expiración
+       * 
+       * Una copia del service worker (sin conexión) conserva su fecha:
+       * queda caducada y se vuelve a pedir, y no sustituye en
+       * IndexedDB a lo que allí hubiera
+       */
+      if (cache) {
+        CACHE.set(fullUrl, {
+          data,
+          timestamp: cachedAt ?? Date.now()
+        })
+
+        if (!USE_MOCK_DATA && cachedAt === null) {
+          persistResponse(fullUrl, data)
+        }
+      }
+
+      reportDataSource(cachedAt)
+      if (reportStatus && cachedAt === null) setBackendStatus({ state: 'online' })
+      debugLog('✅ [API SUCCESS]', fullUrl, `(${getDataSize(data)} bytes)`)
+      return data
+
+    } catch (error) {
+      /**
+       * Las cancelaciones son esperadas (el usuario movió el mapa):
+       * se relanzan como AbortError sin registrarse como fallo
+       */
+      if (error.name === 'AbortError') {
+        debugLog('🚫 [API CANCELLED]', fullUrl)
+        throw createAbortError()
+      }
+
+      /**
+       * REINTENTO CON BACKOFF
+       */
+      // Sin conexión en el dispositivo no tiene sentido esperar a reintentar
+      if (attempt < maxAttempts && isRetryable(error) && navigator.onLine !== false) {
+        if (reportStatus) {
+          const sleeping = await isBackendSleeping()
+          setBackendStatus({
+            state: sleeping ? 'waking' : 'retrying',
+            attempt: attempt + 1,
+            maxAttempts
+          })
+        }
+
+        const wait = backoffDelay(attempt)
+        debugLog('🔁 [API RETRY]', fullUrl, `${error.name}: ${error.message} → espera ${wait}ms`)
+        await sleep(wait, signal)
+        continue
+      }
+
+      console.error('❌ [API ERROR]', fullUrl, error)
+      const userError = toUserError(error)
+      // Un 404 lo responde el servidor: sigue en línea (p. ej. endpoint opcional)
+      if (reportStatus) {
+        setBackendStatus(error.status === 404
+          ? { state: 'online' }
+          : { state: 'offline', message: userError.message })
+      }
+      throw userError
+
+    } finally {
+      request.cleanup()
     }
+  }
+}
 
-    /**
-     * PARSEAR RESPUESTA JSON
-     * 
-     * Usamos await en lugar de .then() para mejor legibilidad
-     * y manejo de errores
-     */
-    const data = await response.json()
+/**
+ * MANEJO DETALLADO DE ERRORES
+ * 
+ * Traduce el error técnico a un mensaje comprensible
+ * para el usuario, conservando la distinción por tipo
+ * 
+ * @param {Error} error - Error original
+ * @returns {Error} - Error con mensaje en castellano
+ */
+function toUserError(error) {
+  if (error.name === 'TimeoutError') {
+    return new Error('La API tardó demasiado en responder. Render puede estar iniciándose.')
+  } else if (error.message.includes('HTTP')) {
+    const userError = new Error(`Error del servidor: ${error.message}`)
+    userError.status = error.status // Ver isNotFoundError
+    return userError
+  } else if (error.message.includes('Failed to fetch')) {
+    return new Error('No se puede conectar con la API. Verifica que Render esté activo.')
+  } else {
+    return new Error('Error de conexión con la API de antenas.')
+  }
+}
 
-    /**
-     * GUARDAR EN CACHE
-     * 
-     * Almacena tanto los datos como el timestamp
-     * para controlar la expiración
-     */
-    CACHE.set(fullUrl, {
-      data,
-      timestamp: Date.now()
+/**
+ * ¿MERECE LA PENA REINTENTAR?
+ * 
+ * - Timeouts y errores de red (servidor dormido o sin conexión)
+ * - 502/503/504: proxy de Render mientras arranca la instancia
+ * - 429: límite de peticiones, se respeta con el backoff
+ * Los 4xx restantes y los 500 no se resolverán reintentando
+ */
+function isRetryable(error) {
+  if (error.name === 'TimeoutError') return true
+  if (error.status) return RETRYABLE_STATUS.includes(error.status)
+  return error instanceof TypeError // fetch rechaza con TypeError en fallos de red
+}
+
+/**
+ * ESPERA ANTES DEL SIGUIENTE INTENTO
+ * 
+ * Backoff exponencial con jitter: un valor aleatorio entre la mitad
+ * y el total de base·2^(intento-1), limitado a RETRY_MAX_DELAY
+ * El jitter evita que todas las peticiones reintenten a la vez
+ * 
+ * @param {number} attempt - Intento que acaba de fallar (1..n)
+ * @returns {number} - Milisegundos de espera
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1))
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2))
+}
+
+/**
+ * SONDA DE SALUD DEL BACKEND
+ * 
+ * Una petición ligera a la raíz de la API con timeout corto:
+ * cualquier respuesta HTTP distinta de 502/503/504 indica que
+ * el servidor está despierto (aunque la ruta devuelva 404)
+ * Sin respuesta, solo el timeout indica un arranque en frío: un fallo
+ * de red, DNS o CORS no es un servidor dormido
+ * Las sondas simultáneas comparten la misma petición
+ * 
+ * @returns {Promise<boolean>} - true si el servidor parece dormido
+ */
+function isBackendSleeping() {
+  if (USE_MOCK_DATA) return Promise.resolve(false)
+
+  if (!healthProbe) {
+    healthProbe = fetch(`${API_BASE}/`, {
+      method: 'GET',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(HEALTH_PROBE_TIMEOUT)
     })
-    
-    console.log('✅ [API SUCCESS]', fullUrl, `(${getDataSize(data)} bytes)`)
-    return data
+      .then(response => [502, 503, 504].includes(response.status))
+      .catch(error => error.name === 'TimeoutError')
+      .finally(() => {
+        setTimeout(() => { healthProbe = null }, HEALTH_PROBE_TIMEOUT)
+      })
+  }
+  return healthProbe
+}
 
-  } catch (error) {
-    /**
-     * MANEJO DETALLADO DE ERRORES
-     * 
-     * Distingue entre diferentes tipos de errores
-     * para mejor debugging
-     */
-    console.error('❌ [API ERROR]', fullUrl, error)
-    
-    if (error.name === 'TimeoutError') {
-      throw new Error('La API tardó demasiado en responder. Render puede estar iniciándose.')
-    } else if (error.name === 'AbortError') {
-      throw new Error('La petición fue cancelada')
-    } else if (error.message.includes('HTTP')) {
-      throw new Error(`Error del servidor: ${error.message}`)
-    } else if (error.message.includes('Failed to fetch')) {
-      throw new Error('No se puede conectar con la API. Verifica que Render esté activo.')
-    } else {
-      throw new Error('Error de conexión con la API de antenas.')
+/**
+ * ESPERA CANCELABLE ENTRE REINTENTOS
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError())
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createAbortError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * GUARDAR EN INDEXEDDB (sin bloquear la respuesta)
+ * 
+ * Las estadísticas globales identifican la versión del dataset
+ * publicado: si cambia, setDataVersion invalida todas las entradas
+ * anteriores antes de guardar la nueva. Las de un subconjunto
+ * (?operador=…, ?bbox=…) no: su total no es el del dataset
+ * 
+ * @param {string} fullUrl - URL absoluta del endpoint
+ * @param {any} data - Respuesta de la API
+ */
+function persistResponse(fullUrl, data) {
+  const url = new URL(fullUrl)
+  const isGlobalStats = url.pathname.endsWith('/map/stats') && url.search === ''
+  const versionReady = isGlobalStats ? setDataVersion(getDatasetVersion(data)) : Promise.resolve()
+
+  versionReady
+    .then(() => putCachedResponse(fullUrl, data))
+    .catch(error => console.error('❌ [IDB CACHE] Error guardando', fullUrl, error))
+}
+
+/**
+ * IDENTIFICADOR DE LA VERSIÓN DEL DATASET
+ * 
+ * Usa la versión o fecha que publique la API; si no hay,
+ * el total de antenas cambia en cualquier refresco real
+ * 
+ * @param {Object} stats - Respuesta de /map/stats sin parámetros
+ * @returns {string|number}
+ */
+function getDatasetVersion(stats) {
+  return stats?.version ?? stats?.fecha_actualizacion ?? stats?.total_antenas ?? 'unknown'
+}
+
+/**
+ * ¿EL ERROR PROCEDE DE UNA CANCELACIÓN?
+ * 
+ * Los llamadores lo usan para ignorar respuestas obsoletas
+ * sin mostrar errores al usuario
+ * 
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * ¿EL ENDPOINT NO EXISTE (HTTP 404)?
+ * 
+ * Permite tratar como opcionales endpoints que no todas
+ * las versiones de la API implementan
+ * 
+ * @param {Error} error - Error capturado
+ * @returns {boolean}
+ */
+export function isNotFoundError(error) {
+  return error?.status === 404
+}
+
+function createAbortError() {
+  const error = new Error('La petición fue cancelada')
+  error.name = 'AbortError'
+  return error
+}
+
+/**
+ * COMBINAR SEÑAL EXTERNA Y TIMEOUT
+ * 
+ * Equivalente a AbortSignal.any([signal, AbortSignal.timeout(ms)])
+ * con soporte en navegadores que aún no lo implementan
+ * El motivo de la cancelación distingue TimeoutError de AbortError
+ * 
+ * @param {AbortSignal} [signal] - Señal del llamador
+ * @param {number} ms - Timeout en milisegundos
+ * @returns {{signal: AbortSignal, cleanup: Function}}
+ */
+function withTimeout(signal, ms) {
+  const controller = new AbortController()
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException('Timeout', 'TimeoutError'))
+  }, ms)
+  const onAbort = () => controller.abort(new DOMException('Aborted', 'AbortError'))
+
+  if (signal?.aborted) {
+    onAbort()
+  } else {
+    signal?.addEventListener('abort', onAbort, { once: true })
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
     }
   }
 }
 
+/**
+ * PETICIÓN HTTP REAL A LA API
+ * 
+ * @param {string} fullUrl - URL absoluta del endpoint
+ * @param {AbortSignal} signal - Cancelación y timeout combinados
+ * @returns {Promise<{data: any, cachedAt: number|null}>} - JSON de la respuesta y, si es una copia sin conexión, su fecha
+ * @throws {Error} - Errores de red, timeout o status HTTP
+ */
+async function requestApi(fullUrl, signal) {
+  /**
+   * REALIZAR PETICIÓN HTTP
+   * 
+   * Configuración optimizada:
+   * - Timeout de 10 segundos
+   * - Solo acepta JSON
+   * - AbortSignal para cancelación
+   */
+  const response = await fetch(fullUrl, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+    },
+    signal // Cancelación del llamador + timeout de 10 segundos
+  })
+
+  /**
+   * VERIFICAR STATUS HTTP
+   * 
+   * Lanza error si la respuesta no es exitosa (200-299)
+   * Esto captura 404, 500, etc.
+   */
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`)
+    error.status = response.status // Usado para decidir si se reintenta
+    throw error
+  }
+
+  /**
+   * PARSEAR RESPUESTA JSON
+   * 
+   * Los errores de parseo se propagan a loadMapData
+   * cachedAt: Fecha de la copia si la sirvió el service worker sin red
+   */
+  const cachedAt = Date.parse(response.headers.get(OFFLINE_HEADER))
+  return {
+    data: await response.json(),
+    cachedAt: Number.isNaN(cachedAt) ? null : cachedAt
+  }
+}
+
+/**
+ * PETICIÓN AL BACKEND SIMULADO
+ * 
+ * Import dinámico: el generador de datos sintéticos
+ * no se incluye en el bundle si el modo mock está desactivado
+ * 
+ * @param {string} fullUrl - URL absoluta del endpoint
+ * @param {AbortSignal} signal - Cancelación y timeout combinados
+ * @returns {Promise<any>} - Respuesta con la misma forma que la API
+ */
+async function requestMock(fullUrl, signal) {
+  const { mockRequest } = await import('./mockApi')
+  return mockRequest(fullUrl, { signal })
+}
+
 /**
  * FUNCIÓN AUXILIAR: CALCULAR TAMAÑO APROXIMADO DE DATOS
  * 
@@ -163,7 +597,7 @@ setInterval(() => {
   }
   
   if (cleanedCount > 0) {
-    console.log(`🧹 [CACHE CLEANED] ${cleanedCount} expired entries`)
+    debugLog(`🧹 [CACHE CLEANED] ${cleanedCount} expired entries`)
   }
 }, 60000) // Ejecutar cada minuto
 
@@ -0,0 +1,56 @@
+/**
+ * ESTADO DE CONEXIÓN CON EL BACKEND
+ * 
+ * Almacén mínimo (patrón suscripción) que api.js actualiza
+ * durante los reintentos y que la interfaz lee con useBackendStatus
+ * 
+ * Estados posibles:
+ * - 'idle': Aún no se ha hecho ninguna petición
+ * - 'online': La última petición respondió correctamente
+ * - 'waking': El servidor está dormido (arranque en frío de Render)
+ * - 'retrying': Fallo transitorio, reintentando
+ * - 'offline': Se agotaron los reintentos
+ */
+
+let status = { state: 'idle' }
+const listeners = new Set()
+
+/**
+ * ESTADO ACTUAL
+ * 
+ * @returns {{state: string, attempt?: number, maxAttempts?: number, message?: string}}
+ */
+export function getBackendStatus() {
+  return status
+}
+
+/**
+ * ACTUALIZAR ESTADO Y NOTIFICAR A LOS SUSCRIPTORES
+ * 
+ * No notifica si no hay cambios reales (evita renders)
+ * 
+ * @param {Object} next - Nuevo estado
+ */
+export function setBackendStatus(next) {
+  if (
+    next.state === status.state &&
+    next.attempt === status.attempt &&
+    next.message === status.message
+  ) {
+    return
+  }
+
+  status = next
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * SUSCRIBIRSE A CAMBIOS
+ * 
+ * @param {Function} listener - Se invoca sin argumentos en cada cambio
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribeBackendStatus(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
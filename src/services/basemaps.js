@@ -0,0 +1,86 @@
+/**
+ * MAPAS BASE DISPONIBLES
+ *
+ * Todos gratuitos y sin API key, cada uno con su atribución
+ * (Leaflet muestra la de la capa activa y la cambia con ella):
+ * - Calles: OpenStreetMap
+ * - Claro / Oscuro: CARTO Positron y Dark Matter
+ * - Satélite: Esri World Imagery
+ * - Relieve: OpenTopoMap
+ * - Propio: servidor XYZ o WMS configurado con VITE_BASEMAP_* (ver config.js)
+ *
+ * maxNativeZoom: último zoom con teselas; por encima se amplían las de ese nivel
+ */
+
+import config from '../config'
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+
+const BUILT_IN_BASEMAPS = [
+  {
+    key: 'streets',
+    name: 'Calles',
+    type: 'xyz',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: OSM_ATTRIBUTION,
+    maxNativeZoom: 19
+  },
+  {
+    key: 'light',
+    name: 'Claro',
+    type: 'xyz',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`,
+    maxNativeZoom: 20
+  },
+  {
+    key: 'dark',
+    name: 'Oscuro',
+    type: 'xyz',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    attribution: `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`,
+    maxNativeZoom: 20
+  },
+  {
+    key: 'satellite',
+    name: 'Satélite',
+    type: 'xyz',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    attribution: 'Imágenes &copy; Esri, Maxar, Earthstar Geographics y la comunidad de usuarios GIS',
+    maxNativeZoom: 19
+  },
+  {
+    key: 'terrain',
+    name: 'Relieve',
+    type: 'xyz',
+    url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+    attribution: `${OSM_ATTRIBUTION}, SRTM | Estilo &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`,
+    maxNativeZoom: 17
+  }
+]
+
+/**
+ * LISTA COMPLETA: LOS INCLUIDOS Y, SI ESTÁ CONFIGURADO, EL PROPIO
+ */
+export const BASEMAPS = config.customBasemap
+  ? [...BUILT_IN_BASEMAPS, {
+    key: 'custom',
+    name: config.customBasemap.name,
+    type: config.customBasemap.type,
+    url: config.customBasemap.url,
+    layers: config.customBasemap.layers,
+    attribution: config.customBasemap.attribution,
+    maxNativeZoom: config.customBasemap.maxZoom
+  }]
+  : BUILT_IN_BASEMAPS
+
+export function isBasemap(key) {
+  return BASEMAPS.some(basemap => basemap.key === key)
+}
+
+/**
+ * MAPA BASE SI NO SE HA ELEGIDO NINGUNO: EL QUE VA CON EL TEMA
+ */
+export function defaultBasemap(theme) {
+  return theme === 'dark' ? 'dark' : 'streets'
+}
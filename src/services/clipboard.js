@@ -0,0 +1,39 @@
+/**
+ * PORTAPAPELES
+ *
+ * Copia de textos generados por la aplicación (informes, coordenadas)
+ */
+
+/**
+ * COPIAR TEXTO AL PORTAPAPELES
+ *
+ * API asíncrona si está disponible (requiere contexto seguro);
+ * si no, textarea temporal + execCommand
+ *
+ * @returns {Promise<boolean>} - true si se copió
+ */
+export async function copyText(text) {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text)
+      return true
+    }
+  } catch {
+    // Permiso denegado: se intenta la alternativa
+  }
+
+  const textarea = document.createElement('textarea')
+  textarea.value = text
+  textarea.setAttribute('readonly', '')
+  textarea.style.position = 'fixed'
+  textarea.style.opacity = '0'
+  document.body.appendChild(textarea)
+  textarea.select()
+  try {
+    return document.execCommand('copy')
+  } catch {
+    return false
+  } finally {
+    document.body.removeChild(textarea)
+  }
+}
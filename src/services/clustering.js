@@ -0,0 +1,405 @@
+/**
+ * MOTOR DE AGRUPAMIENTO JERÁRQUICO
+ *
+ * Agrupa antenas cercanas por nivel de zoom sobre un índice espacial
+ * (árbol KD estático), en lugar de comparar cada antena con todos los grupos:
+ * - Distancia medida en píxeles de pantalla (proyección Web Mercator),
+ *   así el radio es coherente con el zoom y la latitud
+ * - Jerarquía: los clusters de un zoom se construyen a partir de los del
+ *   zoom siguiente, de maxZoom a minZoom (construcción O(n log n) por nivel)
+ * - Cada cluster lleva desglose por operador y tecnología, no las
+ *   propiedades de la primera antena
+ *
+ * Se ejecuta dentro de un Web Worker (workers/clusterWorker.js)
+ * pero no depende del DOM y funciona también en el hilo principal
+ */
+
+/**
+ * OPCIONES POR DEFECTO
+ *
+ * - radius: Radio de agrupación en píxeles
+ * - extent: Tamaño de tesela de referencia en píxeles
+ * - maxZoom: A partir de maxZoom + 1 se muestran todas las antenas
+ * - nodeSize: Hojas del árbol KD (equilibrio memoria / velocidad)
+ */
+const DEFAULT_OPTIONS = {
+  radius: 60,
+  extent: 256,
+  minZoom: 0,
+  maxZoom: 16,
+  nodeSize: 64
+}
+
+/**
+ * ÍNDICE DE CLUSTERS
+ */
+export class ClusterIndex {
+  /**
+   * @param {Object} [options] - Ver DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.trees = []
+    this.features = []
+  }
+
+  /**
+   * CONSTRUIR EL ÍNDICE
+   *
+   * @param {Array} features - Antenas GeoJSON (Point)
+   * @returns {ClusterIndex} - this, para encadenar
+   */
+  load(features) {
+    const { minZoom, maxZoom } = this.options
+    this.features = features
+    this.nextId = features.length
+
+    // NIVEL HOJA: UNA ENTRADA POR ANTENA
+    let clusters = features.map((feature, index) => {
+      const [lon, lat] = feature.geometry.coordinates
+      const props = feature.properties || {}
+      return {
+        x: lonToX(lon),
+        y: latToY(lat),
+        zoom: Infinity,       // Último zoom en el que se ha procesado
+        id: index,
+        parentId: -1,
+        count: 1,
+        operadores: { [props.operador || 'Desconocido']: 1 },
+        tecnologias: { [props.tecnologia || 'Desconocida']: 1 },
+        bbox: [lon, lat, lon, lat]
+      }
+    })
+
+    this.trees[maxZoom + 1] = new KDIndex(clusters, this.options.nodeSize)
+
+    // NIVELES SUPERIORES: AGRUPAR LOS CLUSTERS DEL NIVEL INFERIOR
+    for (let zoom = maxZoom; zoom >= minZoom; zoom--) {
+      clusters = this.clusterLevel(clusters, zoom)
+      this.trees[zoom] = new KDIndex(clusters, this.options.nodeSize)
+    }
+
+    return this
+  }
+
+  /**
+   * CLUSTERS Y ANTENAS VISIBLES
+   *
+   * @param {number[]} bbox - [min_lon, min_lat, max_lon, max_lat]
+   * @param {number} zoom - Zoom del mapa
+   * @returns {Array} - Antenas originales (count 1) y features de cluster
+   */
+  getClusters([west, south, east, north], zoom) {
+    const { minZoom, maxZoom } = this.options
+    const level = Math.max(minZoom, Math.min(Math.floor(zoom), maxZoom + 1))
+    const tree = this.trees[level]
+    if (!tree) return []
+
+    const ids = tree.range(lonToX(west), latToY(north), lonToX(east), latToY(south))
+
+    return ids.map(id => {
+      const item = tree.points[id]
+      return item.count === 1
+        ? this.features[item.id]
+        : toClusterFeature(item, level)
+    })
+  }
+
+  /**
+   * AGRUPAR UN NIVEL DE ZOOM
+   *
+   * Cada elemento aún no asignado absorbe a sus vecinos dentro del radio
+   *
+   * @param {Array} points - Clusters del nivel zoom + 1
+   * @param {number} zoom - Nivel que se construye
+   * @returns {Array} - Clusters del nivel zoom
+   */
+  clusterLevel(points, zoom) {
+    const { radius, extent } = this.options
+    const r = radius / (extent * Math.pow(2, zoom))
+    const tree = this.trees[zoom + 1]
+    const clusters = []
+
+    for (const point of points) {
+      if (point.zoom <= zoom) continue
+      point.zoom = zoom
+
+      const neighbours = tree.within(point.x, point.y, r)
+        .map(id => tree.points[id])
+        .filter(neighbour => neighbour.zoom > zoom)
+
+      if (neighbours.length === 0) {
+        clusters.push(point)
+        continue
+      }
+
+      // CENTROIDE PONDERADO Y DESGLOSES ACUMULADOS
+      const cluster = {
+        x: point.x * point.count,
+        y: point.y * point.count,
+        zoom: Infinity,
+        id: this.nextId++,
+        parentId: -1,
+        count: point.count,
+        operadores: { ...point.operadores },
+        tecnologias: { ...point.tecnologias },
+        bbox: [...point.bbox]
+      }
+
+      for (const neighbour of neighbours) {
+        neighbour.zoom = zoom
+        neighbour.parentId = cluster.id
+        cluster.x += neighbour.x * neighbour.count
+        cluster.y += neighbour.y * neighbour.count
+        cluster.count += neighbour.count
+        mergeCounts(cluster.operadores, neighbour.operadores)
+        mergeCounts(cluster.tecnologias, neighbour.tecnologias)
+        cluster.bbox = mergeBbox(cluster.bbox, neighbour.bbox)
+      }
+
+      point.parentId = cluster.id
+      cluster.x /= cluster.count
+      cluster.y /= cluster.count
+      clusters.push(cluster)
+    }
+
+    return clusters
+  }
+}
+
+/**
+ * CLUSTER INTERNO → FEATURE GEOJSON
+ *
+ * Misma forma que los clusters de /map/clusters
+ */
+function toClusterFeature(cluster, level) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [xToLon(cluster.x), yToLat(cluster.y)]
+    },
+    properties: {
+      id: `client-cluster-${cluster.id}`,
+      cluster: true,
+      count: cluster.count,
+      bbox: cluster.bbox,
+      por_operador: cluster.operadores,
+      por_tecnologia: cluster.tecnologias,
+      expansion_zoom: level + 1
+    }
+  }
+}
+
+function mergeCounts(target, source) {
+  for (const key in source) {
+    target[key] = (target[key] || 0) + source[key]
+  }
+}
+
+function mergeBbox(a, b) {
+  return [
+    Math.min(a[0], b[0]),
+    Math.min(a[1], b[1]),
+    Math.max(a[2], b[2]),
+    Math.max(a[3], b[3])
+  ]
+}
+
+// ===== PROYECCIÓN WEB MERCATOR NORMALIZADA (0..1) =====
+
+function lonToX(lon) {
+  return lon / 360 + 0.5
+}
+
+function latToY(lat) {
+  const sin = Math.sin(lat * Math.PI / 180)
+  const y = 0.5 - 0.25 * Math.log((1 + sin) / (1 - sin)) / Math.PI
+  return y < 0 ? 0 : y > 1 ? 1 : y
+}
+
+function xToLon(x) {
+  return (x - 0.5) * 360
+}
+
+function yToLat(y) {
+  const y2 = (180 - y * 360) * Math.PI / 180
+  return 360 * Math.atan(Math.exp(y2)) / Math.PI - 90
+}
+
+// ===== ÁRBOL KD ESTÁTICO =====
+
+/**
+ * ÍNDICE ESPACIAL DE PUNTOS 2D
+ *
+ * Árbol KD implícito sobre arrays tipados: se ordena una sola vez
+ * y responde consultas por rectángulo y por radio en O(√n + k)
+ */
+class KDIndex {
+  /**
+   * @param {Array<{x: number, y: number}>} points - Puntos proyectados
+   * @param {number} nodeSize - Tamaño de las hojas
+   */
+  constructor(points, nodeSize) {
+    this.points = points
+    this.nodeSize = nodeSize
+    this.ids = new Uint32Array(points.length)
+    this.coords = new Float64Array(points.length * 2)
+
+    points.forEach((point, i) => {
+      this.ids[i] = i
+      this.coords[2 * i] = point.x
+      this.coords[2 * i + 1] = point.y
+    })
+
+    sortKD(this.ids, this.coords, nodeSize, 0, points.length - 1, 0)
+  }
+
+  /**
+   * PUNTOS DENTRO DE UN RECTÁNGULO
+   *
+   * @returns {number[]} - Índices en this.points
+   */
+  range(minX, minY, maxX, maxY) {
+    const { ids, coords, nodeSize } = this
+    const stack = [0, ids.length - 1, 0]
+    const result = []
+
+    while (stack.length) {
+      const axis = stack.pop()
+      const right = stack.pop()
+      const left = stack.pop()
+
+      if (right - left <= nodeSize) {
+        for (let i = left; i <= right; i++) {
+          const x = coords[2 * i]
+          const y = coords[2 * i + 1]
+          if (x >= minX && x <= maxX && y >= minY && y <= maxY) result.push(ids[i])
+        }
+        continue
+      }
+
+      const m = (left + right) >> 1
+      const x = coords[2 * m]
+      const y = coords[2 * m + 1]
+      if (x >= minX && x <= maxX && y >= minY && y <= maxY) result.push(ids[m])
+
+      if (axis === 0 ? minX <= x : minY <= y) stack.push(left, m - 1, 1 - axis)
+      if (axis === 0 ? maxX >= x : maxY >= y) stack.push(m + 1, right, 1 - axis)
+    }
+
+    return result
+  }
+
+  /**
+   * PUNTOS A MENOS DE r DE (qx, qy)
+   *
+   * @returns {number[]} - Índices en this.points
+   */
+  within(qx, qy, r) {
+    const { ids, coords, nodeSize } = this
+    const stack = [0, ids.length - 1, 0]
+    const result = []
+    const r2 = r * r
+
+    while (stack.length) {
+      const axis = stack.pop()
+      const right = stack.pop()
+      const left = stack.pop()
+
+      if (right - left <= nodeSize) {
+        for (let i = left; i <= right; i++) {
+          if (sqDist(coords[2 * i], coords[2 * i + 1], qx, qy) <= r2) result.push(ids[i])
+        }
+        continue
+      }
+
+      const m = (left + right) >> 1
+      const x = coords[2 * m]
+      const y = coords[2 * m + 1]
+      if (sqDist(x, y, qx, qy) <= r2) result.push(ids[m])
+
+      if (axis === 0 ? qx - r <= x : qy - r <= y) stack.push(left, m - 1, 1 - axis)
+      if (axis === 0 ? qx + r >= x : qy + r >= y) stack.push(m + 1, right, 1 - axis)
+    }
+
+    return result
+  }
+}
+
+/**
+ * ORDENACIÓN RECURSIVA DEL ÁRBOL KD
+ *
+ * La mediana de cada rango se coloca en su posición alternando eje
+ */
+function sortKD(ids, coords, nodeSize, left, right, axis) {
+  if (right - left <= nodeSize) return
+
+  const m = (left + right) >> 1
+  select(ids, coords, m, left, right, axis)
+
+  sortKD(ids, coords, nodeSize, left, m - 1, 1 - axis)
+  sortKD(ids, coords, nodeSize, m + 1, right, 1 - axis)
+}
+
+/**
+ * SELECCIÓN DEL k-ÉSIMO ELEMENTO (Floyd-Rivest)
+ */
+function select(ids, coords, k, left, right, axis) {
+  while (right > left) {
+    if (right - left > 600) {
+      const n = right - left + 1
+      const m = k - left + 1
+      const z = Math.log(n)
+      const s = 0.5 * Math.exp(2 * z / 3)
+      const sd = 0.5 * Math.sqrt(z * s * (n - s) / n) * (m - n / 2 < 0 ? -1 : 1)
+      const newLeft = Math.max(left, Math.floor(k - m * s / n + sd))
+      const newRight = Math.min(right, Math.floor(k + (n - m) * s / n + sd))
+      select(ids, coords, k, newLeft, newRight, axis)
+    }
+
+    const t = coords[2 * k + axis]
+    let i = left
+    let j = right
+
+    swapItem(ids, coords, left, k)
+    if (coords[2 * right + axis] > t) swapItem(ids, coords, left, right)
+
+    while (i < j) {
+      swapItem(ids, coords, i, j)
+      i++
+      j--
+      while (coords[2 * i + axis] < t) i++
+      while (coords[2 * j + axis] > t) j--
+    }
+
+    if (coords[2 * left + axis] === t) {
+      swapItem(ids, coords, left, j)
+    } else {
+      j++
+      swapItem(ids, coords, j, right)
+    }
+
+    if (j <= k) left = j + 1
+    if (k <= j) right = j - 1
+  }
+}
+
+function swapItem(ids, coords, i, j) {
+  const id = ids[i]
+  ids[i] = ids[j]
+  ids[j] = id
+
+  const x = coords[2 * i]
+  const y = coords[2 * i + 1]
+  coords[2 * i] = coords[2 * j]
+  coords[2 * i + 1] = coords[2 * j + 1]
+  coords[2 * j] = x
+  coords[2 * j + 1] = y
+}
+
+function sqDist(ax, ay, bx, by) {
+  const dx = ax - bx
+  const dy = ay - by
+  return dx * dx + dy * dy
+}
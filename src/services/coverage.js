@@ -0,0 +1,196 @@
+/**
+ * INFORME DE COBERTURA EN UN PUNTO
+ *
+ * Para cada operador:
+ * - La antena más cercana de cada tecnología (2G, 3G, 4G, 5G)
+ *   con su distancia y rumbo desde el punto
+ * - Emplazamientos a menos de 1, 5 y 10 km: cada antena es un par
+ *   operador/tecnología, así que se cuentan posiciones distintas
+ *   (ver siteKey), no antenas
+ *
+ * Funciones puras: el hook useCoverageReport decide qué antenas
+ * se le pasan (las cargadas más las pedidas alrededor del punto)
+ */
+
+import { haversineDistance, initialBearing, compassPoint, formatDistance } from './geo'
+
+/**
+ * TECNOLOGÍAS DEL INFORME (columnas)
+ */
+export const REPORT_TECHNOLOGIES = ['2G', '3G', '4G', '5G']
+
+/**
+ * RADIOS DE RECUENTO (metros)
+ */
+export const COUNT_RADII = [1000, 5000, 10000]
+
+/**
+ * DECIMALES DE LAS COORDENADAS QUE IDENTIFICAN UN EMPLAZAMIENTO (~1 m)
+ */
+const SITE_PRECISION = 5
+
+/**
+ * GENERAR EL INFORME
+ *
+ * @param {number[]} center - [lat, lon] del punto
+ * @param {Array} antenas - Features GeoJSON candidatas
+ * @returns {{
+ *   center: number[],
+ *   operadores: Array<{
+ *     operador: string,
+ *     nearest: Object<string, {antena: Object, distance: number, bearing: number}|null>,
+ *     counts: Object<number, number>
+ *   }>,
+ *   totals: Object<number, number>
+ * }} - Operadores con más emplazamientos a 10 km primero
+ */
+export function buildCoverageReport(center, antenas) {
+  const byOperator = new Map()
+  const totalSites = Object.fromEntries(COUNT_RADII.map(radius => [radius, new Set()]))
+
+  antenas.forEach(antena => {
+    const { operador = 'Desconocido', tecnologia } = antena.properties || {}
+    const position = [antena.geometry.coordinates[1], antena.geometry.coordinates[0]]
+    const distance = haversineDistance(center, position)
+
+    let entry = byOperator.get(operador)
+    if (!entry) {
+      entry = {
+        operador,
+        nearest: Object.fromEntries(REPORT_TECHNOLOGIES.map(tech => [tech, null])),
+        sites: Object.fromEntries(COUNT_RADII.map(radius => [radius, new Set()]))
+      }
+      byOperator.set(operador, entry)
+    }
+
+    if (tecnologia in entry.nearest && (!entry.nearest[tecnologia] || distance < entry.nearest[tecnologia].distance)) {
+      entry.nearest[tecnologia] = { antena, distance, bearing: initialBearing(center, position) }
+    }
+
+    const site = siteKey(antena)
+    COUNT_RADII.forEach(radius => {
+      if (distance <= radius) {
+        entry.sites[radius].add(site)
+        totalSites[radius].add(site)
+      }
+    })
+  })
+
+  const farthest = COUNT_RADII[COUNT_RADII.length - 1]
+  const operadores = Array.from(byOperator.values(), ({ sites, ...entry }) => ({
+    ...entry,
+    counts: countSites(sites)
+  })).sort((a, b) =>
+    b.counts[farthest] - a.counts[farthest] || a.operador.localeCompare(b.operador, 'es')
+  )
+
+  return { center, operadores, totals: countSites(totalSites) }
+}
+
+/**
+ * IDENTIFICADOR DEL EMPLAZAMIENTO DE UNA ANTENA
+ *
+ * La posición redondeada: las antenas de un mismo mástil comparten
+ * coordenadas (el código de emplazamiento solo llega en la ficha).
+ * Un mástil compartido por varios operadores cuenta una vez en el total
+ */
+function siteKey(antena) {
+  return antena.geometry.coordinates.map(value => value.toFixed(SITE_PRECISION)).join(',')
+}
+
+function countSites(sitesByRadius) {
+  return Object.fromEntries(COUNT_RADII.map(radius => [radius, sitesByRadius[radius].size]))
+}
+
+/**
+ * EMPLAZAMIENTO MÁS CERCANO DE CADA OPERADOR
+ *
+ * Para la ficha de una antena: qué tienen los demás operadores cerca
+ *
+ * @param {number[]} center - [lat, lon]
+ * @param {Array} antenas - Features GeoJSON candidatas
+ * @param {Object} [options]
+ * @param {string} [options.excludeOperador] - Operador que no se lista (el de la antena)
+ * @param {number} [options.maxDistance] - Metros; más lejos no se considera
+ * @returns {Array<{operador: string, antena: Object, distance: number, bearing: number}>} - Más cercano primero
+ */
+export function nearestByOperator(center, antenas, { excludeOperador, maxDistance = Infinity } = {}) {
+  const best = new Map()
+
+  antenas.forEach(antena => {
+    const { operador = 'Desconocido' } = antena.properties || {}
+    if (operador === excludeOperador) return
+
+    const position = [antena.geometry.coordinates[1], antena.geometry.coordinates[0]]
+    const distance = haversineDistance(center, position)
+    if (distance > maxDistance) return
+
+    const current = best.get(operador)
+    if (!current || distance < current.distance) {
+      best.set(operador, { operador, antena, distance, bearing: initialBearing(center, position) })
+    }
+  })
+
+  return Array.from(best.values()).sort((a, b) => a.distance - b.distance)
+}
+
+/**
+ * ¿FALTA ALGUNA TECNOLOGÍA EN ALGÚN OPERADOR?
+ *
+ * Puede estar más lejos de lo cargado: conviene ampliar la búsqueda
+ *
+ * @param {Object} report - Resultado de buildCoverageReport
+ * @param {number} [maxDistance] - Metros; una más lejana no es segura
+ *                                 (puede haber otra más cerca sin cargar)
+ */
+export function hasMissingNearest(report, maxDistance = Infinity) {
+  return report.operadores.some(entry =>
+    REPORT_TECHNOLOGIES.some(tech => entry.nearest[tech] === null || entry.nearest[tech].distance > maxDistance)
+  )
+}
+
+/**
+ * CELDA "1,2 km NE" DE UNA ANTENA MÁS CERCANA
+ */
+export function formatNearest(nearest) {
+  return nearest ? `${formatDistance(nearest.distance)} ${compassPoint(nearest.bearing)}` : '—'
+}
+
+/**
+ * INFORME COMO TEXTO PLANO (para copiar y pegar)
+ *
+ * @param {Object} report - Resultado de buildCoverageReport
+ * @param {Object} [options]
+ * @param {string} [options.filtersText] - Descripción de los filtros activos
+ * @param {number} [options.searchRadius] - Radio consultado alrededor del punto (metros)
+ * @returns {string}
+ */
+export function formatCoverageReport(report, { filtersText, searchRadius } = {}) {
+  const [lat, lon] = report.center
+  const radiiLabel = COUNT_RADII.map(radius => formatDistance(radius)).join(' / ')
+  const lines = [
+    'INFORME DE COBERTURA',
+    `Punto: ${lat.toFixed(5)}, ${lon.toFixed(5)}`,
+    `Generado: ${new Date().toLocaleString('es-ES')}`
+  ]
+  if (filtersText) lines.push(`Filtros: ${filtersText}`)
+  lines.push('')
+
+  if (report.operadores.length === 0) {
+    lines.push('Sin antenas en la zona consultada')
+  }
+
+  report.operadores.forEach(entry => {
+    lines.push(entry.operador)
+    lines.push(`  Más cercana: ${REPORT_TECHNOLOGIES.map(tech => `${tech} ${formatNearest(entry.nearest[tech])}`).join(' · ')}`)
+    lines.push(`  Emplazamientos a ${radiiLabel}: ${COUNT_RADII.map(radius => entry.counts[radius]).join(' / ')}`)
+  })
+
+  lines.push('')
+  lines.push(`Total a ${radiiLabel}: ${COUNT_RADII.map(radius => report.totals[radius]).join(' / ')}`)
+  if (searchRadius) {
+    lines.push(`"—" = sin antenas de esa tecnología a menos de ${formatDistance(searchRadius)}`)
+  }
+
+  return lines.join('\n')
+}
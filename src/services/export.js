@@ -0,0 +1,256 @@
+/**
+ * EXPORTACIÓN DE ANTENAS
+ *
+ * Convierte features GeoJSON a los formatos de descarga:
+ * - GeoJSON: FeatureCollection tal cual
+ * - CSV: lat, lon y todas las propiedades aplanadas (UTF-8 con BOM)
+ * - KML: un Placemark por antena con el color de su operador
+ *
+ * También obtiene el conjunto filtrado completo paginando /map/antenas
+ * (limit + offset), para exportar más allá de la vista actual
+ */
+
+import { loadMapData } from './api'
+import { appendFilterParams, FILTER_KEYS } from './filters'
+import config from '../config'
+
+/**
+ * FORMATOS DISPONIBLES
+ */
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+  kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' }
+}
+
+/**
+ * MÁXIMO DE PÁGINAS EN UNA DESCARGA COMPLETA
+ *
+ * Con VITE_MAX_ANTENAS=1000 son 200.000 antenas: más que el
+ * censo nacional, así que solo corta si la API ignora offset
+ */
+const MAX_PAGES = 200
+
+/**
+ * DESCARGAR EL CONJUNTO FILTRADO COMPLETO
+ *
+ * Pide páginas de VITE_MAX_ANTENAS hasta recibir una incompleta
+ * Se detiene también si una página no aporta antenas nuevas
+ * (una API sin soporte de offset devolvería siempre la primera)
+ *
+ * Las páginas no pasan por el cache: una copia antigua mezclaría
+ * datos de otra fecha y llenarlo desplazaría a las teselas del mapa
+ *
+ * @param {Object} filters - Filtros activos (ver services/filters.js)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancela la descarga
+ * @param {Function} [options.onProgress] - Recibe el número de antenas descargadas
+ * @returns {Promise<Array>} - Features de todas las páginas, sin duplicados
+ */
+export async function fetchAllAntenas(filters, { signal, onProgress } = {}) {
+  const pageSize = config.maxAntenas
+  const byId = new Map()
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const params = new URLSearchParams({
+      limit: pageSize.toString(),
+      offset: (page * pageSize).toString()
+    })
+    appendFilterParams(params, filters)
+
+    const data = await loadMapData(`/map/antenas?${params}`, { signal, cache: false })
+    const features = data.features || []
+    const before = byId.size
+
+    features.forEach(feature => {
+      byId.set(feature.properties?.id ?? feature.geometry?.coordinates?.join(','), feature)
+    })
+    onProgress?.(byId.size)
+
+    if (features.length < pageSize || byId.size === before) break
+  }
+
+  return Array.from(byId.values())
+}
+
+/**
+ * GEOJSON FEATURECOLLECTION
+ */
+export function toGeoJSON(features) {
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2)
+}
+
+/**
+ * CSV: lat, lon Y PROPIEDADES APLANADAS
+ *
+ * - Objetos anidados → columnas "padre.hijo"
+ * - Arrays → valores separados por ";"
+ * - Columnas en el orden en que aparecen por primera vez
+ * - BOM inicial para que Excel reconozca el UTF-8 (tildes)
+ */
+export function toCSV(features) {
+  const rows = features.map(feature => ({
+    lat: feature.geometry?.coordinates?.[1],
+    lon: feature.geometry?.coordinates?.[0],
+    ...flatten(feature.properties || {})
+  }))
+
+  const columns = []
+  const seen = new Set()
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!seen.has(key)) {
+      seen.add(key)
+      columns.push(key)
+    }
+  }))
+  if (columns.length === 0) columns.push('lat', 'lon')
+
+  const lines = [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ]
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * KML CON UN ESTILO POR OPERADOR
+ *
+ * @param {Array} features - Antenas a exportar
+ * @param {Function} getColor - Color CSS (#rrggbb) de un operador
+ * @param {string} [name] - Nombre del documento
+ */
+export function toKML(features, getColor, name = 'Antenas móviles') {
+  const operators = [...new Set(features.map(feature => feature.properties?.operador ?? ''))]
+
+  const styles = operators.map(operador => `
+    <Style id="${styleId(operador)}">
+      <IconStyle>
+        <color>${kmlColor(getColor(operador))}</color>
+        <scale>0.8</scale>
+        <Icon><href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`).join('')
+
+  const placemarks = features.map(feature => {
+    const props = feature.properties || {}
+    const [lon, lat] = feature.geometry?.coordinates || []
+    const data = Object.entries(flatten(props)).map(([key, value]) =>
+      `\n          <Data name="${xmlEscape(key)}"><value>${xmlEscape(value ?? '')}</value></Data>`
+    ).join('')
+
+    return `
+    <Placemark>
+      <name>${xmlEscape([props.operador, props.tecnologia].filter(Boolean).join(' ') || props.id || 'Antena')}</name>
+      <styleUrl>#${styleId(props.operador ?? '')}</styleUrl>
+      <ExtendedData>${data}
+      </ExtendedData>
+      <Point><coordinates>${lon},${lat}</coordinates></Point>
+    </Placemark>`
+  }).join('')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(name)}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`
+}
+
+/**
+ * NOMBRE DE FICHERO CON FILTROS Y FECHA
+ *
+ * antenas_operador-Movistar+Orange_tecnologia-5G_vista_2024-06-11.csv
+ *
+ * @param {Object} filters - Filtros activos
+ * @param {'viewport'|'all'} scope - Vista actual o conjunto completo
+ * @param {string} format - Clave de EXPORT_FORMATS
+ * @param {Date} [date]
+ */
+export function exportFileName(filters, scope, format, date = new Date()) {
+  const parts = FILTER_KEYS
+    .filter(key => filters[key]?.length > 0)
+    .map(key => `${key}-${[...filters[key]].sort().map(slug).join('+')}`)
+
+  return [
+    'antenas',
+    ...(parts.length ? parts : ['todas']),
+    scope === 'viewport' ? 'vista' : 'completo',
+    localDate(date)
+  ].join('_') + '.' + EXPORT_FORMATS[format].extension
+}
+
+/**
+ * DESCARGAR UN TEXTO COMO FICHERO
+ */
+export function downloadFile(content, fileName, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Dar tiempo al navegador a iniciar la descarga
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// ===== UTILIDADES =====
+
+function flatten(object, prefix = '', result = {}) {
+  Object.entries(object).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    if (Array.isArray(value)) {
+      result[path] = value.join(';')
+    } else if (value && typeof value === 'object') {
+      flatten(value, path, result)
+    } else {
+      result[path] = value
+    }
+  })
+  return result
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * #rrggbb → aabbggrr (orden de KML), opaco
+ */
+function kmlColor(hex) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex)
+  if (!match) return 'ff938071' // Gris por defecto (#718093)
+  const [, r, g, b] = match
+  return `ff${b}${g}${r}`.toLowerCase()
+}
+
+function styleId(operador) {
+  return `operador-${slug(operador) || 'desconocido'}`
+}
+
+/**
+ * "Castilla-La Mancha" → "Castilla-La-Mancha", "Álava" → "Alava"
+ */
+function slug(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+function localDate(date) {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
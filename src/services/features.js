@@ -0,0 +1,114 @@
+/**
+ * NORMALIZACIÓN DE RESPUESTAS GEOJSON
+ *
+ * /map/antenas y /map/clusters devuelven FeatureCollections con
+ * features de forma distinta. Aquí se separan en dos listas para
+ * que el resto de la aplicación no tenga que adivinar qué es cada una:
+ * - antenas: Una antena real (operador, tecnología, provincia...)
+ * - clusters: Agregado con recuento, extensión y desgloses
+ *
+ * Los clusters se llevan a una forma única:
+ * { id, cluster: true, count, bbox, por_operador, por_tecnologia }
+ */
+
+/**
+ * SEPARAR ANTENAS Y CLUSTERS DE UNA RESPUESTA
+ *
+ * @param {Object} data - FeatureCollection (o cualquier objeto con features)
+ * @returns {{antenas: Array, clusters: Array}}
+ */
+export function splitFeatures(data) {
+  const antenas = []
+  const clusters = []
+
+  ;(data?.features || []).forEach(feature => {
+    if (!isValidPoint(feature)) return
+
+    if (isClusterFeature(feature)) {
+      clusters.push(normalizeCluster(feature))
+    } else {
+      antenas.push(feature)
+    }
+  })
+
+  return { antenas, clusters }
+}
+
+/**
+ * ¿ES UN CLUSTER?
+ *
+ * Acepta la marca explícita (cluster: true) y el formato
+ * habitual de otras librerías (point_count)
+ */
+export function isClusterFeature(feature) {
+  const props = feature?.properties || {}
+  return props.cluster === true || props.point_count !== undefined
+}
+
+/**
+ * CLUSTER EN FORMA CANÓNICA
+ *
+ * - count: count | point_count | total (mínimo 1)
+ * - bbox: el del servidor o, si falta, el propio punto
+ * - Desgloses: objetos vacíos si el servidor no los envía
+ */
+export function normalizeCluster(feature) {
+  const props = feature.properties || {}
+  const [lon, lat] = feature.geometry.coordinates
+  const count = Number(props.count ?? props.point_count ?? props.total)
+
+  return {
+    ...feature,
+    properties: {
+      ...props,
+      id: props.id ?? `cluster-${lon.toFixed(5)},${lat.toFixed(5)}`,
+      cluster: true,
+      count: Number.isFinite(count) && count > 0 ? count : 1,
+      bbox: isValidBbox(props.bbox) ? props.bbox : [lon, lat, lon, lat],
+      por_operador: props.por_operador || props.operadores || {},
+      por_tecnologia: props.por_tecnologia || props.tecnologias || {}
+    }
+  }
+}
+
+/**
+ * CLUSTER SIN LAS ANTENAS DE CIERTOS OPERADORES
+ *
+ * Resta del recuento y del desglose por operador los ocultos
+ * en la leyenda. El desglose por tecnología no se puede corregir
+ * (no se sabe de qué operador es cada antena) y se conserva
+ *
+ * @param {Object} cluster - Cluster normalizado
+ * @param {string[]} hidden - Operadores ocultos
+ * @returns {Object|null} - null si no queda ninguna antena
+ */
+export function withoutOperators(cluster, hidden) {
+  const porOperador = cluster.properties.por_operador
+  const removed = hidden.reduce((sum, operador) => sum + (porOperador[operador] || 0), 0)
+  if (removed === 0) return cluster
+
+  const count = cluster.properties.count - removed
+  if (count <= 0) return null
+
+  return {
+    ...cluster,
+    properties: {
+      ...cluster.properties,
+      count,
+      por_operador: Object.fromEntries(
+        Object.entries(porOperador).filter(([operador]) => !hidden.includes(operador))
+      )
+    }
+  }
+}
+
+function isValidPoint(feature) {
+  const coordinates = feature?.geometry?.coordinates
+  return Array.isArray(coordinates) &&
+    Number.isFinite(coordinates[0]) &&
+    Number.isFinite(coordinates[1])
+}
+
+function isValidBbox(bbox) {
+  return Array.isArray(bbox) && bbox.length === 4 && bbox.every(Number.isFinite)
+}
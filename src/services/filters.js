@@ -0,0 +1,160 @@
+/**
+ * FILTROS DE ANTENAS
+ *
+ * Cada filtro admite varios valores:
+ * - Dentro de un mismo filtro se combinan con O (Movistar o Orange)
+ * - Entre filtros distintos se combinan con Y (… y 5G y en Madrid)
+ * - Un filtro sin valores no restringe nada
+ *
+ * La misma semántica se aplica en el cliente (filteredAntenas) y en
+ * la API, que recibe los valores como parámetros repetidos:
+ * ?operador=Movistar&operador=Orange&tecnologia=5G
+ */
+
+/**
+ * FILTROS DISPONIBLES (nombre del parámetro = propiedad de la antena)
+ */
+export const FILTER_KEYS = ['operador', 'tecnologia', 'provincia']
+
+/**
+ * FILTROS VACÍOS
+ */
+export const EMPTY_FILTERS = Object.freeze({
+  operador: [],
+  tecnologia: [],
+  provincia: []
+})
+
+/**
+ * ¿LA ANTENA CUMPLE LOS FILTROS?
+ *
+ * @param {Object} properties - properties de la feature
+ * @param {Object} filters - { operador: [], tecnologia: [], provincia: [] }
+ * @returns {boolean}
+ */
+export function matchesFilters(properties = {}, filters) {
+  return FILTER_KEYS.every(key => {
+    const values = filters[key]
+    return !values?.length || values.includes(properties[key])
+  })
+}
+
+/**
+ * ¿EL CLUSTER CONTIENE ANTENAS QUE CUMPLEN LOS FILTROS?
+ *
+ * Solo se puede saber por operador y tecnología (sus desgloses);
+ * el filtro de provincia no se comprueba. Es una aproximación:
+ * los desgloses no dicen cuántas cumplen ambos a la vez
+ *
+ * @param {Object} properties - properties de un cluster normalizado
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function clusterMatchesFilters(properties = {}, filters) {
+  return ['operador', 'tecnologia'].every(key => {
+    const values = filters[key]
+    const breakdown = properties[`por_${key}`] || {}
+    return !values?.length || values.some(value => breakdown[value] > 0)
+  })
+}
+
+/**
+ * ALTERNAR UN VALOR EN UNA SELECCIÓN
+ *
+ * - Normal: deja solo ese valor, o ninguno si ya era el único
+ * - Aditivo (Mayús+click): lo añade o lo quita del resto
+ *
+ * @param {string[]} values - Selección actual
+ * @param {string} value
+ * @param {boolean} additive
+ * @returns {string[]}
+ */
+export function toggleFilterValue(values = [], value, additive) {
+  const selected = values.includes(value)
+  if (additive) {
+    return selected ? values.filter(item => item !== value) : [...values, value]
+  }
+  return selected && values.length === 1 ? [] : [value]
+}
+
+/**
+ * ¿HAY ALGÚN FILTRO ACTIVO?
+ */
+export function hasActiveFilters(filters) {
+  return FILTER_KEYS.some(key => filters[key]?.length > 0)
+}
+
+/**
+ * AÑADIR LOS FILTROS A UNA QUERY STRING
+ *
+ * Valores ordenados: la misma selección produce siempre
+ * la misma URL (y por tanto la misma clave de cache)
+ *
+ * @param {URLSearchParams} params - Se modifica en el sitio
+ * @param {Object} filters
+ */
+export function appendFilterParams(params, filters) {
+  FILTER_KEYS.forEach(key => {
+    [...(filters[key] || [])].sort().forEach(value => params.append(key, value))
+  })
+}
+
+/**
+ * LEER LOS FILTROS DE UNA QUERY STRING (parámetros repetidos)
+ *
+ * @param {URLSearchParams} params
+ * @returns {Object} - { operador: [], tecnologia: [], provincia: [] }
+ */
+export function readFilterParams(params) {
+  return Object.fromEntries(FILTER_KEYS.map(key => [
+    key,
+    [...new Set(params.getAll(key).filter(Boolean))]
+  ]))
+}
+
+/**
+ * CLAVE ESTABLE DE UNA SELECCIÓN
+ *
+ * Útil como dependencia de efectos: no cambia si
+ * solo cambia la identidad de los arrays
+ */
+export function filtersKey(filters) {
+  const params = new URLSearchParams()
+  appendFilterParams(params, filters)
+  return params.toString()
+}
+
+/**
+ * DESCRIPCIÓN LEGIBLE DE LA SELECCIÓN
+ *
+ * "operador: Movistar, Orange · tecnologia: 5G"
+ * Cadena vacía si no hay filtros activos
+ */
+export function describeFilters(filters) {
+  return FILTER_KEYS
+    .filter(key => filters[key]?.length > 0)
+    .map(key => `${key}: ${filters[key].join(', ')}`)
+    .join(' · ')
+}
+
+/**
+ * OPCIONES DE UN FILTRO A PARTIR DE UN DESGLOSE DE /map/stats
+ *
+ * Los valores seleccionados que no aparecen en las estadísticas
+ * (p. ej. desde un enlace) se añaden para poder desmarcarlos
+ *
+ * @param {Object} [counts] - { valor: recuento }
+ * @param {'count'|'name'} sort - Por recuento descendente o alfabético
+ * @param {string[]} selected - Valores seleccionados
+ * @returns {Array<{value: string, count?: number}>}
+ */
+export function filterOptions(counts, sort, selected) {
+  const options = Object.entries(counts || {}).map(([value, count]) => ({ value, count }))
+  selected
+    .filter(value => !(value in (counts || {})))
+    .forEach(value => options.push({ value, count: 0 }))
+
+  return sort === 'count'
+    ? options.sort((a, b) => b.count - a.count)
+    : options.sort((a, b) => a.value.localeCompare(b.value, 'es', { numeric: true }))
+}
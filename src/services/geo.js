@@ -0,0 +1,129 @@
+/**
+ * CÁLCULOS GEOGRÁFICOS
+ *
+ * Distancias sobre la esfera terrestre (fórmula del haversine)
+ * Precisión de sobra para radios de búsqueda de hasta cientos de km
+ */
+
+/**
+ * RADIO MEDIO DE LA TIERRA (metros)
+ */
+const EARTH_RADIUS = 6371008.8
+
+const toRadians = (degrees) => degrees * Math.PI / 180
+
+/**
+ * DISTANCIA ENTRE DOS PUNTOS (gran círculo)
+ *
+ * @param {number[]} from - [lat, lon]
+ * @param {number[]} to - [lat, lon]
+ * @returns {number} - Metros
+ */
+export function haversineDistance([lat1, lon1], [lat2, lon2]) {
+  const dLat = toRadians(lat2 - lat1)
+  const dLon = toRadians(lon2 - lon1)
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * BBOX QUE CONTIENE UN CÍRCULO
+ *
+ * @param {number[]} center - [lat, lon]
+ * @param {number} radius - Metros
+ * @returns {number[]} - [oeste, sur, este, norte], el formato del parámetro bbox de la API
+ */
+export function bboxAround([lat, lon], radius) {
+  const dLat = radius / EARTH_RADIUS * 180 / Math.PI
+  const dLon = dLat / Math.max(Math.cos(toRadians(lat)), 0.01)
+  return [lon - dLon, lat - dLat, lon + dLon, lat + dLat]
+}
+
+/**
+ * SUPERFICIE DE UN BBOX (km²)
+ *
+ * Área exacta del trapecio esférico entre dos meridianos y dos paralelos
+ *
+ * @param {number[]} bbox - [oeste, sur, este, norte]
+ * @returns {number}
+ */
+export function bboxAreaKm2([west, south, east, north]) {
+  const radiusKm = EARTH_RADIUS / 1000
+  return radiusKm ** 2 *
+    Math.abs(toRadians(east - west)) *
+    Math.abs(Math.sin(toRadians(north)) - Math.sin(toRadians(south)))
+}
+
+/**
+ * DISTANCIA LEGIBLE: "850 m", "1,2 km", "15 km"
+ */
+export function formatDistance(meters) {
+  if (meters < 1000) return `${Math.round(meters)} m`
+  const km = meters / 1000
+  return `${km.toLocaleString('es-ES', { maximumFractionDigits: km < 10 ? 1 : 0 })} km`
+}
+
+/**
+ * COORDENADAS EN GRADOS, MINUTOS Y SEGUNDOS
+ *
+ * Hemisferios con las letras internacionales (N, S, E, W):
+ * es la forma que aceptan los buscadores de mapas al pegarla
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string} - 40°25'01.2"N 3°42'12.3"W
+ */
+export function formatDMS(lat, lon) {
+  return `${toDMS(lat, 'N', 'S')} ${toDMS(lon, 'E', 'W')}`
+}
+
+function toDMS(value, positive, negative) {
+  const absolute = Math.abs(value)
+  let degrees = Math.floor(absolute)
+  let minutes = Math.floor((absolute - degrees) * 60)
+  let seconds = Math.round(((absolute - degrees) * 60 - minutes) * 600) / 10
+
+  // El redondeo puede llevar a 60"
+  if (seconds >= 60) {
+    seconds = 0
+    minutes++
+  }
+  if (minutes >= 60) {
+    minutes = 0
+    degrees++
+  }
+
+  const hemisphere = value < 0 ? negative : positive
+  return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${hemisphere}`
+}
+
+/**
+ * RUMBO INICIAL DE from HACIA to
+ *
+ * @param {number[]} from - [lat, lon]
+ * @param {number[]} to - [lat, lon]
+ * @returns {number} - Grados desde el norte en sentido horario (0-360)
+ */
+export function initialBearing([lat1, lon1], [lat2, lon2]) {
+  const phi1 = toRadians(lat1)
+  const phi2 = toRadians(lat2)
+  const dLon = toRadians(lon2 - lon1)
+  const y = Math.sin(dLon) * Math.cos(phi2)
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon)
+
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360
+}
+
+/**
+ * PUNTOS CARDINALES (8 rumbos, en español)
+ */
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SO', 'O', 'NO']
+
+/**
+ * RUMBO EN GRADOS → PUNTO CARDINAL ("NE", "SO"…)
+ */
+export function compassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length]
+}
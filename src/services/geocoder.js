@@ -0,0 +1,230 @@
+/**
+ * BUSCADOR DE LUGARES OFFLINE
+ *
+ * Busca provincias, comarcas y municipios en el nomenclátor
+ * empaquetado (data/gazetteer.js), sin servicios externos
+ *
+ * - Sin distinguir mayúsculas ni tildes ("avila" → Ávila)
+ * - Por prefijo de nombre o de palabra ("compos" → Santiago de Compostela)
+ * - Tolerante a erratas ("zaragosa" → Zaragoza)
+ * - Acepta coordenadas: "39.47,-0.37" o "39.47 -0.37"
+ */
+
+import { PROVINCIAS, COMARCAS, MUNICIPIOS } from '../data/gazetteer'
+
+/**
+ * KM POR GRADO DE LATITUD
+ */
+const KM_PER_DEGREE = 111.32
+
+/**
+ * SEMIEXTENSIÓN DEL ENCUADRE PARA COORDENADAS (km)
+ */
+const COORDINATE_EXTENT_KM = 1
+
+/**
+ * ORDEN DE DESEMPATE ENTRE TIPOS
+ *
+ * A igual puntuación "Valencia" muestra antes la ciudad
+ * que la provincia: es lo que se busca con más frecuencia
+ */
+const TYPE_RANK = { municipio: 0, provincia: 1, comarca: 2 }
+
+/**
+ * PUNTUACIONES POR TIPO DE COINCIDENCIA (menor = mejor)
+ */
+const SCORE = {
+  exact: 0,
+  prefix: 1,
+  wordPrefix: 2,
+  substring: 3,
+  fuzzy: 4
+}
+
+/**
+ * ÍNDICE DE BÚSQUEDA
+ *
+ * Se construye una sola vez al cargar el módulo:
+ * cada lugar con sus nombres ya normalizados
+ */
+const PLACES = [
+  ...PROVINCIAS.map(entry => toPlace(entry, 'provincia')),
+  ...COMARCAS.map(entry => toPlace(entry, 'comarca')),
+  ...MUNICIPIOS.map(entry => toPlace(entry, 'municipio'))
+]
+
+/**
+ * MINÚSCULAS, SIN TILDES Y SIN PUNTUACIÓN
+ *
+ * "L'Hospitalet" → "l hospitalet", "Vitoria-Gasteiz" → "vitoria gasteiz"
+ */
+export function normalize(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9ñç]+/g, ' ')
+    .trim()
+}
+
+/**
+ * INTERPRETAR UNA ENTRADA COMO COORDENADAS
+ *
+ * Admite "lat,lon", "lat, lon" y "lat lon" en grados decimales
+ *
+ * @param {string} query
+ * @returns {{lat: number, lon: number}|null} - null si no son coordenadas válidas
+ */
+export function parseCoordinates(query) {
+  const match = query.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/)
+  if (!match) return null
+
+  const lat = Number(match[1])
+  const lon = Number(match[2])
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null
+
+  return { lat, lon }
+}
+
+/**
+ * BUSCAR LUGARES
+ *
+ * @param {string} query - Texto introducido por el usuario
+ * @param {number} [limit=8] - Máximo de resultados
+ * @returns {Array<{
+ *   id: string,
+ *   nombre: string,
+ *   tipo: 'provincia'|'comarca'|'municipio'|'coordenadas',
+ *   contexto: string,
+ *   center: number[],
+ *   bounds: number[][]
+ * }>} - Mejores coincidencias primero; bounds = [[sur, oeste], [norte, este]]
+ */
+export function searchPlaces(query, limit = 8) {
+  const coordinates = parseCoordinates(query)
+  if (coordinates) {
+    const { lat, lon } = coordinates
+    return [{
+      id: `coordenadas-${lat},${lon}`,
+      nombre: `${lat}, ${lon}`,
+      tipo: 'coordenadas',
+      contexto: 'Coordenadas',
+      center: [lat, lon],
+      bounds: boundsAround(lat, lon, COORDINATE_EXTENT_KM)
+    }]
+  }
+
+  const term = normalize(query)
+  if (term.length < 2) return []
+
+  // Con dos letras cualquier nombre estaría a una errata
+  const maxDistance = term.length < 3 ? 0 : term.length <= 5 ? 1 : 2
+  const results = []
+
+  PLACES.forEach(place => {
+    const score = Math.min(...place.keys.map(key => scoreMatch(key, term, maxDistance)))
+    if (Number.isFinite(score)) results.push({ place, score })
+  })
+
+  return results
+    .sort((a, b) =>
+      a.score - b.score ||
+      TYPE_RANK[a.place.tipo] - TYPE_RANK[b.place.tipo] ||
+      a.place.nombre.length - b.place.nombre.length
+    )
+    .slice(0, limit)
+    .map(({ place }) => place.result)
+}
+
+/**
+ * PUNTUAR UN NOMBRE NORMALIZADO FRENTE AL TÉRMINO
+ *
+ * @returns {number} - Infinity si no coincide
+ */
+function scoreMatch(key, term, maxDistance) {
+  if (key === term) return SCORE.exact
+  if (key.startsWith(term)) return SCORE.prefix
+  if (key.split(' ').some(word => word.startsWith(term))) return SCORE.wordPrefix
+  if (term.length >= 3 && key.includes(term)) return SCORE.substring
+
+  // Erratas: contra el nombre completo y contra un prefijo
+  // de la misma longitud (para resultados mientras se escribe)
+  const distance = Math.min(
+    editDistance(key, term, maxDistance),
+    editDistance(key.slice(0, term.length), term, maxDistance)
+  )
+  return distance <= maxDistance ? SCORE.fuzzy + distance / 10 : Infinity
+}
+
+/**
+ * DISTANCIA DE DAMERAU-LEVENSHTEIN (transposiciones adyacentes)
+ *
+ * Corta en cuanto se supera max: basta con saber que no coincide
+ *
+ * @returns {number} - Distancia, o max + 1 si la supera
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previous2 = null
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      )
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1)
+      }
+      current.push(value)
+      rowMin = Math.min(rowMin, value)
+    }
+
+    if (rowMin > max) return max + 1
+    previous2 = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * ENCUADRE ALREDEDOR DE UN PUNTO
+ *
+ * @returns {number[][]} - [[sur, oeste], [norte, este]]
+ */
+function boundsAround(lat, lon, km) {
+  const dLat = km / KM_PER_DEGREE
+  const dLon = km / (KM_PER_DEGREE * Math.cos(lat * Math.PI / 180))
+  return [[lat - dLat, lon - dLon], [lat + dLat, lon + dLon]]
+}
+
+/**
+ * TUPLA DEL NOMENCLÁTOR → LUGAR INDEXADO
+ */
+function toPlace([nombre, lat, lon, km, provincia, aliases = []], tipo) {
+  const contexto = tipo === 'provincia'
+    ? 'Provincia'
+    : `${tipo === 'comarca' ? 'Comarca' : 'Municipio'} · ${provincia}`
+
+  return {
+    nombre,
+    tipo,
+    keys: [nombre, ...aliases].map(normalize),
+    result: {
+      id: `${tipo}-${normalize(nombre).replace(/ /g, '-')}`,
+      nombre,
+      tipo,
+      contexto,
+      center: [lat, lon],
+      bounds: boundsAround(lat, lon, km)
+    }
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * MAPA DE CALOR: PESOS Y ESCALA
+ *
+ * Convierte antenas y clusters cargados en puntos con peso para
+ * la capa de canvas (ver components/HeatmapLayer.jsx):
+ * - Antena suelta: peso 1, o el de su operador/tecnología
+ * - Cluster del servidor: la suma de su desglose, de modo que a
+ *   escala nacional (donde solo llegan agregados) el calor refleja
+ *   las antenas que representa
+ */
+
+/**
+ * DEGRADADO DE COLOR (posición 0-1 → color)
+ *
+ * De frío a cálido; se usa también en la leyenda
+ */
+export const HEATMAP_GRADIENT = [
+  [0.2, '#2c7bb6'],
+  [0.4, '#00a6ca'],
+  [0.6, '#90eb9d'],
+  [0.8, '#f9d057'],
+  [1, '#d7191c']
+]
+
+/**
+ * LÍMITES DE LOS CONTROLES
+ *
+ * - radius: Radio de influencia de cada punto (px en pantalla)
+ * - intensity: Multiplicador de la opacidad de cada punto
+ */
+export const HEATMAP_RADIUS = { min: 10, max: 60, step: 5 }
+export const HEATMAP_INTENSITY = { min: 0.2, max: 3, step: 0.1 }
+
+/**
+ * PESOS POR DEFECTO AL PONDERAR POR TECNOLOGÍA
+ *
+ * Aproximan la capacidad relativa de cada generación;
+ * los operadores pesan 1 hasta que se ajusten
+ */
+export const DEFAULT_TECHNOLOGY_WEIGHTS = { '2G': 0.5, '3G': 0.75, '4G': 1, '5G': 1.5 }
+
+/**
+ * OPCIONES INICIALES DE LA CAPA
+ *
+ * - weightBy: 'none' (todas igual), 'operador' o 'tecnologia'
+ * - weights: Peso de cada valor por dimensión (1 si no aparece)
+ */
+export const DEFAULT_HEATMAP_OPTIONS = {
+  radius: 25,
+  intensity: 1,
+  weightBy: 'none',
+  weights: {
+    operador: {},
+    tecnologia: DEFAULT_TECHNOLOGY_WEIGHTS
+  }
+}
+
+/**
+ * OPACIDAD DE UN PUNTO DE PESO DE REFERENCIA CON INTENSIDAD 1
+ *
+ * Tres antenas solapadas ya se acercan al color más cálido
+ */
+const BASE_ALPHA = 0.35
+
+/**
+ * PERCENTIL QUE FIJA EL PESO DE REFERENCIA
+ *
+ * Con el máximo, un solo cluster enorme apagaría el resto
+ */
+const REFERENCE_PERCENTILE = 0.95
+
+const BREAKDOWN_KEYS = { operador: 'por_operador', tecnologia: 'por_tecnologia' }
+
+/**
+ * PESO DE UNA ANTENA O CLUSTER
+ *
+ * @param {Object} feature - Antena o cluster normalizado (ver services/features.js)
+ * @param {'none'|'operador'|'tecnologia'} weightBy - Dimensión de ponderación
+ * @param {Object} [weights] - { valor: peso } de esa dimensión
+ * @returns {number}
+ */
+export function featureWeight(feature, weightBy, weights = {}) {
+  const props = feature.properties || {}
+  const weightOf = (value) => weights[value] ?? 1
+
+  if (props.cluster) {
+    if (weightBy === 'none') return props.count
+    const breakdown = Object.entries(props[BREAKDOWN_KEYS[weightBy]] || {})
+    // Sin desglose del servidor: cada antena del cluster pesa 1
+    if (breakdown.length === 0) return props.count
+    return breakdown.reduce((total, [value, count]) => total + count * weightOf(value), 0)
+  }
+
+  return weightBy === 'none' ? 1 : weightOf(props[weightBy])
+}
+
+/**
+ * PUNTOS PONDERADOS PARA LA CAPA
+ *
+ * Los de peso 0 se omiten (p. ej. un operador excluido con peso 0)
+ *
+ * @param {Array} features - Antenas y clusters cargados
+ * @param {Object} options - weightBy y weights (ver DEFAULT_HEATMAP_OPTIONS)
+ * @returns {Array<{lat: number, lon: number, alpha: number}>} - alpha: Opacidad
+ *   con intensidad 1, antes de acumular solapes
+ */
+export function buildHeatPoints(features, { weightBy, weights }) {
+  const weighted = []
+  features.forEach(feature => {
+    const weight = featureWeight(feature, weightBy, weights?.[weightBy])
+    if (weight > 0) {
+      const [lon, lat] = feature.geometry.coordinates
+      weighted.push({ lat, lon, weight })
+    }
+  })
+
+  const reference = percentile(weighted.map(point => point.weight), REFERENCE_PERCENTILE)
+  return weighted.map(({ lat, lon, weight }) => ({
+    lat,
+    lon,
+    alpha: Math.min(1, BASE_ALPHA * weight / reference)
+  }))
+}
+
+/**
+ * VALORES DE UNA DIMENSIÓN PRESENTES EN LOS DATOS
+ *
+ * Para listar los pesos editables (operadores o tecnologías)
+ */
+export function weightValues(features, weightBy) {
+  const values = new Set()
+  features.forEach(feature => {
+    const props = feature.properties || {}
+    if (props.cluster) {
+      Object.keys(props[BREAKDOWN_KEYS[weightBy]] || {}).forEach(value => values.add(value))
+    } else if (props[weightBy]) {
+      values.add(props[weightBy])
+    }
+  })
+  return Array.from(values).sort((a, b) => a.localeCompare(b, 'es', { numeric: true }))
+}
+
+/**
+ * CSS linear-gradient DEL DEGRADADO (leyenda)
+ */
+export function gradientCss() {
+  const stops = HEATMAP_GRADIENT.map(([position, color]) => `${color} ${position * 100}%`)
+  return `linear-gradient(to right, transparent 0%, ${stops.join(', ')})`
+}
+
+function percentile(values, fraction) {
+  if (values.length === 0) return 1
+  const sorted = [...values].sort((a, b) => a - b)
+  return Math.max(sorted[Math.floor((sorted.length - 1) * fraction)], 1)
+}
@@ -0,0 +1,305 @@
+/**
+ * IMPORTACIÓN DE CONJUNTOS PROPIOS (GEOJSON, CSV, KML)
+ *
+ * Todo se procesa en el navegador: el fichero no sale del equipo
+ * Solo se importan puntos (emplazamientos candidatos, competencia…)
+ *
+ * Cada parser devuelve { features, errors } donde errors lista
+ * los problemas por fila: { row, message }, donde row es la fila del
+ * CSV (la cabecera es la 1, como en una hoja de cálculo) o el número
+ * de Feature o de Placemark empezando en 1
+ */
+
+import { normalize } from './geocoder'
+
+/**
+ * NOMBRES DE COLUMNA RECONOCIDOS EN CSV
+ *
+ * Ya normalizados (ver normalize): sin tildes, en minúsculas y
+ * con la puntuación como espacio ("coord_y" → "coord y")
+ */
+const LAT_COLUMNS = ['lat', 'latitud', 'latitude', 'y', 'lat dd', 'coord y']
+const LON_COLUMNS = ['lon', 'lng', 'long', 'longitud', 'longitude', 'x', 'lon dd', 'coord x']
+
+/**
+ * TAMAÑO MÁXIMO DE FICHERO (bytes)
+ *
+ * Las capas se guardan en localStorage (~5 MB por origen)
+ */
+export const MAX_IMPORT_SIZE = 5 * 1024 * 1024
+
+/**
+ * IMPORTAR UN FICHERO
+ *
+ * El formato se decide por la extensión y, si no es concluyente,
+ * por el contenido
+ *
+ * @param {File} file - Fichero soltado o elegido
+ * @returns {Promise<{format: string, features: Array, errors: Array<{row: number, message: string}>}>}
+ * @throws {Error} - Fichero demasiado grande, formato desconocido o ilegible en conjunto
+ */
+export async function parseImportFile(file) {
+  if (file.size > MAX_IMPORT_SIZE) {
+    throw new Error(`${file.name} ocupa más de ${MAX_IMPORT_SIZE / 1024 / 1024} MB`)
+  }
+
+  const text = await file.text()
+  const format = detectFormat(file.name, text)
+
+  if (format === 'geojson') return { format, ...parseGeoJSON(text) }
+  if (format === 'kml') return { format, ...parseKML(text) }
+  if (format === 'csv') return { format, ...parseCSV(text) }
+
+  throw new Error(`Formato no reconocido en ${file.name}: se admiten GeoJSON, CSV y KML`)
+}
+
+/**
+ * FORMATO POR EXTENSIÓN O CONTENIDO
+ */
+function detectFormat(name, text) {
+  const extension = name.toLowerCase().split('.').pop()
+  if (['geojson', 'json'].includes(extension)) return 'geojson'
+  if (extension === 'kml') return 'kml'
+  if (['csv', 'tsv', 'txt'].includes(extension)) return 'csv'
+
+  const start = text.trimStart()
+  if (start.startsWith('{') || start.startsWith('[')) return 'geojson'
+  if (start.startsWith('<')) return 'kml'
+  return null
+}
+
+// ===== GEOJSON =====
+
+/**
+ * GEOJSON: FeatureCollection, Feature suelta o array de Features
+ */
+export function parseGeoJSON(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    throw new Error(`JSON no válido: ${err.message}`)
+  }
+
+  const items = Array.isArray(data)
+    ? data
+    : data?.type === 'FeatureCollection' ? data.features : [data]
+
+  if (!Array.isArray(items)) throw new Error('El GeoJSON no contiene features')
+
+  const features = []
+  const errors = []
+
+  items.forEach((item, index) => {
+    const row = index + 1
+    if (item?.type !== 'Feature') {
+      errors.push({ row, message: 'no es una Feature' })
+      return
+    }
+    if (item.geometry?.type !== 'Point') {
+      errors.push({ row, message: `geometría ${item.geometry?.type ?? 'vacía'} no soportada (solo Point)` })
+      return
+    }
+
+    const [lon, lat] = item.geometry.coordinates || []
+    const problem = validateCoordinates(lat, lon)
+    if (problem) {
+      errors.push({ row, message: problem })
+      return
+    }
+    features.push(pointFeature(lat, lon, item.properties || {}))
+  })
+
+  return { features, errors }
+}
+
+// ===== CSV =====
+
+/**
+ * CSV CON DETECCIÓN DE COLUMNAS DE COORDENADAS
+ *
+ * - Separador: coma, punto y coma o tabulador (el más frecuente en la cabecera)
+ * - Coma decimal admitida ("39,47") si el separador no es la coma
+ * - El resto de columnas pasan a properties
+ */
+export function parseCSV(text) {
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ''))
+  if (rows.length === 0) throw new Error('El CSV está vacío')
+
+  const header = rows[0].map(cell => cell.trim())
+  const normalized = header.map(normalize)
+  const latIndex = normalized.findIndex(name => LAT_COLUMNS.includes(name))
+  const lonIndex = normalized.findIndex(name => LON_COLUMNS.includes(name))
+
+  if (latIndex === -1 || lonIndex === -1) {
+    throw new Error(
+      `No se encontraron columnas de coordenadas. Cabecera: ${header.join(', ')}. ` +
+      `Se esperaba latitud (${LAT_COLUMNS.join(', ')}) y longitud (${LON_COLUMNS.join(', ')})`
+    )
+  }
+
+  const features = []
+  const errors = []
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2
+    if (cells.every(cell => cell.trim() === '')) return // Líneas en blanco
+
+    const lat = parseNumber(cells[latIndex])
+    const lon = parseNumber(cells[lonIndex])
+    const problem = validateCoordinates(lat, lon, cells[latIndex], cells[lonIndex])
+    if (problem) {
+      errors.push({ row, message: problem })
+      return
+    }
+
+    const properties = {}
+    header.forEach((name, column) => {
+      if (column !== latIndex && column !== lonIndex && name) {
+        properties[name] = cells[column]?.trim() ?? ''
+      }
+    })
+    features.push(pointFeature(lat, lon, properties))
+  })
+
+  return { features, errors }
+}
+
+/**
+ * PARTIR TEXTO DELIMITADO (con comillas dobles RFC 4180)
+ */
+function parseDelimited(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows
+}
+
+function parseNumber(value) {
+  if (value === undefined) return NaN
+  const text = value.trim()
+  if (text === '') return NaN
+  return Number(text.replace(',', '.'))
+}
+
+// ===== KML =====
+
+/**
+ * KML: UN PUNTO POR Placemark
+ *
+ * name, description y ExtendedData/Data pasan a properties
+ */
+export function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('El KML no es un XML válido')
+  }
+
+  const placemarks = Array.from(doc.getElementsByTagName('Placemark'))
+  if (placemarks.length === 0) throw new Error('El KML no contiene Placemarks')
+
+  const features = []
+  const errors = []
+
+  placemarks.forEach((placemark, index) => {
+    const row = index + 1
+    const point = placemark.getElementsByTagName('Point')[0]
+    const coordinates = point?.getElementsByTagName('coordinates')[0]?.textContent?.trim()
+
+    if (!coordinates) {
+      errors.push({ row, message: 'sin Point (solo se importan puntos)' })
+      return
+    }
+
+    // "lon,lat[,alt]" (el primero si hubiera varios)
+    const [lon, lat] = coordinates.split(/\s+/)[0].split(',').map(Number)
+    const problem = validateCoordinates(lat, lon)
+    if (problem) {
+      errors.push({ row, message: problem })
+      return
+    }
+
+    const properties = {}
+    const name = childText(placemark, 'name')
+    const description = childText(placemark, 'description')
+    if (name) properties.nombre = name
+    if (description) properties.descripcion = description
+    Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+      const key = data.getAttribute('name')
+      if (key) properties[key] = data.getElementsByTagName('value')[0]?.textContent ?? ''
+    })
+
+    features.push(pointFeature(lat, lon, properties))
+  })
+
+  return { features, errors }
+}
+
+function childText(element, tag) {
+  const child = Array.from(element.children).find(node => node.tagName === tag)
+  return child?.textContent?.trim() || ''
+}
+
+// ===== COMÚN =====
+
+/**
+ * VALIDAR COORDENADAS
+ *
+ * @returns {string|null} - Descripción del problema, o null si son válidas
+ */
+function validateCoordinates(lat, lon, rawLat = lat, rawLon = lon) {
+  if (rawLat === undefined || rawLat === null || String(rawLat).trim() === '') return 'latitud vacía'
+  if (rawLon === undefined || rawLon === null || String(rawLon).trim() === '') return 'longitud vacía'
+  if (!Number.isFinite(lat)) return `latitud no numérica ("${rawLat}")`
+  if (!Number.isFinite(lon)) return `longitud no numérica ("${rawLon}")`
+  if (Math.abs(lat) > 90) return `latitud fuera de rango (${lat})`
+  if (Math.abs(lon) > 180) return `longitud fuera de rango (${lon})`
+  return null
+}
+
+function pointFeature(lat, lon, properties) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lon, lat] },
+    properties
+  }
+}
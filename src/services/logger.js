@@ -0,0 +1,19 @@
+/**
+ * REGISTRO DE DEPURACIÓN
+ * 
+ * Los logs detallados solo se emiten con VITE_DEBUG=true
+ * Los errores (console.error) se siguen mostrando siempre
+ */
+
+import config from '../config'
+
+/**
+ * LOG DE DEPURACIÓN
+ * 
+ * Misma firma que console.log
+ */
+export function debugLog(...args) {
+  if (config.debug) {
+    console.log(...args)
+  }
+}
@@ -0,0 +1,469 @@
+/**
+ * BACKEND SIMULADO - DATOS SINTÉTICOS SIN RED
+ *
+ * Se activa con VITE_USE_MOCK_DATA=true
+ * Implementa los mismos endpoints que la API real:
+ * - /map/stats     → Estadísticas globales, o de un subconjunto con los mismos filtros
+ * - /map/antenas   → Antenas individuales (GeoJSON), paginables con limit y offset
+ * - /map/antenas/:id → Una antena con su ficha completa (campos adicionales)
+ * - /map/clusters  → Agrupaciones por rejilla según zoom (GeoJSON)
+ *
+ * Los datos son deterministas: la misma semilla genera siempre
+ * el mismo conjunto, lo que facilita demos y pruebas reproducibles
+ */
+
+import { debugLog } from './logger'
+import { matchesFilters, readFilterParams } from './filters'
+
+/**
+ * TAMAÑO DEL CONJUNTO SINTÉTICO
+ *
+ * Suficiente para ejercitar clusters y filtros
+ * sin penalizar el arranque en desarrollo
+ */
+const TOTAL_ANTENAS = 15000
+
+/**
+ * SEMILLA DEL GENERADOR PSEUDOALEATORIO
+ */
+const SEED = 20240611
+
+/**
+ * FECHA DEL CONJUNTO SIMULADO (fecha_actualizacion de /map/stats)
+ */
+const DATASET_DATE = '2024-06-11'
+
+/**
+ * LÍMITE POR DEFECTO DE /map/antenas
+ *
+ * Se usa cuando la petición no incluye el parámetro limit
+ */
+const DEFAULT_LIMIT = 1000
+
+/**
+ * PROVINCIAS CON SU CENTRO, DISPERSIÓN Y PESO
+ *
+ * - centros: Uno o varios núcleos [lat, lon] (archipiélagos tienen varios)
+ * - dispersion: Desviación típica en grados alrededor del núcleo
+ * - peso: Proporción relativa de antenas (aprox. población + territorio)
+ */
+const PROVINCIAS = [
+  { nombre: 'Álava', centros: [[42.85, -2.67]], dispersion: 0.2, peso: 3 },
+  { nombre: 'Albacete', centros: [[38.99, -1.86]], dispersion: 0.45, peso: 4 },
+  { nombre: 'Alicante', centros: [[38.45, -0.6]], dispersion: 0.3, peso: 16 },
+  { nombre: 'Almería', centros: [[37.15, -2.3]], dispersion: 0.35, peso: 6 },
+  { nombre: 'Asturias', centros: [[43.3, -5.85]], dispersion: 0.35, peso: 9 },
+  { nombre: 'Ávila', centros: [[40.6, -4.8]], dispersion: 0.3, peso: 3 },
+  { nombre: 'Badajoz', centros: [[38.75, -6.3]], dispersion: 0.5, peso: 6 },
+  { nombre: 'Baleares', centros: [[39.6, 2.95], [39.95, 4.05], [38.95, 1.4]], dispersion: 0.15, peso: 10 },
+  { nombre: 'Barcelona', centros: [[41.55, 2.05]], dispersion: 0.3, peso: 45 },
+  { nombre: 'Burgos', centros: [[42.35, -3.7]], dispersion: 0.45, peso: 4 },
+  { nombre: 'Cáceres', centros: [[39.65, -6.2]], dispersion: 0.5, peso: 4 },
+  { nombre: 'Cádiz', centros: [[36.55, -5.85]], dispersion: 0.3, peso: 11 },
+  { nombre: 'Cantabria', centros: [[43.2, -4.0]], dispersion: 0.25, peso: 5 },
+  { nombre: 'Castellón', centros: [[40.15, -0.2]], dispersion: 0.3, peso: 5 },
+  { nombre: 'Ciudad Real', centros: [[38.95, -3.9]], dispersion: 0.5, peso: 5 },
+  { nombre: 'Córdoba', centros: [[37.9, -4.8]], dispersion: 0.4, peso: 7 },
+  { nombre: 'A Coruña', centros: [[43.1, -8.4]], dispersion: 0.3, peso: 9 },
+  { nombre: 'Cuenca', centros: [[40.0, -2.1]], dispersion: 0.45, peso: 3 },
+  { nombre: 'Girona', centros: [[42.05, 2.8]], dispersion: 0.25, peso: 7 },
+  { nombre: 'Granada', centros: [[37.3, -3.4]], dispersion: 0.4, peso: 8 },
+  { nombre: 'Guadalajara', centros: [[40.8, -2.6]], dispersion: 0.4, peso: 3 },
+  { nombre: 'Gipuzkoa', centros: [[43.15, -2.15]], dispersion: 0.15, peso: 6 },
+  { nombre: 'Huelva', centros: [[37.5, -6.85]], dispersion: 0.35, peso: 5 },
+  { nombre: 'Huesca', centros: [[42.2, -0.1]], dispersion: 0.45, peso: 3 },
+  { nombre: 'Jaén', centros: [[37.9, -3.5]], dispersion: 0.4, peso: 6 },
+  { nombre: 'León', centros: [[42.6, -5.8]], dispersion: 0.45, peso: 5 },
+  { nombre: 'Lleida', centros: [[41.95, 1.0]], dispersion: 0.4, peso: 4 },
+  { nombre: 'Lugo', centros: [[43.0, -7.5]], dispersion: 0.4, peso: 3 },
+  { nombre: 'Madrid', centros: [[40.43, -3.7]], dispersion: 0.25, peso: 55 },
+  { nombre: 'Málaga', centros: [[36.75, -4.6]], dispersion: 0.3, peso: 15 },
+  { nombre: 'Murcia', centros: [[38.0, -1.4]], dispersion: 0.35, peso: 13 },
+  { nombre: 'Navarra', centros: [[42.7, -1.65]], dispersion: 0.35, peso: 6 },
+  { nombre: 'Ourense', centros: [[42.25, -7.7]], dispersion: 0.3, peso: 3 },
+  { nombre: 'Palencia', centros: [[42.3, -4.55]], dispersion: 0.35, peso: 2 },
+  { nombre: 'Las Palmas', centros: [[27.98, -15.6], [28.95, -13.65], [28.4, -14.0]], dispersion: 0.12, peso: 10 },
+  { nombre: 'Pontevedra', centros: [[42.4, -8.6]], dispersion: 0.25, peso: 8 },
+  { nombre: 'La Rioja', centros: [[42.3, -2.5]], dispersion: 0.3, peso: 3 },
+  { nombre: 'Salamanca', centros: [[40.85, -5.9]], dispersion: 0.45, peso: 3 },
+  { nombre: 'Santa Cruz de Tenerife', centros: [[28.35, -16.5], [28.68, -17.85], [28.1, -17.2]], dispersion: 0.12, peso: 9 },
+  { nombre: 'Segovia', centros: [[41.1, -4.1]], dispersion: 0.3, peso: 2 },
+  { nombre: 'Sevilla', centros: [[37.4, -5.9]], dispersion: 0.4, peso: 16 },
+  { nombre: 'Soria', centros: [[41.7, -2.6]], dispersion: 0.4, peso: 2 },
+  { nombre: 'Tarragona', centros: [[41.1, 0.95]], dispersion: 0.3, peso: 7 },
+  { nombre: 'Teruel', centros: [[40.6, -0.9]], dispersion: 0.45, peso: 2 },
+  { nombre: 'Toledo', centros: [[39.8, -4.1]], dispersion: 0.45, peso: 6 },
+  { nombre: 'Valencia', centros: [[39.4, -0.55]], dispersion: 0.35, peso: 22 },
+  { nombre: 'Valladolid', centros: [[41.6, -4.75]], dispersion: 0.3, peso: 5 },
+  { nombre: 'Bizkaia', centros: [[43.22, -2.9]], dispersion: 0.15, peso: 10 },
+  { nombre: 'Zamora', centros: [[41.7, -6.0]], dispersion: 0.4, peso: 2 },
+  { nombre: 'Zaragoza', centros: [[41.6, -1.0]], dispersion: 0.45, peso: 9 },
+  { nombre: 'Ceuta', centros: [[35.89, -5.32]], dispersion: 0.015, peso: 1 },
+  { nombre: 'Melilla', centros: [[35.29, -2.94]], dispersion: 0.015, peso: 1 }
+]
+
+/**
+ * OPERADORES Y SU CUOTA APROXIMADA DE EMPLAZAMIENTOS
+ *
+ * Los cuatro principales más algunos operadores minoritarios
+ */
+const OPERADORES = [
+  { nombre: 'Movistar', peso: 30 },
+  { nombre: 'Vodafone', peso: 26 },
+  { nombre: 'Orange', peso: 25 },
+  { nombre: 'Yoigo', peso: 11 },
+  { nombre: 'Digi', peso: 5 },
+  { nombre: 'Euskaltel', peso: 2 },
+  { nombre: 'Telecable', peso: 1 }
+]
+
+/**
+ * TECNOLOGÍAS, BANDAS DE FRECUENCIA HABITUALES (MHz)
+ * Y AÑO DE DESPLIEGUE EN ESPAÑA
+ */
+const TECNOLOGIAS = [
+  { nombre: '2G', peso: 14, frecuencias: [900, 1800], desde: 1995 },
+  { nombre: '3G', peso: 20, frecuencias: [900, 2100], desde: 2004 },
+  { nombre: '4G', peso: 44, frecuencias: [800, 1800, 2600], desde: 2013 },
+  { nombre: '5G', peso: 22, frecuencias: [700, 3500], desde: 2020 }
+]
+
+/**
+ * ÚLTIMO AÑO POSIBLE PARA fecha_alta
+ */
+const ULTIMO_ANIO = 2024
+
+/**
+ * CONJUNTO DE DATOS GENERADO (LAZY)
+ *
+ * Se construye en la primera petición y se reutiliza
+ */
+let dataset = null
+
+/**
+ * FUNCIÓN PRINCIPAL DEL BACKEND SIMULADO
+ *
+ * @param {string} url - URL completa o relativa del endpoint
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancelación, igual que en fetch
+ * @returns {Promise<any>} - Misma forma de respuesta que la API real
+ * @throws {Error} - 'HTTP 404' para endpoints desconocidos, igual que fetch
+ */
+export async function mockRequest(url, { signal } = {}) {
+  const { pathname, searchParams } = new URL(url, 'http://mock.local')
+
+  // LATENCIA SIMULADA PARA QUE LOS ESTADOS DE CARGA SEAN VISIBLES
+  await delay(80 + Math.random() * 220, signal)
+
+  const antenas = getDataset()
+
+  if (pathname.endsWith('/map/stats')) {
+    return buildStats(queryAntenas(antenas, searchParams))
+  }
+
+  if (pathname.endsWith('/map/antenas')) {
+    const matches = queryAntenas(antenas, searchParams)
+    const limit = parseLimit(searchParams.get('limit'))
+    const offset = parseOffset(searchParams.get('offset'))
+    return featureCollection(matches.slice(offset, offset + limit))
+  }
+
+  const detailMatch = /\/map\/antenas\/([^/]+)$/.exec(pathname)
+  if (detailMatch) {
+    const id = decodeURIComponent(detailMatch[1])
+    const antena = antenas.find(feature => feature.properties.id === id)
+    if (!antena) throw notFound(`Antena simulada no encontrada (${id})`)
+    return buildDetail(antena)
+  }
+
+  if (pathname.endsWith('/map/clusters')) {
+    const matches = queryAntenas(antenas, searchParams)
+    const zoom = Number(searchParams.get('zoom')) || 6
+    return featureCollection(buildClusters(matches, zoom))
+  }
+
+  throw notFound(`Endpoint simulado no encontrado (${pathname})`)
+}
+
+/**
+ * FILTRADO COMÚN DE ANTENAS
+ *
+ * Aplica bbox, operador, tecnología y provincia con la misma semántica
+ * que la API: bbox = min_lon,min_lat,max_lon,max_lat y filtros
+ * repetidos (?operador=Movistar&operador=Orange) combinados con O
+ *
+ * @param {Array} antenas - Conjunto completo de features
+ * @param {URLSearchParams} params - Parámetros de la petición
+ * @returns {Array} - Features que cumplen todos los filtros
+ */
+function queryAntenas(antenas, params) {
+  const bbox = parseBbox(params.get('bbox'))
+  const filters = readFilterParams(params)
+
+  return antenas.filter(antena => {
+    const [lon, lat] = antena.geometry.coordinates
+    const props = antena.properties
+
+    if (bbox && (lon < bbox[0] || lat < bbox[1] || lon > bbox[2] || lat > bbox[3])) {
+      return false
+    }
+    return matchesFilters(props, filters)
+  })
+}
+
+/**
+ * AGRUPAMIENTO POR REJILLA DEPENDIENTE DEL ZOOM
+ *
+ * El tamaño de celda se reduce a la mitad con cada nivel de zoom
+ * Cada cluster incluye desglose por operador y tecnología
+ *
+ * @param {Array} antenas - Features ya filtradas
+ * @param {number} zoom - Nivel de zoom del mapa
+ * @returns {Array} - Features de tipo cluster
+ */
+function buildClusters(antenas, zoom) {
+  const cellSize = 360 / Math.pow(2, zoom) / 4 // ~64px a escala del mapa
+  const cells = new Map()
+
+  antenas.forEach(antena => {
+    const [lon, lat] = antena.geometry.coordinates
+    const key = `${Math.floor(lon / cellSize)}:${Math.floor(lat / cellSize)}`
+
+    let cell = cells.get(key)
+    if (!cell) {
+      cell = {
+        sumLon: 0,
+        sumLat: 0,
+        count: 0,
+        bbox: [Infinity, Infinity, -Infinity, -Infinity],
+        por_operador: {},
+        por_tecnologia: {}
+      }
+      cells.set(key, cell)
+    }
+
+    cell.sumLon += lon
+    cell.sumLat += lat
+    cell.count++
+    cell.bbox = [
+      Math.min(cell.bbox[0], lon),
+      Math.min(cell.bbox[1], lat),
+      Math.max(cell.bbox[2], lon),
+      Math.max(cell.bbox[3], lat)
+    ]
+    increment(cell.por_operador, antena.properties.operador)
+    increment(cell.por_tecnologia, antena.properties.tecnologia)
+  })
+
+  return Array.from(cells.entries()).map(([key, cell]) => ({
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: [round(cell.sumLon / cell.count), round(cell.sumLat / cell.count)]
+    },
+    properties: {
+      id: `cluster-${zoom}-${key}`,
+      cluster: true,
+      count: cell.count,
+      bbox: cell.bbox.map(round),
+      por_operador: cell.por_operador,
+      por_tecnologia: cell.por_tecnologia
+    }
+  }))
+}
+
+/**
+ * ESTADÍSTICAS GLOBALES (O DE LAS ANTENAS FILTRADAS)
+ *
+ * Misma forma que /map/stats: total y conteos por dimensión
+ */
+function buildStats(antenas) {
+  const stats = {
+    total_antenas: antenas.length,
+    por_operador: {},
+    por_tecnologia: {},
+    por_provincia: {},
+    fecha_actualizacion: DATASET_DATE
+  }
+
+  antenas.forEach(({ properties }) => {
+    increment(stats.por_operador, properties.operador)
+    increment(stats.por_tecnologia, properties.tecnologia)
+    increment(stats.por_provincia, properties.provincia)
+  })
+
+  return stats
+}
+
+/**
+ * FICHA COMPLETA DE UNA ANTENA (/map/antenas/:id)
+ *
+ * Campos que el listado no incluye, derivados del id
+ * para que la misma antena tenga siempre la misma ficha
+ */
+function buildDetail(antena) {
+  const random = mulberry32(SEED + Number(antena.properties.id.replace(/\D/g, '')))
+  const sectores = 1 + Math.floor(random() * 3)
+
+  return {
+    ...antena,
+    properties: {
+      ...antena.properties,
+      emplazamiento: `ES-${antena.properties.provincia.slice(0, 3).toUpperCase()}-${String(Math.floor(random() * 10000)).padStart(4, '0')}`,
+      tipo_emplazamiento: random() < 0.6 ? 'Azotea' : 'Torre',
+      potencia_w: 20 + Math.floor(random() * 60),
+      azimuts_grados: Array.from({ length: sectores }, (_, i) => Math.round((i * 360 / sectores + random() * 30) % 360)),
+      compartida: random() < 0.35
+    }
+  }
+}
+
+/**
+ * GENERACIÓN DEL CONJUNTO SINTÉTICO
+ *
+ * Distribuye las antenas por provincia según su peso
+ * y las dispersa con ruido gaussiano alrededor de sus núcleos
+ */
+function getDataset() {
+  if (dataset) return dataset
+
+  const random = mulberry32(SEED)
+  const pickProvincia = weightedPicker(PROVINCIAS, random)
+  const pickOperador = weightedPicker(OPERADORES, random)
+  const pickTecnologia = weightedPicker(TECNOLOGIAS, random)
+
+  dataset = []
+  for (let i = 0; i < TOTAL_ANTENAS; i++) {
+    const provincia = pickProvincia()
+    const [lat, lon] = provincia.centros[Math.floor(random() * provincia.centros.length)]
+    const tecnologia = pickTecnologia()
+    const year = tecnologia.desde + Math.floor(random() * (ULTIMO_ANIO - tecnologia.desde + 1))
+
+    dataset.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [
+          round(lon + gaussian(random) * provincia.dispersion),
+          round(lat + gaussian(random) * provincia.dispersion)
+        ]
+      },
+      properties: {
+        id: `mock-${i + 1}`,
+        operador: pickOperador().nombre,
+        tecnologia: tecnologia.nombre,
+        provincia: provincia.nombre,
+        frecuencia_mhz: tecnologia.frecuencias[Math.floor(random() * tecnologia.frecuencias.length)],
+        altura_m: 15 + Math.floor(random() * 45),
+        fecha_alta: `${year}-${pad(1 + Math.floor(random() * 12))}-${pad(1 + Math.floor(random() * 28))}`
+      }
+    })
+  }
+
+  debugLog(`🧪 [MOCK] ${dataset.length} antenas sintéticas generadas`)
+  return dataset
+}
+
+// ===== UTILIDADES =====
+
+/**
+ * GENERADOR PSEUDOALEATORIO DETERMINISTA (mulberry32)
+ *
+ * @param {number} seed - Semilla entera
+ * @returns {Function} - Devuelve números en [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * RUIDO GAUSSIANO (Box-Muller)
+ */
+function gaussian(random) {
+  const u = 1 - random()
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+/**
+ * SELECTOR PONDERADO
+ *
+ * @param {Array<{peso: number}>} items - Elementos con peso relativo
+ * @param {Function} random - Generador [0, 1)
+ * @returns {Function} - Devuelve un elemento según su peso
+ */
+function weightedPicker(items, random) {
+  const total = items.reduce((sum, item) => sum + item.peso, 0)
+  return () => {
+    let threshold = random() * total
+    for (const item of items) {
+      threshold -= item.peso
+      if (threshold < 0) return item
+    }
+    return items[items.length - 1]
+  }
+}
+
+function parseBbox(value) {
+  if (!value) return null
+  const parts = value.split(',').map(Number)
+  return parts.length === 4 && parts.every(Number.isFinite) ? parts : null
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10)
+  return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_LIMIT
+}
+
+function parseOffset(value) {
+  const offset = parseInt(value, 10)
+  return Number.isFinite(offset) && offset > 0 ? offset : 0
+}
+
+function notFound(message) {
+  const error = new Error(`HTTP 404: ${message}`)
+  error.status = 404
+  return error
+}
+
+function featureCollection(features) {
+  return { type: 'FeatureCollection', features }
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1
+}
+
+function round(value) {
+  return Math.round(value * 1e5) / 1e5
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0')
+}
+
+/**
+ * ESPERA CANCELABLE
+ *
+ * Rechaza con el motivo de la señal, como hace fetch
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }, { once: true })
+  })
+}
@@ -0,0 +1,110 @@
+/**
+ * ANTENAS ALREDEDOR DE UN PUNTO
+ *
+ * Consultas de /map/antenas por el bbox de un círculo para las
+ * herramientas que trabajan alrededor de un punto (búsqueda por
+ * radio y las que la siguen)
+ *
+ * En una ciudad el bbox supera VITE_MAX_ANTENAS: las páginas se piden
+ * con offset para que el resultado contenga todas las antenas del
+ * bbox y no una selección arbitraria
+ */
+
+import { loadMapData } from './api'
+import { splitFeatures } from './features'
+import { appendFilterParams } from './filters'
+import { bboxAround } from './geo'
+import config from '../config'
+
+/**
+ * MÁXIMO DE PÁGINAS POR CONSULTA
+ *
+ * Con VITE_MAX_ANTENAS=1000, 20.000 antenas: más que cualquier
+ * círculo de VITE_MAX_SEARCH_RADIUS del censo
+ */
+const MAX_PAGES = 20
+
+/**
+ * RADIOS DE LA BÚSQUEDA CRECIENTE (metros)
+ *
+ * Se recortan a VITE_MAX_SEARCH_RADIUS, que es siempre el último
+ */
+const EXPANDING_RADII = [1000, 2500, 5000, 10000, 20000, 50000]
+
+/**
+ * TODAS LAS ANTENAS DEL BBOX DE UN CÍRCULO
+ *
+ * @param {number[]} center - [lat, lon]
+ * @param {number} radius - Metros
+ * @param {Object|null} filters - Filtros activos (null = sin filtros)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancela la consulta
+ * @returns {Promise<{antenas: Array, truncated: boolean}>}
+ *   - truncated: se llegó a MAX_PAGES y puede faltar alguna antena
+ */
+export async function fetchAntenasAround(center, radius, filters, { signal } = {}) {
+  const pageSize = config.maxAntenas
+  const byId = new Map()
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const params = new URLSearchParams({
+      bbox: bboxAround(center, radius).map(value => value.toFixed(6)).join(','),
+      limit: pageSize.toString(),
+      offset: (page * pageSize).toString()
+    })
+    if (filters) appendFilterParams(params, filters)
+
+    const data = await loadMapData(`/map/antenas?${params}`, { signal })
+    const features = data.features || []
+    const before = byId.size
+
+    splitFeatures(data).antenas.forEach(antena => {
+      byId.set(antena.properties?.id ?? antena.geometry.coordinates.join(','), antena)
+    })
+
+    // Página incompleta: no hay más. Sin antenas nuevas: la API ignora offset
+    if (features.length < pageSize || byId.size === before) {
+      return { antenas: Array.from(byId.values()), truncated: false }
+    }
+  }
+
+  return { antenas: Array.from(byId.values()), truncated: true }
+}
+
+/**
+ * BÚSQUEDA CRECIENTE ALREDEDOR DE UN PUNTO
+ *
+ * Pide círculos cada vez mayores hasta que isEnough da por buena la
+ * respuesta o se llega a VITE_MAX_SEARCH_RADIUS: la antena más cercana
+ * suele estar a pocos cientos de metros y no hace falta descargar
+ * el círculo completo
+ *
+ * isEnough recibe el radio de la consulta: solo son seguras las
+ * antenas a menos de esa distancia (las esquinas del bbox quedan
+ * más lejos y puede haber otras más cerca fuera de él)
+ *
+ * @param {number[]} center - [lat, lon]
+ * @param {Object|null} filters - Filtros activos (null = sin filtros)
+ * @param {Object} options
+ * @param {Function} options.isEnough - (antenas, radius) → true si basta
+ * @param {number} [options.minRadius] - Primer radio (metros); puede superar
+ *                                       VITE_MAX_SEARCH_RADIUS si el llamador lo necesita completo
+ * @param {AbortSignal} [options.signal] - Cancela la consulta
+ * @returns {Promise<{antenas: Array, radius: number, truncated: boolean}>}
+ */
+export async function fetchAntenasExpanding(center, filters, { isEnough, minRadius, signal } = {}) {
+  const firstRadius = minRadius ?? Math.min(EXPANDING_RADII[0], config.maxSearchRadius)
+  const maxRadius = Math.max(config.maxSearchRadius, firstRadius)
+  const radii = Array.from(new Set([
+    firstRadius,
+    ...EXPANDING_RADII.filter(radius => radius > firstRadius && radius < maxRadius),
+    maxRadius
+  ]))
+
+  for (const radius of radii) {
+    const result = await fetchAntenasAround(center, radius, filters, { signal })
+    if (radius === maxRadius || result.truncated || isEnough(result.antenas, radius)) {
+      return { ...result, radius }
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * DATOS SERVIDOS SIN CONEXIÓN
+ *
+ * Almacén mínimo (patrón suscripción, como backendStatus.js) que
+ * api.js actualiza y que la interfaz lee con useOfflineData:
+ * - Respuesta guardada por el service worker (ver src/sw.js) o cache
+ *   de IndexedDB que no se pudo revalidar → se anota su fecha
+ * - Cualquier respuesta de la red → vuelve a null
+ *
+ * Con varias copias a la vez se conserva la más antigua: es la
+ * fecha de la que el usuario no puede fiarse más allá
+ */
+
+let offlineSince = null
+const listeners = new Set()
+
+/**
+ * FECHA DE LOS DATOS SIN CONEXIÓN (timestamp en ms, null si hay red)
+ *
+ * @returns {number|null}
+ */
+export function getOfflineData() {
+  return offlineSince
+}
+
+/**
+ * ANOTAR EL ORIGEN DE UNA RESPUESTA
+ *
+ * @param {number|null} cachedAt - Fecha de la copia servida, o null si vino de la red
+ */
+export function reportDataSource(cachedAt) {
+  const next = cachedAt === null
+    ? null
+    : Math.min(cachedAt, offlineSince ?? Infinity)
+
+  if (next === offlineSince) return
+
+  offlineSince = next
+  listeners.forEach(listener => listener())
+}
+
+/**
+ * SUSCRIBIRSE A CAMBIOS
+ *
+ * @param {Function} listener - Se invoca sin argumentos en cada cambio
+ * @returns {Function} - Cancela la suscripción
+ */
+export function subscribeOfflineData(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
@@ -0,0 +1,99 @@
+/**
+ * PALETA DE COLORES POR OPERADOR
+ *
+ * Único punto donde se decide el color de un operador: marcadores,
+ * agrupaciones, leyendas, estadísticas y exportación KML
+ *
+ * - 'standard': colores corporativos de cada compañía
+ * - 'colorblind': paleta de Okabe e Ito, distinguible con
+ *   protanopia, deuteranopia y tritanopia
+ *
+ * Los operadores desconocidos reciben siempre el mismo color
+ * (a partir de su nombre) en lugar de todos el gris
+ */
+
+/**
+ * PALETAS DISPONIBLES
+ *
+ * - known: Operadores con color propio
+ * - extra: Colores para el resto, elegidos por el nombre del operador
+ */
+const PALETTES = {
+  standard: {
+    label: 'Corporativos',
+    known: {
+      'Movistar': '#00a8ff',    // Azul corporativo
+      'Vodafone': '#e84118',    // Rojo corporativo
+      'Orange': '#ff9f1a',      // Naranja corporativo
+      'Yoigo': '#44bd32'        // Verde corporativo
+    },
+    extra: ['#8c7ae6', '#e84393', '#00cec9', '#273c75', '#fbc531', '#b33771', '#8d6e63']
+  },
+  colorblind: {
+    label: 'Aptos para daltonismo',
+    known: {
+      'Movistar': '#0072b2',    // Azul
+      'Vodafone': '#d55e00',    // Bermellón
+      'Orange': '#e69f00',      // Naranja
+      'Yoigo': '#009e73'        // Verde azulado
+    },
+    extra: ['#56b4e9', '#cc79a7', '#f0e442', '#882255', '#44aa99', '#332288']
+  }
+}
+
+/**
+ * COLOR SIN OPERADOR (dato ausente)
+ */
+const UNKNOWN_COLOR = '#718093'
+
+export const DEFAULT_PALETTE = 'standard'
+
+/**
+ * OPCIONES PARA EL SELECTOR DE PALETA
+ */
+export const PALETTE_OPTIONS = Object.entries(PALETTES).map(([key, { label }]) => ({ key, label }))
+
+export function isPalette(value) {
+  return Object.prototype.hasOwnProperty.call(PALETTES, value)
+}
+
+/**
+ * COLOR DE UN OPERADOR
+ *
+ * @param {string|null} operador - Nombre del operador
+ * @param {string} [palette] - Clave de PALETTES
+ * @returns {string} - Color #rrggbb
+ */
+export function operatorColor(operador, palette = DEFAULT_PALETTE) {
+  const { known, extra } = PALETTES[palette] ?? PALETTES[DEFAULT_PALETTE]
+  if (!operador) return UNKNOWN_COLOR
+  return known[operador] ?? extra[hashString(operador) % extra.length]
+}
+
+/**
+ * FUNCIÓN operador → color DE UNA PALETA
+ *
+ * Una por paleta, siempre la misma: los componentes pueden
+ * usarla como dependencia sin recalcular en cada render
+ */
+const COLOR_FUNCTIONS = Object.fromEntries(
+  Object.keys(PALETTES).map(key => [key, (operador) => operatorColor(operador, key)])
+)
+
+export function colorFunction(palette = DEFAULT_PALETTE) {
+  return COLOR_FUNCTIONS[palette] ?? COLOR_FUNCTIONS[DEFAULT_PALETTE]
+}
+
+/**
+ * HASH FNV-1a DE 32 BITS
+ *
+ * Estable entre sesiones y navegadores
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
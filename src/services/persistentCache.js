@@ -0,0 +1,247 @@
+/**
+ * CACHE PERSISTENTE EN INDEXEDDB
+ *
+ * Sobrevive a recargas de página: tras un arranque en frío de Render
+ * el mapa puede pintarse al instante con la última respuesta conocida
+ *
+ * - Claves versionadas: v<esquema>:<versión de datos>:<url>
+ *   Cuando la API publica un conjunto nuevo se descartan las anteriores
+ * - Tamaño limitado con expulsión LRU (menos usadas recientemente primero)
+ * - Si IndexedDB no está disponible (modo privado, etc.) todas las
+ *   operaciones se degradan a no-op sin romper la aplicación
+ */
+
+import config from '../config'
+import { debugLog } from './logger'
+
+/**
+ * VERSIÓN DEL ESQUEMA DE RESPUESTAS
+ *
+ * Incrementar si cambia el formato de lo que se guarda
+ */
+const SCHEMA_VERSION = 1
+
+const DB_NAME = 'spain-towers-cache'
+const DB_VERSION = 1
+const RESPONSES_STORE = 'responses'
+const META_STORE = 'meta'
+
+/**
+ * LÍMITES DEL CACHE
+ *
+ * - MAX_BYTES: VITE_PERSISTENT_CACHE_MB (25 MB por defecto)
+ * - MAX_ENTRIES: Evita miles de entradas pequeñas de viewport
+ */
+const MAX_BYTES = config.persistentCacheMb * 1024 * 1024
+const MAX_ENTRIES = 500
+
+/**
+ * CONEXIÓN Y VERSIÓN DE DATOS (lazy)
+ */
+let dbPromise = null
+let dataVersion = null
+
+/**
+ * OBTENER RESPUESTA CACHEADA
+ *
+ * Actualiza lastAccess para la política LRU
+ *
+ * @param {string} url - URL completa de la petición
+ * @returns {Promise<{data: any, timestamp: number} | null>}
+ */
+export async function getCachedResponse(url) {
+  const db = await openDatabase()
+  if (!db) return null
+
+  try {
+    const key = await buildKey(url)
+    const entry = await request(db.transaction(RESPONSES_STORE).objectStore(RESPONSES_STORE).get(key))
+    if (!entry) return null
+
+    // TOCAR LA ENTRADA SIN BLOQUEAR LA RESPUESTA
+    entry.lastAccess = Date.now()
+    db.transaction(RESPONSES_STORE, 'readwrite').objectStore(RESPONSES_STORE).put(entry)
+
+    return { data: entry.data, timestamp: entry.timestamp }
+  } catch (error) {
+    console.error('❌ [IDB CACHE] Error leyendo', url, error)
+    return null
+  }
+}
+
+/**
+ * GUARDAR RESPUESTA
+ *
+ * Tras escribir aplica el límite de tamaño (LRU)
+ *
+ * @param {string} url - URL completa de la petición
+ * @param {any} data - Respuesta parseada
+ */
+export async function putCachedResponse(url, data) {
+  const db = await openDatabase()
+  if (!db) return
+
+  try {
+    const now = Date.now()
+    const entry = {
+      key: await buildKey(url),
+      data,
+      timestamp: now,
+      lastAccess: now,
+      size: JSON.stringify(data).length
+    }
+
+    await transactionDone(db, RESPONSES_STORE, store => store.put(entry))
+    await evictLeastRecentlyUsed(db)
+  } catch (error) {
+    console.error('❌ [IDB CACHE] Error guardando', url, error)
+  }
+}
+
+/**
+ * FIJAR LA VERSIÓN DE LOS DATOS DEL SERVIDOR
+ *
+ * Si difiere de la guardada, se eliminan todas las entradas
+ * de versiones anteriores (el dataset se ha refrescado)
+ *
+ * La versión en memoria solo cambia cuando la purga ha terminado:
+ * si falla, se sigue leyendo y guardando con la anterior
+ *
+ * @param {string|number} version - Identificador del dataset publicado
+ */
+export async function setDataVersion(version) {
+  try {
+    const db = await openDatabase()
+    if (!db) return
+
+    const next = String(version)
+    const current = await getDataVersion(db)
+    if (current === next) return
+
+    await transactionDone(db, META_STORE, store => store.put({ key: 'dataVersion', value: next }))
+
+    const prefix = keyPrefix(next)
+    let removed = 0
+    await transactionDone(db, RESPONSES_STORE, store => {
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result
+        if (!cursor) return
+        if (!cursor.key.startsWith(prefix)) {
+          cursor.delete()
+          removed++
+        }
+        cursor.continue()
+      }
+    })
+
+    dataVersion = next
+    debugLog(`🔄 [IDB CACHE] Versión de datos ${current} → ${next} (${removed} entradas invalidadas)`)
+  } catch (error) {
+    console.error('❌ [IDB CACHE] Error cambiando versión', error)
+  }
+}
+
+// ===== FUNCIONES INTERNAS =====
+
+/**
+ * ABRIR (O CREAR) LA BASE DE DATOS
+ *
+ * @returns {Promise<IDBDatabase|null>} - null si IndexedDB no está disponible
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+
+    const openRequest = indexedDB.open(DB_NAME, DB_VERSION)
+
+    openRequest.onupgradeneeded = () => {
+      const db = openRequest.result
+      const responses = db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' })
+      responses.createIndex('lastAccess', 'lastAccess')
+      db.createObjectStore(META_STORE, { keyPath: 'key' })
+    }
+    openRequest.onsuccess = () => resolve(openRequest.result)
+    openRequest.onerror = () => {
+      console.error('❌ [IDB CACHE] No disponible, se usa solo cache en memoria', openRequest.error)
+      resolve(null)
+    }
+  })
+
+  return dbPromise
+}
+
+async function getDataVersion(db) {
+  if (dataVersion === null) {
+    const meta = await request(db.transaction(META_STORE).objectStore(META_STORE).get('dataVersion'))
+    dataVersion = meta?.value ?? 'unknown'
+  }
+  return dataVersion
+}
+
+function keyPrefix(version) {
+  return `v${SCHEMA_VERSION}:${version}:`
+}
+
+async function buildKey(url) {
+  const db = await openDatabase()
+  return `${keyPrefix(await getDataVersion(db))}${url}`
+}
+
+/**
+ * EXPULSIÓN LRU
+ *
+ * Recorre las entradas de más reciente a más antigua acumulando tamaño;
+ * las que exceden los límites se eliminan
+ */
+async function evictLeastRecentlyUsed(db) {
+  let totalBytes = 0
+  let totalEntries = 0
+  let evicted = 0
+
+  await transactionDone(db, RESPONSES_STORE, store => {
+    store.index('lastAccess').openCursor(null, 'prev').onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+
+      totalBytes += cursor.value.size
+      totalEntries++
+      if (totalBytes > MAX_BYTES || totalEntries > MAX_ENTRIES) {
+        cursor.delete()
+        evicted++
+      }
+      cursor.continue()
+    }
+  })
+
+  if (evicted > 0) {
+    debugLog(`🧹 [IDB CACHE] ${evicted} entradas expulsadas (LRU)`)
+  }
+}
+
+/**
+ * PROMESA PARA UNA IDBRequest
+ */
+function request(idbRequest) {
+  return new Promise((resolve, reject) => {
+    idbRequest.onsuccess = () => resolve(idbRequest.result)
+    idbRequest.onerror = () => reject(idbRequest.error)
+  })
+}
+
+/**
+ * EJECUTAR OPERACIONES Y ESPERAR AL FIN DE LA TRANSACCIÓN
+ */
+function transactionDone(db, storeName, operate) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite')
+    operate(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
@@ -0,0 +1,207 @@
+/**
+ * PROVINCIAS: NOMBRES, LÍMITES Y CIFRAS DEL MAPA DE COROPLETAS
+ *
+ * - Normaliza los nombres de provincia al que usa la API
+ *   ("Araba/Álava", "VALENCIA", "Coruña, A" → "Álava", "Valencia", "A Coruña")
+ * - Carga bajo demanda los límites simplificados (data/provinceBoundaries.js)
+ * - Calcula la cifra de cada provincia y los cortes de color
+ */
+
+import { PROVINCIAS } from '../data/gazetteer'
+import { normalize } from './geocoder'
+
+/**
+ * FORMAS ADICIONALES QUE NO RECOGE EL NOMENCLÁTOR
+ */
+const EXTRA_ALIASES = {
+  'Baleares': ['Balears'],
+  'Santa Cruz de Tenerife': ['S C Tenerife', 'Tenerife'],
+  'Las Palmas': ['Palmas de Gran Canaria']
+}
+
+/**
+ * ÍNDICE: NOMBRE NORMALIZADO → NOMBRE DE LA API
+ *
+ * Nombre oficial y alias del nomenclátor (lenguas cooficiales
+ * y formas tradicionales) más EXTRA_ALIASES
+ */
+const PROVINCE_INDEX = new Map()
+PROVINCIAS.forEach(([nombre, , , , , aliases = []]) => {
+  [nombre, ...aliases, ...(EXTRA_ALIASES[nombre] || [])].forEach(name => {
+    PROVINCE_INDEX.set(normalize(name), nombre)
+  })
+})
+
+/**
+ * MÉTRICAS DEL MAPA DE COROPLETAS
+ */
+export const CHOROPLETH_METRICS = {
+  count: { label: 'Número de antenas' },
+  share: { label: 'Cuota de un operador o tecnología' },
+  density: { label: 'Antenas por km²' }
+}
+
+/**
+ * ESCALA SECUENCIAL (5 clases, de menos a más)
+ */
+export const CHOROPLETH_COLORS = ['#eff3ff', '#bdd7e7', '#6baed6', '#3182bd', '#08519c']
+
+/**
+ * COLOR DE LAS PROVINCIAS SIN DATOS
+ */
+export const NO_DATA_COLOR = '#d5d8dc'
+
+/**
+ * NOMBRE DE PROVINCIA TAL COMO LO USA LA API
+ *
+ * Acepta variantes bilingües con barra, el orden del INE
+ * con coma ("Palmas, Las"), mayúsculas y falta de tildes
+ *
+ * @param {string} name
+ * @returns {string|null} - null si no corresponde a ninguna provincia
+ */
+export function normalizeProvince(name) {
+  if (!name) return null
+
+  const candidates = String(name)
+    .replace(/^provincia de /i, '')
+    .split('/')
+    .map(part => part.trim())
+    .flatMap(part => {
+      // "Coruña, A" → "A Coruña"
+      const match = /^(.+),\s*(.+)$/.exec(part)
+      return match ? [`${match[2]} ${match[1]}`, part] : [part]
+    })
+
+  for (const candidate of candidates) {
+    const found = PROVINCE_INDEX.get(normalize(candidate))
+    if (found) return found
+  }
+  return null
+}
+
+/**
+ * LÍMITES PROVINCIALES (import dinámico, una sola vez)
+ */
+let boundariesPromise = null
+
+export function loadProvinceBoundaries() {
+  if (!boundariesPromise) {
+    boundariesPromise = import('../data/provinceBoundaries')
+      .then(module => module.default)
+      .catch(err => {
+        boundariesPromise = null // Permite reintentar
+        throw err
+      })
+  }
+  return boundariesPromise
+}
+
+/**
+ * AGRUPAR UN DESGLOSE POR PROVINCIA BAJO EL NOMBRE NORMALIZADO
+ *
+ * @param {Object} [counts] - stats.por_provincia: { nombre de la API: recuento }
+ * @returns {{counts: Map<string, number>, apiNames: Map<string, string>, unmatched: string[]}}
+ *   - apiNames: Nombre original de la API para filtrar (el primero visto)
+ *   - unmatched: Nombres que no corresponden a ninguna provincia
+ */
+export function groupByProvince(counts = {}) {
+  const grouped = new Map()
+  const apiNames = new Map()
+  const unmatched = []
+
+  Object.entries(counts).forEach(([name, count]) => {
+    const province = normalizeProvince(name)
+    if (!province) {
+      unmatched.push(name)
+      return
+    }
+    grouped.set(province, (grouped.get(province) || 0) + count)
+    if (!apiNames.has(province)) apiNames.set(province, name)
+  })
+
+  return { counts: grouped, apiNames, unmatched }
+}
+
+/**
+ * CIFRAS DE CADA PROVINCIA
+ *
+ * @param {Object} boundaries - FeatureCollection de provinceBoundaries
+ * @param {Object} [totals] - stats.por_provincia global
+ * @param {Object} [subset] - stats.por_provincia del operador o tecnología elegido
+ * @returns {Map<string, {nombre: string, apiName: string, km2: number, total: number, subset: number|null, share: number|null, density: number}>}
+ */
+export function provinceFigures(boundaries, totals, subset) {
+  const totalGroups = groupByProvince(totals)
+  const subsetGroups = subset ? groupByProvince(subset) : null
+
+  const figures = new Map()
+  boundaries.features.forEach(({ properties: { nombre, km2 } }) => {
+    const total = totalGroups.counts.get(nombre) || 0
+    const subsetCount = subsetGroups ? subsetGroups.counts.get(nombre) || 0 : null
+    figures.set(nombre, {
+      nombre,
+      apiName: totalGroups.apiNames.get(nombre) ?? nombre,
+      km2,
+      total,
+      subset: subsetCount,
+      share: subsetCount !== null && total > 0 ? subsetCount / total : null,
+      density: km2 > 0 ? total / km2 : 0
+    })
+  })
+  return figures
+}
+
+/**
+ * VALOR DE LA MÉTRICA (null = sin datos)
+ */
+export function metricValue(figure, metric) {
+  if (!figure) return null
+  if (metric === 'share') return figure.share
+  if (metric === 'density') return figure.total > 0 ? figure.density : null
+  return figure.total > 0 ? figure.total : null
+}
+
+/**
+ * CORTES POR CUANTILES
+ *
+ * Cada color agrupa un número parecido de provincias: con
+ * cortes lineales Madrid y Barcelona dejarían el resto en la misma clase
+ *
+ * @param {number[]} values - Valores no nulos
+ * @param {number} [classes]
+ * @returns {number[]} - classes - 1 umbrales crecientes
+ */
+export function quantileBreaks(values, classes = CHOROPLETH_COLORS.length) {
+  const sorted = values.filter(value => value !== null).sort((a, b) => a - b)
+  if (sorted.length === 0) return []
+
+  const breaks = []
+  for (let i = 1; i < classes; i++) {
+    breaks.push(sorted[Math.floor(i * sorted.length / classes)] ?? sorted[sorted.length - 1])
+  }
+  return breaks
+}
+
+/**
+ * COLOR DE UN VALOR SEGÚN LOS CORTES
+ */
+export function choroplethColor(value, breaks) {
+  if (value === null || value === undefined) return NO_DATA_COLOR
+  const index = breaks.findIndex(limit => value < limit)
+  return CHOROPLETH_COLORS[index === -1 ? breaks.length : index]
+}
+
+/**
+ * TEXTO DE UN VALOR DE LA MÉTRICA
+ */
+export function formatMetric(value, metric) {
+  if (value === null || value === undefined) return 'sin datos'
+  if (metric === 'share') return `${(value * 100).toLocaleString('es-ES', { maximumFractionDigits: 1 })} %`
+  if (metric === 'density') {
+    // Dos cifras significativas: en provincias poco pobladas la densidad es < 0,1
+    const digits = value < 10 ? { maximumSignificantDigits: 2 } : { maximumFractionDigits: 1 }
+    return `${value.toLocaleString('es-ES', digits)} /km²`
+  }
+  return value.toLocaleString('es-ES')
+}
@@ -0,0 +1,62 @@
+/**
+ * REGISTRO DEL SERVICE WORKER
+ *
+ * Solo en producción: dist/sw.js lo genera el build (ver src/sw.js
+ * y vite.config.js). En desarrollo no existe y no se registra
+ *
+ * Versión nueva desplegada: el service worker nuevo se instala y
+ * espera; onUpdateReady recibe la función que lo activa y recarga
+ */
+
+/**
+ * CADA CUÁNTO SE BUSCA UNA VERSIÓN NUEVA CON LA PÁGINA ABIERTA (1 hora)
+ */
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+let registered = false
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onUpdateReady - Recibe applyUpdate() cuando hay una versión nueva lista
+ */
+export function registerServiceWorker({ onUpdateReady }) {
+  if (registered || !import.meta.env.PROD || !('serviceWorker' in navigator)) return
+  registered = true
+
+  // Solo se recarga al aceptar la actualización: en la primera
+  // instalación el service worker también toma el control (clients.claim)
+  let updateAccepted = false
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) window.location.reload()
+  })
+
+  const offerUpdate = (worker) => {
+    onUpdateReady(() => {
+      updateAccepted = true
+      worker.postMessage({ type: 'SKIP_WAITING' })
+    })
+  }
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+    .then(registration => {
+      // Ya había una versión esperando de una visita anterior
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting)
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing
+        worker?.addEventListener('statechange', () => {
+          // Sin controlador es la primera instalación, no una actualización
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            offerUpdate(worker)
+          }
+        })
+      })
+
+      setInterval(() => {
+        registration.update().catch(err => console.warn('⚠️ No se pudo buscar una versión nueva:', err))
+      }, UPDATE_CHECK_INTERVAL)
+    })
+    .catch(err => console.error('❌ No se pudo registrar el service worker:', err))
+}
@@ -0,0 +1,102 @@
+/**
+ * ESTADÍSTICAS DE UN SUBCONJUNTO
+ *
+ * /map/stats admite los mismos filtros y bbox que /map/antenas
+ * (ver mockApi.js); aquí se valida esa respuesta y se calcula una
+ * alternativa a partir de lo ya cargado en el mapa
+ */
+
+import { hasActiveFilters, FILTER_KEYS } from './filters'
+
+/**
+ * CAMPOS CON LA FECHA DEL CONJUNTO DE DATOS, EN ORDEN DE PREFERENCIA
+ */
+const DATE_FIELDS = ['fecha_actualizacion', 'ultima_actualizacion', 'updated_at', 'last_updated']
+
+const BREAKDOWN_KEYS = { operador: 'por_operador', tecnologia: 'por_tecnologia', provincia: 'por_provincia' }
+
+/**
+ * ESTADÍSTICAS A PARTIR DE LAS FEATURES CARGADAS
+ *
+ * Misma forma que /map/stats. Los clusters del servidor aportan su
+ * recuento y desgloses por operador y tecnología, pero no por provincia
+ *
+ * @param {Array} antenas - Antenas sueltas (ya filtradas y recortadas a la vista)
+ * @param {Array} [clusters] - Clusters del servidor en la vista
+ * @returns {Object} - { total_antenas, por_operador, por_tecnologia, por_provincia, provincias_incompletas }
+ */
+export function statsFromFeatures(antenas, clusters = []) {
+  const stats = {
+    total_antenas: 0,
+    por_operador: {},
+    por_tecnologia: {},
+    por_provincia: {},
+    provincias_incompletas: clusters.length > 0
+  }
+
+  antenas.forEach(({ properties = {} }) => {
+    stats.total_antenas++
+    add(stats.por_operador, properties.operador, 1)
+    add(stats.por_tecnologia, properties.tecnologia, 1)
+    add(stats.por_provincia, properties.provincia, 1)
+  })
+
+  clusters.forEach(({ properties }) => {
+    stats.total_antenas += properties.count
+    Object.entries(properties.por_operador || {}).forEach(([key, count]) => add(stats.por_operador, key, count))
+    Object.entries(properties.por_tecnologia || {}).forEach(([key, count]) => add(stats.por_tecnologia, key, count))
+  })
+
+  return stats
+}
+
+/**
+ * ¿LA API HA IGNORADO LOS FILTROS O EL BBOX?
+ *
+ * Una API sin soporte devolvería las cifras nacionales: se detecta
+ * si el total coincide con el global cuando el subconjunto pedido
+ * es necesariamente menor
+ *
+ * @param {Object} response - Respuesta de /map/stats con filtros o bbox
+ * @param {Object} globalStats - /map/stats sin parámetros
+ * @param {Object} request - { filters, bbox, loadedTotal }
+ *   - loadedTotal: antenas de la vista ya cargadas (cota inferior del bbox)
+ */
+export function ignoresSubset(response, globalStats, { filters, bbox, loadedTotal } = {}) {
+  const total = globalStats?.total_antenas
+  if (!total || response?.total_antenas !== total) return false
+
+  // Algún filtro selecciona valores que no suman el total nacional
+  const filtered = filters && hasActiveFilters(filters) && FILTER_KEYS.some(key => {
+    const values = filters[key] || []
+    const breakdown = globalStats[BREAKDOWN_KEYS[key]]
+    if (values.length === 0 || !breakdown) return false
+    return values.reduce((sum, value) => sum + (breakdown[value] || 0), 0) < total
+  })
+
+  // Una vista en la que cabe todo el país no permite distinguirlo
+  const boxed = Boolean(bbox) && loadedTotal !== undefined && loadedTotal < total * 0.5
+
+  return Boolean(filtered || boxed)
+}
+
+/**
+ * FECHA DEL CONJUNTO DE DATOS SEGÚN LA API
+ *
+ * @returns {Date|null} - null si la API no la informa o no es válida
+ */
+export function datasetDate(stats) {
+  for (const field of DATE_FIELDS) {
+    const value = stats?.[field]
+    if (!value) continue
+    // Una fecha sin hora se interpreta en hora local, no en UTC
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value)
+    if (!Number.isNaN(date.getTime())) return date
+  }
+  return null
+}
+
+function add(target, key, count) {
+  if (!key) return
+  target[key] = (target[key] || 0) + count
+}
@@ -0,0 +1,173 @@
+/**
+ * TESELAS XYZ PARA LA CARGA POR VIEWPORT
+ *
+ * El área visible se divide en teselas fijas (esquema XYZ / Web Mercator,
+ * el mismo que las capas base) para que cada petición tenga una URL estable:
+ * - Panear unos píxeles reutiliza las teselas ya cargadas
+ * - El cache de api.js (memoria + IndexedDB) acierta casi siempre
+ */
+
+/**
+ * LATITUD MÁXIMA REPRESENTABLE EN WEB MERCATOR
+ */
+const MAX_LATITUDE = 85.05112878
+
+/**
+ * ZOOM MÁXIMO DEL MAPA EN EL QUE SE PIDEN CLUSTERS
+ */
+export const CLUSTER_MAX_ZOOM = 10
+
+/**
+ * BANDAS DE ZOOM PARA ANTENAS INDIVIDUALES
+ *
+ * Las antenas no cambian con el zoom, así que varias vistas
+ * comparten el mismo nivel de tesela (teselas de 512-1024px de
+ * pantalla: ~4-9 por vista)
+ */
+const ANTENA_TILE_BANDS = [
+  { maxZoom: 12, tileZoom: 10 },
+  { maxZoom: 14, tileZoom: 12 },
+  { maxZoom: Infinity, tileZoom: 14 }
+]
+
+/**
+ * NIVEL DE TESELA PARA UN ZOOM DEL MAPA
+ *
+ * - Clusters: dependen del zoom, una rejilla por nivel
+ *   (teselas de 512px de pantalla: zoom - 1)
+ * - Antenas: nivel fijo de su banda
+ *
+ * @param {number} mapZoom - Zoom actual del mapa
+ * @returns {number} - Zoom de las teselas a pedir
+ */
+export function tileZoomFor(mapZoom) {
+  if (mapZoom <= CLUSTER_MAX_ZOOM) return Math.max(0, mapZoom - 1)
+  return ANTENA_TILE_BANDS.find(band => mapZoom <= band.maxZoom).tileZoom
+}
+
+/**
+ * NIVELES DE TESELA DE ANTENAS MÁS GRUESOS QUE UNO DADO
+ *
+ * Una tesela de antenas completa de un nivel inferior
+ * contiene todos los datos de sus descendientes
+ *
+ * @param {number} tileZoom - Nivel de tesela de antenas
+ * @returns {number[]} - Niveles ancestro, del más cercano al más lejano
+ */
+export function coarserAntenaZooms(tileZoom) {
+  return ANTENA_TILE_BANDS
+    .map(band => band.tileZoom)
+    .filter(z => z < tileZoom)
+    .reverse()
+}
+
+/**
+ * COORDENADAS GEOGRÁFICAS → TESELA
+ *
+ * @param {number} lon - Longitud
+ * @param {number} lat - Latitud
+ * @param {number} z - Nivel de zoom de la tesela
+ * @returns {{z: number, x: number, y: number}}
+ */
+export function lonLatToTile(lon, lat, z) {
+  const n = 2 ** z
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat))
+  const latRad = clampedLat * Math.PI / 180
+
+  const x = Math.floor((lon + 180) / 360 * n)
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+
+  return { z, x: clamp(x, 0, n - 1), y: clamp(y, 0, n - 1) }
+}
+
+/**
+ * LÍMITES DE UNA TESELA
+ *
+ * @param {{z: number, x: number, y: number}} tile
+ * @returns {number[]} - bbox [min_lon, min_lat, max_lon, max_lat]
+ */
+export function tileBounds({ z, x, y }) {
+  const n = 2 ** z
+  const lon = (tileX) => tileX / n * 360 - 180
+  const lat = (tileY) => Math.atan(Math.sinh(Math.PI * (1 - 2 * tileY / n))) * 180 / Math.PI
+
+  return [lon(x), lat(y + 1), lon(x + 1), lat(y)]
+}
+
+/**
+ * TESELAS QUE CUBREN UN BBOX
+ *
+ * @param {number[]} bbox - [min_lon, min_lat, max_lon, max_lat]
+ * @param {number} z - Nivel de zoom de las teselas
+ * @returns {Array<{z: number, x: number, y: number}>}
+ */
+export function tilesForBbox([west, south, east, north], z) {
+  const topLeft = lonLatToTile(west, north, z)
+  const bottomRight = lonLatToTile(east, south, z)
+  const tiles = []
+
+  for (let x = topLeft.x; x <= bottomRight.x; x++) {
+    for (let y = topLeft.y; y <= bottomRight.y; y++) {
+      tiles.push({ z, x, y })
+    }
+  }
+  return tiles
+}
+
+/**
+ * ANILLO DE TESELAS ADYACENTES
+ *
+ * Vecinas de un conjunto de teselas (mismo nivel) que no forman parte de él
+ * Se usan para precargar en tiempo ocioso
+ *
+ * @param {Array<{z: number, x: number, y: number}>} tiles
+ * @returns {Array<{z: number, x: number, y: number}>}
+ */
+export function neighbourTiles(tiles) {
+  if (!tiles.length) return []
+
+  const { z } = tiles[0]
+  const n = 2 ** z
+  const xs = tiles.map(tile => tile.x)
+  const ys = tiles.map(tile => tile.y)
+  const minX = Math.max(0, Math.min(...xs) - 1)
+  const maxX = Math.min(n - 1, Math.max(...xs) + 1)
+  const minY = Math.max(0, Math.min(...ys) - 1)
+  const maxY = Math.min(n - 1, Math.max(...ys) + 1)
+  const inside = new Set(tiles.map(tileKey))
+
+  const ring = []
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      const tile = { z, x, y }
+      if (!inside.has(tileKey(tile))) ring.push(tile)
+    }
+  }
+  return ring
+}
+
+/**
+ * TESELA ANCESTRO EN UN NIVEL MÁS BAJO
+ */
+export function parentTile({ z, x, y }, parentZoom) {
+  const shift = z - parentZoom
+  return { z: parentZoom, x: x >> shift, y: y >> shift }
+}
+
+/**
+ * CLAVE ÚNICA "z/x/y"
+ */
+export function tileKey({ z, x, y }) {
+  return `${z}/${x}/${y}`
+}
+
+/**
+ * ¿EL PUNTO [lon, lat] CAE DENTRO DEL BBOX?
+ */
+export function inBbox([lon, lat], [west, south, east, north]) {
+  return lon >= west && lon <= east && lat >= south && lat <= north
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value))
+}
@@ -0,0 +1,80 @@
+/**
+ * ESTADO DE LA APLICACIÓN EN LA URL
+ *
+ * Filtros, vista del mapa y antena seleccionada se serializan en
+ * la query string para poder compartir enlaces como
+ * ?operador=Orange&tecnologia=5G&lat=39.47&lng=-0.37&zoom=12
+ *
+ * Parámetros:
+ * - operador, tecnologia, provincia: Filtros activos (repetidos si
+ *   hay varios valores, igual que en la API)
+ * - lat, lng, zoom: Centro y zoom del mapa
+ * - antena: id de la antena seleccionada
+ *
+ * Los valores inválidos se ignoran (se usa el valor por defecto)
+ */
+
+import { appendFilterParams, readFilterParams } from './filters'
+
+/**
+ * DECIMALES DEL CENTRO (~1 m de precisión)
+ *
+ * Redondear evita entradas de historial que solo
+ * difieren en ruido de la proyección
+ */
+const COORD_DECIMALS = 5
+
+/**
+ * LEER EL ESTADO DESDE UNA QUERY STRING
+ *
+ * @param {string} [search] - Por defecto window.location.search
+ * @returns {{
+ *   filters: {operador: string[], tecnologia: string[], provincia: string[]},
+ *   center: number[]|null,
+ *   zoom: number|null,
+ *   antena: string|null
+ * }}
+ */
+export function readUrlState(search = window.location.search) {
+  const params = new URLSearchParams(search)
+
+  const lat = Number(params.get('lat'))
+  const lng = Number(params.get('lng'))
+  const hasCenter = params.has('lat') && params.has('lng') &&
+    Number.isFinite(lat) && Math.abs(lat) <= 90 &&
+    Number.isFinite(lng) && Math.abs(lng) <= 180
+
+  const zoom = Number(params.get('zoom'))
+  const hasZoom = params.has('zoom') && Number.isInteger(zoom) && zoom >= 0 && zoom <= 19
+
+  return {
+    filters: readFilterParams(params),
+    center: hasCenter ? [lat, lng] : null,
+    zoom: hasZoom ? zoom : null,
+    antena: params.get('antena') || null
+  }
+}
+
+/**
+ * CONSTRUIR LA QUERY STRING PARA UN ESTADO
+ *
+ * Solo incluye los valores definidos; el orden es fijo
+ * para que dos estados iguales den la misma URL
+ *
+ * @param {Object} state - Misma forma que devuelve readUrlState
+ * @returns {string} - "?..." o cadena vacía
+ */
+export function buildUrlSearch({ filters, center, zoom, antena }) {
+  const params = new URLSearchParams()
+
+  appendFilterParams(params, filters)
+  if (center) {
+    params.set('lat', center[0].toFixed(COORD_DECIMALS))
+    params.set('lng', center[1].toFixed(COORD_DECIMALS))
+  }
+  if (zoom !== null && zoom !== undefined) params.set('zoom', String(zoom))
+  if (antena) params.set('antena', antena)
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
@@ -0,0 +1,170 @@
+/**
+ * SERVICE WORKER: APLICACIÓN SIN CONEXIÓN
+ *
+ * No lo procesa Vite: el plugin serviceWorker de vite.config.js lo
+ * copia a dist/sw.js sustituyendo __BUILD_VERSION__ y __PRECACHE_URLS__
+ * por los ficheros del build. En desarrollo no se registra
+ * (ver services/serviceWorker.js)
+ *
+ * - Build (JS, CSS, index.html, manifiesto, iconos): se guarda al
+ *   instalar y se sirve desde el cache; las navegaciones piden
+ *   index.html a la red y sin ella usan la copia guardada
+ * - /map/stats y /map/antenas (listados y fichas): red primero; solo
+ *   sin red, la última respuesta guardada, marcada con OFFLINE_HEADER
+ *   para que la interfaz avise de su fecha
+ * - Leaflet desde unpkg: cache y revalidación en segundo plano
+ *
+ * Una versión nueva queda en espera hasta que la página envía
+ * SKIP_WAITING (el usuario acepta el aviso de actualización)
+ */
+
+const BUILD_VERSION = __BUILD_VERSION__
+const PRECACHE_URLS = __PRECACHE_URLS__
+
+const SHELL_CACHE = `antenas-shell-${BUILD_VERSION}`
+const CDN_CACHE = 'antenas-cdn-v1'
+
+/**
+ * CACHES DE DATOS DE LA API
+ *
+ * maxEntries: Se conservan las respuestas pedidas más recientemente
+ */
+const DATA_CACHES = [
+  { name: 'antenas-stats-v1', maxEntries: 20, matches: (path) => path.endsWith('/map/stats') },
+  { name: 'antenas-responses-v1', maxEntries: 100, matches: (path) => /\/map\/antenas(\/[^/]+)?$/.test(path) }
+]
+
+/**
+ * CABECERA CON LA FECHA DE LA COPIA GUARDADA (ISO 8601)
+ *
+ * Solo la llevan las respuestas servidas desde el cache (ver api.js)
+ */
+const OFFLINE_HEADER = 'X-Offline-Cached-At'
+
+const PRECACHE_PATHS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).pathname))
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS)))
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('antenas-shell-') && name !== SHELL_CACHE)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigationResponse(request))
+    return
+  }
+
+  if (url.origin === self.location.origin && PRECACHE_PATHS.has(url.pathname)) {
+    event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached ?? fetch(request)))
+    return
+  }
+
+  const dataCache = DATA_CACHES.find(cache => cache.matches(url.pathname))
+  if (dataCache) {
+    event.respondWith(networkFirst(event, dataCache))
+    return
+  }
+
+  if (url.hostname === 'unpkg.com') {
+    event.respondWith(staleWhileRevalidate(event, CDN_CACHE))
+  }
+})
+
+/**
+ * NAVEGACIÓN: index.html DE LA RED O, SIN ELLA, EL GUARDADO
+ */
+async function navigationResponse(request) {
+  try {
+    return await fetch(request)
+  } catch (err) {
+    const shell = await caches.match(new URL('index.html', self.registration.scope).href, { cacheName: SHELL_CACHE })
+    if (shell) return shell
+    throw err
+  }
+}
+
+/**
+ * RED PRIMERO, COPIA GUARDADA SOLO SI NO HAY RED
+ *
+ * Una respuesta lenta no cuenta como falta de red: el arranque en
+ * frío del backend tarda decenas de segundos y lo gestionan los
+ * reintentos y el aviso de api.js; la copia aquí dejaría a la
+ * página con datos antiguos sabiendo que hay conexión
+ */
+async function networkFirst(event, dataCache) {
+  const { request } = event
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) event.waitUntil(storeResponse(dataCache, request, response.clone()).catch(() => {}))
+    return response
+  } catch (err) {
+    // La página canceló la petición (su propio timeout): no espera respuesta
+    if (err.name === 'AbortError') throw err
+    const cached = await caches.match(request, { cacheName: dataCache.name, ignoreVary: true })
+    if (cached) return cached
+    throw err
+  }
+}
+
+/**
+ * GUARDAR CON LA FECHA Y RECORTAR A LAS MÁS RECIENTES
+ *
+ * Se borra antes de guardar para que pase al final de cache.keys()
+ *
+ * Con la API en otro origen, sin Access-Control-Expose-Headers el
+ * filtro CORS oculta OFFLINE_HEADER a la página
+ */
+async function storeResponse({ name, maxEntries }, request, response) {
+  const headers = new Headers(response.headers)
+  headers.set(OFFLINE_HEADER, new Date().toISOString())
+
+  const exposed = headers.get('Access-Control-Expose-Headers')
+  if (exposed !== '*') {
+    headers.set('Access-Control-Expose-Headers', exposed ? `${exposed}, ${OFFLINE_HEADER}` : OFFLINE_HEADER)
+  }
+
+  const body = await response.blob()
+
+  const cache = await caches.open(name)
+  await cache.delete(request, { ignoreVary: true })
+  await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }))
+
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)))
+}
+
+/**
+ * COPIA GUARDADA AL INSTANTE Y ACTUALIZACIÓN EN SEGUNDO PLANO
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+
+  const network = fetch(request).then(response => {
+    if (response.ok) return cache.put(request, response.clone()).then(() => response)
+    return response
+  })
+  event.waitUntil(network.catch(() => {}))
+
+  return cached ?? network
+}
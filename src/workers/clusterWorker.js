@@ -0,0 +1,40 @@
+/**
+ * WEB WORKER DE AGRUPAMIENTO
+ *
+ * Construye y consulta el índice de clusters fuera del hilo principal
+ * para que el mapa siga respondiendo con decenas de miles de antenas
+ *
+ * Mensajes recibidos:
+ * - { type: 'load', loadId, features }: Reconstruye el índice
+ * - { type: 'query', requestId, bbox, zoom }: Clusters visibles
+ *
+ * Mensajes enviados:
+ * - { type: 'loaded', loadId, count, ms }
+ * - { type: 'clusters', requestId, features }
+ */
+
+import { ClusterIndex } from '../services/clustering'
+
+let index = new ClusterIndex()
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'load') {
+    const start = performance.now()
+    index = new ClusterIndex().load(data.features)
+    self.postMessage({
+      type: 'loaded',
+      loadId: data.loadId,
+      count: data.features.length,
+      ms: Math.round(performance.now() - start)
+    })
+    return
+  }
+
+  if (data.type === 'query') {
+    self.postMessage({
+      type: 'clusters',
+      requestId: data.requestId,
+      features: index.getClusters(data.bbox, data.zoom)
+    })
+  }
+}
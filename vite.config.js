@@ -7,6 +7,69 @@
 
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, existsSync } from 'node:fs'
+import { resolve, relative } from 'node:path'
+
+/**
+ * PLUGIN DEL SERVICE WORKER (SOLO EN BUILD)
+ * 
+ * Genera dist/sw.js a partir de src/sw.js con:
+ * - __PRECACHE_URLS__: Todos los ficheros del build y de public/
+ * - __BUILD_VERSION__: Hash de esos ficheros; cambia en cada despliegue
+ *   con cambios, y el navegador detecta así la versión nueva
+ */
+function serviceWorker() {
+  let root
+  let publicDir
+  let base
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post', // Después de que Vite añada index.html al bundle
+
+    configResolved(resolvedConfig) {
+      root = resolvedConfig.root
+      publicDir = resolvedConfig.publicDir
+      base = resolvedConfig.base
+    },
+
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const files = new Set(['index.html'])
+
+      for (const output of Object.values(bundle)) {
+        if (output.fileName.endsWith('.map')) continue
+        files.add(output.fileName)
+        hash.update(output.type === 'chunk' ? output.code : output.source)
+      }
+      for (const file of listFiles(publicDir)) {
+        const fileName = relative(publicDir, file).split('\\').join('/')
+        files.add(fileName)
+        hash.update(fileName).update(readFileSync(file))
+      }
+
+      const template = readFileSync(resolve(root, 'src/sw.js'), 'utf8')
+      hash.update(template)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template
+          .replace('= __BUILD_VERSION__', () => `= ${JSON.stringify(hash.digest('hex').slice(0, 12))}`)
+          .replace('= __PRECACHE_URLS__', () => `= ${JSON.stringify([...files].sort().map(file => base + file))}`)
+      })
+    }
+  }
+}
+
+function listFiles(dir) {
+  if (!dir || !existsSync(dir)) return []
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => (
+    entry.isDirectory() ? listFiles(resolve(dir, entry.name)) : [resolve(dir, entry.name)]
+  ))
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
@@ -14,8 +77,9 @@ export default defineConfig({
    * PLUGINS PRINCIPALES
    * 
    * @vitejs/plugin-react: Soporte para React con Fast Refresh
+   * serviceWorker: Aplicación instalable y sin conexión (ver src/sw.js)
    */
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   
   /**
    * CONFIGURACIÓN DE BUILD PARA PRODUCCIÓN